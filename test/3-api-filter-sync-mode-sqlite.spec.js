@@ -730,6 +730,87 @@ describe('API filter', () => {
         responseTest: (res) => {
           assert.lengthOf(res, 0)
         }
+      },
+      {
+        args: {
+          ...baseArgs,
+          method: 'getLedgers',
+          params: {
+            ...baseParams,
+            symbol: 'BTC',
+            filter: {
+              $match: { description: 'margin fund*' },
+              $nor: [
+                { $eq: { wallet: 'exchange' } },
+                { $lt: { id: 0 } }
+              ]
+            }
+          }
+        },
+        responseTest: (res) => {
+          assert.isAbove(res.length, 0)
+
+          res.forEach((item) => {
+            assert.isObject(item)
+            assert.containsAllKeys(item, [
+              'id',
+              'currency',
+              'mts',
+              'amount',
+              'balance',
+              'description',
+              'wallet'
+            ])
+            assert.match(item.description, /margin fund/i)
+            assert.notStrictEqual(item.wallet, 'exchange')
+          })
+        }
+      },
+      {
+        args: {
+          ...baseArgs,
+          method: 'getOrders',
+          params: {
+            ...baseParams,
+            symbol: 'tBTCUSD',
+            filter: {
+              $and: [
+                { $like: { symbol: 'tBTC%' } }
+              ],
+              $nor: [
+                { $like: { symbol: 'tBTC%' } }
+              ]
+            }
+          }
+        },
+        responseTest: (res) => {
+          assert.lengthOf(res, 0)
+        }
+      },
+      {
+        args: {
+          ...baseArgs,
+          method: 'getMovements',
+          params: {
+            ...baseParams,
+            symbol: 'BTC',
+            filter: {
+              $or: [
+                { $in: { id: [12345, 12346, 12347] } },
+                { $lt: { id: 0 } }
+              ]
+            }
+          }
+        },
+        responseTest: (res) => {
+          assert.isAbove(res.length, 0)
+
+          res.forEach((item) => {
+            assert.isObject(item)
+            assert(Number.isInteger(item.id))
+            assert.include([12345, 12346, 12347], item.id)
+          })
+        }
       }
     ]
 
@@ -816,6 +897,32 @@ describe('API filter', () => {
             }
           }
         }
+      },
+      {
+        args: {
+          ...baseArgs,
+          method: 'getLedgers',
+          params: {
+            ...baseParams,
+            symbol: ['BTC'],
+            filter: {
+              $match: { wallet: 'funding' }
+            }
+          }
+        }
+      },
+      {
+        args: {
+          ...baseArgs,
+          method: 'getMovements',
+          params: {
+            ...baseParams,
+            symbol: ['BTC'],
+            filter: {
+              $nor: { $eq: { id: 12345 } }
+            }
+          }
+        }
       }
     ]
 
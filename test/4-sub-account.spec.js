@@ -16,6 +16,7 @@ const {
   startEnvironment
 } = require('./helpers/helpers.boot')
 const {
+  delay,
   emptyDB,
   getRServiceProxy
 } = require('./helpers/helpers.core')
@@ -429,5 +430,167 @@ describe('Sub-account', () => {
 
       additionalApiSyncModeSqliteTestCases(agent, params)
     })
+    describe('Alert rules of sub-account', () => {
+      const auth = { token: '' }
+      let alertRule = null
+
+      before(beforeFn)
+
+      it('it should be successfully performed by the signIn method', async function () {
+        this.timeout(5000)
+
+        const res = await agent
+          .post(`${basePath}/json-rpc`)
+          .type('json')
+          .send({
+            auth: {
+              email: masterUserEmail,
+              password,
+              isSubAccount
+            },
+            method: 'signIn',
+            id: 5
+          })
+          .expect('Content-Type', /json/)
+          .expect(200)
+
+        assert.isObject(res.body)
+        assert.propertyVal(res.body, 'id', 5)
+        assert.isObject(res.body.result)
+        assert.strictEqual(res.body.result.isSubAccount, isSubAccount)
+        assert.isString(res.body.result.token)
+
+        auth.token = res.body.result.token
+      })
+
+      it('it should be successfully performed by the addAlertRule method', async function () {
+        this.timeout(5000)
+
+        const res = await agent
+          .post(`${basePath}/json-rpc`)
+          .type('json')
+          .send({
+            auth,
+            method: 'addAlertRule',
+            params: {
+              type: 'walletBalanceUsdBelow',
+              wallet: 'margin',
+              threshold: 1e12
+            },
+            id: 5
+          })
+          .expect('Content-Type', /json/)
+          .expect(200)
+
+        assert.isObject(res.body)
+        assert.propertyVal(res.body, 'id', 5)
+        assert.isObject(res.body.result)
+        assert.isNumber(res.body.result.id)
+
+        alertRule = res.body.result
+      })
+
+      it('it should be successfully performed by the enableSyncMode method', async function () {
+        this.timeout(5000)
+
+        const res = await agent
+          .post(`${basePath}/json-rpc`)
+          .type('json')
+          .send({
+            auth,
+            method: 'enableSyncMode',
+            id: 5
+          })
+          .expect('Content-Type', /json/)
+          .expect(200)
+
+        assert.isObject(res.body)
+        assert.propertyVal(res.body, 'id', 5)
+        assert.isOk(res.body.result)
+      })
+
+      it('it should be successfully performed by the syncNow method', async function () {
+        this.timeout(60000)
+
+        const res = await agent
+          .post(`${basePath}/json-rpc`)
+          .type('json')
+          .send({
+            auth,
+            method: 'syncNow',
+            id: 5
+          })
+          .expect('Content-Type', /json/)
+          .expect(200)
+
+        assert.isObject(res.body)
+        assert.propertyVal(res.body, 'id', 5)
+        assert.isOk(
+          typeof res.body.result === 'number' ||
+          res.body.result === 'SYNCHRONIZATION_IS_STARTED'
+        )
+      })
+
+      it('it should be successfully performed by the getSyncProgress method', async function () {
+        this.timeout(60000)
+
+        while (true) {
+          const res = await agent
+            .post(`${basePath}/json-rpc`)
+            .type('json')
+            .send({
+              auth,
+              method: 'getSyncProgress',
+              id: 5
+            })
+            .expect('Content-Type', /json/)
+            .expect(200)
+
+          assert.isObject(res.body)
+          assert.propertyVal(res.body, 'id', 5)
+          assert.isNumber(res.body.result)
+
+          if (
+            typeof res.body.result !== 'number' ||
+            res.body.result === 100
+          ) {
+            break
+          }
+
+          await delay()
+        }
+      })
+
+      it('it should trigger the alert of the sub-account on the sync finishing', async function () {
+        this.timeout(5000)
+
+        const res = await agent
+          .post(`${basePath}/json-rpc`)
+          .type('json')
+          .send({
+            auth,
+            method: 'getAlertHistory',
+            params: {
+              ruleId: alertRule.id
+            },
+            id: 5
+          })
+          .expect('Content-Type', /json/)
+          .expect(200)
+
+        assert.isObject(res.body)
+        assert.propertyVal(res.body, 'id', 5)
+        assert.isArray(res.body.result)
+        assert.lengthOf(res.body.result, 1)
+
+        const [alert] = res.body.result
+
+        assert.isObject(alert)
+        assert.propertyVal(alert, 'ruleId', alertRule.id)
+        assert.propertyVal(alert, 'type', 'walletBalanceUsdBelow')
+        assert.isNumber(alert.value)
+        assert.isBelow(alert.value, alert.threshold)
+      })
+    })
   })
 })
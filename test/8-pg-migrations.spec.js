@@ -0,0 +1,331 @@
+'use strict'
+
+const { assert } = require('chai')
+
+const createPgDb = require('../workers/loc.api/sync/dao/pg-db')
+const PgDAO = require('../workers/loc.api/sync/dao/dao.pg')
+const PgDbMigrator = require('../workers/loc.api/sync/dao/db-migrations/pg.db.migrator')
+const TABLES_NAMES = require('../workers/loc.api/sync/schema/tables-names')
+const syncSchema = require('../workers/loc.api/sync/schema')
+const {
+  TRIGGER_FIELD_NAME,
+  INDEX_FIELD_NAME,
+  UNIQUE_INDEX_FIELD_NAME,
+  FULL_TEXT_SEARCH_FIELD_NAME
+} = require('../workers/loc.api/sync/schema/const')
+const { getTableCreationQuery } = require('../workers/loc.api/sync/dao/helpers')
+const { getPgModels } = require('../workers/loc.api/sync/dao/helpers/pg')
+const {
+  MigrationLaunchingError
+} = require('../workers/loc.api/errors')
+const {
+  mockPgByPgMem,
+  restorePg
+} = require('./helpers/helpers.pg-mem')
+
+const PREV_DB_VERSION = 21
+const NEW_TABLES_NAMES = [
+  TABLES_NAMES.SYNC_SCHEDULES,
+  TABLES_NAMES.SYNC_CHECKPOINTS,
+  TABLES_NAMES.LEDGER_CATEGORY_RULES,
+  TABLES_NAMES.AUDIT_LOGS,
+  TABLES_NAMES.WEBHOOKS,
+  TABLES_NAMES.WEBHOOK_DELIVERIES,
+  TABLES_NAMES.ALERT_RULES,
+  TABLES_NAMES.ALERT_HISTORY,
+  TABLES_NAMES.SYNC_HISTORY,
+  TABLES_NAMES.SYNC_HISTORY_STATS,
+  TABLES_NAMES.STATUS_MESSAGES_HISTORY
+]
+const NEW_COLUMNS = {
+  [TABLES_NAMES.LEDGERS]: ['_tag'],
+  [TABLES_NAMES.ORDERS]: ['meta']
+}
+
+const logger = {
+  debug: () => {},
+  error: () => {}
+}
+
+const _createDao = (db) => {
+  let dao = null
+
+  const migrationsFactory = (versions) => versions.map((ver) => {
+    try {
+      const Migration = require(`../workers/loc.api/sync/dao/db-migrations/pg-migrations/migration.v${ver}`)
+
+      return new Migration(ver, dao, TABLES_NAMES, syncSchema, logger)
+    } catch (err) {
+      throw new MigrationLaunchingError()
+    }
+  })
+  const dbMigratorFactory = () => {
+    const dbMigrator = new PgDbMigrator(
+      migrationsFactory,
+      TABLES_NAMES,
+      syncSchema,
+      logger
+    )
+    dbMigrator.setDao(dao)
+
+    return dbMigrator
+  }
+
+  dao = new PgDAO(db, TABLES_NAMES, syncSchema, dbMigratorFactory)
+
+  return { dao, dbMigratorFactory }
+}
+
+/*
+ * The schema of the previous version is the current one
+ * without the tables and columns added by the PG migrations
+ */
+const _createPrevDbStructure = async (dao) => {
+  const models = syncSchema.getModelsMap({
+    omittedFields: [
+      TRIGGER_FIELD_NAME,
+      INDEX_FIELD_NAME,
+      UNIQUE_INDEX_FIELD_NAME,
+      FULL_TEXT_SEARCH_FIELD_NAME
+    ]
+  })
+  const prevModels = [...models]
+    .filter(([name]) => !NEW_TABLES_NAMES.includes(name))
+    .map(([name, model]) => {
+      const _model = { ...model }
+      const newColumns = NEW_COLUMNS[name] || []
+
+      newColumns.forEach((column) => { delete _model[column] })
+
+      return [name, _model]
+    })
+  const sql = getTableCreationQuery(getPgModels(prevModels))
+
+  await dao.executeQueriesInTrans(sql)
+  await dao.setCurrDbVer(PREV_DB_VERSION)
+}
+
+const _getTablesNames = async (dao) => {
+  const names = await dao._getTablesNames()
+
+  return names.map((name) => name.toLowerCase())
+}
+
+const _getColumnsNames = async (dao, tableName) => {
+  const rows = await dao.all(
+    `SELECT column_name AS name FROM information_schema.columns
+      WHERE table_name = $tableName`,
+    { tableName: tableName.toLowerCase() }
+  )
+
+  return rows.map(({ name }) => name.toLowerCase())
+}
+
+describe('PostgreSQL DB migrations', () => {
+  let db = null
+  let dao = null
+  let dbMigratorFactory = null
+
+  before(async function () {
+    this.timeout(20000)
+
+    if (typeof process.send !== 'function') {
+      process.send = () => {}
+    }
+
+    mockPgByPgMem()
+    db = createPgDb()
+    const res = _createDao(db)
+    dao = res.dao
+    dbMigratorFactory = res.dbMigratorFactory
+
+    await _createPrevDbStructure(dao)
+    await dao.run(
+      `INSERT INTO users(email, apiKey, apiSecret, active, isDataFromDb,
+        timezone, username, isSubAccount, isSubUser, passwordHash)
+        VALUES ('fake@email.fake', 'fake', 'fake', 1, 1,
+          'UTC', 'fake', 0, 0, 'fake')`
+    )
+  })
+
+  after(async () => {
+    await db.end()
+    restorePg()
+  })
+
+  it('it should be migrated up to the supported version keeping data', async function () {
+    this.timeout(20000)
+
+    const dbMigrator = dbMigratorFactory()
+
+    await dbMigrator.migrateFromCurrToSupportedVer()
+
+    const tableNames = await _getTablesNames(dao)
+    const ledgersColumns = await _getColumnsNames(dao, TABLES_NAMES.LEDGERS)
+    const ordersColumns = await _getColumnsNames(dao, TABLES_NAMES.ORDERS)
+    const syncCheckpointsColumns = await _getColumnsNames(
+      dao,
+      TABLES_NAMES.SYNC_CHECKPOINTS
+    )
+    const users = await dao.all(`SELECT email FROM ${TABLES_NAMES.USERS}`)
+
+    assert.strictEqual(
+      await dao.getCurrDbVer(),
+      syncSchema.SUPPORTED_DB_VERSION
+    )
+    assert.include(tableNames, TABLES_NAMES.SYNC_SCHEDULES.toLowerCase())
+    assert.include(tableNames, TABLES_NAMES.SYNC_CHECKPOINTS.toLowerCase())
+    assert.include(tableNames, TABLES_NAMES.LEDGER_CATEGORY_RULES.toLowerCase())
+    assert.include(tableNames, TABLES_NAMES.AUDIT_LOGS.toLowerCase())
+    assert.include(tableNames, TABLES_NAMES.WEBHOOKS.toLowerCase())
+    assert.include(tableNames, TABLES_NAMES.WEBHOOK_DELIVERIES.toLowerCase())
+    assert.include(tableNames, TABLES_NAMES.ALERT_RULES.toLowerCase())
+    assert.include(tableNames, TABLES_NAMES.ALERT_HISTORY.toLowerCase())
+    assert.include(tableNames, TABLES_NAMES.SYNC_HISTORY.toLowerCase())
+    assert.include(tableNames, TABLES_NAMES.SYNC_HISTORY_STATS.toLowerCase())
+    assert.include(
+      tableNames,
+      TABLES_NAMES.STATUS_MESSAGES_HISTORY.toLowerCase()
+    )
+    assert.include(ledgersColumns, '_tag')
+    assert.include(ordersColumns, 'meta')
+    assert.include(syncCheckpointsColumns, 'subuserid')
+    assert.lengthOf(users, 1)
+    assert.propertyVal(users[0], 'email', 'fake@email.fake')
+  })
+
+  it('it should be migrated down to the previous supported version', async function () {
+    this.timeout(20000)
+
+    const dbMigrator = dbMigratorFactory()
+    const versions = dbMigrator.range(
+      syncSchema.SUPPORTED_DB_VERSION,
+      PREV_DB_VERSION
+    )
+
+    await dbMigrator.migrate(versions, true)
+
+    const tableNames = await _getTablesNames(dao)
+    const ledgersColumns = await _getColumnsNames(dao, TABLES_NAMES.LEDGERS)
+    const ordersColumns = await _getColumnsNames(dao, TABLES_NAMES.ORDERS)
+
+    assert.strictEqual(await dao.getCurrDbVer(), PREV_DB_VERSION)
+    assert.notInclude(tableNames, TABLES_NAMES.SYNC_SCHEDULES.toLowerCase())
+    assert.notInclude(tableNames, TABLES_NAMES.AUDIT_LOGS.toLowerCase())
+    assert.notInclude(tableNames, TABLES_NAMES.SYNC_HISTORY.toLowerCase())
+    assert.notInclude(
+      tableNames,
+      TABLES_NAMES.STATUS_MESSAGES_HISTORY.toLowerCase()
+    )
+    assert.include(tableNames, TABLES_NAMES.USERS.toLowerCase())
+    assert.notInclude(ledgersColumns, '_tag')
+    assert.notInclude(ordersColumns, 'meta')
+  })
+
+  it('it should not drop tables on a migration failure', async function () {
+    this.timeout(20000)
+
+    await dao.setCurrDbVer(PREV_DB_VERSION - 1)
+
+    const dbMigrator = dbMigratorFactory()
+    let error = null
+
+    try {
+      await dbMigrator.migrateFromCurrToSupportedVer()
+    } catch (err) {
+      error = err
+    }
+
+    const tableNames = await _getTablesNames(dao)
+    const users = await dao.all(`SELECT email FROM ${TABLES_NAMES.USERS}`)
+
+    assert.instanceOf(error, MigrationLaunchingError)
+    assert.include(tableNames, TABLES_NAMES.USERS.toLowerCase())
+    assert.include(tableNames, TABLES_NAMES.LEDGERS.toLowerCase())
+    assert.lengthOf(users, 1)
+
+    await dao.setCurrDbVer(PREV_DB_VERSION)
+  })
+
+  it('it should not share the transaction client with concurrent callers', async function () {
+    this.timeout(20000)
+
+    const transQueries = []
+    const pool = dao.db
+    const { connect } = pool
+
+    pool.connect = async (...args) => {
+      const _client = await connect.apply(pool, args)
+      // pg-mem returns the pool itself as a client
+      const client = Object.create(_client)
+      let isTransBegun = false
+
+      client.query = (text, ...rest) => {
+        if (text === 'BEGIN') {
+          isTransBegun = true
+        }
+        if (isTransBegun) {
+          transQueries.push(text)
+        }
+        if (
+          text === 'COMMIT' ||
+          text === 'ROLLBACK'
+        ) {
+          isTransBegun = false
+        }
+
+        return _client.query(text, ...rest)
+      }
+
+      return client
+    }
+
+    let resolveTrans = null
+    let onTransPaused = null
+    const transPausePromise = new Promise((resolve) => {
+      onTransPaused = resolve
+    })
+
+    try {
+      const transPromise = dao.executeQueriesInTrans([
+        `INSERT INTO ${TABLES_NAMES.SYNC_QUEUE}(collName, state)
+          VALUES ('_inTrans', 'NEW')`,
+        () => new Promise((resolve) => {
+          resolveTrans = resolve
+          onTransPaused()
+        }),
+        () => dao.run(
+          `INSERT INTO ${TABLES_NAMES.SYNC_QUEUE}(collName, state)
+            VALUES ('_nestedInTrans', 'NEW')`
+        )
+      ])
+
+      await transPausePromise
+      await dao.run(
+        `INSERT INTO ${TABLES_NAMES.SYNC_QUEUE}(collName, state)
+          VALUES ('_concurrent', 'NEW')`,
+        null,
+        { withoutWorkerThreads: true }
+      )
+      resolveTrans()
+      await transPromise
+    } finally {
+      pool.connect = connect
+    }
+
+    const isInTrans = (collName) => transQueries.some((sql) => (
+      sql.includes(collName)
+    ))
+    const syncQueue = await dao.all(
+      `SELECT collName FROM ${TABLES_NAMES.SYNC_QUEUE}`
+    )
+
+    assert.isOk(isInTrans('_inTrans'))
+    assert.isOk(isInTrans('_nestedInTrans'))
+    assert.isNotOk(isInTrans('_concurrent'))
+    assert.sameMembers(
+      syncQueue.map(({ collName }) => collName),
+      ['_inTrans', '_nestedInTrans', '_concurrent']
+    )
+  })
+})
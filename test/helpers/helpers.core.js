@@ -12,7 +12,10 @@ const emptyDB = async () => {
   const rService = container.get(TYPES.RService)
   const dao = container.get(TYPES.DAO)
 
-  if (dbDriver === 'better-sqlite') {
+  if (
+    dbDriver === 'better-sqlite' ||
+    dbDriver === 'pg'
+  ) {
     await dao.dropAllTables()
     await rService._initialize(dao.db)
 
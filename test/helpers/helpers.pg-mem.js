@@ -0,0 +1,105 @@
+'use strict'
+
+const pg = require('pg')
+const { newDb, DataType } = require('pg-mem')
+
+/*
+ * `pg-mem` doesn't support PL/pgSQL and `ANALYZE`,
+ * triggers are not needed for the tests
+ */
+const UNSUPPORTED_QUERY_REGEXP = /^\s*(CREATE\s+(OR\s+REPLACE\s+)?FUNCTION|(CREATE|DROP)\s+TRIGGER|ANALYZE)\b/i
+const EMPTY_QUERY_RES = {
+  command: '',
+  rowCount: 0,
+  rows: [],
+  fields: []
+}
+
+const { Pool: OrigPool } = pg
+
+const _registerFunctions = (memDb) => {
+  memDb.public.registerFunction({
+    name: 'to_timestamp',
+    args: [DataType.float],
+    returns: DataType.timestamptz,
+    implementation: (sec) => new Date(sec * 1000)
+  })
+  memDb.public.registerFunction({
+    name: 'to_char',
+    args: [DataType.timestamptz, DataType.text],
+    returns: DataType.text,
+    implementation: (date, format) => {
+      const isoStr = new Date(date).toISOString()
+
+      return format
+        .replace('YYYY', isoStr.slice(0, 4))
+        .replace('MM', isoStr.slice(5, 7))
+        .replace('DD', isoStr.slice(8, 10))
+    }
+  })
+}
+
+const _isUnsupportedQuery = (query) => {
+  const text = query && typeof query === 'object'
+    ? query.text
+    : query
+
+  return (
+    typeof text === 'string' &&
+    UNSUPPORTED_QUERY_REGEXP.test(text)
+  )
+}
+
+const _wrapQuery = (client) => {
+  const query = client.query.bind(client)
+
+  client.query = (...args) => {
+    if (_isUnsupportedQuery(args[0])) {
+      return Promise.resolve({ ...EMPTY_QUERY_RES })
+    }
+
+    return query(...args)
+  }
+
+  return client
+}
+
+const _createPgMemPool = () => {
+  const memDb = newDb()
+  _registerFunctions(memDb)
+
+  const { Pool } = memDb.adapters.createPg()
+
+  return class PgMemPool extends Pool {
+    constructor () {
+      super()
+
+      _wrapQuery(this)
+    }
+
+    async connect (...args) {
+      const client = await super.connect(...args)
+
+      return client === this
+        ? client
+        : _wrapQuery(client)
+    }
+  }
+}
+
+/*
+ * Replaces the `pg` pool by the in-memory stand-in
+ * of PostgreSQL, each call gets an empty DB
+ */
+const mockPgByPgMem = () => {
+  pg.Pool = _createPgMemPool()
+}
+
+const restorePg = () => {
+  pg.Pool = OrigPool
+}
+
+module.exports = {
+  mockPgByPgMem,
+  restorePg
+}
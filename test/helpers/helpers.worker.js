@@ -21,6 +21,16 @@ const startWorkers = (
     syncMode: true,
     isSchedulerEnabled: true,
     schedulerRule: '0 */5 * * *',
+    requestGovernorConf: {
+      bucket: {
+        capacity: 1000,
+        tokensPerMinute: 60000
+      },
+      endpoints: {}
+    },
+    syncConf: {
+      maxConcurrentUsers: 2
+    },
     ...conf
   }
 
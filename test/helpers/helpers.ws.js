@@ -0,0 +1,83 @@
+'use strict'
+
+const WebSocket = require('ws')
+const { v4: uuidv4 } = require('uuid')
+
+const { delay } = require('./helpers.core')
+
+const WS_PORT = 23381
+
+const connectToWS = (port = WS_PORT) => {
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://localhost:${port}`)
+    const messages = []
+
+    socket.on('message', (data) => {
+      messages.push(JSON.parse(data))
+    })
+    socket.once('open', () => resolve({ socket, messages }))
+    socket.once('error', reject)
+  })
+}
+
+/*
+ * The grenache ws transport takes `[rid, key, payload]`
+ * and replies by `[rid, err, res]`
+ */
+const requestByWS = async (wsClient, payload) => {
+  const { socket, messages } = wsClient
+  const rid = uuidv4()
+
+  socket.send(JSON.stringify([rid, 'rest:report:api', payload]))
+
+  while (true) {
+    const reply = messages.find(([_rid]) => _rid === rid)
+
+    if (reply) {
+      return reply
+    }
+
+    await delay(100)
+  }
+}
+
+const waitForWSAction = async (wsClient, action, isFound = () => true) => {
+  const { messages } = wsClient
+
+  while (true) {
+    const message = messages.find(([, , data]) => (
+      data &&
+      typeof data === 'object' &&
+      data.action === action &&
+      isFound(data.result)
+    ))
+
+    if (message) {
+      return message
+    }
+
+    await delay(100)
+  }
+}
+
+const closeWS = (wsClient) => {
+  const { socket } = wsClient
+
+  return new Promise((resolve) => {
+    if (socket.readyState === WebSocket.CLOSED) {
+      resolve()
+
+      return
+    }
+
+    socket.once('close', () => resolve())
+    socket.close()
+  })
+}
+
+module.exports = {
+  connectToWS,
+  requestByWS,
+  waitForWSAction,
+  closeWS
+}
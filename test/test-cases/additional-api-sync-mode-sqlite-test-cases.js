@@ -1,5 +1,8 @@
 'use strict'
 
+const http = require('http')
+const path = require('path')
+const { createHmac } = require('crypto')
 const { assert } = require('chai')
 
 const {
@@ -13,6 +16,9 @@ const {
   delay,
   getParamsArrToTestTimeframeGrouping
 } = require('../helpers/helpers.core')
+const LIFECYCLE_EVENT_TYPES = require(
+  '../../workers/loc.api/sync/position.lifecycle/lifecycle.event.types'
+)
 
 module.exports = (
   agent,
@@ -29,6 +35,22 @@ module.exports = (
     start
   } = params
   const auth = { token: '' }
+  const webhookRequests = []
+  const webhookServer = http.createServer((req, res) => {
+    let body = ''
+
+    req.on('data', (chunk) => { body += chunk })
+    req.on('end', () => {
+      webhookRequests.push({ headers: req.headers, body })
+      res.end()
+    })
+  })
+  let webhook = null
+  let alertRule = null
+
+  after(function (done) {
+    webhookServer.close(() => done())
+  })
 
   it('it should be successfully performed by the signIn method', async function () {
     this.timeout(5000)
@@ -58,6 +80,156 @@ module.exports = (
     auth.token = res.body.result.token
   })
 
+  it('it should be successfully performed by the addWebhook method', async function () {
+    this.timeout(5000)
+
+    await new Promise((resolve) => {
+      webhookServer.listen(0, '127.0.0.1', resolve)
+    })
+
+    const { port } = webhookServer.address()
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'addWebhook',
+        params: {
+          url: `http://127.0.0.1:${port}/webhook`,
+          events: ['SYNC_FINISHED', 'SYNC_ERROR', 'REPORT_READY']
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.isNumber(res.body.result.id)
+    assert.isString(res.body.result.signingKey)
+    assert.sameMembers(
+      res.body.result.events,
+      ['SYNC_FINISHED', 'SYNC_ERROR', 'REPORT_READY']
+    )
+
+    webhook = res.body.result
+  })
+
+  it('it should not be successfully performed by the addWebhook method, where the url is not valid', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'addWebhook',
+        params: {
+          url: 'ftp://127.0.0.1/webhook'
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(500)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 500)
+    assert.propertyVal(res.body.error, 'message', 'Internal Server Error')
+    assert.propertyVal(res.body, 'id', 5)
+  })
+
+  it('it should be successfully performed by the addAlertRule method', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'addAlertRule',
+        params: {
+          type: 'walletBalanceUsdBelow',
+          wallet: 'margin',
+          threshold: 1e12
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.isNumber(res.body.result.id)
+
+    alertRule = res.body.result
+  })
+
+  it('it should not be successfully performed by the addAlertRule method, where the wallet is not passed', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'addAlertRule',
+        params: {
+          type: 'walletBalanceUsdBelow',
+          threshold: 100
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(400)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 400)
+    assert.propertyVal(res.body.error, 'message', 'Args params is not valid')
+    assert.propertyVal(res.body, 'id', 5)
+  })
+
+  it('it should be successfully performed by the getAlertRules method', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getAlertRules',
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isArray(res.body.result)
+
+    const rule = res.body.result.find(({ id }) => id === alertRule.id)
+
+    assert.isObject(rule)
+    assert.containsAllKeys(rule, [
+      'id',
+      'type',
+      'wallet',
+      'currency',
+      'threshold',
+      'isEnable',
+      'isTriggered',
+      'createdAt'
+    ])
+    assert.propertyVal(rule, 'type', 'walletBalanceUsdBelow')
+    assert.propertyVal(rule, 'wallet', 'margin')
+    assert.propertyVal(rule, 'isEnable', true)
+    assert.propertyVal(rule, 'isTriggered', false)
+  })
+
   it('it should be successfully performed by the enableSyncMode method', async function () {
     this.timeout(5000)
 
@@ -151,81 +323,128 @@ module.exports = (
     }
   })
 
-  it('it should be successfully performed by the getBalanceHistory method', async function () {
+  it('it should be successfully performed by the getSyncProgress method, where the throttling state is returned', async function () {
     this.timeout(5000)
 
-    const paramsArr = getParamsArrToTestTimeframeGrouping({ start, end })
-
-    for (const params of paramsArr) {
-      const res = await agent
-        .post(`${basePath}/json-rpc`)
-        .type('json')
-        .send({
-          auth,
-          method: 'getBalanceHistory',
-          params,
-          id: 5
-        })
-        .expect('Content-Type', /json/)
-        .expect(200)
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getSyncProgress',
+        params: {
+          isThrottlingStateReturned: true
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
 
-      assert.isObject(res.body)
-      assert.propertyVal(res.body, 'id', 5)
-      assert.isArray(res.body.result)
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.propertyVal(res.body.result, 'progress', 100)
+    assert.isObject(res.body.result.throttling)
+    assert.isBoolean(res.body.result.throttling.isThrottled)
+    assert.isArray(res.body.result.throttling.endpoints)
+  })
 
-      const resItem = res.body.result[0]
+  it('it should deliver the signed webhook on the sync finishing', async function () {
+    this.timeout(10000)
 
-      assert.isObject(resItem)
-      assert.containsAllKeys(resItem, [
-        'mts',
-        'USD'
-      ])
+    while (webhookRequests.length === 0) {
+      await delay()
     }
-  })
 
-  it('it should be successfully performed by the getWinLoss method', async function () {
-    this.timeout(120000)
+    const [{ headers, body }] = webhookRequests
+    const payload = JSON.parse(body)
+    const signature = createHmac('sha256', webhook.signingKey)
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex')
 
-    const paramsArr = getParamsArrToTestTimeframeGrouping({ start, end })
+    assert.include(['SYNC_FINISHED', 'SYNC_ERROR'], payload.event)
+    assert.propertyVal(headers, 'x-webhook-event', payload.event)
+    assert.propertyVal(headers, 'x-webhook-id', payload.id)
+    assert.propertyVal(headers, 'x-webhook-signature', signature)
+    assert.isObject(payload.data)
 
-    for (const params of paramsArr) {
-      const res = await agent
-        .post(`${basePath}/json-rpc`)
-        .type('json')
-        .send({
-          auth,
-          method: 'getWinLoss',
-          params,
-          id: 5
-        })
-        .expect('Content-Type', /json/)
-        .expect(200)
+    await delay()
+  })
 
-      assert.isObject(res.body)
-      assert.propertyVal(res.body, 'id', 5)
-      assert.isArray(res.body.result)
+  it('it should be successfully performed by the getSyncHistory method', async function () {
+    this.timeout(5000)
 
-      const resItem = res.body.result[0]
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getSyncHistory',
+        params: {
+          limit: 10
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
 
-      assert.isObject(resItem)
-      assert.containsAllKeys(resItem, [
-        'mts',
-        'USD'
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isArray(res.body.result)
+    assert.isAtLeast(res.body.result.length, 1)
+
+    const [run] = res.body.result
+
+    assert.isObject(run)
+    assert.containsAllKeys(run, [
+      'id',
+      'trigger',
+      'syncColls',
+      'status',
+      'progress',
+      'error',
+      'mtsStarted',
+      'mtsFinished',
+      'duration',
+      'stats'
+    ])
+    assert.include(
+      ['scheduler', 'syncNow', 'signIn', 'confChange'],
+      run.trigger
+    )
+    assert.include(['FINISHED', 'ERROR'], run.status)
+    assert.isArray(run.syncColls)
+    assert.isNumber(run.duration)
+    assert.isArray(run.stats)
+
+    run.stats.forEach((stats) => {
+      assert.isObject(stats)
+      assert.containsAllKeys(stats, [
+        'collName',
+        'isPublic',
+        'insertedCount',
+        'updatedCount',
+        'apiCallsCount',
+        'errorsCount',
+        'error'
       ])
-    }
+    })
+    assert.isOk(res.body.result.some(({ trigger }) => (
+      trigger === 'signIn'
+    )))
   })
 
-  it('it should be successfully performed by the getPositionsSnapshot method', async function () {
-    this.timeout(60000)
+  it('it should be successfully performed by the getWebhookDeliveries method', async function () {
+    this.timeout(5000)
 
     const res = await agent
       .post(`${basePath}/json-rpc`)
       .type('json')
       .send({
         auth,
-        method: 'getPositionsSnapshot',
+        method: 'getWebhookDeliveries',
         params: {
-          end
+          webhookId: webhook.id
         },
         id: 5
       })
@@ -235,38 +454,40 @@ module.exports = (
     assert.isObject(res.body)
     assert.propertyVal(res.body, 'id', 5)
     assert.isArray(res.body.result)
+    assert.isAbove(res.body.result.length, 0)
 
     res.body.result.forEach((item) => {
       assert.isObject(item)
       assert.containsAllKeys(item, [
         'id',
-        'symbol',
-        'amount',
-        'basePrice',
-        'actualPrice',
-        'pl',
-        'plUsd',
-        'plPerc',
-        'marginFunding',
-        'marginFundingType',
+        'webhookId',
+        'event',
         'status',
-        'mtsCreate',
-        'mtsUpdate'
+        'attempts',
+        'responseStatus',
+        'error',
+        'mts',
+        'mtsUpdated'
       ])
+      assert.propertyVal(item, 'webhookId', webhook.id)
+      assert.include(['PENDING', 'DELIVERED', 'FAILED'], item.status)
     })
+    assert.isOk(res.body.result.some(({ status }) => (
+      status === 'DELIVERED'
+    )))
   })
 
-  it('it should be successfully performed by the getFullSnapshotReport method', async function () {
-    this.timeout(60000)
+  it('it should be successfully performed by the getAlertHistory method', async function () {
+    this.timeout(5000)
 
     const res = await agent
       .post(`${basePath}/json-rpc`)
       .type('json')
       .send({
         auth,
-        method: 'getFullSnapshotReport',
+        method: 'getAlertHistory',
         params: {
-          end
+          ruleId: alertRule.id
         },
         id: 5
       })
@@ -275,65 +496,644 @@ module.exports = (
 
     assert.isObject(res.body)
     assert.propertyVal(res.body, 'id', 5)
-    assert.isObject(res.body.result)
-    assert.isArray(res.body.result.positionsSnapshot)
-    assert.isArray(res.body.result.walletsSnapshot)
-    assert.isArray(res.body.result.positionsTickers)
-    assert.isArray(res.body.result.walletsTickers)
-    assert.isNumber(res.body.result.positionsTotalPlUsd)
-    assert.isNumber(res.body.result.walletsTotalBalanceUsd)
-
-    res.body.result.positionsSnapshot.forEach((item) => {
-      assert.isObject(item)
-      assert.containsAllKeys(item, [
-        'id',
-        'symbol',
-        'amount',
-        'basePrice',
-        'actualPrice',
-        'pl',
-        'plUsd',
-        'plPerc',
-        'marginFunding',
-        'marginFundingType',
-        'status',
-        'mtsCreate',
-        'mtsUpdate'
-      ])
-    })
-    res.body.result.walletsSnapshot.forEach((item) => {
-      assert.isObject(item)
-      assert.containsAllKeys(item, [
-        'type',
-        'currency',
-        'balance',
-        'balanceUsd'
-      ])
-    })
-    res.body.result.positionsTickers.forEach((item) => {
-      assert.isObject(item)
-      assert.containsAllKeys(item, [
-        'symbol',
-        'amount'
-      ])
-    })
-    res.body.result.walletsTickers.forEach((item) => {
-      assert.isObject(item)
-      assert.containsAllKeys(item, [
-        'walletType',
-        'symbol',
-        'amount'
-      ])
-    })
+    assert.isArray(res.body.result)
+    assert.lengthOf(res.body.result, 1)
+
+    const [alert] = res.body.result
+
+    assert.isObject(alert)
+    assert.containsAllKeys(alert, [
+      'id',
+      'ruleId',
+      'type',
+      'wallet',
+      'currency',
+      'value',
+      'threshold',
+      'mts'
+    ])
+    assert.propertyVal(alert, 'ruleId', alertRule.id)
+    assert.propertyVal(alert, 'type', 'walletBalanceUsdBelow')
+    assert.isNumber(alert.value)
+    assert.isBelow(alert.value, alert.threshold)
+  })
+
+  it('it should be successfully performed by the removeAlertRule method', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'removeAlertRule',
+        params: {
+          id: alertRule.id
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isOk(res.body.result)
+  })
+
+  it('it should be successfully performed by the getBalanceHistory method', async function () {
+    this.timeout(5000)
+
+    const paramsArr = getParamsArrToTestTimeframeGrouping({ start, end })
+
+    for (const params of paramsArr) {
+      const res = await agent
+        .post(`${basePath}/json-rpc`)
+        .type('json')
+        .send({
+          auth,
+          method: 'getBalanceHistory',
+          params,
+          id: 5
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+
+      assert.isObject(res.body)
+      assert.propertyVal(res.body, 'id', 5)
+      assert.isArray(res.body.result)
+
+      const resItem = res.body.result[0]
+
+      assert.isObject(resItem)
+      assert.containsAllKeys(resItem, [
+        'mts',
+        'USD'
+      ])
+    }
+  })
+
+  it('it should be successfully performed by the getBalanceHistory method, where the baseCurrency is passed', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getBalanceHistory',
+        params: {
+          start,
+          end,
+          baseCurrency: 'EUR'
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isArray(res.body.result)
+
+    res.body.result.forEach((resItem) => {
+      assert.isObject(resItem)
+      assert.isNumber(resItem.mts)
+    })
+  })
+
+  it('it should not be successfully performed by the getBalanceHistory method, where the baseCurrency is not supported', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getBalanceHistory',
+        params: {
+          start,
+          end,
+          baseCurrency: 'BTC'
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(400)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 400)
+    assert.propertyVal(res.body.error, 'message', 'Args params is not valid')
+    assert.propertyVal(res.body, 'id', 5)
+  })
+
+  it('it should be successfully performed by the getWinLoss method', async function () {
+    this.timeout(120000)
+
+    const paramsArr = getParamsArrToTestTimeframeGrouping({ start, end })
+
+    for (const params of paramsArr) {
+      const res = await agent
+        .post(`${basePath}/json-rpc`)
+        .type('json')
+        .send({
+          auth,
+          method: 'getWinLoss',
+          params,
+          id: 5
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+
+      assert.isObject(res.body)
+      assert.propertyVal(res.body, 'id', 5)
+      assert.isArray(res.body.result)
+
+      const resItem = res.body.result[0]
+
+      assert.isObject(resItem)
+      assert.containsAllKeys(resItem, [
+        'mts',
+        'USD'
+      ])
+    }
+  })
+
+  it('it should be successfully performed by the getBalanceReconciliation method', async function () {
+    this.timeout(20000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getBalanceReconciliation',
+        params: {
+          end,
+          tolerance: 0.0001
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.propertyVal(res.body.result, 'end', end)
+    assert.propertyVal(res.body.result, 'tolerance', 0.0001)
+    assert.isBoolean(res.body.result.isReconciled)
+    assert.isArray(res.body.result.wallets)
+
+    res.body.result.wallets.forEach((wallet) => {
+      assert.isObject(wallet)
+      assert.containsAllKeys(wallet, [
+        'type',
+        'currency',
+        'exchangeBalance',
+        'ledgersBalance',
+        'diff',
+        'diffUsd',
+        'isDiscrepancy',
+        'suspiciousLedgerRanges'
+      ])
+      assert.isArray(wallet.suspiciousLedgerRanges)
+      assert.strictEqual(
+        wallet.suspiciousLedgerRanges.length > 0,
+        wallet.isDiscrepancy
+      )
+    })
+  })
+
+  it('it should be successfully performed by the getPositionsSnapshot method', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getPositionsSnapshot',
+        params: {
+          end
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isArray(res.body.result)
+
+    res.body.result.forEach((item) => {
+      assert.isObject(item)
+      assert.containsAllKeys(item, [
+        'id',
+        'symbol',
+        'amount',
+        'basePrice',
+        'actualPrice',
+        'pl',
+        'plUsd',
+        'plPerc',
+        'marginFunding',
+        'marginFundingType',
+        'status',
+        'mtsCreate',
+        'mtsUpdate'
+      ])
+    })
+  })
+
+  it('it should be successfully performed by the getPositionLifecycle method', async function () {
+    this.timeout(20000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getPositionLifecycle',
+        params: {
+          id: 12345
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.containsAllKeys(res.body.result, [
+      'id',
+      'symbol',
+      'status',
+      'mtsCreate',
+      'mtsUpdate',
+      'realizedPl',
+      'fundingCost',
+      'fundingCostUsd',
+      'closeReason',
+      'timeline'
+    ])
+
+    const { realizedPl, timeline } = res.body.result
+    const legsRealizedPl = timeline.reduce((accum, item) => (
+      Number.isFinite(item.realizedPl)
+        ? accum + item.realizedPl
+        : accum
+    ), 0)
+
+    assert.isArray(timeline)
+    assert.closeTo(realizedPl, legsRealizedPl, 1e-8)
+
+    timeline.forEach((item, i) => {
+      assert.isObject(item)
+      assert.containsAllKeys(item, [
+        'type',
+        'mts',
+        'amount'
+      ])
+      assert.include(Object.values(LIFECYCLE_EVENT_TYPES), item.type)
+
+      if (i > 0) {
+        assert.isAtLeast(item.mts, timeline[i - 1].mts)
+      }
+    })
+  })
+
+  it('it should be successfully performed by the getFullSnapshotReport method', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getFullSnapshotReport',
+        params: {
+          end
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.isArray(res.body.result.positionsSnapshot)
+    assert.isArray(res.body.result.walletsSnapshot)
+    assert.isArray(res.body.result.positionsTickers)
+    assert.isArray(res.body.result.walletsTickers)
+    assert.isNumber(res.body.result.positionsTotalPlUsd)
+    assert.isNumber(res.body.result.walletsTotalBalanceUsd)
+
+    res.body.result.positionsSnapshot.forEach((item) => {
+      assert.isObject(item)
+      assert.containsAllKeys(item, [
+        'id',
+        'symbol',
+        'amount',
+        'basePrice',
+        'actualPrice',
+        'pl',
+        'plUsd',
+        'plPerc',
+        'marginFunding',
+        'marginFundingType',
+        'status',
+        'mtsCreate',
+        'mtsUpdate'
+      ])
+    })
+    res.body.result.walletsSnapshot.forEach((item) => {
+      assert.isObject(item)
+      assert.containsAllKeys(item, [
+        'type',
+        'currency',
+        'balance',
+        'balanceUsd'
+      ])
+    })
+    res.body.result.positionsTickers.forEach((item) => {
+      assert.isObject(item)
+      assert.containsAllKeys(item, [
+        'symbol',
+        'amount'
+      ])
+    })
+    res.body.result.walletsTickers.forEach((item) => {
+      assert.isObject(item)
+      assert.containsAllKeys(item, [
+        'walletType',
+        'symbol',
+        'amount'
+      ])
+    })
   })
 
   it('it should be successfully performed by the getFullTaxReport method', async function () {
     this.timeout(120000)
 
-    const paramsArr = [
-      { end, start },
-      { end, start: end - (10 * 60 * 60 * 1000) }
-    ]
+    const paramsArr = [
+      { end, start },
+      { end, start: end - (10 * 60 * 60 * 1000) }
+    ]
+
+    for (const params of paramsArr) {
+      const res = await agent
+        .post(`${basePath}/json-rpc`)
+        .type('json')
+        .send({
+          auth,
+          method: 'getFullTaxReport',
+          params,
+          id: 5
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+
+      assert.isObject(res.body)
+      assert.propertyVal(res.body, 'id', 5)
+      assert.isObject(res.body.result)
+
+      assert.isArray(res.body.result.startingPositionsSnapshot)
+      assert.isArray(res.body.result.endingPositionsSnapshot)
+      assert.isObject(res.body.result.finalState)
+      assert.isObject(res.body.result.finalState.startingPeriodBalances)
+      assert.isArray(res.body.result.finalState.movements)
+      assert.isNumber(res.body.result.finalState.movementsTotalAmount)
+      assert.isObject(res.body.result.finalState.endingPeriodBalances)
+      assert.isNumber(res.body.result.finalState.totalResult)
+
+      const positions = [
+        ...res.body.result.startingPositionsSnapshot,
+        ...res.body.result.endingPositionsSnapshot
+      ]
+      const periodsBalances = [
+        res.body.result.finalState.startingPeriodBalances,
+        res.body.result.finalState.endingPeriodBalances
+      ]
+
+      positions.forEach((item) => {
+        assert.isObject(item)
+        assert.containsAllKeys(item, [
+          'id',
+          'symbol',
+          'amount',
+          'basePrice',
+          'actualPrice',
+          'pl',
+          'plUsd',
+          'plPerc',
+          'marginFunding',
+          'marginFundingType',
+          'status',
+          'mtsCreate',
+          'mtsUpdate'
+        ])
+      })
+      periodsBalances.forEach((item) => {
+        const {
+          walletsTotalBalanceUsd,
+          positionsTotalPlUsd,
+          totalResult
+        } = item
+
+        assert.isNumber(walletsTotalBalanceUsd)
+        assert.isNumber(positionsTotalPlUsd)
+        assert.isNumber(totalResult)
+      })
+      res.body.result.finalState.movements.forEach((item) => {
+        assert.isObject(item)
+        assert.containsAllKeys(item, [
+          'id',
+          'currency',
+          'currencyName',
+          'mtsStarted',
+          'mtsUpdated',
+          'status',
+          'amount',
+          'fees',
+          'destinationAddress',
+          'transactionId'
+        ])
+      })
+    }
+  })
+
+  it('it should be successfully performed by the getTradedVolume method', async function () {
+    this.timeout(60000)
+
+    const paramsArr = getParamsArrToTestTimeframeGrouping({ start, end })
+
+    for (const params of paramsArr) {
+      const res = await agent
+        .post(`${basePath}/json-rpc`)
+        .type('json')
+        .send({
+          auth,
+          method: 'getTradedVolume',
+          params,
+          id: 5
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+
+      assert.isObject(res.body)
+      assert.propertyVal(res.body, 'id', 5)
+      assert.isArray(res.body.result)
+
+      const resItem = res.body.result[0]
+
+      assert.isObject(resItem)
+      assert.containsAllKeys(resItem, [
+        'mts',
+        'USD'
+      ])
+    }
+  })
+
+  it('it should be successfully performed by the getTradingStats method', async function () {
+    this.timeout(60000)
+
+    const paramsArr = getParamsArrToTestTimeframeGrouping({ start, end })
+
+    for (const params of paramsArr) {
+      const res = await agent
+        .post(`${basePath}/json-rpc`)
+        .type('json')
+        .send({
+          auth,
+          method: 'getTradingStats',
+          params,
+          id: 5
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+
+      assert.isObject(res.body)
+      assert.propertyVal(res.body, 'id', 5)
+      assert.isArray(res.body.result)
+
+      const resItem = res.body.result[0]
+
+      assert.isObject(resItem)
+      assert.containsAllKeys(resItem, [
+        'mts',
+        'symbol',
+        'tradesCount',
+        'roundTripsCount',
+        'winsCount',
+        'lossesCount',
+        'winRatePerc',
+        'pnlUsd',
+        'grossPnlUsd',
+        'feesUsd',
+        'avgWinUsd',
+        'avgLossUsd',
+        'profitFactor',
+        'makerCount',
+        'takerCount',
+        'makerTakerRatio',
+        'avgHoldingTime',
+        'maxDrawdownUsd'
+      ])
+    }
+  })
+
+  it('it should be successfully performed by the getExecutionQuality method', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getExecutionQuality',
+        params: {
+          start,
+          end
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isArray(res.body.result)
+
+    const resItem = res.body.result[0]
+
+    assert.isObject(resItem)
+    assert.containsAllKeys(resItem, [
+      'symbol',
+      'type',
+      'ordersCount',
+      'executedOrdersCount',
+      'avgFillRatioPerc',
+      'avgSlippagePerc',
+      'avgMarketSlippagePerc',
+      'avgTimeToFill',
+      'orders'
+    ])
+    assert.isArray(resItem.orders)
+    assert.isNotEmpty(resItem.orders)
+    assert.containsAllKeys(resItem.orders[0], [
+      'id',
+      'mtsCreate',
+      'amountExecuted',
+      'execPrice',
+      'marketPrice',
+      'slippagePerc',
+      'marketSlippagePerc'
+    ])
+
+    res.body.result.forEach((item) => {
+      assert.isAtMost(item.executedOrdersCount, item.ordersCount)
+    })
+  })
+
+  it('it should be successfully performed by the getFeesReport method', async function () {
+    this.timeout(60000)
+
+    const paramsArr = getParamsArrToTestTimeframeGrouping({ start, end })
+
+    for (const params of paramsArr) {
+      const res = await agent
+        .post(`${basePath}/json-rpc`)
+        .type('json')
+        .send({
+          auth,
+          method: 'getFeesReport',
+          params,
+          id: 5
+        })
+        .expect('Content-Type', /json/)
+        .expect(200)
+
+      assert.isObject(res.body)
+      assert.propertyVal(res.body, 'id', 5)
+      assert.isArray(res.body.result)
+
+      const resItem = res.body.result[0]
+
+      assert.isObject(resItem)
+      assert.containsAllKeys(resItem, [
+        'mts',
+        'USD'
+      ])
+    }
+  })
+
+  it('it should be successfully performed by the getPerformingLoan method', async function () {
+    this.timeout(60000)
+
+    const paramsArr = getParamsArrToTestTimeframeGrouping({ start, end })
 
     for (const params of paramsArr) {
       const res = await agent
@@ -341,7 +1141,7 @@ module.exports = (
         .type('json')
         .send({
           auth,
-          method: 'getFullTaxReport',
+          method: 'getPerformingLoan',
           params,
           id: 5
         })
@@ -350,74 +1150,21 @@ module.exports = (
 
       assert.isObject(res.body)
       assert.propertyVal(res.body, 'id', 5)
-      assert.isObject(res.body.result)
-
-      assert.isArray(res.body.result.startingPositionsSnapshot)
-      assert.isArray(res.body.result.endingPositionsSnapshot)
-      assert.isObject(res.body.result.finalState)
-      assert.isObject(res.body.result.finalState.startingPeriodBalances)
-      assert.isArray(res.body.result.finalState.movements)
-      assert.isNumber(res.body.result.finalState.movementsTotalAmount)
-      assert.isObject(res.body.result.finalState.endingPeriodBalances)
-      assert.isNumber(res.body.result.finalState.totalResult)
-
-      const positions = [
-        ...res.body.result.startingPositionsSnapshot,
-        ...res.body.result.endingPositionsSnapshot
-      ]
-      const periodsBalances = [
-        res.body.result.finalState.startingPeriodBalances,
-        res.body.result.finalState.endingPeriodBalances
-      ]
+      assert.isArray(res.body.result)
 
-      positions.forEach((item) => {
-        assert.isObject(item)
-        assert.containsAllKeys(item, [
-          'id',
-          'symbol',
-          'amount',
-          'basePrice',
-          'actualPrice',
-          'pl',
-          'plUsd',
-          'plPerc',
-          'marginFunding',
-          'marginFundingType',
-          'status',
-          'mtsCreate',
-          'mtsUpdate'
-        ])
-      })
-      periodsBalances.forEach((item) => {
-        const {
-          walletsTotalBalanceUsd,
-          positionsTotalPlUsd,
-          totalResult
-        } = item
+      const resItem = res.body.result[0]
 
-        assert.isNumber(walletsTotalBalanceUsd)
-        assert.isNumber(positionsTotalPlUsd)
-        assert.isNumber(totalResult)
-      })
-      res.body.result.finalState.movements.forEach((item) => {
-        assert.isObject(item)
-        assert.containsAllKeys(item, [
-          'id',
-          'currency',
-          'currencyName',
-          'mtsStarted',
-          'mtsUpdated',
-          'status',
-          'amount',
-          'fees',
-          'destinationAddress',
-          'transactionId'
-        ])
-      })
+      assert.isObject(resItem)
+      assert.containsAllKeys(resItem, [
+        'mts',
+        'USD',
+        'cumulative',
+        'perc'
+      ])
     }
   })
 
-  it('it should be successfully performed by the getTradedVolume method', async function () {
+  it('it should be successfully performed by the getFundingEarnings method', async function () {
     this.timeout(60000)
 
     const paramsArr = getParamsArrToTestTimeframeGrouping({ start, end })
@@ -428,7 +1175,7 @@ module.exports = (
         .type('json')
         .send({
           auth,
-          method: 'getTradedVolume',
+          method: 'getFundingEarnings',
           params,
           id: 5
         })
@@ -439,17 +1186,30 @@ module.exports = (
       assert.propertyVal(res.body, 'id', 5)
       assert.isArray(res.body.result)
 
-      const resItem = res.body.result[0]
-
-      assert.isObject(resItem)
-      assert.containsAllKeys(resItem, [
-        'mts',
-        'USD'
-      ])
+      for (const resItem of res.body.result) {
+        assert.isObject(resItem)
+        assert.containsAllKeys(resItem, [
+          'mts',
+          'currency',
+          'earnings',
+          'earningsUsd',
+          'avgBalance',
+          'avgLentAmount',
+          'avgIdleAmount',
+          'utilizationPerc',
+          'realizedAprPerc',
+          'avgRateAprPerc',
+          'avgDurationDays',
+          'executedOffersCount',
+          'executedOffersAmount',
+          'rateDistribution'
+        ])
+        assert.isArray(resItem.rateDistribution)
+      }
     }
   })
 
-  it('it should be successfully performed by the getFeesReport method', async function () {
+  it('it should be successfully performed by the getDerivativesFunding method', async function () {
     this.timeout(60000)
 
     const paramsArr = getParamsArrToTestTimeframeGrouping({ start, end })
@@ -460,7 +1220,7 @@ module.exports = (
         .type('json')
         .send({
           auth,
-          method: 'getFeesReport',
+          method: 'getDerivativesFunding',
           params,
           id: 5
         })
@@ -471,29 +1231,91 @@ module.exports = (
       assert.propertyVal(res.body, 'id', 5)
       assert.isArray(res.body.result)
 
-      const resItem = res.body.result[0]
+      for (const resItem of res.body.result) {
+        assert.isObject(resItem)
+        assert.containsAllKeys(resItem, [
+          'mts',
+          'symbol',
+          'positionsCount',
+          'settlementsCount',
+          'estimatedFunding',
+          'estimatedFundingUsd',
+          'actualFunding',
+          'actualFundingUsd',
+          'diffUsd'
+        ])
+        assert.closeTo(
+          resItem.diffUsd,
+          resItem.actualFundingUsd - resItem.estimatedFundingUsd,
+          1e-8
+        )
+      }
+    }
+  })
+
+  it('it should be successfully performed by the getMarginRisk method', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getMarginRisk',
+        params: {
+          start,
+          end,
+          bufferThresholdPerc: 15
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isArray(res.body.result)
 
+    for (const resItem of res.body.result) {
       assert.isObject(resItem)
       assert.containsAllKeys(resItem, [
         'mts',
-        'USD'
+        'id',
+        'symbol',
+        'amount',
+        'liquidationPrice',
+        'low',
+        'high',
+        'close',
+        'bufferPerc',
+        'leverage',
+        'effectiveLeverage',
+        'notionalUsd',
+        'marginBalanceUsd',
+        'marginUtilizationPerc',
+        'isFlagged'
       ])
+      assert.isBoolean(resItem.isFlagged)
     }
   })
 
-  it('it should be successfully performed by the getPerformingLoan method', async function () {
+  it('it should be successfully performed by the getCapitalGains method', async function () {
     this.timeout(60000)
 
-    const paramsArr = getParamsArrToTestTimeframeGrouping({ start, end })
+    const costBasisMethods = ['FIFO', 'LIFO', 'HIFO', 'AVG']
 
-    for (const params of paramsArr) {
+    for (const costBasisMethod of costBasisMethods) {
       const res = await agent
         .post(`${basePath}/json-rpc`)
         .type('json')
         .send({
           auth,
-          method: 'getPerformingLoan',
-          params,
+          method: 'getCapitalGains',
+          params: {
+            start,
+            end,
+            costBasisMethod
+          },
           id: 5
         })
         .expect('Content-Type', /json/)
@@ -503,16 +1325,227 @@ module.exports = (
       assert.propertyVal(res.body, 'id', 5)
       assert.isArray(res.body.result)
 
-      const resItem = res.body.result[0]
+      if (res.body.result.length === 0) {
+        continue
+      }
+
+      const resItem = res.body.result[0]
+
+      assert.isObject(resItem)
+      assert.containsAllKeys(resItem, [
+        'currency',
+        'amount',
+        'mtsAcquired',
+        'mtsDisposed',
+        'holdingPeriod',
+        'proceedsUsd',
+        'costUsd',
+        'gainUsd'
+      ])
+    }
+  })
+
+  it('it should be successfully performed by the getPortfolioReturns method', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getPortfolioReturns',
+        params: {
+          timeframe: 'month',
+          start,
+          end
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isArray(res.body.result)
+
+    res.body.result.forEach((item) => {
+      assert.isObject(item)
+      assert.containsAllKeys(item, [
+        'mts',
+        'startBalanceUsd',
+        'endBalanceUsd',
+        'netCashFlowUsd',
+        'twrPerc',
+        'cumulativeTwrPerc',
+        'irrPerc'
+      ])
+      assert.isNumber(item.mts)
+      assert.isNumber(item.twrPerc)
+      assert.isNumber(item.cumulativeTwrPerc)
+    })
+  })
+
+  it('it should be successfully performed by the aggregate method', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'aggregate',
+        params: {
+          collName: 'ledgers',
+          groupBy: ['symbol', 'month'],
+          aggregates: [
+            { fn: 'sum', field: 'amount' },
+            { fn: 'max', field: 'mts' },
+            { fn: 'count' }
+          ],
+          filter: {
+            $gt: { amount: 0 }
+          },
+          start,
+          end
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isArray(res.body.result)
+
+    res.body.result.forEach((item) => {
+      assert.isObject(item)
+      assert.hasAllKeys(item, [
+        'symbol',
+        'timeframe',
+        'sumAmount',
+        'maxMts',
+        'count'
+      ])
+      assert.isString(item.symbol)
+      assert.isString(item.timeframe)
+      assert.isAbove(item.sumAmount, 0)
+      assert.isAtLeast(item.count, 1)
+    })
+  })
+
+  it('it should not be successfully performed by the aggregate method, where the field is not numeric', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'aggregate',
+        params: {
+          collName: 'ledgers',
+          groupBy: ['currency'],
+          aggregates: [
+            { fn: 'sum', field: 'description' }
+          ]
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(500)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 500)
+    assert.propertyVal(res.body.error, 'message', 'Internal Server Error')
+    assert.propertyVal(res.body, 'id', 5)
+  })
+
+  it('it should be successfully performed by the getAuditLog method', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getAuditLog',
+        params: {
+          limit: 100
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isArray(res.body.result)
+    assert.isAbove(res.body.result.length, 0)
+
+    res.body.result.forEach((item) => {
+      assert.isObject(item)
+      assert.containsAllKeys(item, [
+        'seq',
+        'mts',
+        'method',
+        'args',
+        'status',
+        'error',
+        'prevHash',
+        'hash'
+      ])
+      assert.isNumber(item.seq)
+      assert.isNumber(item.mts)
+      assert.isString(item.method)
+      assert.include(['SUCCESS', 'FAILURE'], item.status)
+      assert.isString(item.hash)
+      assert.notInclude(JSON.stringify(item.args), password)
+    })
+  })
+
+  it('it should be successfully performed by the verifyAuditLog method', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'verifyAuditLog',
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.propertyVal(res.body.result, 'isValid', true)
+    assert.isAbove(res.body.result.checkedEntriesCount, 0)
+    assert.isArray(res.body.result.issues)
+    assert.lengthOf(res.body.result.issues, 0)
+  })
+
+  it('it should not be successfully performed by the verifyAuditLog method, where the user is not authenticated', async function () {
+    this.timeout(5000)
 
-      assert.isObject(resItem)
-      assert.containsAllKeys(resItem, [
-        'mts',
-        'USD',
-        'cumulative',
-        'perc'
-      ])
-    }
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth: { token: 'wrong-token' },
+        method: 'verifyAuditLog',
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(401)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 401)
+    assert.propertyVal(res.body.error, 'message', 'Unauthorized')
+    assert.propertyVal(res.body, 'id', 5)
   })
 
   it('it should be successfully performed by the getMultipleCsv method', async function () {
@@ -554,6 +1587,26 @@ module.exports = (
     await testMethodOfGettingCsv(procPromise, aggrPromise, res)
   })
 
+  it('it should deliver the REPORT_READY webhook when the report files are ready', async function () {
+    this.timeout(10000)
+
+    const isReportReady = ({ headers }) => (
+      headers['x-webhook-event'] === 'REPORT_READY'
+    )
+
+    while (!webhookRequests.some(isReportReady)) {
+      await delay()
+    }
+
+    const { body } = webhookRequests.find(isReportReady)
+    const payload = JSON.parse(body)
+
+    assert.propertyVal(payload, 'event', 'REPORT_READY')
+    assert.isObject(payload.data)
+    assert.isArray(payload.data.fileNames)
+    assert.isAbove(payload.data.fileNames.length, 0)
+  })
+
   it('it should be successfully performed by the getBalanceHistoryCsv method', async function () {
     this.timeout(60000)
 
@@ -580,6 +1633,88 @@ module.exports = (
     await testMethodOfGettingCsv(procPromise, aggrPromise, res)
   })
 
+  it('it should be successfully performed by the getBalanceHistoryCsv method in xlsx format', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getBalanceHistoryCsv',
+        params: {
+          end,
+          start,
+          timeframe: 'day',
+          format: 'xlsx',
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingCsv(procPromise, aggrPromise, res)
+
+    const { newFilePaths } = await aggrPromise
+
+    assert.isArray(newFilePaths)
+    assert.isAbove(newFilePaths.length, 0)
+
+    newFilePaths.forEach((filePath) => {
+      assert.strictEqual(path.extname(filePath), '.xlsx')
+    })
+  })
+
+  it('it should be successfully performed by the getMultipleCsv method in parquet format', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getMultipleCsv',
+        params: {
+          email,
+          format: 'parquet',
+          multiExport: [
+            {
+              method: 'getTradesCsv',
+              symbol: ['tBTCUSD', 'tETHUSD'],
+              end,
+              start,
+              limit: 1000
+            },
+            {
+              method: 'getFullSnapshotReportCsv',
+              end
+            }
+          ]
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingCsv(procPromise, aggrPromise, res)
+
+    const { newFilePaths } = await aggrPromise
+
+    assert.isArray(newFilePaths)
+    assert.isAbove(newFilePaths.length, 0)
+
+    newFilePaths.forEach((filePath) => {
+      assert.strictEqual(path.extname(filePath), '.parquet')
+    })
+  })
+
   it('it should be successfully performed by the getWinLossCsv method', async function () {
     this.timeout(60000)
 
@@ -779,6 +1914,57 @@ module.exports = (
     await testMethodOfGettingCsv(procPromise, aggrPromise, res)
   })
 
+  it('it should be successfully performed by the getTradingStatsCsv method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getTradingStatsCsv',
+        params: {
+          end,
+          start,
+          timeframe: 'day',
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingCsv(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getExecutionQualityCsv method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getExecutionQualityCsv',
+        params: {
+          end,
+          start,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingCsv(procPromise, aggrPromise, res)
+  })
+
   it('it should be successfully performed by the getFeesReportCsv method', async function () {
     this.timeout(60000)
 
@@ -830,4 +2016,133 @@ module.exports = (
 
     await testMethodOfGettingCsv(procPromise, aggrPromise, res)
   })
+
+  it('it should be successfully performed by the getFundingEarningsCsv method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getFundingEarningsCsv',
+        params: {
+          end,
+          start,
+          timeframe: 'month',
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingCsv(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getDerivativesFundingCsv method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getDerivativesFundingCsv',
+        params: {
+          end,
+          start,
+          timeframe: 'month',
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingCsv(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getMarginRiskCsv method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getMarginRiskCsv',
+        params: {
+          end,
+          start,
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingCsv(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getCapitalGainsCsv method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getCapitalGainsCsv',
+        params: {
+          end,
+          start,
+          costBasisMethod: 'FIFO',
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingCsv(procPromise, aggrPromise, res)
+  })
+
+  it('it should be successfully performed by the getPortfolioReturnsCsv method', async function () {
+    this.timeout(60000)
+
+    const procPromise = queueToPromise(params.processorQueue)
+    const aggrPromise = queueToPromise(params.aggregatorQueue)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getPortfolioReturnsCsv',
+        params: {
+          end,
+          start,
+          timeframe: 'month',
+          email
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    await testMethodOfGettingCsv(procPromise, aggrPromise, res)
+  })
 }
@@ -10,9 +10,20 @@ const {
   testMethodOfGettingCsv,
   testProcQueue
 } = require('bfx-report/test/helpers/helpers.tests')
+const container = require('bfx-report/workers/loc.api/di')
 
 const { delay } = require('../helpers/helpers.core')
 const { getMockData } = require('../helpers/helpers.mock-rest-v2')
+const {
+  connectToWS,
+  requestByWS,
+  waitForWSAction,
+  closeWS
+} = require('../helpers/helpers.ws')
+const TYPES = require('../../workers/loc.api/di/types')
+const {
+  LOCKED_JOB_STATE
+} = require('../../workers/loc.api/sync/sync.queue/sync.queue.states')
 
 module.exports = (
   agent,
@@ -31,6 +42,10 @@ module.exports = (
   } = params
   const auth = { token: '' }
 
+  let wsClient = null
+  let ledgerCategoryRuleId = null
+  let userDataArchive = null
+
   it('it should be successfully performed by the pingApi method', async function () {
     this.timeout(5000)
 
@@ -334,6 +349,43 @@ module.exports = (
     })
   })
 
+  it('it should be successfully performed by the subscribe WS method', async function () {
+    this.timeout(5000)
+
+    wsClient = await connectToWS()
+
+    const [, signInErr, user] = await requestByWS(wsClient, {
+      method: 'signIn',
+      auth: {
+        email,
+        password,
+        isSubAccount
+      }
+    })
+    const [, err, colls] = await requestByWS(wsClient, {
+      method: 'subscribe',
+      colls: ['ledgers']
+    })
+
+    assert.isNull(signInErr)
+    assert.isObject(user)
+    assert.strictEqual(user.email, email)
+    assert.isNull(err)
+    assert.deepEqual(colls, ['ledgers'])
+  })
+
+  it('it should not be successfully performed by the subscribe WS method, where the collection is not existent', async function () {
+    this.timeout(5000)
+
+    const [, err, colls] = await requestByWS(wsClient, {
+      method: 'subscribe',
+      colls: ['fakeColl']
+    })
+
+    assert.isOk(err)
+    assert.isNotOk(colls)
+  })
+
   it('it should be successfully performed by the enableSyncMode method', async function () {
     this.timeout(5000)
 
@@ -423,6 +475,30 @@ module.exports = (
     }
   })
 
+  it('it should push newly synced ledgers to the WS subscriber', async function () {
+    this.timeout(20000)
+
+    const [sid, err, { result }] = await waitForWSAction(
+      wsClient,
+      'emitNewSyncedData',
+      ({ collName }) => collName === 'ledgers'
+    )
+
+    assert.isString(sid)
+    assert.isNull(err)
+    assert.isArray(result.data)
+    assert.isAbove(result.data.length, 0)
+
+    result.data.forEach((item) => {
+      assert.isObject(item)
+      assert.isNumber(item.id)
+      assert.isString(item.currency)
+      assert.notProperty(item, 'user_id')
+    })
+
+    await closeWS(wsClient)
+  })
+
   it('it should be successfully performed by the editPublicTradesConf method, where an object is passed', async function () {
     this.timeout(5000)
 
@@ -997,6 +1073,129 @@ module.exports = (
     assert.propertyVal(res.body.result.candlesConf[0], 'start', start)
   })
 
+  it('it should be successfully performed by the editSyncSchedule method', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'editSyncSchedule',
+        params: {
+          collName: '_ALL',
+          rule: '0 */3 * * *'
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isOk(res.body.result)
+  })
+
+  it('it should be successfully performed by the editSyncSchedule method, where the schedule is disabled', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'editSyncSchedule',
+        params: {
+          collName: 'candles',
+          rule: '0 * * * *',
+          isEnable: false
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isOk(res.body.result)
+  })
+
+  it('it should not be successfully performed by the editSyncSchedule method', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'editSyncSchedule',
+        params: {
+          collName: 'fakeColl',
+          rule: '0 * * * *'
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(500)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 500)
+    assert.propertyVal(res.body.error, 'message', 'Internal Server Error')
+    assert.propertyVal(res.body, 'id', 5)
+  })
+
+  it('it should be successfully performed by the getSyncSchedules method', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getSyncSchedules',
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isArray(res.body.result)
+    assert.equal(res.body.result.length, 2)
+
+    assert.isObject(res.body.result[0])
+    assert.propertyVal(res.body.result[0], 'collName', '_ALL')
+    assert.propertyVal(res.body.result[0], 'rule', '0 */3 * * *')
+    assert.propertyVal(res.body.result[0], 'isEnable', true)
+    assert.isObject(res.body.result[1])
+    assert.propertyVal(res.body.result[1], 'collName', 'candles')
+    assert.propertyVal(res.body.result[1], 'rule', '0 * * * *')
+    assert.propertyVal(res.body.result[1], 'isEnable', false)
+  })
+
+  it('it should be successfully performed by the removeSyncSchedule method', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'removeSyncSchedule',
+        params: {
+          collName: '_ALL'
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isOk(res.body.result)
+  })
+
   it('it should be successfully performed by the stopSyncNow method', async function () {
     this.timeout(60000)
 
@@ -1098,6 +1297,56 @@ module.exports = (
     }
   })
 
+  it('it should not leave sync checkpoints and locked sync jobs after the sync is finished', async function () {
+    this.timeout(5000)
+
+    const dao = container.get(TYPES.DAO)
+    const TABLES_NAMES = container.get(TYPES.TABLES_NAMES)
+
+    const checkpoints = await dao.getElemsInCollBy(
+      TABLES_NAMES.SYNC_CHECKPOINTS
+    )
+    const lockedJobs = await dao.getElemsInCollBy(
+      TABLES_NAMES.SYNC_QUEUE,
+      { filter: { state: LOCKED_JOB_STATE } }
+    )
+
+    assert.isArray(checkpoints)
+    assert.lengthOf(checkpoints, 0)
+    assert.isArray(lockedJobs)
+    assert.lengthOf(lockedJobs, 0)
+  })
+
+  it('it should sync the ledgers of each user by the concurrent sync', async function () {
+    this.timeout(5000)
+
+    const dao = container.get(TYPES.DAO)
+    const TABLES_NAMES = container.get(TYPES.TABLES_NAMES)
+
+    const users = await dao.getElemsInCollBy(
+      TABLES_NAMES.USERS,
+      { filter: { isSubAccount: 0 } }
+    )
+
+    assert.isArray(users)
+    assert.isAbove(users.length, 0)
+
+    for (const { _id } of users) {
+      const ledgers = await dao.getElemsInCollBy(
+        TABLES_NAMES.LEDGERS,
+        {
+          filter: isSubAccount
+            ? { subUserId: _id }
+            : { user_id: _id },
+          limit: 1
+        }
+      )
+
+      assert.isArray(ledgers)
+      assert.lengthOf(ledgers, 1)
+    }
+  })
+
   it('it should be successfully performed by the isSyncModeWithDbData method', async function () {
     this.timeout(5000)
 
@@ -1693,6 +1942,306 @@ module.exports = (
     ])
   })
 
+  it('it should be successfully performed by the getLedgers method, where the filter is case-insensitive', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getLedgers',
+        params: {
+          symbol: 'BTC',
+          start: 0,
+          end,
+          limit: 10,
+          filter: {
+            $eq: { wallet: 'fUnding' },
+            $like: { description: 'margin funding%' },
+            $nin: { currency: ['eUR', 'JpY'] },
+            $in: { currency: ['BTc'] }
+          }
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.isArray(res.body.result.res)
+    assert.isAbove(res.body.result.res.length, 0)
+
+    res.body.result.res.forEach((item) => {
+      assert.isObject(item)
+      assert.strictEqual(item.wallet, 'funding')
+      assert.match(item.description, /^Margin Funding/)
+      assert.strictEqual(item.currency, 'BTC')
+    })
+  })
+
+  it('it should be successfully performed by the addLedgerCategoryRule method', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'addLedgerCategoryRule',
+        params: {
+          pattern: '.*',
+          matchType: 'regexp',
+          tag: 'custom-tag'
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isOk(res.body.result)
+  })
+
+  it('it should not be successfully performed by the addLedgerCategoryRule method', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'addLedgerCategoryRule',
+        params: {
+          pattern: '[',
+          matchType: 'regexp',
+          category: 5
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(500)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 500)
+    assert.propertyVal(res.body.error, 'message', 'Internal Server Error')
+    assert.propertyVal(res.body, 'id', 5)
+  })
+
+  it('it should not be successfully performed by the addLedgerCategoryRule method, where the regexp has nested quantifiers', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'addLedgerCategoryRule',
+        params: {
+          pattern: '^(\\w+\\s?)*$',
+          matchType: 'regexp',
+          category: 5
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(500)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 500)
+    assert.propertyVal(res.body.error, 'message', 'Internal Server Error')
+    assert.propertyVal(res.body, 'id', 5)
+  })
+
+  it('it should be successfully performed by the getLedgerCategoryRules method', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getLedgerCategoryRules',
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isArray(res.body.result)
+    assert.equal(res.body.result.length, 1)
+
+    const resItem = res.body.result[0]
+
+    assert.isObject(resItem)
+    assert.isNumber(resItem.id)
+    assert.propertyVal(resItem, 'pattern', '.*')
+    assert.propertyVal(resItem, 'matchType', 'regexp')
+    assert.propertyVal(resItem, 'category', null)
+    assert.propertyVal(resItem, 'tag', 'custom-tag')
+
+    ledgerCategoryRuleId = resItem.id
+  })
+
+  it('it should be successfully performed by the getLedgers method, where the tag is passed', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getLedgers',
+        params: {
+          tag: 'custom-tag',
+          start: 0,
+          end
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.isArray(res.body.result.res)
+    assert.isAbove(res.body.result.res.length, 0)
+  })
+
+  it('it should be successfully performed by the removeLedgerCategoryRule method', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'removeLedgerCategoryRule',
+        params: {
+          id: ledgerCategoryRuleId
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isOk(res.body.result)
+  })
+
+  it('it should be successfully performed by the getLedgers method, where the tag is not assigned', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'getLedgers',
+        params: {
+          tag: ['custom-tag'],
+          start: 0,
+          end
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.isArray(res.body.result.res)
+    assert.equal(res.body.result.res.length, 0)
+  })
+
+  it('it should be successfully performed by the exportUserData method', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth,
+        method: 'exportUserData',
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(200)
+
+    assert.isObject(res.body)
+    assert.propertyVal(res.body, 'id', 5)
+    assert.isObject(res.body.result)
+    assert.propertyVal(res.body.result, 'email', email)
+    assert.isString(res.body.result.archive)
+
+    const archive = JSON.parse(res.body.result.archive)
+
+    assert.isObject(archive)
+    assert.isNumber(archive.archiveVersion)
+    assert.isNumber(archive.dbVersion)
+    assert.isString(archive.salt)
+    assert.isArray(archive.data)
+    assert.isNotEmpty(archive.data)
+
+    userDataArchive = res.body.result.archive
+  })
+
+  it('it should not be successfully performed by the importUserData method, where the user is stored', async function () {
+    this.timeout(60000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth: { password },
+        method: 'importUserData',
+        params: {
+          archive: userDataArchive
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(401)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 401)
+    assert.propertyVal(res.body, 'id', 5)
+  })
+
+  it('it should not be successfully performed by the importUserData method, where the archive is not valid', async function () {
+    this.timeout(5000)
+
+    const res = await agent
+      .post(`${basePath}/json-rpc`)
+      .type('json')
+      .send({
+        auth: { password },
+        method: 'importUserData',
+        params: {
+          archive: 'not-valid-archive'
+        },
+        id: 5
+      })
+      .expect('Content-Type', /json/)
+      .expect(500)
+
+    assert.isObject(res.body)
+    assert.isObject(res.body.error)
+    assert.propertyVal(res.body.error, 'code', 500)
+    assert.propertyVal(res.body.error, 'message', 'Internal Server Error')
+    assert.propertyVal(res.body, 'id', 5)
+  })
+
   it('it should be successfully performed by the getTrades method', async function () {
     this.timeout(5000)
 
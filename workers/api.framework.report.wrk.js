@@ -16,7 +16,7 @@ const argv = require('yargs')
     type: 'boolean'
   })
   .option('dbDriver', {
-    choices: ['better-sqlite'],
+    choices: ['better-sqlite', 'pg'],
     type: 'string'
   })
   .option('verboseSql', {
@@ -40,6 +40,7 @@ const argv = require('yargs')
 
 const appDeps = require('./loc.api/di/app.deps')
 const TYPES = require('./loc.api/di/types')
+const createPgDb = require('./loc.api/sync/dao/pg-db')
 
 class WrkReportFrameWorkApi extends WrkReportServiceApi {
   loadAppDeps (...args) {
@@ -91,7 +92,8 @@ class WrkReportFrameWorkApi extends WrkReportServiceApi {
       'verboseSql',
       'wsPort',
       'secretKey',
-      'schedulerRule'
+      'schedulerRule',
+      'pgConf'
     ]
   ) {
     super.setArgsOfCommandLineToConf()
@@ -111,34 +113,46 @@ class WrkReportFrameWorkApi extends WrkReportServiceApi {
     const {
       syncMode,
       dbDriver,
-      verboseSql
+      verboseSql,
+      pgConf
     } = this.conf[this.group]
     const facs = []
 
     if (syncMode) {
-      facs.push(
-        [
-          'fac',
-          'bfx-facs-scheduler',
-          'sync',
-          'sync',
-          { label: 'sync' }
-        ],
-        [
-          'fac',
-          `bfx-facs-db-${dbDriver}`,
-          'm0',
-          'm0',
-          {
-            name: 'sync',
-            dbPathAbsolute,
-            workerPathAbsolute,
-            verbose: verboseSql,
-            timeout: 20000,
-            busyTimeout: 20000
-          }
-        ]
-      )
+      facs.push([
+        'fac',
+        'bfx-facs-scheduler',
+        'sync',
+        'sync',
+        { label: 'sync' }
+      ])
+    }
+    if (
+      syncMode &&
+      dbDriver === 'pg'
+    ) {
+      const dbFacNs = this.getFacNs(`db-${dbDriver}`, 'm0')
+
+      this[dbFacNs] = createPgDb(pgConf)
+    }
+    if (
+      syncMode &&
+      dbDriver !== 'pg'
+    ) {
+      facs.push([
+        'fac',
+        `bfx-facs-db-${dbDriver}`,
+        'm0',
+        'm0',
+        {
+          name: 'sync',
+          dbPathAbsolute,
+          workerPathAbsolute,
+          verbose: verboseSql,
+          timeout: 20000,
+          busyTimeout: 20000
+        }
+      ])
     }
 
     this.setInitFacs(facs)
@@ -153,6 +167,7 @@ class WrkReportFrameWorkApi extends WrkReportServiceApi {
     const conf = this.conf[this.group]
     const wsTransport = this.container.get(TYPES.WSTransport)
     const sync = this.container.get(TYPES.Sync)
+    const syncSchedules = this.container.get(TYPES.SyncSchedules)
 
     await wsTransport.start()
 
@@ -178,15 +193,27 @@ class WrkReportFrameWorkApi extends WrkReportServiceApi {
     this.scheduler_sync.add(name, () => sync.start(), rule)
     this.scheduler_sync.mem.get(name).rule = rule
 
+    await syncSchedules.start(this.scheduler_sync)
+
     process.send({ state: 'ready:worker' })
   }
 
   async stopService () {
     await super.stopService()
 
+    const conf = this.conf[this.group]
     const wsTransport = this.container.get(TYPES.WSTransport)
 
     wsTransport.stop()
+
+    if (
+      conf.syncMode &&
+      conf.dbDriver === 'pg'
+    ) {
+      const dbFacNs = this.getFacNs(`db-${conf.dbDriver}`, 'm0')
+
+      await this[dbFacNs].end()
+    }
   }
 }
 
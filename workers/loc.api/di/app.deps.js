@@ -25,7 +25,10 @@ const Progress = require('../sync/progress')
 const syncSchema = require('../sync/schema')
 const Sync = require('../sync')
 const SyncInterrupter = require('../sync/sync.interrupter')
+const RequestGovernor = require('../sync/request.governor')
+const SyncHistory = require('../sync/sync.history')
 const SyncQueue = require('../sync/sync.queue')
+const SyncSchedules = require('../sync/sync.schedules')
 const {
   redirectRequestsToApi,
   FOREX_SYMBS
@@ -40,6 +43,9 @@ const ApiMiddleware = require(
   '../sync/data.inserter/api.middleware'
 )
 const DataChecker = require('../sync/data.inserter/data.checker')
+const SyncCheckpoints = require(
+  '../sync/data.inserter/sync.checkpoints'
+)
 const DataInserter = require('../sync/data.inserter')
 const ConvertCurrencyHook = require(
   '../sync/data.inserter/hooks/convert.currency.hook'
@@ -47,19 +53,38 @@ const ConvertCurrencyHook = require(
 const RecalcSubAccountLedgersBalancesHook = require(
   '../sync/data.inserter/hooks/recalc.sub.account.ledgers.balances.hook'
 )
+const EvaluateAlertRulesHook = require(
+  '../sync/data.inserter/hooks/evaluate.alert.rules.hook'
+)
 const BetterSqliteDAO = require('../sync/dao/dao.better.sqlite')
+const PgDAO = require('../sync/dao/dao.pg')
 const {
   PublicСollsСonfAccessors
 } = require('../sync/colls.accessors')
 const Wallets = require('../sync/wallets')
+const BalanceReconciliation = require('../sync/balance.reconciliation')
 const BalanceHistory = require('../sync/balance.history')
 const WinLoss = require('../sync/win.loss')
 const PositionsSnapshot = require('../sync/positions.snapshot')
+const PositionLifecycle = require('../sync/position.lifecycle')
 const FullSnapshotReport = require('../sync/full.snapshot.report')
 const Trades = require('../sync/trades')
 const TradedVolume = require('../sync/traded.volume')
+const TradingStats = require('../sync/trading.stats')
+const ExecutionQuality = require('../sync/execution.quality')
 const FeesReport = require('../sync/fees.report')
 const PerformingLoan = require('../sync/performing.loan')
+const FundingEarnings = require('../sync/funding.earnings')
+const DerivativesFunding = require('../sync/derivatives.funding')
+const MarginRisk = require('../sync/margin.risk')
+const CapitalGains = require('../sync/capital.gains')
+const PortfolioReturns = require('../sync/portfolio.returns')
+const UserDataArchive = require('../sync/user.data.archive')
+const Aggregator = require('../sync/aggregator')
+const AuditLog = require('../sync/audit.log')
+const Webhooks = require('../sync/webhooks')
+const AlertRules = require('../sync/alert.rules')
+const LedgerCategoryRules = require('../sync/ledger.category.rules')
 const SubAccountApiData = require('../sync/sub.account.api.data')
 const PositionsAudit = require('../sync/positions.audit')
 const OrderTrades = require('../sync/order.trades')
@@ -69,10 +94,18 @@ const {
   fullSnapshotReportCsvWriter,
   fullTaxReportCsvWriter
 } = require('../generate-csv/csv-writer')
+const {
+  xlsxReportWriter,
+  parquetReportWriter,
+  jsonlReportWriter
+} = require('../generate-csv/report-file-writer')
 const FullTaxReport = require('../sync/full.tax.report')
 const SqliteDbMigrator = require(
   '../sync/dao/db-migrations/sqlite.db.migrator'
 )
+const PgDbMigrator = require(
+  '../sync/dao/db-migrations/pg.db.migrator'
+)
 const {
   migrationsFactory,
   dbMigratorFactory,
@@ -94,6 +127,7 @@ module.exports = ({
         return [
           ['_conf', TYPES.CONF],
           ['_sync', TYPES.Sync],
+          ['_syncSchedules', TYPES.SyncSchedules],
           ['_redirectRequestsToApi', TYPES.RedirectRequestsToApi],
           ['_TABLES_NAMES', TYPES.TABLES_NAMES],
           ['_ALLOWED_COLLS', TYPES.ALLOWED_COLLS],
@@ -106,14 +140,30 @@ module.exports = ({
           ['_dao', TYPES.DAO],
           ['_publicСollsСonfAccessors', TYPES.PublicСollsСonfAccessors],
           ['_wallets', TYPES.Wallets],
+          ['_balanceReconciliation', TYPES.BalanceReconciliation],
           ['_balanceHistory', TYPES.BalanceHistory],
           ['_winLoss', TYPES.WinLoss],
           ['_positionsSnapshot', TYPES.PositionsSnapshot],
+          ['_positionLifecycle', TYPES.PositionLifecycle],
           ['_fullSnapshotReport', TYPES.FullSnapshotReport],
           ['_fullTaxReport', TYPES.FullTaxReport],
           ['_tradedVolume', TYPES.TradedVolume],
+          ['_tradingStats', TYPES.TradingStats],
+          ['_executionQuality', TYPES.ExecutionQuality],
           ['_feesReport', TYPES.FeesReport],
           ['_performingLoan', TYPES.PerformingLoan],
+          ['_fundingEarnings', TYPES.FundingEarnings],
+          ['_derivativesFunding', TYPES.DerivativesFunding],
+          ['_marginRisk', TYPES.MarginRisk],
+          ['_capitalGains', TYPES.CapitalGains],
+          ['_portfolioReturns', TYPES.PortfolioReturns],
+          ['_userDataArchive', TYPES.UserDataArchive],
+          ['_aggregator', TYPES.Aggregator],
+          ['_auditLog', TYPES.AuditLog],
+          ['_webhooks', TYPES.Webhooks],
+          ['_alertRules', TYPES.AlertRules],
+          ['_syncHistory', TYPES.SyncHistory],
+          ['_ledgerCategoryRules', TYPES.LedgerCategoryRules],
           ['_subAccountApiData', TYPES.SubAccountApiData],
           ['_positionsAudit', TYPES.PositionsAudit],
           ['_orderTrades', TYPES.OrderTrades],
@@ -172,6 +222,9 @@ module.exports = ({
     bind(TYPES.SqliteDbMigrator)
       .to(SqliteDbMigrator)
       .inSingletonScope()
+    bind(TYPES.PgDbMigrator)
+      .to(PgDbMigrator)
+      .inSingletonScope()
     bind(TYPES.DbMigratorFactory)
       .toFactory(dbMigratorFactory)
     bind(TYPES.DB)
@@ -186,9 +239,14 @@ module.exports = ({
         if (dbDriver === 'better-sqlite') {
           return rService.ctx.dbBetterSqlite_m0
         }
+        if (dbDriver === 'pg') {
+          return rService.ctx.dbPg_m0
+        }
       })
     bind(TYPES.BetterSqliteDAO)
       .to(BetterSqliteDAO)
+    bind(TYPES.PgDAO)
+      .to(PgDAO)
     bind(TYPES.DAO)
       .toDynamicValue((ctx) => {
         const { dbDriver } = ctx.container.get(
@@ -200,6 +258,11 @@ module.exports = ({
             TYPES.BetterSqliteDAO
           )
         }
+        if (dbDriver === 'pg') {
+          return ctx.container.get(
+            TYPES.PgDAO
+          )
+        }
       })
       .inSingletonScope()
     bind(TYPES.SearchClosePriceAndSumAmount)
@@ -231,6 +294,8 @@ module.exports = ({
       .to(ApiMiddleware)
     bind(TYPES.DataChecker)
       .to(DataChecker)
+    bind(TYPES.SyncCheckpoints)
+      .to(SyncCheckpoints)
     bind(TYPES.DataInserter)
       .to(DataInserter)
     bind(TYPES.DataInserterFactory)
@@ -239,33 +304,76 @@ module.exports = ({
       .to(ConvertCurrencyHook)
     bind(TYPES.RecalcSubAccountLedgersBalancesHook)
       .to(RecalcSubAccountLedgersBalancesHook)
+    bind(TYPES.EvaluateAlertRulesHook)
+      .to(EvaluateAlertRulesHook)
     bind(TYPES.SyncQueue)
       .to(SyncQueue)
       .inSingletonScope()
     bind(TYPES.Sync)
       .to(Sync)
       .inSingletonScope()
+    bind(TYPES.SyncSchedules)
+      .to(SyncSchedules)
+      .inSingletonScope()
     bind(TYPES.SyncInterrupter)
       .to(SyncInterrupter)
       .inSingletonScope()
+    bind(TYPES.RequestGovernor)
+      .to(RequestGovernor)
+      .inSingletonScope()
+    bind(TYPES.SyncHistory)
+      .to(SyncHistory)
+      .inSingletonScope()
     bind(TYPES.Wallets)
       .to(Wallets)
+    bind(TYPES.BalanceReconciliation)
+      .to(BalanceReconciliation)
     bind(TYPES.BalanceHistory)
       .to(BalanceHistory)
     bind(TYPES.WinLoss)
       .to(WinLoss)
     bind(TYPES.PositionsSnapshot)
       .to(PositionsSnapshot)
+    bind(TYPES.PositionLifecycle)
+      .to(PositionLifecycle)
     bind(TYPES.FullSnapshotReport)
       .to(FullSnapshotReport)
     bind(TYPES.Trades)
       .to(Trades)
     bind(TYPES.TradedVolume)
       .to(TradedVolume)
+    bind(TYPES.TradingStats)
+      .to(TradingStats)
+    bind(TYPES.ExecutionQuality)
+      .to(ExecutionQuality)
     bind(TYPES.FeesReport)
       .to(FeesReport)
     bind(TYPES.PerformingLoan)
       .to(PerformingLoan)
+    bind(TYPES.FundingEarnings)
+      .to(FundingEarnings)
+    bind(TYPES.DerivativesFunding)
+      .to(DerivativesFunding)
+    bind(TYPES.MarginRisk)
+      .to(MarginRisk)
+    bind(TYPES.CapitalGains)
+      .to(CapitalGains)
+    bind(TYPES.PortfolioReturns)
+      .to(PortfolioReturns)
+    bind(TYPES.UserDataArchive)
+      .to(UserDataArchive)
+    bind(TYPES.Aggregator)
+      .to(Aggregator)
+    bind(TYPES.AuditLog)
+      .to(AuditLog)
+      .inSingletonScope()
+    bind(TYPES.Webhooks)
+      .to(Webhooks)
+      .inSingletonScope()
+    bind(TYPES.AlertRules)
+      .to(AlertRules)
+    bind(TYPES.LedgerCategoryRules)
+      .to(LedgerCategoryRules)
     bind(TYPES.SubAccountApiData)
       .to(SubAccountApiData)
     bind(TYPES.PositionsAudit)
@@ -286,6 +394,27 @@ module.exports = ({
           [TYPES.RService]
         )
       )
+    bind(TYPES.XlsxReportWriter)
+      .toConstantValue(
+        bindDepsToFn(
+          xlsxReportWriter,
+          [TYPES.RService]
+        )
+      )
+    bind(TYPES.ParquetReportWriter)
+      .toConstantValue(
+        bindDepsToFn(
+          parquetReportWriter,
+          [TYPES.RService]
+        )
+      )
+    bind(TYPES.JsonlReportWriter)
+      .toConstantValue(
+        bindDepsToFn(
+          jsonlReportWriter,
+          [TYPES.RService]
+        )
+      )
     bind(TYPES.FullTaxReport)
       .to(FullTaxReport)
     rebind(TYPES.CsvJobData)
@@ -20,5 +20,13 @@ module.exports = (ctx) => {
 
       return sqliteDbMigrator
     }
+    if (dbDriver === 'pg') {
+      const pgDbMigrator = ctx.container.get(
+        TYPES.PgDbMigrator
+      )
+      pgDbMigrator.setDao(dao)
+
+      return pgDbMigrator
+    }
   }
 }
@@ -22,13 +22,17 @@ module.exports = {
   Sync: Symbol.for('Sync'),
   SyncFactory: Symbol.for('SyncFactory'),
   SyncQueue: Symbol.for('SyncQueue'),
+  SyncSchedules: Symbol.for('SyncSchedules'),
+  SyncCheckpoints: Symbol.for('SyncCheckpoints'),
   Progress: Symbol.for('Progress'),
   DB: Symbol.for('DB'),
   DAO: Symbol.for('DAO'),
   BetterSqliteDAO: Symbol.for('BetterSqliteDAO'),
+  PgDAO: Symbol.for('PgDAO'),
   PublicСollsСonfAccessors: Symbol.for('PublicСollsСonfAccessors'),
   SearchClosePriceAndSumAmount: Symbol.for('SearchClosePriceAndSumAmount'),
   Wallets: Symbol.for('Wallets'),
+  BalanceReconciliation: Symbol.for('BalanceReconciliation'),
   BalanceHistory: Symbol.for('BalanceHistory'),
   WinLoss: Symbol.for('WinLoss'),
   PositionsSnapshot: Symbol.for('PositionsSnapshot'),
@@ -38,21 +42,42 @@ module.exports = {
   FOREX_SYMBS: Symbol.for('FOREX_SYMBS'),
   FullTaxReport: Symbol.for('FullTaxReport'),
   FullTaxReportCsvWriter: Symbol.for('FullTaxReportCsvWriter'),
+  XlsxReportWriter: Symbol.for('XlsxReportWriter'),
+  ParquetReportWriter: Symbol.for('ParquetReportWriter'),
+  JsonlReportWriter: Symbol.for('JsonlReportWriter'),
   MigrationsFactory: Symbol.for('MigrationsFactory'),
   DbMigratorFactory: Symbol.for('DbMigratorFactory'),
   SqliteDbMigrator: Symbol.for('SqliteDbMigrator'),
+  PgDbMigrator: Symbol.for('PgDbMigrator'),
   Trades: Symbol.for('Trades'),
   TradedVolume: Symbol.for('TradedVolume'),
   FeesReport: Symbol.for('FeesReport'),
   PerformingLoan: Symbol.for('PerformingLoan'),
+  CapitalGains: Symbol.for('CapitalGains'),
+  PortfolioReturns: Symbol.for('PortfolioReturns'),
+  UserDataArchive: Symbol.for('UserDataArchive'),
+  Aggregator: Symbol.for('Aggregator'),
+  AuditLog: Symbol.for('AuditLog'),
+  Webhooks: Symbol.for('Webhooks'),
+  AlertRules: Symbol.for('AlertRules'),
+  LedgerCategoryRules: Symbol.for('LedgerCategoryRules'),
   SubAccount: Symbol.for('SubAccount'),
   ConvertCurrencyHook: Symbol.for('ConvertCurrencyHook'),
   RecalcSubAccountLedgersBalancesHook: Symbol.for('RecalcSubAccountLedgersBalancesHook'),
+  EvaluateAlertRulesHook: Symbol.for('EvaluateAlertRulesHook'),
   SubAccountApiData: Symbol.for('SubAccountApiData'),
   PositionsAudit: Symbol.for('PositionsAudit'),
   OrderTrades: Symbol.for('OrderTrades'),
   Crypto: Symbol.for('Crypto'),
   Authenticator: Symbol.for('Authenticator'),
   PrivResponder: Symbol.for('PrivResponder'),
-  SyncInterrupter: Symbol.for('SyncInterrupter')
+  SyncInterrupter: Symbol.for('SyncInterrupter'),
+  RequestGovernor: Symbol.for('RequestGovernor'),
+  SyncHistory: Symbol.for('SyncHistory'),
+  FundingEarnings: Symbol.for('FundingEarnings'),
+  TradingStats: Symbol.for('TradingStats'),
+  ExecutionQuality: Symbol.for('ExecutionQuality'),
+  DerivativesFunding: Symbol.for('DerivativesFunding'),
+  PositionLifecycle: Symbol.for('PositionLifecycle'),
+  MarginRisk: Symbol.for('MarginRisk')
 }
@@ -153,6 +153,72 @@ class SyncedPositionsSnapshotParamsError extends BaseError {
   }
 }
 
+class SyncScheduleRuleError extends BaseError {
+  constructor (message = 'ERR_SYNC_SCHEDULE_RULE_IS_NOT_VALID') {
+    super(message)
+  }
+}
+
+class WSSubscriptionCollError extends BaseError {
+  constructor (message = 'ERR_COLL_IS_NOT_AVAILABLE_FOR_SUBSCRIPTION') {
+    super(message)
+  }
+}
+
+class LedgerCategoryRulePatternError extends BaseError {
+  constructor (message = 'ERR_LEDGER_CATEGORY_RULE_PATTERN_IS_NOT_VALID') {
+    super(message)
+  }
+}
+
+class ReportFileFormatError extends BaseError {
+  constructor (message = 'ERR_REPORT_FILE_FORMAT_IS_NOT_SUPPORTED') {
+    super(message)
+  }
+}
+
+class UserDataArchiveError extends BaseError {
+  constructor (message = 'ERR_USER_DATA_ARCHIVE_IS_NOT_VALID') {
+    super(message)
+  }
+}
+
+class UserDataArchiveVersionError extends BaseError {
+  constructor (message = 'ERR_USER_DATA_ARCHIVE_VERSION_IS_NOT_SUPPORTED') {
+    super(message)
+  }
+}
+
+class AggregationParamsError extends BaseError {
+  constructor (message = 'ERR_AGGREGATION_PARAMS_ARE_NOT_VALID') {
+    super(message)
+  }
+}
+
+class FilterGroupsError extends BaseError {
+  constructor (message = 'ERR_FILTER_GROUPS_ARE_NOT_VALID') {
+    super(message)
+  }
+}
+
+class WebhookUrlError extends BaseError {
+  constructor (message = 'ERR_WEBHOOK_URL_IS_NOT_VALID') {
+    super(message)
+  }
+}
+
+class WebhookDeliveryError extends BaseError {
+  constructor (message = 'ERR_WEBHOOK_DELIVERY_HAS_FAILED') {
+    super(message)
+  }
+}
+
+class PositionNotFoundError extends BaseError {
+  constructor (message = 'ERR_POSITION_NOT_FOUND') {
+    super(message)
+  }
+}
+
 module.exports = {
   BaseError,
   CollSyncPermissionError,
@@ -178,5 +244,16 @@ module.exports = {
   SubAccountLedgersBalancesRecalcError,
   DatePropNameError,
   GetPublicDataError,
-  SyncedPositionsSnapshotParamsError
+  SyncedPositionsSnapshotParamsError,
+  SyncScheduleRuleError,
+  WSSubscriptionCollError,
+  LedgerCategoryRulePatternError,
+  ReportFileFormatError,
+  UserDataArchiveError,
+  UserDataArchiveVersionError,
+  AggregationParamsError,
+  FilterGroupsError,
+  WebhookUrlError,
+  WebhookDeliveryError,
+  PositionNotFoundError
 }
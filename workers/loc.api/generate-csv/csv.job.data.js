@@ -18,17 +18,112 @@ const {
   checkParams,
   getDateString
 } = require('../helpers')
+const { ReportFileFormatError } = require('../errors')
+const {
+  REPORT_FILE_FORMATS,
+  getFullSnapshotReportSections,
+  getFullTaxReportSections
+} = require('./report-file-writer')
 
 class CsvJobData extends BaseCsvJobData {
   constructor (
     rService,
     fullSnapshotReportCsvWriter,
-    fullTaxReportCsvWriter
+    fullTaxReportCsvWriter,
+    xlsxReportWriter,
+    parquetReportWriter,
+    jsonlReportWriter
   ) {
     super(rService)
 
     this.fullSnapshotReportCsvWriter = fullSnapshotReportCsvWriter
     this.fullTaxReportCsvWriter = fullTaxReportCsvWriter
+
+    this._reportWriters = {
+      [REPORT_FILE_FORMATS.XLSX]: xlsxReportWriter,
+      [REPORT_FILE_FORMATS.PARQUET]: parquetReportWriter,
+      [REPORT_FILE_FORMATS.JSONL]: jsonlReportWriter
+    }
+  }
+
+  /**
+   * The CSV format is written by the base queue processor
+   * or by the passed custom CSV writer,
+   * other formats replace the writer of the job.
+   * The report queue names the file by the `format`
+   * of the job data when the file is created
+   */
+  _getFileFormatJobData (args, csvCustomWriter) {
+    const { params } = { ...args }
+    const { format = REPORT_FILE_FORMATS.CSV } = { ...params }
+
+    if (format === REPORT_FILE_FORMATS.CSV) {
+      return typeof csvCustomWriter === 'function'
+        ? { format, csvCustomWriter }
+        : { format }
+    }
+
+    const writer = this._reportWriters[format]
+
+    if (typeof writer !== 'function') {
+      throw new ReportFileFormatError()
+    }
+
+    return {
+      format,
+      csvCustomWriter: writer
+    }
+  }
+
+  async _getBaseJobDataWithFileFormat (
+    methodName,
+    args,
+    uId,
+    uInfo
+  ) {
+    const jobData = await super[methodName](
+      args,
+      uId,
+      uInfo
+    )
+
+    return {
+      ...jobData,
+      ...this._getFileFormatJobData(args)
+    }
+  }
+
+  getMultipleCsvJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    const { params } = { ...args }
+    const { format, multiExport } = { ...params }
+
+    if (
+      !format ||
+      !Array.isArray(multiExport)
+    ) {
+      return super.getMultipleCsvJobData(args, uId, uInfo)
+    }
+
+    const _multiExport = multiExport.map((item) => ({
+      format,
+      ...item
+    }))
+
+    return super.getMultipleCsvJobData(
+      {
+        ...args,
+        params: {
+          ...params,
+          multiExport: _multiExport
+        }
+      },
+      uId,
+      uInfo
+    )
   }
 
   _addColumnsBySchema (columnsCsv = {}, schema = {}) {
@@ -44,6 +139,159 @@ class CsvJobData extends BaseCsvJobData {
       }, {})
   }
 
+  getTradesCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getTradesCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getFundingTradesCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getFundingTradesCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getTickersHistoryCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getTickersHistoryCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getPositionsHistoryCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getPositionsHistoryCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getPositionsAuditCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getPositionsAuditCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getPublicTradesCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getPublicTradesCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getStatusMessagesCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getStatusMessagesCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getCandlesCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getCandlesCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getLedgersCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getLedgersCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getOrderTradesCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getOrderTradesCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getOrdersCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getOrdersCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getActiveOrdersCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getActiveOrdersCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getFundingOfferHistoryCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getFundingOfferHistoryCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getFundingLoanHistoryCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getFundingLoanHistoryCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getFundingCreditHistoryCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getFundingCreditHistoryCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getLoginsCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getLoginsCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
+  getChangeLogsCsvJobData (args, uId, uInfo) {
+    return this._getBaseJobDataWithFileFormat(
+      'getChangeLogsCsvJobData',
+      args,
+      uId,
+      uInfo
+    )
+  }
+
   async getMovementsCsvJobData (
     args,
     uId,
@@ -64,7 +312,8 @@ class CsvJobData extends BaseCsvJobData {
             amountUsd: 'AMOUNT USD'
           }
         }
-      )
+      ),
+      ...this._getFileFormatJobData(args)
     }
 
     return jobData
@@ -86,7 +335,8 @@ class CsvJobData extends BaseCsvJobData {
       columnsCsv: {
         ..._jobData.columnsCsv,
         balanceUsd: 'BALANCE USD'
-      }
+      },
+      ...this._getFileFormatJobData(args)
     }
 
     return jobData
@@ -109,6 +359,8 @@ class CsvJobData extends BaseCsvJobData {
     )
 
     const csvArgs = getCsvArgs(args)
+    const { params } = { ...args }
+    const { baseCurrency = 'USD' } = { ...params }
 
     const jobData = {
       userInfo,
@@ -118,12 +370,13 @@ class CsvJobData extends BaseCsvJobData {
       args: csvArgs,
       propNameForPagination: null,
       columnsCsv: {
-        USD: 'USD',
+        [baseCurrency]: baseCurrency,
         mts: 'DATE'
       },
       formatSettings: {
         mts: 'date'
-      }
+      },
+      ...this._getFileFormatJobData(args)
     }
 
     return jobData
@@ -146,6 +399,8 @@ class CsvJobData extends BaseCsvJobData {
     )
 
     const csvArgs = getCsvArgs(args)
+    const { params } = { ...args }
+    const { baseCurrency = 'USD' } = { ...params }
 
     const jobData = {
       userInfo,
@@ -155,12 +410,13 @@ class CsvJobData extends BaseCsvJobData {
       args: csvArgs,
       propNameForPagination: null,
       columnsCsv: {
-        USD: 'USD',
+        [baseCurrency]: baseCurrency,
         mts: 'DATE'
       },
       formatSettings: {
         mts: 'date'
-      }
+      },
+      ...this._getFileFormatJobData(args)
     }
 
     return jobData
@@ -210,7 +466,8 @@ class CsvJobData extends BaseCsvJobData {
         mtsUpdate: 'date',
         mtsCreate: 'date',
         symbol: 'symbol'
-      }
+      },
+      ...this._getFileFormatJobData(args)
     }
 
     return jobData
@@ -236,7 +493,8 @@ class CsvJobData extends BaseCsvJobData {
     const { chunkCommonFolder } = { ...opts }
     const {
       isStartSnapshot,
-      isEndSnapshot
+      isEndSnapshot,
+      baseCurrency = 'USD'
     } = { ...params }
     const isBaseNameInName = isStartSnapshot || isEndSnapshot
     const typeName = isStartSnapshot
@@ -274,7 +532,7 @@ class CsvJobData extends BaseCsvJobData {
           basePrice: 'BASE PRICE',
           actualPrice: 'ACTUAL PRICE',
           pl: 'P/L',
-          plUsd: 'P/L USD',
+          plUsd: `P/L ${baseCurrency}`,
           plPerc: 'P/L%',
           marginFunding: 'FUNDING COST',
           marginFundingType: 'FUNDING TYPE',
@@ -286,7 +544,7 @@ class CsvJobData extends BaseCsvJobData {
           type: 'TYPE',
           currency: 'CURRENCY',
           balance: 'BALANCE',
-          balanceUsd: 'BALANCE USD'
+          balanceUsd: `BALANCE ${baseCurrency}`
         },
         positionsTickers: {
           symbol: 'PAIR',
@@ -298,10 +556,10 @@ class CsvJobData extends BaseCsvJobData {
           amount: 'AMOUNT'
         },
         positionsTotalPlUsd: {
-          plUsd: 'POSITIONS TOTAL P/L USD'
+          plUsd: `POSITIONS TOTAL P/L ${baseCurrency}`
         },
         walletsTotalBalanceUsd: {
-          balanceUsd: 'WALLETS TOTAL BALANCE USD'
+          balanceUsd: `WALLETS TOTAL BALANCE ${baseCurrency}`
         }
       },
       formatSettings: {
@@ -325,7 +583,11 @@ class CsvJobData extends BaseCsvJobData {
           symbol: 'symbol'
         }
       },
-      csvCustomWriter: this.fullSnapshotReportCsvWriter
+      ...this._getFileFormatJobData(
+        args,
+        this.fullSnapshotReportCsvWriter
+      ),
+      sectionsGetter: getFullSnapshotReportSections
     }
 
     return jobData
@@ -453,7 +715,11 @@ class CsvJobData extends BaseCsvJobData {
           mtsUpdated: 'date'
         }
       },
-      csvCustomWriter: this.fullTaxReportCsvWriter
+      ...this._getFileFormatJobData(
+        args,
+        this.fullTaxReportCsvWriter
+      ),
+      sectionsGetter: getFullTaxReportSections
     }
 
     return jobData
@@ -476,6 +742,8 @@ class CsvJobData extends BaseCsvJobData {
     )
 
     const csvArgs = getCsvArgs(args)
+    const { params } = { ...args }
+    const { baseCurrency = 'USD' } = { ...params }
 
     const jobData = {
       userInfo,
@@ -485,12 +753,112 @@ class CsvJobData extends BaseCsvJobData {
       args: csvArgs,
       propNameForPagination: null,
       columnsCsv: {
-        USD: 'USD',
+        [baseCurrency]: baseCurrency,
         mts: 'DATE'
       },
       formatSettings: {
         mts: 'date'
-      }
+      },
+      ...this._getFileFormatJobData(args)
+    }
+
+    return jobData
+  }
+
+  async getTradingStatsCsvJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    checkParams(args, 'paramsSchemaForTradingStatsCsv')
+
+    const {
+      userId,
+      userInfo
+    } = await checkJobAndGetUserData(
+      this.rService,
+      uId,
+      uInfo
+    )
+
+    const csvArgs = getCsvArgs(args)
+
+    const jobData = {
+      userInfo,
+      userId,
+      name: 'getTradingStats',
+      fileNamesMap: [['getTradingStats', 'trading-stats']],
+      args: csvArgs,
+      propNameForPagination: null,
+      columnsCsv: {
+        mts: 'DATE',
+        symbol: 'PAIR',
+        tradesCount: 'TRADES COUNT',
+        roundTripsCount: 'ROUND TRIPS COUNT',
+        winsCount: 'WINS COUNT',
+        lossesCount: 'LOSSES COUNT',
+        winRatePerc: 'WIN RATE PERC',
+        pnlUsd: 'PNL USD',
+        grossPnlUsd: 'GROSS PNL USD',
+        feesUsd: 'FEES USD',
+        avgWinUsd: 'AVG WIN USD',
+        avgLossUsd: 'AVG LOSS USD',
+        profitFactor: 'PROFIT FACTOR',
+        makerCount: 'MAKER COUNT',
+        takerCount: 'TAKER COUNT',
+        makerTakerRatio: 'MAKER TAKER RATIO',
+        avgHoldingTime: 'AVG HOLDING TIME MS',
+        maxDrawdownUsd: 'MAX DRAWDOWN USD'
+      },
+      formatSettings: {
+        mts: 'date',
+        symbol: 'symbol'
+      },
+      ...this._getFileFormatJobData(args)
+    }
+
+    return jobData
+  }
+
+  async getExecutionQualityCsvJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    checkParams(args, 'paramsSchemaForExecutionQualityCsv')
+
+    const {
+      userId,
+      userInfo
+    } = await checkJobAndGetUserData(
+      this.rService,
+      uId,
+      uInfo
+    )
+
+    const csvArgs = getCsvArgs(args)
+
+    const jobData = {
+      userInfo,
+      userId,
+      name: 'getExecutionQuality',
+      fileNamesMap: [['getExecutionQuality', 'execution-quality']],
+      args: csvArgs,
+      propNameForPagination: null,
+      columnsCsv: {
+        symbol: 'PAIR',
+        type: 'TYPE',
+        ordersCount: 'ORDERS COUNT',
+        executedOrdersCount: 'EXECUTED ORDERS COUNT',
+        avgFillRatioPerc: 'AVG FILL RATIO PERC',
+        avgSlippagePerc: 'AVG SLIPPAGE VS ORDER PRICE PERC',
+        avgMarketSlippagePerc: 'AVG SLIPPAGE VS MARKET PERC',
+        avgTimeToFill: 'AVG TIME TO FILL MS'
+      },
+      formatSettings: {
+        symbol: 'symbol'
+      },
+      ...this._getFileFormatJobData(args)
     }
 
     return jobData
@@ -513,6 +881,8 @@ class CsvJobData extends BaseCsvJobData {
     )
 
     const csvArgs = getCsvArgs(args)
+    const { params } = { ...args }
+    const { baseCurrency = 'USD' } = { ...params }
 
     const jobData = {
       userInfo,
@@ -522,12 +892,13 @@ class CsvJobData extends BaseCsvJobData {
       args: csvArgs,
       propNameForPagination: null,
       columnsCsv: {
-        USD: 'USD',
+        [baseCurrency]: baseCurrency,
         mts: 'DATE'
       },
       formatSettings: {
         mts: 'date'
-      }
+      },
+      ...this._getFileFormatJobData(args)
     }
 
     return jobData
@@ -566,7 +937,243 @@ class CsvJobData extends BaseCsvJobData {
       },
       formatSettings: {
         mts: 'date'
-      }
+      },
+      ...this._getFileFormatJobData(args)
+    }
+
+    return jobData
+  }
+
+  async getFundingEarningsCsvJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    checkParams(args, 'paramsSchemaForFundingEarningsCsv')
+
+    const {
+      userId,
+      userInfo
+    } = await checkJobAndGetUserData(
+      this.rService,
+      uId,
+      uInfo
+    )
+
+    const csvArgs = getCsvArgs(args)
+
+    const jobData = {
+      userInfo,
+      userId,
+      name: 'getFundingEarnings',
+      fileNamesMap: [['getFundingEarnings', 'funding-earnings']],
+      args: csvArgs,
+      propNameForPagination: null,
+      columnsCsv: {
+        mts: 'DATE',
+        currency: 'CURRENCY',
+        earnings: 'EARNINGS',
+        earningsUsd: 'EARNINGS USD',
+        avgBalance: 'AVG BALANCE',
+        avgLentAmount: 'AVG LENT AMOUNT',
+        avgIdleAmount: 'AVG IDLE AMOUNT',
+        utilizationPerc: 'UTILIZATION PERC',
+        realizedAprPerc: 'REALIZED APR PERC',
+        avgRateAprPerc: 'AVG RATE APR PERC',
+        avgDurationDays: 'AVG DURATION DAYS',
+        executedOffersCount: 'EXECUTED OFFERS COUNT',
+        executedOffersAmount: 'EXECUTED OFFERS AMOUNT'
+      },
+      formatSettings: {
+        mts: 'date'
+      },
+      ...this._getFileFormatJobData(args)
+    }
+
+    return jobData
+  }
+
+  async getDerivativesFundingCsvJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    checkParams(args, 'paramsSchemaForDerivativesFundingCsv')
+
+    const {
+      userId,
+      userInfo
+    } = await checkJobAndGetUserData(
+      this.rService,
+      uId,
+      uInfo
+    )
+
+    const csvArgs = getCsvArgs(args)
+
+    const jobData = {
+      userInfo,
+      userId,
+      name: 'getDerivativesFunding',
+      fileNamesMap: [['getDerivativesFunding', 'derivatives-funding']],
+      args: csvArgs,
+      propNameForPagination: null,
+      columnsCsv: {
+        mts: 'DATE',
+        symbol: 'PAIR',
+        positionsCount: 'POSITIONS COUNT',
+        settlementsCount: 'SETTLEMENTS COUNT',
+        estimatedFunding: 'ESTIMATED FUNDING',
+        estimatedFundingUsd: 'ESTIMATED FUNDING USD',
+        actualFunding: 'ACTUAL FUNDING',
+        actualFundingUsd: 'ACTUAL FUNDING USD',
+        diffUsd: 'DIFF USD'
+      },
+      formatSettings: {
+        mts: 'date',
+        symbol: 'symbol'
+      },
+      ...this._getFileFormatJobData(args)
+    }
+
+    return jobData
+  }
+
+  async getMarginRiskCsvJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    checkParams(args, 'paramsSchemaForMarginRiskCsv')
+
+    const {
+      userId,
+      userInfo
+    } = await checkJobAndGetUserData(
+      this.rService,
+      uId,
+      uInfo
+    )
+
+    const csvArgs = getCsvArgs(args)
+
+    const jobData = {
+      userInfo,
+      userId,
+      name: 'getMarginRisk',
+      fileNamesMap: [['getMarginRisk', 'margin-risk']],
+      args: csvArgs,
+      propNameForPagination: null,
+      columnsCsv: {
+        mts: 'DATE',
+        id: 'POSITION ID',
+        symbol: 'PAIR',
+        amount: 'AMOUNT',
+        liquidationPrice: 'LIQUIDATION PRICE',
+        low: 'LOW',
+        high: 'HIGH',
+        close: 'CLOSE',
+        bufferPerc: 'BUFFER PERC',
+        leverage: 'LEVERAGE',
+        effectiveLeverage: 'EFFECTIVE LEVERAGE',
+        notionalUsd: 'NOTIONAL USD',
+        marginBalanceUsd: 'MARGIN BALANCE USD',
+        marginUtilizationPerc: 'MARGIN UTILIZATION PERC',
+        isFlagged: 'FLAGGED'
+      },
+      formatSettings: {
+        mts: 'date',
+        symbol: 'symbol'
+      },
+      ...this._getFileFormatJobData(args)
+    }
+
+    return jobData
+  }
+
+  async getCapitalGainsCsvJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    checkParams(args, 'paramsSchemaForCapitalGainsCsv')
+
+    const {
+      userId,
+      userInfo
+    } = await checkJobAndGetUserData(
+      this.rService,
+      uId,
+      uInfo
+    )
+
+    const csvArgs = getCsvArgs(args)
+
+    const jobData = {
+      userInfo,
+      userId,
+      name: 'getCapitalGains',
+      fileNamesMap: [['getCapitalGains', 'capital-gains']],
+      args: csvArgs,
+      propNameForPagination: null,
+      columnsCsv: {
+        currency: 'CURRENCY',
+        amount: 'AMOUNT',
+        mtsAcquired: 'DATE ACQUIRED',
+        mtsDisposed: 'DATE SOLD',
+        holdingPeriod: 'TERM',
+        proceedsUsd: 'PROCEEDS USD',
+        costUsd: 'COST BASIS USD',
+        gainUsd: 'GAIN/LOSS USD'
+      },
+      formatSettings: {
+        mtsAcquired: 'date',
+        mtsDisposed: 'date'
+      },
+      ...this._getFileFormatJobData(args)
+    }
+
+    return jobData
+  }
+
+  async getPortfolioReturnsCsvJobData (
+    args,
+    uId,
+    uInfo
+  ) {
+    checkParams(args, 'paramsSchemaForPortfolioReturnsCsv')
+
+    const {
+      userId,
+      userInfo
+    } = await checkJobAndGetUserData(
+      this.rService,
+      uId,
+      uInfo
+    )
+
+    const csvArgs = getCsvArgs(args)
+
+    const jobData = {
+      userInfo,
+      userId,
+      name: 'getPortfolioReturns',
+      fileNamesMap: [['getPortfolioReturns', 'portfolio-returns']],
+      args: csvArgs,
+      propNameForPagination: null,
+      columnsCsv: {
+        mts: 'DATE',
+        startBalanceUsd: 'START BALANCE USD',
+        endBalanceUsd: 'END BALANCE USD',
+        netCashFlowUsd: 'NET CASH FLOW USD',
+        twrPerc: 'TWR%',
+        cumulativeTwrPerc: 'CUMULATIVE TWR%',
+        irrPerc: 'IRR%'
+      },
+      formatSettings: {
+        mts: 'date'
+      },
+      ...this._getFileFormatJobData(args)
     }
 
     return jobData
@@ -576,5 +1183,8 @@ class CsvJobData extends BaseCsvJobData {
 decorate(inject(TYPES.RService), CsvJobData, 0)
 decorate(inject(TYPES.FullSnapshotReportCsvWriter), CsvJobData, 1)
 decorate(inject(TYPES.FullTaxReportCsvWriter), CsvJobData, 2)
+decorate(inject(TYPES.XlsxReportWriter), CsvJobData, 3)
+decorate(inject(TYPES.ParquetReportWriter), CsvJobData, 4)
+decorate(inject(TYPES.JsonlReportWriter), CsvJobData, 5)
 
 module.exports = CsvJobData
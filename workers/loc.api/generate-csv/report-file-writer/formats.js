@@ -0,0 +1,13 @@
+'use strict'
+
+const CSV = 'csv'
+const XLSX = 'xlsx'
+const PARQUET = 'parquet'
+const JSONL = 'jsonl'
+
+module.exports = {
+  CSV,
+  XLSX,
+  PARQUET,
+  JSONL
+}
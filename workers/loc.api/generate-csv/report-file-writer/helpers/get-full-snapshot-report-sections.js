@@ -0,0 +1,45 @@
+'use strict'
+
+module.exports = (
+  res,
+  {
+    columnsCsv,
+    formatSettings,
+    params,
+    mtsCreated
+  }
+) => {
+  const {
+    positionsSnapshot,
+    walletsSnapshot,
+    positionsTickers,
+    walletsTickers,
+    positionsTotalPlUsd,
+    walletsTotalBalanceUsd
+  } = { ...res }
+  const { end } = { ...params }
+  const _getSection = (name, key, rows) => ({
+    name,
+    columns: columnsCsv[key],
+    formatSettings: formatSettings[key],
+    rows: Array.isArray(rows) ? rows : []
+  })
+
+  return [
+    _getSection('TIMESTAMPS', 'timestamps', [{ mtsCreated, end }]),
+    _getSection('POSITIONS', 'positionsSnapshot', positionsSnapshot),
+    _getSection(
+      'POSITIONS TOTAL',
+      'positionsTotalPlUsd',
+      [{ plUsd: positionsTotalPlUsd }]
+    ),
+    _getSection('WALLETS', 'walletsSnapshot', walletsSnapshot),
+    _getSection(
+      'WALLETS TOTAL',
+      'walletsTotalBalanceUsd',
+      [{ balanceUsd: walletsTotalBalanceUsd }]
+    ),
+    _getSection('POSITIONS TICKERS', 'positionsTickers', positionsTickers),
+    _getSection('WALLETS TICKERS', 'walletsTickers', walletsTickers)
+  ]
+}
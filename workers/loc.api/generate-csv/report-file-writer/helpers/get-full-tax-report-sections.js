@@ -0,0 +1,62 @@
+'use strict'
+
+module.exports = (
+  res,
+  {
+    columnsCsv,
+    formatSettings,
+    params,
+    mtsCreated
+  }
+) => {
+  const {
+    startingPositionsSnapshot,
+    endingPositionsSnapshot,
+    finalState
+  } = { ...res }
+  const {
+    startingPeriodBalances,
+    movements,
+    movementsTotalAmount,
+    endingPeriodBalances,
+    totalResult
+  } = { ...finalState }
+  const { start = 0, end } = { ...params }
+  const _getSection = (name, key, rows) => ({
+    name,
+    columns: columnsCsv[key],
+    formatSettings: formatSettings[key],
+    rows: Array.isArray(rows) ? rows : []
+  })
+
+  return [
+    _getSection('TIMESTAMPS', 'timestamps', [{ mtsCreated, start, end }]),
+    _getSection(
+      'STARTING POSITIONS SNAPSHOT',
+      'positionsSnapshot',
+      startingPositionsSnapshot
+    ),
+    _getSection(
+      'ENDING POSITIONS SNAPSHOT',
+      'positionsSnapshot',
+      endingPositionsSnapshot
+    ),
+    _getSection(
+      'STARTING PERIOD BALANCES',
+      'periodBalances',
+      [startingPeriodBalances]
+    ),
+    _getSection('MOVEMENTS DETAIL', 'movements', movements),
+    _getSection(
+      'MOVEMENTS TOTAL',
+      'movementsTotalAmount',
+      [{ movementsTotalAmount }]
+    ),
+    _getSection(
+      'ENDING PERIOD BALANCES',
+      'periodBalances',
+      [endingPeriodBalances]
+    ),
+    _getSection('TOTAL RESULT', 'totalResult', [{ totalResult }])
+  ]
+}
@@ -0,0 +1,102 @@
+'use strict'
+
+const {
+  getDataFromApi
+} = require('bfx-report/workers/loc.api/helpers')
+
+/*
+ * Rows are fetched page by page while the writer consumes them,
+ * so the whole report is not kept in memory
+ */
+const _getRows = async function * (fn, args, propNameForPagination) {
+  let _args = args
+
+  while (true) {
+    const apiRes = await getDataFromApi(fn, _args)
+    const isPaginatedRes = (
+      apiRes &&
+      typeof apiRes === 'object' &&
+      !Array.isArray(apiRes)
+    )
+    const { res, nextPage } = isPaginatedRes
+      ? apiRes
+      : { res: apiRes }
+
+    if (Array.isArray(res)) {
+      yield * res
+    } else if (
+      res &&
+      typeof res === 'object'
+    ) {
+      yield res
+    }
+    if (
+      !propNameForPagination ||
+      !Number.isInteger(nextPage)
+    ) {
+      break
+    }
+
+    _args = {
+      ..._args,
+      params: {
+        ..._args.params,
+        end: nextPage
+      }
+    }
+  }
+}
+
+/**
+ * Returns report data as a list of sections,
+ * each section has its own columns and could be
+ * written into a separate sheet, `rows` are iterated
+ * by `for await` as they could be fetched lazily
+ */
+module.exports = async (rService, jobData) => {
+  const {
+    args: _args,
+    columnsCsv,
+    formatSettings,
+    name,
+    propNameForPagination,
+    sectionsGetter,
+    fileNamesMap
+  } = { ...jobData }
+  const { params: _params } = { ..._args }
+  const params = {
+    end: Date.now(),
+    ..._params
+  }
+  const args = { ..._args, params }
+  const fn = rService[name].bind(rService)
+
+  if (typeof sectionsGetter === 'function') {
+    const res = await getDataFromApi(fn, args)
+
+    return sectionsGetter(
+      res,
+      {
+        columnsCsv,
+        formatSettings,
+        params,
+        mtsCreated: Date.now()
+      }
+    )
+  }
+
+  const rows = _getRows(fn, args, propNameForPagination)
+  const [fileNames] = Array.isArray(fileNamesMap)
+    ? fileNamesMap
+    : []
+  const [, fileName = name] = Array.isArray(fileNames)
+    ? fileNames
+    : []
+
+  return [{
+    name: fileName,
+    columns: columnsCsv,
+    formatSettings,
+    rows
+  }]
+}
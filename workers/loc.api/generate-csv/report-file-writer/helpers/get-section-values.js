@@ -0,0 +1,54 @@
+'use strict'
+
+const _isDateField = (formatSettings, key) => {
+  return (
+    formatSettings &&
+    typeof formatSettings === 'object' &&
+    formatSettings[key] === 'date'
+  )
+}
+
+/**
+ * Maps a report row into column values keeping their types,
+ * date columns are converted into `Date` objects
+ */
+module.exports = (section, row) => {
+  const {
+    columns,
+    formatSettings
+  } = { ...section }
+  const _row = { ...row }
+
+  return Object.keys({ ...columns }).reduce((accum, key) => {
+    const val = _row[key]
+
+    if (
+      val === null ||
+      typeof val === 'undefined'
+    ) {
+      accum[key] = null
+
+      return accum
+    }
+    if (
+      _isDateField(formatSettings, key) &&
+      Number.isFinite(val)
+    ) {
+      accum[key] = new Date(val)
+
+      return accum
+    }
+    if (
+      typeof val === 'object' &&
+      !(val instanceof Date)
+    ) {
+      accum[key] = JSON.stringify(val)
+
+      return accum
+    }
+
+    accum[key] = val
+
+    return accum
+  }, {})
+}
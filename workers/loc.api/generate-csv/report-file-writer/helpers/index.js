@@ -0,0 +1,17 @@
+'use strict'
+
+const getReportSections = require('./get-report-sections')
+const getSectionValues = require('./get-section-values')
+const getFullSnapshotReportSections = require(
+  './get-full-snapshot-report-sections'
+)
+const getFullTaxReportSections = require(
+  './get-full-tax-report-sections'
+)
+
+module.exports = {
+  getReportSections,
+  getSectionValues,
+  getFullSnapshotReportSections,
+  getFullTaxReportSections
+}
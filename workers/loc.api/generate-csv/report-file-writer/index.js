@@ -0,0 +1,19 @@
+'use strict'
+
+const REPORT_FILE_FORMATS = require('./formats')
+const xlsxReportWriter = require('./xlsx-writer')
+const parquetReportWriter = require('./parquet-writer')
+const jsonlReportWriter = require('./jsonl-writer')
+const {
+  getFullSnapshotReportSections,
+  getFullTaxReportSections
+} = require('./helpers')
+
+module.exports = {
+  REPORT_FILE_FORMATS,
+  xlsxReportWriter,
+  parquetReportWriter,
+  jsonlReportWriter,
+  getFullSnapshotReportSections,
+  getFullTaxReportSections
+}
@@ -0,0 +1,50 @@
+'use strict'
+
+const { once } = require('events')
+
+const {
+  getReportSections,
+  getSectionValues
+} = require('./helpers')
+
+const _write = async (wStream, obj) => {
+  const isWritten = wStream.write(`${JSON.stringify(obj)}\n`)
+
+  if (!isWritten) {
+    await once(wStream, 'drain')
+  }
+}
+
+module.exports = (rService) => async (
+  wStream,
+  jobData
+) => {
+  const queue = rService.ctx.lokue_aggregator.q
+
+  queue.emit('progress', 0)
+
+  if (typeof jobData === 'string') {
+    await _write(wStream, { mess: jobData })
+    queue.emit('progress', 100)
+    wStream.end()
+
+    return
+  }
+
+  const sections = await getReportSections(rService, jobData)
+  const isSectionNameAdded = sections.length > 1
+
+  for (const section of sections) {
+    for await (const row of section.rows) {
+      const values = getSectionValues(section, row)
+      const obj = isSectionNameAdded
+        ? { section: section.name, ...values }
+        : values
+
+      await _write(wStream, obj)
+    }
+  }
+
+  queue.emit('progress', 100)
+  wStream.end()
+}
@@ -0,0 +1,225 @@
+'use strict'
+
+const os = require('os')
+const fs = require('fs')
+const path = require('path')
+const readline = require('readline')
+const { promisify } = require('util')
+const { once } = require('events')
+const {
+  ParquetSchema,
+  ParquetWriter
+} = require('parquetjs-lite')
+
+const {
+  getReportSections,
+  getSectionValues
+} = require('./helpers')
+
+const mkdtemp = promisify(fs.mkdtemp)
+const unlink = promisify(fs.unlink)
+const rmdir = promisify(fs.rmdir)
+
+const SECTION_FIELD_NAME = 'section'
+
+const _getValueType = (val) => {
+  if (val instanceof Date) {
+    return 'TIMESTAMP_MILLIS'
+  }
+  if (Number.isFinite(val)) {
+    return 'DOUBLE'
+  }
+  if (typeof val === 'boolean') {
+    return 'BOOLEAN'
+  }
+
+  return 'UTF8'
+}
+
+/**
+ * Column types are inferred from values,
+ * a column with mixed types is kept as a string
+ */
+const _getFieldTypes = (rows, initFieldTypes) => {
+  return rows.reduce((accum, row) => {
+    for (const [key, val] of Object.entries(row)) {
+      const prevType = accum.get(key)
+
+      if (val === null) {
+        if (!prevType) {
+          accum.set(key, null)
+        }
+
+        continue
+      }
+
+      const type = _getValueType(val)
+
+      accum.set(
+        key,
+        !prevType || prevType === type
+          ? type
+          : 'UTF8'
+      )
+    }
+
+    return accum
+  }, initFieldTypes)
+}
+
+const _getSchema = (fieldTypes) => {
+  const fields = [...fieldTypes].reduce((accum, [key, type]) => {
+    accum[key] = {
+      type: type || 'UTF8',
+      optional: true
+    }
+
+    return accum
+  }, {})
+
+  return new ParquetSchema(fields)
+}
+
+const _normalizeRow = (row, fieldTypes) => {
+  return Object.entries(row).reduce((accum, [key, val]) => {
+    if (val === null) {
+      return accum
+    }
+
+    const type = fieldTypes.get(key)
+
+    if (type === 'TIMESTAMP_MILLIS') {
+      accum[key] = new Date(val)
+
+      return accum
+    }
+
+    accum[key] = (
+      type === 'UTF8' &&
+      typeof val !== 'string'
+    )
+      ? `${val instanceof Date ? val.toISOString() : val}`
+      : val
+
+    return accum
+  }, {})
+}
+
+const _write = async (wStream, obj) => {
+  const isWritten = wStream.write(`${JSON.stringify(obj)}\n`)
+
+  if (!isWritten) {
+    await once(wStream, 'drain')
+  }
+}
+
+const _end = async (wStream) => {
+  wStream.end()
+
+  await once(wStream, 'finish')
+}
+
+const _removeTempFile = async (filePath) => {
+  try {
+    await unlink(filePath)
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err
+    }
+  }
+
+  await rmdir(path.dirname(filePath))
+}
+
+/**
+ * Multi-section reports are flattened into one table
+ * with an additional `section` column
+ */
+module.exports = (rService) => async (
+  wStream,
+  jobData
+) => {
+  const queue = rService.ctx.lokue_aggregator.q
+
+  queue.emit('progress', 0)
+
+  if (typeof jobData === 'string') {
+    const writer = await ParquetWriter.openStream(
+      new ParquetSchema({ mess: { type: 'UTF8' } }),
+      wStream
+    )
+
+    await writer.appendRow({ mess: jobData })
+    await writer.close()
+    queue.emit('progress', 100)
+
+    return
+  }
+
+  const sections = await getReportSections(rService, jobData)
+  const isSectionNameAdded = sections.length > 1
+  const initFieldTypes = sections.reduce((accum, { columns }) => {
+    for (const key of Object.keys({ ...columns })) {
+      accum.set(key, null)
+    }
+
+    return accum
+  }, new Map(
+    isSectionNameAdded
+      ? [[SECTION_FIELD_NAME, 'UTF8']]
+      : []
+  ))
+
+  /*
+   * The schema has to be known before writing, so rows are
+   * spooled into a temp file while column types are inferred
+   */
+  const tempDir = await mkdtemp(path.join(os.tmpdir(), 'parquet-report-'))
+  const tempFilePath = path.join(tempDir, 'rows.jsonl')
+
+  try {
+    const tempWStream = fs.createWriteStream(tempFilePath)
+    let fieldTypes = initFieldTypes
+
+    for (const section of sections) {
+      for await (const row of section.rows) {
+        const values = getSectionValues(section, row)
+        const obj = isSectionNameAdded
+          ? { [SECTION_FIELD_NAME]: section.name, ...values }
+          : values
+
+        fieldTypes = _getFieldTypes([obj], fieldTypes)
+        await _write(tempWStream, obj)
+      }
+    }
+
+    await _end(tempWStream)
+
+    if (fieldTypes.size === 0) {
+      fieldTypes.set(SECTION_FIELD_NAME, 'UTF8')
+    }
+
+    const writer = await ParquetWriter.openStream(
+      _getSchema(fieldTypes),
+      wStream
+    )
+    const lines = readline.createInterface({
+      input: fs.createReadStream(tempFilePath),
+      crlfDelay: Infinity
+    })
+
+    for await (const line of lines) {
+      if (!line) {
+        continue
+      }
+
+      await writer.appendRow(_normalizeRow(JSON.parse(line), fieldTypes))
+    }
+
+    await writer.close()
+  } finally {
+    await _removeTempFile(tempFilePath)
+  }
+
+  queue.emit('progress', 100)
+}
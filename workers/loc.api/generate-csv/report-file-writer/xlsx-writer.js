@@ -0,0 +1,92 @@
+'use strict'
+
+const { stream: { xlsx: { WorkbookWriter } } } = require('exceljs')
+
+const {
+  getReportSections,
+  getSectionValues
+} = require('./helpers')
+
+const MAX_SHEET_NAME_LENGTH = 31
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm:ss'
+
+const _getSheetName = (name, usedNames) => {
+  const _name = `${name}`
+    .replace(/[\\/?*[\]:]/g, ' ')
+    .slice(0, MAX_SHEET_NAME_LENGTH)
+  let sheetName = _name
+  let i = 1
+
+  while (usedNames.has(sheetName)) {
+    const suffix = ` ${i}`
+
+    sheetName = `${_name.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length)}${suffix}`
+    i += 1
+  }
+
+  usedNames.add(sheetName)
+
+  return sheetName
+}
+
+const _getColumns = ({ columns, formatSettings }) => {
+  return Object.entries({ ...columns }).map(([key, header]) => {
+    const isDate = (
+      formatSettings &&
+      typeof formatSettings === 'object' &&
+      formatSettings[key] === 'date'
+    )
+
+    return {
+      key,
+      header,
+      ...(isDate ? { style: { numFmt: DATE_FORMAT } } : {})
+    }
+  })
+}
+
+/**
+ * Each section of a report is written into a separate sheet
+ */
+module.exports = (rService) => async (
+  wStream,
+  jobData
+) => {
+  const queue = rService.ctx.lokue_aggregator.q
+  const workbook = new WorkbookWriter({
+    stream: wStream,
+    useStyles: true
+  })
+
+  queue.emit('progress', 0)
+
+  if (typeof jobData === 'string') {
+    const sheet = workbook.addWorksheet('message')
+
+    sheet.addRow([jobData]).commit()
+    sheet.commit()
+    await workbook.commit()
+    queue.emit('progress', 100)
+
+    return
+  }
+
+  const sections = await getReportSections(rService, jobData)
+  const usedSheetNames = new Set()
+
+  for (const section of sections) {
+    const sheet = workbook.addWorksheet(
+      _getSheetName(section.name, usedSheetNames)
+    )
+    sheet.columns = _getColumns(section)
+
+    for await (const row of section.rows) {
+      sheet.addRow(getSectionValues(section, row)).commit()
+    }
+
+    sheet.commit()
+  }
+
+  await workbook.commit()
+  queue.emit('progress', 100)
+}
@@ -4,9 +4,31 @@ const { cloneDeep } = require('lodash')
 
 const {
   paramsSchemaForCsv,
+  paramsSchemaForApi,
   paramsSchemaForCandlesApi: baseParamsSchemaForCandlesApi
 } = require('bfx-report/workers/loc.api/helpers/schema')
 
+const LEDGER_CATEGORY_RULE_MATCH_TYPES = require(
+  '../sync/ledger.category.rules/match.types'
+)
+const FOREX_SYMBS = require('../sync/helpers/forex-symbs')
+const REPORT_FILE_FORMATS = require(
+  '../generate-csv/report-file-writer/formats'
+)
+const WEBHOOK_EVENTS = require('../sync/webhooks/webhook.events')
+const ALERT_RULE_TYPES = require('../sync/alert.rules/alert.rule.types')
+const ALERT_RULE_WALLET_TYPES = require('../sync/alert.rules/wallet.types')
+
+const baseCurrency = {
+  type: 'string',
+  enum: FOREX_SYMBS
+}
+
+const format = {
+  type: 'string',
+  enum: Object.values(REPORT_FILE_FORMATS)
+}
+
 const subAccountApiKeys = {
   type: 'array',
   minItems: 1,
@@ -60,6 +82,29 @@ const paramsSchemaForCandlesApi = {
   }
 }
 
+const ledgerTag = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 255
+}
+
+const paramsSchemaForLedgersApi = {
+  ...cloneDeep(paramsSchemaForApi),
+  properties: {
+    ...cloneDeep(paramsSchemaForApi.properties),
+    tag: {
+      anyOf: [
+        ledgerTag,
+        {
+          type: 'array',
+          minItems: 1,
+          items: ledgerTag
+        }
+      ]
+    }
+  }
+}
+
 const paramsSchemaForEditAllPublicСollsСonfs = {
   type: 'object',
   properties: {
@@ -163,6 +208,75 @@ const paramsSchemaForEditCandlesСonf = {
   }
 }
 
+const paramsSchemaForEditSyncSchedule = {
+  type: 'object',
+  required: ['collName', 'rule'],
+  properties: {
+    collName: { type: 'string' },
+    rule: {
+      type: 'string',
+      pattern: '^\\s*(\\S+\\s+){4,5}\\S+\\s*$'
+    },
+    isEnable: { type: 'boolean' }
+  }
+}
+
+const paramsSchemaForRemoveSyncSchedule = {
+  type: 'object',
+  required: ['collName'],
+  properties: {
+    collName: { type: 'string' }
+  }
+}
+
+const paramsSchemaForAddLedgerCategoryRule = {
+  type: 'object',
+  required: ['pattern'],
+  anyOf: [
+    { required: ['category'] },
+    { required: ['tag'] }
+  ],
+  properties: {
+    pattern: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 255
+    },
+    matchType: {
+      type: 'string',
+      enum: Object.values(LEDGER_CATEGORY_RULE_MATCH_TYPES)
+    },
+    category: { type: 'integer' },
+    tag: ledgerTag
+  }
+}
+
+const paramsSchemaForRemoveLedgerCategoryRule = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'integer' }
+  }
+}
+
+const paramsSchemaForExportUserData = {
+  type: 'object',
+  properties: {
+    password: { type: 'string' }
+  }
+}
+
+const paramsSchemaForImportUserData = {
+  type: 'object',
+  required: ['archive'],
+  properties: {
+    archive: {
+      type: 'string',
+      minLength: 1
+    }
+  }
+}
+
 const paramsSchemaForRiskApi = {
   type: 'object',
   properties: {
@@ -213,7 +327,8 @@ const paramsSchemaForBalanceHistoryApi = {
     },
     end: {
       type: 'integer'
-    }
+    },
+    baseCurrency
   }
 }
 
@@ -226,12 +341,23 @@ const paramsSchemaForPositionsSnapshotApi = {
   }
 }
 
+const paramsSchemaForPositionLifecycleApi = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: {
+      type: 'integer'
+    }
+  }
+}
+
 const paramsSchemaForFullSnapshotReportApi = {
   type: 'object',
   properties: {
     end: {
       type: 'integer'
-    }
+    },
+    baseCurrency
   }
 }
 
@@ -271,7 +397,8 @@ const paramsSchemaForWinLossApi = {
     },
     end: {
       type: 'integer'
-    }
+    },
+    baseCurrency
   }
 }
 
@@ -286,6 +413,45 @@ const paramsSchemaForTradedVolumeApi = {
         'year'
       ]
     },
+    start: {
+      type: 'integer'
+    },
+    end: {
+      type: 'integer'
+    },
+    symbol: {
+      type: ['string', 'array']
+    },
+    baseCurrency
+  }
+}
+
+const paramsSchemaForTradingStatsApi = {
+  type: 'object',
+  properties: {
+    timeframe: {
+      type: 'string',
+      enum: [
+        'day',
+        'month',
+        'year'
+      ]
+    },
+    start: {
+      type: 'integer'
+    },
+    end: {
+      type: 'integer'
+    },
+    symbol: {
+      type: ['string', 'array']
+    }
+  }
+}
+
+const paramsSchemaForExecutionQualityApi = {
+  type: 'object',
+  properties: {
     start: {
       type: 'integer'
     },
@@ -317,7 +483,8 @@ const paramsSchemaForFeesReportApi = {
     },
     symbol: {
       type: ['string', 'array']
-    }
+    },
+    baseCurrency
   }
 }
 
@@ -344,6 +511,319 @@ const paramsSchemaForPerformingLoanApi = {
   }
 }
 
+const paramsSchemaForFundingEarningsApi = {
+  type: 'object',
+  properties: {
+    timeframe: {
+      type: 'string',
+      enum: [
+        'day',
+        'month',
+        'year'
+      ]
+    },
+    start: {
+      type: 'integer'
+    },
+    end: {
+      type: 'integer'
+    },
+    symbol: {
+      type: ['string', 'array']
+    }
+  }
+}
+
+const paramsSchemaForDerivativesFundingApi = {
+  type: 'object',
+  properties: {
+    timeframe: {
+      type: 'string',
+      enum: [
+        'day',
+        'month',
+        'year'
+      ]
+    },
+    start: {
+      type: 'integer'
+    },
+    end: {
+      type: 'integer'
+    },
+    symbol: {
+      type: ['string', 'array']
+    }
+  }
+}
+
+const paramsSchemaForMarginRiskApi = {
+  type: 'object',
+  properties: {
+    start: {
+      type: 'integer'
+    },
+    end: {
+      type: 'integer'
+    },
+    symbol: {
+      type: ['string', 'array']
+    },
+    bufferThresholdPerc: {
+      type: 'number',
+      minimum: 0
+    }
+  }
+}
+
+const paramsSchemaForCapitalGainsApi = {
+  type: 'object',
+  properties: {
+    start: {
+      type: 'integer'
+    },
+    end: {
+      type: 'integer'
+    },
+    symbol: {
+      type: ['string', 'array']
+    },
+    costBasisMethod: {
+      type: 'string',
+      enum: [
+        'FIFO',
+        'LIFO',
+        'HIFO',
+        'AVG'
+      ]
+    }
+  }
+}
+
+const paramsSchemaForPortfolioReturnsApi = {
+  type: 'object',
+  properties: {
+    timeframe: {
+      type: 'string',
+      enum: [
+        'day',
+        'month',
+        'year'
+      ]
+    },
+    start: {
+      type: 'integer'
+    },
+    end: {
+      type: 'integer'
+    }
+  }
+}
+
+const paramsSchemaForAggregateApi = {
+  type: 'object',
+  required: ['collName', 'aggregates'],
+  properties: {
+    collName: {
+      type: 'string',
+      minLength: 1
+    },
+    groupBy: {
+      type: 'array',
+      items: {
+        type: 'string',
+        minLength: 1
+      }
+    },
+    aggregates: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['fn'],
+        properties: {
+          fn: {
+            type: 'string',
+            enum: [
+              'sum',
+              'avg',
+              'min',
+              'max',
+              'count'
+            ]
+          },
+          field: {
+            type: 'string',
+            minLength: 1
+          }
+        }
+      }
+    },
+    filter: {
+      type: 'object'
+    },
+    start: {
+      type: 'integer'
+    },
+    end: {
+      type: 'integer'
+    }
+  }
+}
+
+const paramsSchemaForAuditLogApi = {
+  type: 'object',
+  properties: {
+    start: {
+      type: 'integer'
+    },
+    end: {
+      type: 'integer'
+    },
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 500
+    }
+  }
+}
+
+const paramsSchemaForAddWebhook = {
+  type: 'object',
+  required: ['url'],
+  properties: {
+    url: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 2048
+    },
+    events: {
+      type: 'array',
+      minItems: 1,
+      uniqueItems: true,
+      items: {
+        type: 'string',
+        enum: Object.values(WEBHOOK_EVENTS)
+      }
+    }
+  }
+}
+
+const paramsSchemaForRemoveWebhook = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'integer' }
+  }
+}
+
+const paramsSchemaForWebhookDeliveriesApi = {
+  type: 'object',
+  properties: {
+    webhookId: {
+      type: 'integer'
+    },
+    start: {
+      type: 'integer'
+    },
+    end: {
+      type: 'integer'
+    },
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 500
+    }
+  }
+}
+
+const paramsSchemaForAddAlertRule = {
+  type: 'object',
+  required: ['type', 'threshold'],
+  if: {
+    properties: {
+      type: { const: ALERT_RULE_TYPES.WALLET_BALANCE_USD_BELOW }
+    }
+  },
+  then: {
+    required: ['wallet']
+  },
+  properties: {
+    type: {
+      type: 'string',
+      enum: Object.values(ALERT_RULE_TYPES)
+    },
+    wallet: {
+      type: 'string',
+      enum: Object.values(ALERT_RULE_WALLET_TYPES)
+    },
+    currency: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 255
+    },
+    threshold: { type: 'number' }
+  }
+}
+
+const paramsSchemaForRemoveAlertRule = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'integer' }
+  }
+}
+
+const paramsSchemaForAlertHistoryApi = {
+  type: 'object',
+  properties: {
+    ruleId: {
+      type: 'integer'
+    },
+    start: {
+      type: 'integer'
+    },
+    end: {
+      type: 'integer'
+    },
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 500
+    }
+  }
+}
+
+const paramsSchemaForBalanceReconciliationApi = {
+  type: 'object',
+  properties: {
+    end: {
+      type: 'integer'
+    },
+    tolerance: {
+      type: 'number',
+      minimum: 0
+    }
+  }
+}
+
+const paramsSchemaForSyncHistoryApi = {
+  type: 'object',
+  properties: {
+    start: {
+      type: 'integer'
+    },
+    end: {
+      type: 'integer'
+    },
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100
+    }
+  }
+}
+
 const {
   timezone,
   dateFormat
@@ -353,6 +833,7 @@ const paramsSchemaForRiskCsv = {
   type: 'object',
   properties: {
     ...cloneDeep(paramsSchemaForRiskApi.properties),
+    format,
     timezone,
     dateFormat
   }
@@ -362,6 +843,7 @@ const paramsSchemaForBalanceHistoryCsv = {
   type: 'object',
   properties: {
     ...cloneDeep(paramsSchemaForBalanceHistoryApi.properties),
+    format,
     timezone,
     dateFormat
   }
@@ -371,6 +853,7 @@ const paramsSchemaForWinLossCsv = {
   type: 'object',
   properties: {
     ...cloneDeep(paramsSchemaForWinLossApi.properties),
+    format,
     timezone,
     dateFormat
   }
@@ -382,6 +865,7 @@ const paramsSchemaForPositionsSnapshotCsv = {
     end: {
       type: 'integer'
     },
+    format,
     timezone,
     dateFormat
   }
@@ -393,6 +877,8 @@ const paramsSchemaForFullSnapshotReportCsv = {
     end: {
       type: 'integer'
     },
+    baseCurrency,
+    format,
     timezone,
     dateFormat
   }
@@ -402,6 +888,7 @@ const paramsSchemaForFullTaxReportCsv = {
   type: 'object',
   properties: {
     ...cloneDeep(paramsSchemaForFullTaxReportApi.properties),
+    format,
     timezone,
     dateFormat
   }
@@ -411,6 +898,27 @@ const paramsSchemaForTradedVolumeCsv = {
   type: 'object',
   properties: {
     ...cloneDeep(paramsSchemaForTradedVolumeApi.properties),
+    format,
+    timezone,
+    dateFormat
+  }
+}
+
+const paramsSchemaForTradingStatsCsv = {
+  type: 'object',
+  properties: {
+    ...cloneDeep(paramsSchemaForTradingStatsApi.properties),
+    format,
+    timezone,
+    dateFormat
+  }
+}
+
+const paramsSchemaForExecutionQualityCsv = {
+  type: 'object',
+  properties: {
+    ...cloneDeep(paramsSchemaForExecutionQualityApi.properties),
+    format,
     timezone,
     dateFormat
   }
@@ -420,6 +928,7 @@ const paramsSchemaForFeesReportCsv = {
   type: 'object',
   properties: {
     ...cloneDeep(paramsSchemaForFeesReportApi.properties),
+    format,
     timezone,
     dateFormat
   }
@@ -429,6 +938,57 @@ const paramsSchemaForPerformingLoanCsv = {
   type: 'object',
   properties: {
     ...cloneDeep(paramsSchemaForPerformingLoanApi.properties),
+    format,
+    timezone,
+    dateFormat
+  }
+}
+
+const paramsSchemaForFundingEarningsCsv = {
+  type: 'object',
+  properties: {
+    ...cloneDeep(paramsSchemaForFundingEarningsApi.properties),
+    format,
+    timezone,
+    dateFormat
+  }
+}
+
+const paramsSchemaForDerivativesFundingCsv = {
+  type: 'object',
+  properties: {
+    ...cloneDeep(paramsSchemaForDerivativesFundingApi.properties),
+    format,
+    timezone,
+    dateFormat
+  }
+}
+
+const paramsSchemaForMarginRiskCsv = {
+  type: 'object',
+  properties: {
+    ...cloneDeep(paramsSchemaForMarginRiskApi.properties),
+    format,
+    timezone,
+    dateFormat
+  }
+}
+
+const paramsSchemaForCapitalGainsCsv = {
+  type: 'object',
+  properties: {
+    ...cloneDeep(paramsSchemaForCapitalGainsApi.properties),
+    format,
+    timezone,
+    dateFormat
+  }
+}
+
+const paramsSchemaForPortfolioReturnsCsv = {
+  type: 'object',
+  properties: {
+    ...cloneDeep(paramsSchemaForPortfolioReturnsApi.properties),
+    format,
     timezone,
     dateFormat
   }
@@ -438,6 +998,7 @@ const paramsSchemaForCandlesCsv = {
   type: 'object',
   properties: {
     ...cloneDeep(paramsSchemaForCandlesApi.properties),
+    format,
     timezone,
     dateFormat
   }
@@ -447,17 +1008,42 @@ module.exports = {
   paramsSchemaForEditAllPublicСollsСonfs,
   paramsSchemaForEditPublicСollsСonf,
   paramsSchemaForEditCandlesСonf,
+  paramsSchemaForEditSyncSchedule,
+  paramsSchemaForRemoveSyncSchedule,
+  paramsSchemaForAddLedgerCategoryRule,
+  paramsSchemaForRemoveLedgerCategoryRule,
+  paramsSchemaForExportUserData,
+  paramsSchemaForImportUserData,
+  paramsSchemaForLedgersApi,
   paramsSchemaForCreateSubAccount,
   paramsSchemaForUpdateSubAccount,
   paramsSchemaForRiskApi,
   paramsSchemaForBalanceHistoryApi,
   paramsSchemaForWinLossApi,
   paramsSchemaForPositionsSnapshotApi,
+  paramsSchemaForPositionLifecycleApi,
   paramsSchemaForFullSnapshotReportApi,
   paramsSchemaForFullTaxReportApi,
   paramsSchemaForTradedVolumeApi,
+  paramsSchemaForTradingStatsApi,
+  paramsSchemaForExecutionQualityApi,
   paramsSchemaForFeesReportApi,
   paramsSchemaForPerformingLoanApi,
+  paramsSchemaForFundingEarningsApi,
+  paramsSchemaForDerivativesFundingApi,
+  paramsSchemaForMarginRiskApi,
+  paramsSchemaForCapitalGainsApi,
+  paramsSchemaForPortfolioReturnsApi,
+  paramsSchemaForAggregateApi,
+  paramsSchemaForAuditLogApi,
+  paramsSchemaForAddWebhook,
+  paramsSchemaForRemoveWebhook,
+  paramsSchemaForWebhookDeliveriesApi,
+  paramsSchemaForAddAlertRule,
+  paramsSchemaForRemoveAlertRule,
+  paramsSchemaForAlertHistoryApi,
+  paramsSchemaForBalanceReconciliationApi,
+  paramsSchemaForSyncHistoryApi,
   paramsSchemaForCandlesApi,
   paramsSchemaForRiskCsv,
   paramsSchemaForBalanceHistoryCsv,
@@ -466,7 +1052,14 @@ module.exports = {
   paramsSchemaForFullSnapshotReportCsv,
   paramsSchemaForFullTaxReportCsv,
   paramsSchemaForTradedVolumeCsv,
+  paramsSchemaForTradingStatsCsv,
+  paramsSchemaForExecutionQualityCsv,
   paramsSchemaForFeesReportCsv,
   paramsSchemaForPerformingLoanCsv,
+  paramsSchemaForFundingEarningsCsv,
+  paramsSchemaForDerivativesFundingCsv,
+  paramsSchemaForMarginRiskCsv,
+  paramsSchemaForCapitalGainsCsv,
+  paramsSchemaForPortfolioReturnsCsv,
   paramsSchemaForCandlesCsv
 }
@@ -26,6 +26,7 @@ const {
   collObjToArr,
   getAuthFromSubAccountAuth
 } = require('./helpers')
+const SYNC_TRIGGERS = require('./sync/sync.history/sync.triggers')
 
 const INITIAL_PROGRESS = 'SYNCHRONIZATION_HAS_NOT_STARTED_YET'
 
@@ -37,6 +38,11 @@ class FrameworkReportService extends ReportService {
     await super._initialize()
 
     await this._databaseInitialize(db)
+
+    const { lokue_aggregator: lokueAggregator } = { ...this.ctx }
+    this._webhooks.listenToReportQueue(
+      lokueAggregator && lokueAggregator.q
+    )
   }
 
   async _databaseInitialize (db) {
@@ -55,6 +61,7 @@ class FrameworkReportService extends ReportService {
       { state: this._SYNC_QUEUE_STATES.LOCKED_JOB_STATE },
       { state: this._SYNC_QUEUE_STATES.NEW_JOB_STATE }
     )
+    await this._webhooks.resumePendingDeliveries()
   }
 
   async _checkAuthInApi (args) {
@@ -82,10 +89,27 @@ class FrameworkReportService extends ReportService {
     }
   }
 
+  _auditedResponder (handler, name, args, cb) {
+    return this._responder(
+      this._auditLog.wrapHandler(handler, name, args),
+      name,
+      cb
+    )
+  }
+
+  _auditedPrivResponder (handler, name, args, cb) {
+    return this._privResponder(
+      this._auditLog.wrapHandler(handler, name, args),
+      name,
+      args,
+      cb
+    )
+  }
+
   signUp (space, args, cb) {
-    return this._responder(() => {
+    return this._auditedResponder(() => {
       return this._authenticator.signUp(args)
-    }, 'signUp', cb)
+    }, 'signUp', args, cb)
   }
 
   signIn (space, args, cb) {
@@ -101,7 +125,7 @@ class FrameworkReportService extends ReportService {
   }
 
   recoverPassword (space, args, cb) {
-    return this._responder(() => {
+    return this._auditedResponder(() => {
       const { auth } = { ...args }
       const { isSubAccount } = { ...auth }
 
@@ -110,7 +134,7 @@ class FrameworkReportService extends ReportService {
       }
 
       return this._authenticator.recoverPassword(args)
-    }, 'recoverPassword', cb)
+    }, 'recoverPassword', args, cb)
   }
 
   verifyUser (space, args, cb) {
@@ -153,27 +177,43 @@ class FrameworkReportService extends ReportService {
   }
 
   removeUser (space, args, cb) {
-    return this._responder(() => {
+    return this._auditedResponder(() => {
       return this._authenticator.removeUser(args)
-    }, 'removeUser', cb)
+    }, 'removeUser', args, cb)
   }
 
   createSubAccount (space, args, cb) {
-    return this._responder(() => {
+    return this._auditedResponder(() => {
       checkParams(args, 'paramsSchemaForCreateSubAccount')
 
       return this._subAccount
         .createSubAccount(args)
-    }, 'createSubAccount', cb)
+    }, 'createSubAccount', args, cb)
   }
 
   updateSubAccount (space, args, cb) {
-    return this._responder(() => {
+    return this._auditedResponder(() => {
       checkParams(args, 'paramsSchemaForUpdateSubAccount')
 
       return this._subAccount
         .updateSubAccount(args)
-    }, 'updateSubAccount', cb)
+    }, 'updateSubAccount', args, cb)
+  }
+
+  exportUserData (space, args = {}, cb) {
+    return this._privResponder(() => {
+      checkParams(args, 'paramsSchemaForExportUserData')
+
+      return this._userDataArchive.exportUserData(args)
+    }, 'exportUserData', args, cb)
+  }
+
+  importUserData (space, args, cb) {
+    return this._auditedResponder(() => {
+      checkParams(args, 'paramsSchemaForImportUserData')
+
+      return this._userDataArchive.importUserData(args)
+    }, 'importUserData', args, cb)
   }
 
   pingApi (space, args, cb) {
@@ -208,7 +248,7 @@ class FrameworkReportService extends ReportService {
   }
 
   enableSyncMode (space, args, cb) {
-    return this._responder(async () => {
+    return this._auditedResponder(async () => {
       await this._authenticator.signIn(
         args,
         {
@@ -220,14 +260,18 @@ class FrameworkReportService extends ReportService {
         this._TABLES_NAMES.SYNC_MODE,
         { isEnable: true }
       )
-      await this._sync.start(true)
+      await this._sync.start(
+        true,
+        this._ALLOWED_COLLS.ALL,
+        { trigger: SYNC_TRIGGERS.SIGN_IN }
+      )
 
       return true
-    }, 'enableSyncMode', cb)
+    }, 'enableSyncMode', args, cb)
   }
 
   disableSyncMode (space, args, cb) {
-    return this._responder(async () => {
+    return this._auditedResponder(async () => {
       await this._authenticator.signIn(
         args,
         {
@@ -244,7 +288,7 @@ class FrameworkReportService extends ReportService {
       )
 
       return progress
-    }, 'disableSyncMode', cb)
+    }, 'disableSyncMode', args, cb)
   }
 
   isSyncModeWithDbData (space, args, cb) {
@@ -275,19 +319,22 @@ class FrameworkReportService extends ReportService {
   }
 
   enableScheduler (space, args, cb) {
-    return this._privResponder(async () => {
+    return this._auditedPrivResponder(async () => {
       await this._dao.updateRecordOf(
         this._TABLES_NAMES.SCHEDULER,
         { isEnable: true }
       )
 
-      return this._sync
-        .start(true, this._ALLOWED_COLLS.ALL)
+      return this._sync.start(
+        true,
+        this._ALLOWED_COLLS.ALL,
+        { trigger: SYNC_TRIGGERS.CONF_CHANGE }
+      )
     }, 'enableScheduler', args, cb)
   }
 
   disableScheduler (space, args, cb) {
-    return this._privResponder(async () => {
+    return this._auditedPrivResponder(async () => {
       await this._dao.updateRecordOf(
         this._TABLES_NAMES.SCHEDULER,
         { isEnable: false }
@@ -314,36 +361,102 @@ class FrameworkReportService extends ReportService {
 
   getSyncProgress (space, args, cb) {
     return this._privResponder(async () => {
-      const { auth } = { ...args }
+      const { auth, params } = { ...args }
       const { isDataFromDb } = { ...auth }
+      const { isThrottlingStateReturned } = { ...params }
       const isSchedulerEnabled = await this.isSchedulerEnabled()
 
-      return (
+      const progress = (
         isDataFromDb &&
         isSchedulerEnabled
       )
-        ? this._progress.getProgress()
+        ? await this._progress.getProgress()
         : false
+
+      if (!isThrottlingStateReturned) {
+        return progress
+      }
+
+      return {
+        progress,
+        throttling: this._progress.getThrottlingState()
+      }
     }, 'getSyncProgress', args, cb)
   }
 
-  syncNow (space, args = {}, cb) {
+  getSyncHistory (space, args, cb) {
     return this._privResponder(() => {
+      checkParams(args, 'paramsSchemaForSyncHistoryApi')
+
+      return this._syncHistory.getSyncHistory(args)
+    }, 'getSyncHistory', args, cb)
+  }
+
+  syncNow (space, args = {}, cb) {
+    return this._auditedPrivResponder(() => {
       const { params } = { ...args }
       const {
         syncColls = this._ALLOWED_COLLS.ALL
       } = { ...params }
 
-      return this._sync.start(true, syncColls)
+      return this._sync.start(
+        true,
+        syncColls,
+        { trigger: SYNC_TRIGGERS.SYNC_NOW }
+      )
     }, 'syncNow', args, cb)
   }
 
   stopSyncNow (space, args, cb) {
-    return this._privResponder(() => {
+    return this._auditedPrivResponder(() => {
       return this._sync.stop()
     }, 'stopSyncNow', args, cb)
   }
 
+  getSyncSchedules (space, args, cb) {
+    return this._privResponder(() => {
+      return this._syncSchedules.getSyncSchedules()
+    }, 'getSyncSchedules', args, cb)
+  }
+
+  editSyncSchedule (space, args = {}, cb) {
+    return this._auditedPrivResponder(() => {
+      checkParams(args, 'paramsSchemaForEditSyncSchedule')
+
+      return this._syncSchedules.editSyncSchedule(args)
+    }, 'editSyncSchedule', args, cb)
+  }
+
+  removeSyncSchedule (space, args = {}, cb) {
+    return this._auditedPrivResponder(() => {
+      checkParams(args, 'paramsSchemaForRemoveSyncSchedule')
+
+      return this._syncSchedules.removeSyncSchedule(args)
+    }, 'removeSyncSchedule', args, cb)
+  }
+
+  getLedgerCategoryRules (space, args = {}, cb) {
+    return this._privResponder(() => {
+      return this._ledgerCategoryRules.getLedgerCategoryRules(args)
+    }, 'getLedgerCategoryRules', args, cb)
+  }
+
+  addLedgerCategoryRule (space, args = {}, cb) {
+    return this._auditedPrivResponder(() => {
+      checkParams(args, 'paramsSchemaForAddLedgerCategoryRule')
+
+      return this._ledgerCategoryRules.addLedgerCategoryRule(args)
+    }, 'addLedgerCategoryRule', args, cb)
+  }
+
+  removeLedgerCategoryRule (space, args = {}, cb) {
+    return this._auditedPrivResponder(() => {
+      checkParams(args, 'paramsSchemaForRemoveLedgerCategoryRule')
+
+      return this._ledgerCategoryRules.removeLedgerCategoryRule(args)
+    }, 'removeLedgerCategoryRule', args, cb)
+  }
+
   getPublicTradesConf (space, args = {}, cb) {
     return this._privResponder(() => {
       return this._publicСollsСonfAccessors
@@ -373,63 +486,86 @@ class FrameworkReportService extends ReportService {
   }
 
   editPublicTradesConf (space, args = {}, cb) {
-    return this._privResponder(async () => {
+    return this._auditedPrivResponder(async () => {
       checkParams(args, 'paramsSchemaForEditPublicСollsСonf')
 
       await this._publicСollsСonfAccessors
         .editPublicСollsСonf('publicTradesConf', args)
-      await this._sync.start(true, this._ALLOWED_COLLS.PUBLIC_TRADES)
+      await this._sync.start(
+        true,
+        this._ALLOWED_COLLS.PUBLIC_TRADES,
+        { trigger: SYNC_TRIGGERS.CONF_CHANGE }
+      )
 
       return true
     }, 'editPublicTradesConf', args, cb)
   }
 
   editTickersHistoryConf (space, args = {}, cb) {
-    return this._privResponder(async () => {
+    return this._auditedPrivResponder(async () => {
       checkParams(args, 'paramsSchemaForEditPublicСollsСonf')
 
       await this._publicСollsСonfAccessors
         .editPublicСollsСonf('tickersHistoryConf', args)
-      await this._sync.start(true, this._ALLOWED_COLLS.TICKERS_HISTORY)
+      await this._sync.start(
+        true,
+        this._ALLOWED_COLLS.TICKERS_HISTORY,
+        { trigger: SYNC_TRIGGERS.CONF_CHANGE }
+      )
 
       return true
     }, 'editTickersHistoryConf', args, cb)
   }
 
   editStatusMessagesConf (space, args = {}, cb) {
-    return this._privResponder(async () => {
+    return this._auditedPrivResponder(async () => {
       checkParams(args, 'paramsSchemaForEditPublicСollsСonf')
 
       await this._publicСollsСonfAccessors
         .editPublicСollsСonf('statusMessagesConf', args)
-      await this._sync.start(true, this._ALLOWED_COLLS.STATUS_MESSAGES)
+      await this._sync.start(
+        true,
+        [
+          this._ALLOWED_COLLS.STATUS_MESSAGES,
+          this._ALLOWED_COLLS.STATUS_MESSAGES_HISTORY
+        ],
+        { trigger: SYNC_TRIGGERS.CONF_CHANGE }
+      )
 
       return true
     }, 'editStatusMessagesConf', args, cb)
   }
 
   editCandlesConf (space, args = {}, cb) {
-    return this._privResponder(async () => {
+    return this._auditedPrivResponder(async () => {
       checkParams(args, 'paramsSchemaForEditCandlesСonf')
 
       await this._publicСollsСonfAccessors
         .editPublicСollsСonf('candlesConf', args)
-      await this._sync.start(true, this._ALLOWED_COLLS.CANDLES)
+      await this._sync.start(
+        true,
+        this._ALLOWED_COLLS.CANDLES,
+        { trigger: SYNC_TRIGGERS.CONF_CHANGE }
+      )
 
       return true
     }, 'editCandlesConf', args, cb)
   }
 
   editAllPublicСollsСonfs (space, args = {}, cb) {
-    return this._privResponder(async () => {
+    return this._auditedPrivResponder(async () => {
       checkParams(args, 'paramsSchemaForEditAllPublicСollsСonfs')
 
       const syncedColls = await this._publicСollsСonfAccessors
         .editAllPublicСollsСonfs(args)
-      await this._sync.start(true, syncedColls)
+      await this._sync.start(
+        true,
+        syncedColls,
+        { trigger: SYNC_TRIGGERS.CONF_CHANGE }
+      )
 
       return true
-    }, 'editCandlesConf', args, cb)
+    }, 'editAllPublicСollsСonfs', args, cb)
   }
 
   getAllPublicСollsСonfs (space, args = {}, cb) {
@@ -623,7 +759,7 @@ class FrameworkReportService extends ReportService {
           )
       }
 
-      checkParams(args, 'paramsSchemaForApi')
+      checkParams(args, 'paramsSchemaForLedgersApi')
 
       return this._dao.findInCollBy(
         this._SYNC_API_METHODS.LEDGERS,
@@ -1084,7 +1220,7 @@ class FrameworkReportService extends ReportService {
    * @override
    */
   updateSettings (space, args, cb) {
-    return this._privResponder(async () => {
+    return this._auditedPrivResponder(async () => {
       const { auth } = { ...args }
       const { apiKey, apiSecret } = { ...auth }
       const _args = {
@@ -1113,6 +1249,18 @@ class FrameworkReportService extends ReportService {
     }, 'getWallets', args, cb)
   }
 
+  getBalanceReconciliation (space, args, cb) {
+    return this._privResponder(async () => {
+      if (!await this.isSyncModeWithDbData(space, args)) {
+        throw new DuringSyncMethodAccessError()
+      }
+
+      checkParams(args, 'paramsSchemaForBalanceReconciliationApi')
+
+      return this._balanceReconciliation.getBalanceReconciliation(args)
+    }, 'getBalanceReconciliation', args, cb)
+  }
+
   getBalanceHistory (space, args, cb) {
     return this._privResponder(async () => {
       if (!await this.isSyncModeWithDbData(space, args)) {
@@ -1149,6 +1297,18 @@ class FrameworkReportService extends ReportService {
     }, 'getPositionsSnapshot', args, cb)
   }
 
+  getPositionLifecycle (space, args, cb) {
+    return this._privResponder(async () => {
+      if (!await this.isSyncModeWithDbData(space, args)) {
+        throw new DuringSyncMethodAccessError()
+      }
+
+      checkParams(args, 'paramsSchemaForPositionLifecycleApi')
+
+      return this._positionLifecycle.getPositionLifecycle(args)
+    }, 'getPositionLifecycle', args, cb)
+  }
+
   getFullSnapshotReport (space, args, cb) {
     return this._privResponder(async () => {
       if (!await this.isSyncModeWithDbData(space, args)) {
@@ -1185,6 +1345,30 @@ class FrameworkReportService extends ReportService {
     }, 'getTradedVolume', args, cb)
   }
 
+  getTradingStats (space, args, cb) {
+    return this._privResponder(async () => {
+      if (!await this.isSyncModeWithDbData(space, args)) {
+        throw new DuringSyncMethodAccessError()
+      }
+
+      checkParams(args, 'paramsSchemaForTradingStatsApi')
+
+      return this._tradingStats.getTradingStats(args)
+    }, 'getTradingStats', args, cb)
+  }
+
+  getExecutionQuality (space, args, cb) {
+    return this._privResponder(async () => {
+      if (!await this.isSyncModeWithDbData(space, args)) {
+        throw new DuringSyncMethodAccessError()
+      }
+
+      checkParams(args, 'paramsSchemaForExecutionQualityApi')
+
+      return this._executionQuality.getExecutionQuality(args)
+    }, 'getExecutionQuality', args, cb)
+  }
+
   getFeesReport (space, args, cb) {
     return this._privResponder(async () => {
       if (!await this.isSyncModeWithDbData(space, args)) {
@@ -1209,6 +1393,152 @@ class FrameworkReportService extends ReportService {
     }, 'getPerformingLoan', args, cb)
   }
 
+  getFundingEarnings (space, args, cb) {
+    return this._privResponder(async () => {
+      if (!await this.isSyncModeWithDbData(space, args)) {
+        throw new DuringSyncMethodAccessError()
+      }
+
+      checkParams(args, 'paramsSchemaForFundingEarningsApi')
+
+      return this._fundingEarnings.getFundingEarnings(args)
+    }, 'getFundingEarnings', args, cb)
+  }
+
+  getDerivativesFunding (space, args, cb) {
+    return this._privResponder(async () => {
+      if (!await this.isSyncModeWithDbData(space, args)) {
+        throw new DuringSyncMethodAccessError()
+      }
+
+      checkParams(args, 'paramsSchemaForDerivativesFundingApi')
+
+      return this._derivativesFunding.getDerivativesFunding(args)
+    }, 'getDerivativesFunding', args, cb)
+  }
+
+  getMarginRisk (space, args, cb) {
+    return this._privResponder(async () => {
+      if (!await this.isSyncModeWithDbData(space, args)) {
+        throw new DuringSyncMethodAccessError()
+      }
+
+      checkParams(args, 'paramsSchemaForMarginRiskApi')
+
+      return this._marginRisk.getMarginRisk(args)
+    }, 'getMarginRisk', args, cb)
+  }
+
+  getCapitalGains (space, args, cb) {
+    return this._privResponder(async () => {
+      if (!await this.isSyncModeWithDbData(space, args)) {
+        throw new DuringSyncMethodAccessError()
+      }
+
+      checkParams(args, 'paramsSchemaForCapitalGainsApi')
+
+      return this._capitalGains.getCapitalGains(args)
+    }, 'getCapitalGains', args, cb)
+  }
+
+  getPortfolioReturns (space, args, cb) {
+    return this._privResponder(async () => {
+      if (!await this.isSyncModeWithDbData(space, args)) {
+        throw new DuringSyncMethodAccessError()
+      }
+
+      checkParams(args, 'paramsSchemaForPortfolioReturnsApi')
+
+      return this._portfolioReturns.getPortfolioReturns(args)
+    }, 'getPortfolioReturns', args, cb)
+  }
+
+  aggregate (space, args, cb) {
+    return this._privResponder(async () => {
+      if (!await this.isSyncModeWithDbData(space, args)) {
+        throw new DuringSyncMethodAccessError()
+      }
+
+      checkParams(args, 'paramsSchemaForAggregateApi')
+
+      return this._aggregator.aggregate(args)
+    }, 'aggregate', args, cb)
+  }
+
+  getAuditLog (space, args, cb) {
+    return this._privResponder(() => {
+      checkParams(args, 'paramsSchemaForAuditLogApi')
+
+      return this._auditLog.getAuditLog(args)
+    }, 'getAuditLog', args, cb)
+  }
+
+  verifyAuditLog (space, args, cb) {
+    return this._privResponder(() => {
+      return this._auditLog.verifyAuditLog(args)
+    }, 'verifyAuditLog', args, cb)
+  }
+
+  addWebhook (space, args, cb) {
+    return this._auditedPrivResponder(() => {
+      checkParams(args, 'paramsSchemaForAddWebhook')
+
+      return this._webhooks.addWebhook(args)
+    }, 'addWebhook', args, cb)
+  }
+
+  getWebhooks (space, args, cb) {
+    return this._privResponder(() => {
+      return this._webhooks.getWebhooks(args)
+    }, 'getWebhooks', args, cb)
+  }
+
+  removeWebhook (space, args, cb) {
+    return this._auditedPrivResponder(() => {
+      checkParams(args, 'paramsSchemaForRemoveWebhook')
+
+      return this._webhooks.removeWebhook(args)
+    }, 'removeWebhook', args, cb)
+  }
+
+  getWebhookDeliveries (space, args, cb) {
+    return this._privResponder(() => {
+      checkParams(args, 'paramsSchemaForWebhookDeliveriesApi')
+
+      return this._webhooks.getWebhookDeliveries(args)
+    }, 'getWebhookDeliveries', args, cb)
+  }
+
+  addAlertRule (space, args, cb) {
+    return this._auditedPrivResponder(() => {
+      checkParams(args, 'paramsSchemaForAddAlertRule')
+
+      return this._alertRules.addAlertRule(args)
+    }, 'addAlertRule', args, cb)
+  }
+
+  getAlertRules (space, args, cb) {
+    return this._privResponder(() => {
+      return this._alertRules.getAlertRules(args)
+    }, 'getAlertRules', args, cb)
+  }
+
+  removeAlertRule (space, args, cb) {
+    return this._auditedPrivResponder(() => {
+      checkParams(args, 'paramsSchemaForRemoveAlertRule')
+
+      return this._alertRules.removeAlertRule(args)
+    }, 'removeAlertRule', args, cb)
+  }
+
+  getAlertHistory (space, args, cb) {
+    return this._privResponder(() => {
+      checkParams(args, 'paramsSchemaForAlertHistoryApi')
+
+      return this._alertRules.getAlertHistory(args)
+    }, 'getAlertHistory', args, cb)
+  }
+
   /**
    * @override
    */
@@ -1275,6 +1605,24 @@ class FrameworkReportService extends ReportService {
     }, 'getTradedVolumeCsv', cb)
   }
 
+  getTradingStatsCsv (space, args, cb) {
+    return this._responder(() => {
+      return this._generateCsv(
+        'getTradingStatsCsvJobData',
+        args
+      )
+    }, 'getTradingStatsCsv', cb)
+  }
+
+  getExecutionQualityCsv (space, args, cb) {
+    return this._responder(() => {
+      return this._generateCsv(
+        'getExecutionQualityCsvJobData',
+        args
+      )
+    }, 'getExecutionQualityCsv', cb)
+  }
+
   getFeesReportCsv (space, args, cb) {
     return this._responder(() => {
       return this._generateCsv(
@@ -1293,6 +1641,51 @@ class FrameworkReportService extends ReportService {
     }, 'getPerformingLoanCsv', cb)
   }
 
+  getFundingEarningsCsv (space, args, cb) {
+    return this._responder(() => {
+      return this._generateCsv(
+        'getFundingEarningsCsvJobData',
+        args
+      )
+    }, 'getFundingEarningsCsv', cb)
+  }
+
+  getDerivativesFundingCsv (space, args, cb) {
+    return this._responder(() => {
+      return this._generateCsv(
+        'getDerivativesFundingCsvJobData',
+        args
+      )
+    }, 'getDerivativesFundingCsv', cb)
+  }
+
+  getMarginRiskCsv (space, args, cb) {
+    return this._responder(() => {
+      return this._generateCsv(
+        'getMarginRiskCsvJobData',
+        args
+      )
+    }, 'getMarginRiskCsv', cb)
+  }
+
+  getCapitalGainsCsv (space, args, cb) {
+    return this._responder(() => {
+      return this._generateCsv(
+        'getCapitalGainsCsvJobData',
+        args
+      )
+    }, 'getCapitalGainsCsv', cb)
+  }
+
+  getPortfolioReturnsCsv (space, args, cb) {
+    return this._responder(() => {
+      return this._generateCsv(
+        'getPortfolioReturnsCsvJobData',
+        args
+      )
+    }, 'getPortfolioReturnsCsv', cb)
+  }
+
   getCandlesCsv (space, args, cb) {
     return this._responder(async () => {
       if (!await this.isSyncModeWithDbData(space, args)) {
@@ -6,6 +6,31 @@ const BaseReportService = require(
 
 const SYNC_API_METHODS = require('./sync/schema/sync.api.methods')
 
+const STATUS_MESSAGES_HISTORY_MAX_LIMIT = 5000
+/*
+ * Indexes of `status/deriv/{key}/hist` items,
+ * they are the same as of `status/deriv` ones without the key
+ */
+const STATUS_MESSAGES_HISTORY_FIELDS = {
+  timestamp: 0,
+  price: 2,
+  priceSpot: 3,
+  fundBal: 5,
+  fundingAccrued: 8,
+  fundingStep: 9,
+  clampMin: 21,
+  clampMax: 22
+}
+
+const _getStatusMessagesHistoryItem = (key, item) => {
+  return Object.entries(STATUS_MESSAGES_HISTORY_FIELDS)
+    .reduce((accum, [fieldName, index]) => {
+      accum[fieldName] = item[index]
+
+      return accum
+    }, { key })
+}
+
 class ReportService extends BaseReportService {
   [SYNC_API_METHODS.TICKERS_HISTORY] (args) {
     return super.getTickersHistory(null, args)
@@ -35,6 +60,62 @@ class ReportService extends BaseReportService {
     return super.getStatusMessages(null, args)
   }
 
+  async _getStatusMessagesHistoryFromApi (path, notThrowError) {
+    try {
+      const rest = this._getREST({})
+
+      return await rest._makePublicRequest(path)
+    } catch (err) {
+      if (notThrowError) {
+        return []
+      }
+
+      throw err
+    }
+  }
+
+  /**
+   * The `status/deriv` endpoint returns the last snapshot only,
+   * the history of each key is taken from `status/deriv/{key}/hist`
+   */
+  async [SYNC_API_METHODS.STATUS_MESSAGES_HISTORY] (args) {
+    const { params } = { ...args }
+    const {
+      symbol,
+      start = 0,
+      end = Date.now(),
+      limit = STATUS_MESSAGES_HISTORY_MAX_LIMIT,
+      notThrowError
+    } = { ...params }
+    const key = Array.isArray(symbol)
+      ? symbol[0]
+      : symbol
+    const _limit = Math.min(limit, STATUS_MESSAGES_HISTORY_MAX_LIMIT)
+    const path = `/status/deriv/${encodeURIComponent(key)}/hist` +
+      `?start=${start}&end=${end}&limit=${_limit}&sort=-1`
+
+    const apiRes = await this._getStatusMessagesHistoryFromApi(
+      path,
+      notThrowError
+    )
+    const res = Array.isArray(apiRes)
+      ? apiRes
+        .filter((item) => Array.isArray(item))
+        .map((item) => _getStatusMessagesHistoryItem(key, item))
+      : []
+    const lastItem = res[res.length - 1]
+
+    return {
+      res,
+      nextPage: (
+        res.length >= _limit &&
+        Number.isInteger(lastItem.timestamp)
+      )
+        ? lastItem.timestamp
+        : false
+    }
+  }
+
   [SYNC_API_METHODS.ORDERS] (args) {
     return super.getOrders(null, args)
   }
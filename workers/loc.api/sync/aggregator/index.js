@@ -0,0 +1,235 @@
+'use strict'
+
+const { upperFirst } = require('lodash')
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../di/types')
+const {
+  AggregationParamsError
+} = require('../../errors')
+const {
+  isInsertableArrObjTypeOfColl
+} = require('../schema/utils')
+
+const TIMEFRAMES = ['day', 'week', 'month', 'year']
+const AGGREGATE_FNS = ['sum', 'avg', 'min', 'max', 'count']
+const NUMERIC_AGGREGATE_FNS = ['sum', 'avg']
+const NUMERIC_TYPE_REGEXP = /^(BIGINT|INT|INTEGER|DECIMAL|NUMERIC|REAL|FLOAT|DOUBLE)\b/i
+const SERVICE_FIELDS = ['_id', 'user_id', 'subUserId']
+const TIMEFRAME_ALIAS = 'timeframe'
+
+class Aggregator {
+  constructor (
+    dao,
+    syncSchema
+  ) {
+    this.dao = dao
+    this.syncSchema = syncSchema
+  }
+
+  /**
+   * Only private collections with a date field
+   * are available for aggregation
+   */
+  _getMethodByCollName (collName) {
+    const methodCollMap = this.syncSchema.getMethodCollMap()
+
+    for (const [method, methodColl] of methodCollMap) {
+      if (
+        methodColl.name === collName &&
+        methodColl.dateFieldName &&
+        isInsertableArrObjTypeOfColl(methodColl)
+      ) {
+        return { method, methodColl }
+      }
+    }
+
+    throw new AggregationParamsError()
+  }
+
+  _isAllowedField (model, field) {
+    return (
+      field &&
+      typeof field === 'string' &&
+      typeof model[field] === 'string' &&
+      !/^_.*/.test(field) &&
+      SERVICE_FIELDS.every((name) => name !== field)
+    )
+  }
+
+  _isNumericField (model, field) {
+    return (
+      this._isAllowedField(model, field) &&
+      NUMERIC_TYPE_REGEXP.test(model[field])
+    )
+  }
+
+  _getGroupItem (groupBy, methodColl) {
+    const {
+      model,
+      dateFieldName,
+      symbolFieldName
+    } = methodColl
+
+    if (TIMEFRAMES.some((item) => item === groupBy)) {
+      return {
+        expression: this.dao.getTimeframeQuery(
+          groupBy,
+          { propName: dateFieldName, alias: TIMEFRAME_ALIAS }
+        ),
+        alias: TIMEFRAME_ALIAS
+      }
+    }
+    if (
+      groupBy === 'symbol' &&
+      this._isAllowedField(model, symbolFieldName)
+    ) {
+      return {
+        expression: symbolFieldName === groupBy
+          ? groupBy
+          : `${symbolFieldName} AS ${groupBy}`,
+        alias: groupBy
+      }
+    }
+    if (
+      groupBy === 'category' &&
+      typeof model._category === 'string'
+    ) {
+      return {
+        expression: `_category AS ${groupBy}`,
+        alias: groupBy
+      }
+    }
+    if (this._isAllowedField(model, groupBy)) {
+      return {
+        expression: groupBy,
+        alias: groupBy
+      }
+    }
+
+    throw new AggregationParamsError()
+  }
+
+  _getGroupItems (groupBy, methodColl) {
+    const _groupBy = Array.isArray(groupBy)
+      ? groupBy
+      : []
+    const groupItems = [...new Set(_groupBy)]
+      .map((item) => this._getGroupItem(item, methodColl))
+    const timeframesCount = groupItems
+      .filter(({ alias }) => alias === TIMEFRAME_ALIAS)
+      .length
+    const isAliasDuplicated = groupItems.some(({ alias }, i) => (
+      groupItems.findIndex((item) => item.alias === alias) !== i
+    ))
+
+    if (
+      timeframesCount > 1 ||
+      isAliasDuplicated
+    ) {
+      throw new AggregationParamsError()
+    }
+
+    return groupItems
+  }
+
+  _getAggregateItem (aggregate, model) {
+    const { fn, field } = { ...aggregate }
+
+    if (!AGGREGATE_FNS.some((item) => item === fn)) {
+      throw new AggregationParamsError()
+    }
+    if (
+      fn === 'count' &&
+      typeof field === 'undefined'
+    ) {
+      return {
+        expression: `COUNT(*) AS ${fn}`,
+        alias: fn
+      }
+    }
+
+    const isNumericFn = NUMERIC_AGGREGATE_FNS.some((item) => item === fn)
+    const isValidField = isNumericFn
+      ? this._isNumericField(model, field)
+      : this._isAllowedField(model, field)
+
+    if (!isValidField) {
+      throw new AggregationParamsError()
+    }
+
+    const alias = `${fn}${upperFirst(field)}`
+
+    return {
+      expression: `${fn.toUpperCase()}(${field}) AS ${alias}`,
+      alias
+    }
+  }
+
+  _getAggregateItems (aggregates, methodColl) {
+    if (
+      !Array.isArray(aggregates) ||
+      aggregates.length === 0
+    ) {
+      throw new AggregationParamsError()
+    }
+
+    const { model } = methodColl
+    const aggregateItems = aggregates
+      .map((item) => this._getAggregateItem(item, model))
+
+    return aggregateItems.filter(({ alias }, i) => (
+      aggregateItems.findIndex((item) => item.alias === alias) === i
+    ))
+  }
+
+  /**
+   * Groups synced data of the collection and applies aggregate functions,
+   * all identifiers of the query are checked against the model
+   * to not pass user input into sql
+   */
+  aggregate (args) {
+    const { auth, params } = { ...args }
+    const {
+      collName,
+      groupBy,
+      aggregates,
+      ...filterParams
+    } = { ...params }
+
+    const {
+      method,
+      methodColl
+    } = this._getMethodByCollName(collName)
+    const groupItems = this._getGroupItems(groupBy, methodColl)
+    const aggregateItems = this._getAggregateItems(aggregates, methodColl)
+
+    const projection = [...groupItems, ...aggregateItems]
+      .map(({ expression }) => expression)
+    const groupResBy = groupItems.map(({ alias }) => alias)
+    const sort = groupResBy.map((alias) => [
+      alias,
+      alias === TIMEFRAME_ALIAS ? -1 : 1
+    ])
+
+    return this.dao.aggregateInCollBy(
+      method,
+      { auth, params: filterParams },
+      {
+        projection,
+        groupResBy,
+        sort
+      }
+    )
+  }
+}
+
+decorate(injectable(), Aggregator)
+decorate(inject(TYPES.DAO), Aggregator, 0)
+decorate(inject(TYPES.SyncSchema), Aggregator, 1)
+
+module.exports = Aggregator
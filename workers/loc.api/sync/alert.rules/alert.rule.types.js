@@ -0,0 +1,11 @@
+'use strict'
+
+const WALLET_BALANCE_USD_BELOW = 'walletBalanceUsdBelow'
+const DAILY_WIN_LOSS_PERC_BELOW = 'dailyWinLossPercBelow'
+const PERFORMING_LOAN_PERC_BELOW = 'performingLoanPercBelow'
+
+module.exports = {
+  WALLET_BALANCE_USD_BELOW,
+  DAILY_WIN_LOSS_PERC_BELOW,
+  PERFORMING_LOAN_PERC_BELOW
+}
@@ -0,0 +1,461 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../di/types')
+const ALERT_RULE_TYPES = require('./alert.rule.types')
+
+const MAX_LIMIT = 500
+const DAY_MS = 24 * 60 * 60 * 1000
+
+class AlertRules {
+  constructor (
+    dao,
+    TABLES_NAMES,
+    authenticator,
+    wallets,
+    winLoss,
+    performingLoan,
+    wsEventEmitter,
+    logger
+  ) {
+    this.dao = dao
+    this.TABLES_NAMES = TABLES_NAMES
+    this.authenticator = authenticator
+    this.wallets = wallets
+    this.winLoss = winLoss
+    this.performingLoan = performingLoan
+    this.wsEventEmitter = wsEventEmitter
+    this.logger = logger
+  }
+
+  _getUser (auth) {
+    return this.authenticator
+      .verifyRequestUser({ auth })
+  }
+
+  _getStartOfDayMts (mts) {
+    const date = new Date(mts)
+
+    return date.setUTCHours(0, 0, 0, 0)
+  }
+
+  _getLastUsdVal (groupedData) {
+    if (!Array.isArray(groupedData)) {
+      return null
+    }
+
+    const lastItem = groupedData.reduce((accum, item) => {
+      const { mts, USD } = { ...item }
+
+      if (
+        !Number.isFinite(USD) ||
+        (accum && accum.mts >= mts)
+      ) {
+        return accum
+      }
+
+      return { mts, USD }
+    }, null)
+
+    return lastItem
+      ? lastItem.USD
+      : null
+  }
+
+  _sumBalanceUsd (wallets, filterFn = () => true) {
+    if (!Array.isArray(wallets)) {
+      return 0
+    }
+
+    return wallets.reduce((accum, wallet) => {
+      const { balanceUsd } = { ...wallet }
+
+      return (
+        Number.isFinite(balanceUsd) &&
+        filterFn(wallet)
+      )
+        ? accum + balanceUsd
+        : accum
+    }, 0)
+  }
+
+  async _getWalletBalanceUsd (auth, rule, mts) {
+    const { wallet, currency } = rule
+    const wallets = await this.wallets.getWallets({
+      auth,
+      params: { end: mts }
+    })
+
+    return this._sumBalanceUsd(wallets, ({ type, currency: ccy }) => (
+      type === wallet &&
+      (!currency || ccy === currency)
+    ))
+  }
+
+  /**
+   * The win/loss of the current UTC day relative
+   * to the USD balance at the beginning of the day
+   */
+  async _getDailyWinLossPerc (auth, mts) {
+    const start = this._getStartOfDayMts(mts)
+    const [winLoss, startWallets] = await Promise.all([
+      this.winLoss.getWinLoss({
+        auth,
+        params: { timeframe: 'day', start, end: mts }
+      }),
+      this.wallets.getWallets({
+        auth,
+        params: { end: start }
+      })
+    ])
+    const amount = this._getLastUsdVal(winLoss)
+    const startBalanceUsd = this._sumBalanceUsd(startWallets)
+
+    if (
+      !Number.isFinite(amount) ||
+      !startBalanceUsd
+    ) {
+      return null
+    }
+
+    return (amount / startBalanceUsd) * 100
+  }
+
+  /**
+   * Funding payments come once a day, so the last
+   * finished day is taken into account as well
+   */
+  async _getPerformingLoanPerc (auth, mts) {
+    const start = this._getStartOfDayMts(mts) - DAY_MS
+    const performingLoan = await this.performingLoan
+      .getPerformingLoan({
+        auth,
+        params: { timeframe: 'day', start, end: mts }
+      })
+
+    if (!Array.isArray(performingLoan)) {
+      return null
+    }
+
+    const lastItem = performingLoan.reduce((accum, item) => {
+      const { mts, perc } = { ...item }
+
+      if (
+        !Number.isFinite(perc) ||
+        (accum && accum.mts >= mts)
+      ) {
+        return accum
+      }
+
+      return { mts, perc }
+    }, null)
+
+    return lastItem
+      ? lastItem.perc
+      : null
+  }
+
+  _getRuleValue (auth, rule, mts) {
+    const { type } = rule
+
+    if (type === ALERT_RULE_TYPES.WALLET_BALANCE_USD_BELOW) {
+      return this._getWalletBalanceUsd(auth, rule, mts)
+    }
+    if (type === ALERT_RULE_TYPES.DAILY_WIN_LOSS_PERC_BELOW) {
+      return this._getDailyWinLossPerc(auth, mts)
+    }
+    if (type === ALERT_RULE_TYPES.PERFORMING_LOAN_PERC_BELOW) {
+      return this._getPerformingLoanPerc(auth, mts)
+    }
+
+    return null
+  }
+
+  _getEnabledRules () {
+    return this.dao.getElemsInCollBy(
+      this.TABLES_NAMES.ALERT_RULES,
+      {
+        filter: { isEnable: 1 },
+        sort: [['_id', 1]]
+      }
+    )
+  }
+
+  /**
+   * Sub-users of the sub-account have the same `_id`,
+   * so rules are evaluated once per user, the sub-account
+   * is taken as a whole without the certain sub-user
+   */
+  _getUsersAuth (auth) {
+    const usersAuth = new Map()
+
+    if (!(auth instanceof Map)) {
+      return usersAuth
+    }
+
+    for (const [, payload] of auth) {
+      const { _id } = { ...payload }
+
+      if (
+        !Number.isInteger(_id) ||
+        usersAuth.has(_id)
+      ) {
+        continue
+      }
+
+      usersAuth.set(_id, { ...payload, subUser: null })
+    }
+
+    return usersAuth
+  }
+
+  async _triggerAlert (rule, value, mts) {
+    const {
+      _id: ruleId,
+      type,
+      wallet,
+      currency,
+      threshold,
+      user_id: userId
+    } = rule
+    const alert = {
+      ruleId,
+      type,
+      wallet,
+      currency,
+      value,
+      threshold,
+      mts
+    }
+
+    await this.dao.insertElemToDb(
+      this.TABLES_NAMES.ALERT_HISTORY,
+      {
+        ...alert,
+        user_id: userId
+      }
+    )
+    await this.wsEventEmitter.emitAlertTriggered((user) => {
+      if (user._id !== userId) {
+        return null
+      }
+
+      return alert
+    })
+  }
+
+  /**
+   * The alert is triggered only once when the value
+   * crosses the threshold, the rule is rearmed
+   * when the value goes back above the threshold
+   */
+  async _evaluateRule (auth, rule, mts) {
+    const value = await this._getRuleValue(auth, rule, mts)
+
+    if (!Number.isFinite(value)) {
+      return
+    }
+
+    const isBelow = value < rule.threshold
+    const isTriggered = !!rule.isTriggered
+
+    if (isBelow === isTriggered) {
+      return
+    }
+    if (isBelow) {
+      await this._triggerAlert(rule, value, mts)
+    }
+
+    await this.dao.updateCollBy(
+      this.TABLES_NAMES.ALERT_RULES,
+      { _id: rule._id },
+      { isTriggered: isBelow ? 1 : 0 }
+    )
+  }
+
+  async evaluateRules (auth) {
+    const rules = await this._getEnabledRules()
+
+    if (
+      !Array.isArray(rules) ||
+      rules.length === 0
+    ) {
+      return
+    }
+
+    const usersAuth = this._getUsersAuth(auth)
+    const mts = Date.now()
+
+    for (const rule of rules) {
+      const userAuth = usersAuth.get(rule.user_id)
+
+      if (!userAuth) {
+        continue
+      }
+
+      try {
+        await this._evaluateRule(userAuth, rule, mts)
+      } catch (err) {
+        this.logger.error(
+          `ALERT_RULES:EVALUATE: ${err.stack || err}`
+        )
+      }
+    }
+  }
+
+  async getAlertRules (args) {
+    const { auth } = { ...args }
+    const user = await this._getUser(auth)
+
+    const rules = await this.dao.getElemsInCollBy(
+      this.TABLES_NAMES.ALERT_RULES,
+      {
+        filter: { user_id: user._id },
+        sort: [['_id', 1]]
+      }
+    )
+
+    return rules.map(({
+      _id: id,
+      type,
+      wallet,
+      currency,
+      threshold,
+      isEnable,
+      isTriggered,
+      createdAt
+    }) => ({
+      id,
+      type,
+      wallet,
+      currency,
+      threshold,
+      isEnable: !!isEnable,
+      isTriggered: !!isTriggered,
+      createdAt
+    }))
+  }
+
+  async addAlertRule (args) {
+    const { auth, params } = { ...args }
+    const {
+      type,
+      wallet = null,
+      currency = null,
+      threshold
+    } = { ...params }
+    const isWalletRule = (
+      type === ALERT_RULE_TYPES.WALLET_BALANCE_USD_BELOW
+    )
+
+    const user = await this._getUser(auth)
+    const createdAt = Date.now()
+
+    await this.dao.insertElemToDb(
+      this.TABLES_NAMES.ALERT_RULES,
+      {
+        type,
+        wallet: isWalletRule ? wallet : null,
+        currency: isWalletRule ? currency : null,
+        threshold,
+        isEnable: 1,
+        isTriggered: 0,
+        createdAt,
+        user_id: user._id
+      }
+    )
+
+    const { _id: id } = await this.dao.getElemInCollBy(
+      this.TABLES_NAMES.ALERT_RULES,
+      { user_id: user._id, createdAt },
+      [['_id', -1]]
+    )
+
+    return { id }
+  }
+
+  async removeAlertRule (args) {
+    const { auth, params } = { ...args }
+    const { id } = { ...params }
+
+    const user = await this._getUser(auth)
+
+    const res = await this.dao.removeElemsFromDb(
+      this.TABLES_NAMES.ALERT_RULES,
+      user,
+      { _id: id }
+    )
+
+    return (
+      res &&
+      typeof res === 'object' &&
+      res.changes > 0
+    )
+  }
+
+  async getAlertHistory (args) {
+    const { auth, params } = { ...args }
+    const {
+      ruleId,
+      start = 0,
+      end = Date.now(),
+      limit = MAX_LIMIT
+    } = { ...params }
+
+    const user = await this._getUser(auth)
+    const ruleFilter = Number.isInteger(ruleId)
+      ? { ruleId }
+      : {}
+
+    const alerts = await this.dao.getElemsInCollBy(
+      this.TABLES_NAMES.ALERT_HISTORY,
+      {
+        filter: {
+          user_id: user._id,
+          ...ruleFilter,
+          $gte: { mts: start },
+          $lte: { mts: end }
+        },
+        sort: [['mts', -1], ['_id', -1]],
+        limit: Math.min(limit, MAX_LIMIT)
+      }
+    )
+
+    return alerts.map(({
+      _id: id,
+      ruleId,
+      type,
+      wallet,
+      currency,
+      value,
+      threshold,
+      mts
+    }) => ({
+      id,
+      ruleId,
+      type,
+      wallet,
+      currency,
+      value,
+      threshold,
+      mts
+    }))
+  }
+}
+
+decorate(injectable(), AlertRules)
+decorate(inject(TYPES.DAO), AlertRules, 0)
+decorate(inject(TYPES.TABLES_NAMES), AlertRules, 1)
+decorate(inject(TYPES.Authenticator), AlertRules, 2)
+decorate(inject(TYPES.Wallets), AlertRules, 3)
+decorate(inject(TYPES.WinLoss), AlertRules, 4)
+decorate(inject(TYPES.PerformingLoan), AlertRules, 5)
+decorate(inject(TYPES.WSEventEmitter), AlertRules, 6)
+decorate(inject(TYPES.Logger), AlertRules, 7)
+
+module.exports = AlertRules
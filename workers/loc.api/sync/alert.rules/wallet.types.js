@@ -0,0 +1,11 @@
+'use strict'
+
+const EXCHANGE = 'exchange'
+const MARGIN = 'margin'
+const FUNDING = 'funding'
+
+module.exports = {
+  EXCHANGE,
+  MARGIN,
+  FUNDING
+}
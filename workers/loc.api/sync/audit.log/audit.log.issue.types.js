@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = {
+  EDITED: 'EDITED',
+  BROKEN_LINK: 'BROKEN_LINK',
+  GAP: 'GAP'
+}
@@ -0,0 +1,6 @@
+'use strict'
+
+module.exports = {
+  SUCCESS: 'SUCCESS',
+  FAILURE: 'FAILURE'
+}
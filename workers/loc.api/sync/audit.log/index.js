@@ -0,0 +1,404 @@
+'use strict'
+
+const { createHash } = require('crypto')
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../di/types')
+const AUDIT_LOG_STATUSES = require('./audit.log.statuses')
+const AUDIT_LOG_ISSUE_TYPES = require('./audit.log.issue.types')
+
+const GENESIS_HASH = '0'.repeat(64)
+const REDACTED_VAL = '[REDACTED]'
+const SENSITIVE_KEY_REGEXP = /password|secret|apikey|token|jwt|archive/i
+const BATCH_LIMIT = 10000
+const MAX_LIMIT = 500
+
+class AuditLog {
+  constructor (
+    dao,
+    TABLES_NAMES,
+    authenticator,
+    logger
+  ) {
+    this.dao = dao
+    this.TABLES_NAMES = TABLES_NAMES
+    this.authenticator = authenticator
+    this.logger = logger
+
+    this._writingPromise = Promise.resolve()
+  }
+
+  _sanitize (val) {
+    if (Array.isArray(val)) {
+      return val.map((item) => this._sanitize(item))
+    }
+    if (
+      !val ||
+      typeof val !== 'object'
+    ) {
+      return val
+    }
+
+    return Object.entries(val).reduce((accum, [key, item]) => {
+      accum[key] = SENSITIVE_KEY_REGEXP.test(key)
+        ? REDACTED_VAL
+        : this._sanitize(item)
+
+      return accum
+    }, {})
+  }
+
+  /**
+   * Only request params are kept, the user is identified
+   * by `user_id` so the auth object is not stored at all
+   */
+  _serializeArgs (args) {
+    const { params } = { ...args }
+
+    if (typeof params === 'undefined') {
+      return null
+    }
+
+    return JSON.stringify(this._sanitize(params))
+  }
+
+  _calcHash (entry) {
+    const {
+      seq,
+      prevHash,
+      mts,
+      method,
+      args,
+      status,
+      error,
+      user_id: userId
+    } = { ...entry }
+    const payload = JSON.stringify([
+      seq,
+      prevHash,
+      mts,
+      method,
+      args,
+      status,
+      error,
+      userId
+    ])
+
+    return createHash('sha256')
+      .update(payload)
+      .digest('hex')
+  }
+
+  /**
+   * Returns the user id without verifying the credentials,
+   * it's done by the audited handler itself
+   */
+  async _getUserId (args) {
+    const { auth } = { ...args }
+    const {
+      _id,
+      email,
+      isSubAccount = false,
+      token
+    } = { ...auth }
+
+    if (Number.isInteger(_id)) {
+      return _id
+    }
+
+    try {
+      const user = token && typeof token === 'string'
+        ? this.authenticator.getUserSessionByToken(token)
+        : await this._getUserByEmail(email, isSubAccount)
+      const { _id } = { ...user }
+
+      return Number.isInteger(_id)
+        ? _id
+        : null
+    } catch (err) {
+      return null
+    }
+  }
+
+  _getUserByEmail (email, isSubAccount) {
+    if (
+      !email ||
+      typeof email !== 'string'
+    ) {
+      return null
+    }
+
+    return this.authenticator.getUser(
+      { email, isSubAccount },
+      { projection: ['_id'] }
+    )
+  }
+
+  async _insertEntry (data) {
+    const lastEntry = await this.dao.getElemInCollBy(
+      this.TABLES_NAMES.AUDIT_LOGS,
+      {},
+      [['seq', -1]]
+    )
+    const {
+      seq: lastSeq,
+      hash: lastHash
+    } = { ...lastEntry }
+    const entry = {
+      seq: Number.isInteger(lastSeq) ? lastSeq + 1 : 1,
+      prevHash: lastHash || GENESIS_HASH,
+      ...data
+    }
+
+    await this.dao.insertElemToDb(
+      this.TABLES_NAMES.AUDIT_LOGS,
+      {
+        ...entry,
+        hash: this._calcHash(entry)
+      }
+    )
+  }
+
+  /**
+   * Entries are written one by one to have
+   * the correct previous hash for each of them
+   */
+  addEntry ({
+    userId,
+    method,
+    args,
+    status,
+    error
+  } = {}) {
+    const data = {
+      mts: Date.now(),
+      method,
+      args: this._serializeArgs(args),
+      status,
+      error: error || null,
+      user_id: Number.isInteger(userId) ? userId : null
+    }
+    const promise = this._writingPromise
+      .then(() => this._insertEntry(data))
+
+    this._writingPromise = promise.catch(() => {})
+
+    return promise
+  }
+
+  async _addEntrySafely (entry) {
+    try {
+      await this.addEntry(entry)
+    } catch (err) {
+      this.logger.error(
+        `AUDIT_LOG:ADD_ENTRY: ${err.stack || err}`
+      )
+    }
+  }
+
+  /**
+   * Wraps the RPC handler to write the audit entry with the result
+   * status, writing errors don't affect the handler result
+   */
+  wrapHandler (handler, method, args) {
+    return async (...handlerArgs) => {
+      const userIdBeforeCall = await this._getUserId(args)
+
+      try {
+        const res = await handler(...handlerArgs)
+        const userId = Number.isInteger(userIdBeforeCall)
+          ? userIdBeforeCall
+          : await this._getUserId(args)
+
+        await this._addEntrySafely({
+          userId,
+          method,
+          args,
+          status: AUDIT_LOG_STATUSES.SUCCESS
+        })
+
+        return res
+      } catch (err) {
+        await this._addEntrySafely({
+          userId: userIdBeforeCall,
+          method,
+          args,
+          status: AUDIT_LOG_STATUSES.FAILURE,
+          error: err && err.message
+        })
+
+        throw err
+      }
+    }
+  }
+
+  async getAuditLog (args) {
+    const { auth, params } = { ...args }
+    const {
+      start = 0,
+      end = Date.now(),
+      limit = MAX_LIMIT
+    } = { ...params }
+    const user = await this.authenticator
+      .verifyRequestUser({ auth })
+
+    const entries = await this.dao.getElemsInCollBy(
+      this.TABLES_NAMES.AUDIT_LOGS,
+      {
+        filter: {
+          user_id: user._id,
+          $gte: { mts: start },
+          $lte: { mts: end }
+        },
+        sort: [['mts', -1], ['seq', -1]],
+        limit: Math.min(limit, MAX_LIMIT)
+      }
+    )
+
+    return entries.map(({
+      seq,
+      mts,
+      method,
+      args,
+      status,
+      error,
+      prevHash,
+      hash
+    }) => ({
+      seq,
+      mts,
+      method,
+      args: typeof args === 'string'
+        ? JSON.parse(args)
+        : null,
+      status,
+      error,
+      prevHash,
+      hash
+    }))
+  }
+
+  async _getPrevHash (seq, prevEntry) {
+    if (seq <= 1) {
+      return GENESIS_HASH
+    }
+    if (
+      prevEntry &&
+      prevEntry.seq === seq - 1
+    ) {
+      return prevEntry.hash
+    }
+
+    const entry = await this.dao.getElemInCollBy(
+      this.TABLES_NAMES.AUDIT_LOGS,
+      { seq: seq - 1 }
+    )
+
+    return entry && typeof entry === 'object'
+      ? entry.hash
+      : null
+  }
+
+  /**
+   * Walks through the hash chain entries of the user, edited entries
+   * are detected by the hash, removed ones by the sequence number and
+   * by the previous hash link, the previous entry may belong
+   * to another user so only its hash is taken
+   */
+  async verifyAuditLog (args) {
+    const { auth } = { ...args }
+    const user = await this.authenticator
+      .verifyRequestUser({ auth })
+
+    const issues = []
+    let prevEntry = null
+    let checkedEntriesCount = 0
+    let _id = 0
+
+    while (true) {
+      const entries = await this.dao.getElemsInCollBy(
+        this.TABLES_NAMES.AUDIT_LOGS,
+        {
+          filter: {
+            user_id: user._id,
+            $gt: { _id }
+          },
+          sort: [['_id', 1]],
+          limit: BATCH_LIMIT
+        }
+      )
+
+      if (
+        !Array.isArray(entries) ||
+        entries.length === 0
+      ) {
+        break
+      }
+
+      for (const entry of entries) {
+        const { seq, hash } = entry
+        const prevHash = await this._getPrevHash(seq, prevEntry)
+
+        if (
+          !prevHash &&
+          seq > 1
+        ) {
+          issues.push({
+            seq,
+            type: AUDIT_LOG_ISSUE_TYPES.GAP,
+            expectedSeq: seq - 1
+          })
+        }
+        if (
+          prevHash &&
+          entry.prevHash !== prevHash
+        ) {
+          issues.push({
+            seq,
+            type: AUDIT_LOG_ISSUE_TYPES.BROKEN_LINK
+          })
+        }
+        if (hash !== this._calcHash(entry)) {
+          issues.push({
+            seq,
+            type: AUDIT_LOG_ISSUE_TYPES.EDITED
+          })
+        }
+
+        prevEntry = entry
+        checkedEntriesCount += 1
+      }
+
+      if (entries.length < BATCH_LIMIT) {
+        break
+      }
+
+      _id = entries[entries.length - 1]._id
+    }
+
+    const {
+      seq: lastSeq = 0,
+      hash: lastHash = GENESIS_HASH
+    } = { ...prevEntry }
+
+    return {
+      isValid: issues.length === 0,
+      checkedEntriesCount,
+      lastSeq,
+      lastHash,
+      issues
+    }
+  }
+}
+
+decorate(injectable(), AuditLog)
+decorate(inject(TYPES.DAO), AuditLog, 0)
+decorate(inject(TYPES.TABLES_NAMES), AuditLog, 1)
+decorate(inject(TYPES.Authenticator), AuditLog, 2)
+decorate(inject(TYPES.Logger), AuditLog, 3)
+
+module.exports = AuditLog
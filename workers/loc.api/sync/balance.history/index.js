@@ -15,7 +15,6 @@ const {
   groupByTimeframe,
   isForexSymb
 } = require('../helpers')
-const { getTimeframeQuery } = require('../dao/helpers')
 
 class BalanceHistory {
   constructor (
@@ -34,6 +33,21 @@ class BalanceHistory {
     this.ALLOWED_COLLS = ALLOWED_COLLS
   }
 
+  /**
+   * Balances of all wallets are taken if the type is not passed
+   */
+  _filterWalletsByType (wallets, wallet) {
+    if (
+      !wallet ||
+      typeof wallet !== 'string' ||
+      !Array.isArray(wallets)
+    ) {
+      return wallets
+    }
+
+    return wallets.filter(({ type }) => type === wallet)
+  }
+
   _groupWalletsByCurrency (wallets = []) {
     return wallets.reduce((
       accum,
@@ -74,7 +88,7 @@ class BalanceHistory {
     start,
     end
   }) {
-    const sqlTimeframe = getTimeframeQuery(timeframe)
+    const sqlTimeframe = this.dao.getTimeframeQuery(timeframe)
     const schema = {
       groupResBy: ['wallet', 'currency', 'timeframe'],
       dataStructureConverter: (accum, {
@@ -293,7 +307,7 @@ class BalanceHistory {
     isSubCalc
   ) {
     const {
-      params: { end } = {}
+      params: { end, wallet } = {}
     } = { ...args }
     const startWallets = this.FOREX_SYMBS
       .reduce((accum, symb) => {
@@ -302,7 +316,10 @@ class BalanceHistory {
           [symb]: 0
         }
       }, {})
-    const lastWallets = await this.wallets.getWallets(args)
+    const lastWallets = this._filterWalletsByType(
+      await this.wallets.getWallets(args),
+      wallet
+    )
 
     const res = lastWallets.reduce((accum, movement = {}) => {
       const { balance, balanceUsd, currency } = { ...movement }
@@ -371,19 +388,28 @@ class BalanceHistory {
       params: {
         timeframe = 'day',
         start = 0,
-        end = Date.now()
+        end = Date.now(),
+        baseCurrency = 'USD',
+        wallet
       } = {}
     } = {},
     isSubCalc = false
   ) {
     if (Number.isInteger(timeframe)) {
-      return this._getWalletsGroupedByOneTimeframe(
+      const res = await this._getWalletsGroupedByOneTimeframe(
         {
           auth,
-          params: { end }
+          params: { end, wallet }
         },
         isSubCalc
       )
+
+      return isSubCalc
+        ? res
+        : this.currencyConverter.convertGroupedDataToBaseCurrency(
+          res,
+          { baseCurrency }
+        )
     }
 
     const args = {
@@ -401,14 +427,16 @@ class BalanceHistory {
     const candlesPromise = this._getCandles(args)
 
     const [
-      firstWallets,
-      wallets,
+      allFirstWallets,
+      allWallets,
       candles
     ] = await Promise.all([
       firstWalletsPromise,
       walletsPromise,
       candlesPromise
     ])
+    const firstWallets = this._filterWalletsByType(allFirstWallets, wallet)
+    const wallets = this._filterWalletsByType(allWallets, wallet)
 
     const firstWalletsGroupedByCurrency = this._groupWalletsByCurrency(
       firstWallets
@@ -450,7 +478,12 @@ class BalanceHistory {
       true
     )
 
-    return res
+    return isSubCalc
+      ? res
+      : this.currencyConverter.convertGroupedDataToBaseCurrency(
+        res,
+        { baseCurrency }
+      )
   }
 }
 
@@ -0,0 +1,347 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+const {
+  getDataFromApi
+} = require('bfx-report/workers/loc.api/helpers')
+
+const TYPES = require('../../di/types')
+const SUSPICIOUS_RANGE_TYPES = require('./suspicious.range.types')
+
+const DEFAULT_TOLERANCE = 0.000001
+const LEDGERS_LIMIT = 10000
+const MAX_RANGES = 10
+
+class BalanceReconciliation {
+  constructor (
+    dao,
+    ALLOWED_COLLS,
+    rService,
+    wallets,
+    authenticator
+  ) {
+    this.dao = dao
+    this.ALLOWED_COLLS = ALLOWED_COLLS
+    this.rService = rService
+    this.wallets = wallets
+    this.authenticator = authenticator
+  }
+
+  _getKey ({ type, currency }) {
+    return `${type}:${currency}`
+  }
+
+  _isValidWallet (wallet) {
+    const {
+      type,
+      currency,
+      balance
+    } = { ...wallet }
+
+    return (
+      type &&
+      typeof type === 'string' &&
+      currency &&
+      typeof currency === 'string' &&
+      Number.isFinite(balance)
+    )
+  }
+
+  _sumByWallet (wallets) {
+    return wallets.reduce((accum, wallet) => {
+      if (!this._isValidWallet(wallet)) {
+        return accum
+      }
+
+      const { type, currency, balance } = wallet
+      const key = this._getKey(wallet)
+      const item = accum.get(key)
+
+      accum.set(key, {
+        type,
+        currency,
+        balance: item
+          ? item.balance + balance
+          : balance
+      })
+
+      return accum
+    }, new Map())
+  }
+
+  /**
+   * Sub-account wallets are the sum of the wallets of the sub-users,
+   * the same way as the ledger balances are recalculated for them
+   */
+  async _getExchangeWallets (user, end) {
+    const {
+      apiKey,
+      apiSecret,
+      isSubAccount,
+      subUsers
+    } = { ...user }
+    const authArr = (
+      isSubAccount &&
+      Array.isArray(subUsers)
+    )
+      ? subUsers
+      : [{ apiKey, apiSecret }]
+    const wallets = []
+
+    for (const { apiKey, apiSecret } of authArr) {
+      const res = await getDataFromApi(
+        (space, args) => this.rService._getWallets(args),
+        {
+          auth: { apiKey, apiSecret },
+          params: { end }
+        }
+      )
+
+      if (Array.isArray(res)) {
+        wallets.push(...res)
+      }
+    }
+
+    return this._sumByWallet(wallets)
+  }
+
+  async _getLedgersWallets (user, end) {
+    const wallets = await this.wallets.getWallets({
+      auth: user,
+      params: { end }
+    })
+
+    return wallets.reduce((accum, wallet) => {
+      if (!this._isValidWallet(wallet)) {
+        return accum
+      }
+
+      accum.set(this._getKey(wallet), wallet)
+
+      return accum
+    }, new Map())
+  }
+
+  _getNativeBalance (ledger) {
+    const { _nativeBalance, balance } = { ...ledger }
+
+    return Number.isFinite(_nativeBalance)
+      ? _nativeBalance
+      : balance
+  }
+
+  _groupBySubUser (ledgers) {
+    return ledgers.reduce((accum, ledger) => {
+      const { subUserId = null } = ledger
+
+      if (!accum.has(subUserId)) {
+        accum.set(subUserId, [])
+      }
+
+      accum.get(subUserId).push(ledger)
+
+      return accum
+    }, new Map())
+  }
+
+  /**
+   * Each ledger balance has to be equal to the previous one
+   * plus the ledger amount, a break of the chain means
+   * missed or changed ledgers in the range,
+   * an intact chain means not yet synced ledgers after the last one
+   */
+  async _findSuspiciousLedgerRanges (user, wallet, opts) {
+    const { type, currency } = wallet
+    const { end, tolerance } = opts
+
+    const ledgers = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.LEDGERS,
+      {
+        filter: {
+          user_id: user._id,
+          wallet: type,
+          currency,
+          $lte: { mts: end }
+        },
+        sort: [['mts', -1], ['id', -1]],
+        projection: [
+          'id',
+          'mts',
+          'amount',
+          'balance',
+          '_nativeBalance',
+          'subUserId'
+        ],
+        limit: LEDGERS_LIMIT
+      }
+    )
+
+    if (
+      !Array.isArray(ledgers) ||
+      ledgers.length === 0
+    ) {
+      return [{
+        type: SUSPICIOUS_RANGE_TYPES.NO_LEDGERS,
+        start: null,
+        end,
+        firstLedgerId: null,
+        lastLedgerId: null,
+        expectedBalance: null,
+        balance: null
+      }]
+    }
+
+    const ranges = []
+    const ledgersGroupedBySubUser = this._groupBySubUser(
+      [...ledgers].reverse()
+    )
+
+    for (const [, _ledgers] of ledgersGroupedBySubUser) {
+      for (let i = 1; _ledgers.length > i; i += 1) {
+        const prevLedger = _ledgers[i - 1]
+        const ledger = _ledgers[i]
+        const prevBalance = this._getNativeBalance(prevLedger)
+        const balance = this._getNativeBalance(ledger)
+
+        if (
+          !Number.isFinite(prevBalance) ||
+          !Number.isFinite(balance) ||
+          !Number.isFinite(ledger.amount)
+        ) {
+          continue
+        }
+
+        const expectedBalance = prevBalance + ledger.amount
+
+        if (Math.abs(balance - expectedBalance) <= tolerance) {
+          continue
+        }
+
+        ranges.push({
+          type: SUSPICIOUS_RANGE_TYPES.BALANCE_CHAIN_BREAK,
+          start: prevLedger.mts,
+          end: ledger.mts,
+          firstLedgerId: prevLedger.id,
+          lastLedgerId: ledger.id,
+          expectedBalance,
+          balance
+        })
+      }
+    }
+
+    if (ranges.length === 0) {
+      const [lastLedger] = ledgers
+
+      return [{
+        type: SUSPICIOUS_RANGE_TYPES.NOT_SYNCED_LEDGERS,
+        start: lastLedger.mts,
+        end,
+        firstLedgerId: lastLedger.id,
+        lastLedgerId: null,
+        expectedBalance: wallet.exchangeBalance,
+        balance: wallet.ledgersBalance
+      }]
+    }
+
+    return ranges
+      .sort((a, b) => (
+        Math.abs(b.balance - b.expectedBalance) -
+        Math.abs(a.balance - a.expectedBalance)
+      ))
+      .slice(0, MAX_RANGES)
+  }
+
+  _getDiffUsd (ledgersWallet, diff) {
+    const { balance, balanceUsd } = { ...ledgersWallet }
+
+    if (
+      !Number.isFinite(balance) ||
+      !Number.isFinite(balanceUsd) ||
+      balance === 0
+    ) {
+      return null
+    }
+
+    return diff * (balanceUsd / balance)
+  }
+
+  async getBalanceReconciliation (args) {
+    const { auth, params } = { ...args }
+    const {
+      end = Date.now(),
+      tolerance = DEFAULT_TOLERANCE
+    } = { ...params }
+
+    const user = await this.authenticator
+      .verifyRequestUser({ auth })
+
+    const [
+      exchangeWallets,
+      ledgersWallets
+    ] = await Promise.all([
+      this._getExchangeWallets(user, end),
+      this._getLedgersWallets(user, end)
+    ])
+
+    const keys = new Set([
+      ...exchangeWallets.keys(),
+      ...ledgersWallets.keys()
+    ])
+    const wallets = []
+
+    for (const key of [...keys].sort()) {
+      const exchangeWallet = exchangeWallets.get(key)
+      const ledgersWallet = ledgersWallets.get(key)
+      const { type, currency } = exchangeWallet || ledgersWallet
+      const exchangeBalance = exchangeWallet
+        ? exchangeWallet.balance
+        : 0
+      const ledgersBalance = ledgersWallet
+        ? ledgersWallet.balance
+        : 0
+      const diff = exchangeBalance - ledgersBalance
+      const isDiscrepancy = Math.abs(diff) > tolerance
+      const wallet = {
+        type,
+        currency,
+        exchangeBalance,
+        ledgersBalance,
+        diff,
+        diffUsd: this._getDiffUsd(ledgersWallet, diff),
+        isDiscrepancy,
+        suspiciousLedgerRanges: []
+      }
+
+      if (isDiscrepancy) {
+        wallet.suspiciousLedgerRanges = await this
+          ._findSuspiciousLedgerRanges(
+            user,
+            wallet,
+            { end, tolerance }
+          )
+      }
+
+      wallets.push(wallet)
+    }
+
+    return {
+      end,
+      tolerance,
+      isReconciled: wallets.every(({ isDiscrepancy }) => !isDiscrepancy),
+      wallets
+    }
+  }
+}
+
+decorate(injectable(), BalanceReconciliation)
+decorate(inject(TYPES.DAO), BalanceReconciliation, 0)
+decorate(inject(TYPES.ALLOWED_COLLS), BalanceReconciliation, 1)
+decorate(inject(TYPES.RService), BalanceReconciliation, 2)
+decorate(inject(TYPES.Wallets), BalanceReconciliation, 3)
+decorate(inject(TYPES.Authenticator), BalanceReconciliation, 4)
+
+module.exports = BalanceReconciliation
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = {
+  BALANCE_CHAIN_BREAK: 'BALANCE_CHAIN_BREAK',
+  NOT_SYNCED_LEDGERS: 'NOT_SYNCED_LEDGERS',
+  NO_LEDGERS: 'NO_LEDGERS'
+}
@@ -0,0 +1,13 @@
+'use strict'
+
+const FIFO = 'FIFO'
+const LIFO = 'LIFO'
+const HIFO = 'HIFO'
+const AVG = 'AVG'
+
+module.exports = {
+  FIFO,
+  LIFO,
+  HIFO,
+  AVG
+}
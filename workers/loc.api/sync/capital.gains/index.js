@@ -0,0 +1,491 @@
+'use strict'
+
+const moment = require('moment')
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+const {
+  splitSymbolPairs
+} = require('bfx-report/workers/loc.api/helpers')
+
+const TYPES = require('../../di/types')
+const COST_BASIS_METHODS = require('./cost.basis.methods')
+
+const EPSILON = 1e-12
+const SHORT_TERM = 'SHORT_TERM'
+const LONG_TERM = 'LONG_TERM'
+
+/**
+ * Event types are ordered so that on the same mts
+ * acquisitions are processed before disposals
+ */
+const ACQUISITION = 0
+const DISPOSAL = 1
+const REMOVAL = 2
+
+/**
+ * Ledger categories which bring a new lot:
+ * margin funding payment, deposit, affiliate rebate, staking reward
+ */
+const ACQUISITION_LEDGER_CATEGORIES = [28, 101, 241, 262]
+/**
+ * Ledger categories which take a lot out without realizing a gain:
+ * withdrawal
+ */
+const REMOVAL_LEDGER_CATEGORIES = [104]
+
+class CapitalGains {
+  constructor (
+    dao,
+    ALLOWED_COLLS,
+    syncSchema,
+    trades,
+    authenticator
+  ) {
+    this.dao = dao
+    this.ALLOWED_COLLS = ALLOWED_COLLS
+    this.syncSchema = syncSchema
+    this.trades = trades
+    this.authenticator = authenticator
+
+    this.ledgersModel = this.syncSchema.getModelsMap()
+      .get(this.ALLOWED_COLLS.LEDGERS)
+  }
+
+  _isZero (num) {
+    return Math.abs(num) < EPSILON
+  }
+
+  async _getLedgers ({
+    auth,
+    end
+  }) {
+    const user = await this.authenticator
+      .verifyRequestUser({ auth })
+
+    return this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.LEDGERS,
+      {
+        filter: {
+          user_id: user._id,
+          $lte: { mts: end },
+          $in: {
+            _category: [
+              ...ACQUISITION_LEDGER_CATEGORIES,
+              ...REMOVAL_LEDGER_CATEGORIES
+            ]
+          }
+        },
+        sort: [['mts', -1], ['id', -1]],
+        projection: this.ledgersModel,
+        exclude: ['user_id'],
+        isExcludePrivate: true
+      }
+    )
+  }
+
+  _isExchangeTrade (trade) {
+    const { symbol, orderType } = { ...trade }
+
+    return (
+      symbol &&
+      typeof symbol === 'string' &&
+      !/F0/i.test(symbol) &&
+      orderType &&
+      typeof orderType === 'string' &&
+      /^exchange/i.test(orderType)
+    )
+  }
+
+  /**
+   * The fee is counted once: in the fee currency leg amount
+   * when it is charged in the base or quote currency of the pair,
+   * otherwise as a removal of the fee currency lots
+   */
+  _getTradeEvents (trades = []) {
+    return trades.reduce((accum, trade) => {
+      if (!this._isExchangeTrade(trade)) {
+        return accum
+      }
+
+      const {
+        symbol,
+        mtsCreate: mts,
+        execAmount,
+        execPrice,
+        amountUsd,
+        fee,
+        feeUsd,
+        feeCurrency
+      } = { ...trade }
+
+      if (
+        !Number.isInteger(mts) ||
+        !Number.isFinite(execAmount) ||
+        !Number.isFinite(execPrice) ||
+        this._isZero(execAmount)
+      ) {
+        return accum
+      }
+
+      const [baseCurr, quoteCurr] = splitSymbolPairs(symbol)
+      const isBuy = execAmount > 0
+      const valueUsd = Number.isFinite(amountUsd)
+        ? amountUsd
+        : null
+      const feeAmount = Number.isFinite(fee)
+        ? Math.abs(fee)
+        : 0
+      const isFeeInBase = feeCurrency === baseCurr
+      const isFeeInQuote = feeCurrency === quoteCurr
+      const _feeUsd = (
+        isFeeInQuote &&
+        Number.isFinite(feeUsd)
+      )
+        ? Math.abs(feeUsd)
+        : 0
+      const baseFee = isFeeInBase
+        ? feeAmount
+        : 0
+      const quoteFee = isFeeInQuote
+        ? feeAmount
+        : 0
+      const baseAmount = Math.abs(execAmount)
+      const quoteAmount = Math.abs(execAmount * execPrice)
+
+      accum.push(
+        {
+          type: isBuy ? ACQUISITION : DISPOSAL,
+          currency: baseCurr,
+          mts,
+          amount: isBuy
+            ? baseAmount - baseFee
+            : baseAmount + baseFee,
+          valueUsd,
+          feeUsd: _feeUsd
+        },
+        {
+          type: isBuy ? DISPOSAL : ACQUISITION,
+          currency: quoteCurr,
+          mts,
+          amount: isBuy
+            ? quoteAmount + quoteFee
+            : quoteAmount - quoteFee,
+          valueUsd,
+          feeUsd: -_feeUsd
+        }
+      )
+
+      if (
+        !isFeeInBase &&
+        !isFeeInQuote &&
+        feeCurrency &&
+        typeof feeCurrency === 'string' &&
+        !this._isZero(feeAmount)
+      ) {
+        accum.push({
+          type: REMOVAL,
+          currency: feeCurrency,
+          mts,
+          amount: feeAmount
+        })
+      }
+
+      return accum
+    }, [])
+  }
+
+  _getLedgerEvents (ledgers = []) {
+    return ledgers.reduce((accum, ledger) => {
+      const {
+        currency,
+        mts,
+        amount,
+        amountUsd,
+        _category
+      } = { ...ledger }
+
+      if (
+        !currency ||
+        typeof currency !== 'string' ||
+        !Number.isInteger(mts) ||
+        !Number.isFinite(amount) ||
+        this._isZero(amount)
+      ) {
+        return accum
+      }
+      if (
+        ACQUISITION_LEDGER_CATEGORIES.some((c) => c === _category) &&
+        amount > 0
+      ) {
+        accum.push({
+          type: ACQUISITION,
+          currency,
+          mts,
+          amount,
+          valueUsd: Number.isFinite(amountUsd)
+            ? Math.abs(amountUsd)
+            : null,
+          feeUsd: 0
+        })
+
+        return accum
+      }
+      if (
+        REMOVAL_LEDGER_CATEGORIES.some((c) => c === _category) &&
+        amount < 0
+      ) {
+        accum.push({
+          type: REMOVAL,
+          currency,
+          mts,
+          amount: Math.abs(amount)
+        })
+      }
+
+      return accum
+    }, [])
+  }
+
+  _getLotIndex (lots, costBasisMethod) {
+    if (costBasisMethod === COST_BASIS_METHODS.LIFO) {
+      return lots.length - 1
+    }
+    if (costBasisMethod === COST_BASIS_METHODS.HIFO) {
+      return lots.reduce((maxIndex, lot, i) => {
+        const maxLot = lots[maxIndex]
+        const unitCost = Number.isFinite(lot.costUsd)
+          ? lot.costUsd / lot.amount
+          : -Infinity
+        const maxUnitCost = Number.isFinite(maxLot.costUsd)
+          ? maxLot.costUsd / maxLot.amount
+          : -Infinity
+
+        return unitCost > maxUnitCost
+          ? i
+          : maxIndex
+      }, 0)
+    }
+
+    return 0
+  }
+
+  /**
+   * For the weighted average method each lot keeps its own
+   * acquisition date but all lots with known cost share
+   * the same unit cost of the pool
+   */
+  _averageLots (lots) {
+    const knownLots = lots.filter((lot) => Number.isFinite(lot.costUsd))
+    const { amount, costUsd } = knownLots.reduce((accum, lot) => ({
+      amount: accum.amount + lot.amount,
+      costUsd: accum.costUsd + lot.costUsd
+    }), { amount: 0, costUsd: 0 })
+
+    if (this._isZero(amount)) {
+      return
+    }
+
+    const unitCost = costUsd / amount
+
+    knownLots.forEach((lot) => {
+      lot.costUsd = lot.amount * unitCost
+    })
+  }
+
+  _consumeLots (lots, amount, costBasisMethod) {
+    const portions = []
+    let remainder = amount
+
+    while (
+      lots.length > 0 &&
+      !this._isZero(remainder)
+    ) {
+      const index = this._getLotIndex(lots, costBasisMethod)
+      const lot = lots[index]
+      const portionAmount = Math.min(lot.amount, remainder)
+      const portionCost = Number.isFinite(lot.costUsd)
+        ? lot.costUsd * portionAmount / lot.amount
+        : null
+
+      portions.push({
+        mtsAcquired: lot.mts,
+        amount: portionAmount,
+        costUsd: portionCost
+      })
+
+      remainder -= portionAmount
+      lot.amount -= portionAmount
+      lot.costUsd = Number.isFinite(portionCost)
+        ? lot.costUsd - portionCost
+        : null
+
+      if (this._isZero(lot.amount)) {
+        lots.splice(index, 1)
+      }
+    }
+
+    if (!this._isZero(remainder)) {
+      portions.push({
+        mtsAcquired: null,
+        amount: remainder,
+        costUsd: null
+      })
+    }
+
+    return portions
+  }
+
+  _getHoldingPeriod (mtsAcquired, mtsDisposed) {
+    if (!Number.isInteger(mtsAcquired)) {
+      return null
+    }
+
+    const isLongTerm = moment.utc(mtsAcquired)
+      .add(1, 'years')
+      .isBefore(moment.utc(mtsDisposed))
+
+    return isLongTerm ? LONG_TERM : SHORT_TERM
+  }
+
+  _matchEvents (events, costBasisMethod) {
+    const lotsMap = new Map()
+    const res = []
+
+    for (const event of events) {
+      const {
+        type,
+        currency,
+        mts,
+        amount,
+        valueUsd,
+        feeUsd
+      } = event
+
+      if (currency === 'USD') {
+        continue
+      }
+      if (!lotsMap.has(currency)) {
+        lotsMap.set(currency, [])
+      }
+
+      const lots = lotsMap.get(currency)
+
+      if (type === ACQUISITION) {
+        lots.push({
+          mts,
+          amount,
+          costUsd: Number.isFinite(valueUsd)
+            ? valueUsd + feeUsd
+            : null
+        })
+
+        if (costBasisMethod === COST_BASIS_METHODS.AVG) {
+          this._averageLots(lots)
+        }
+
+        continue
+      }
+
+      const portions = this._consumeLots(
+        lots,
+        amount,
+        costBasisMethod
+      )
+
+      if (type === REMOVAL) {
+        continue
+      }
+
+      const proceedsUsd = Number.isFinite(valueUsd)
+        ? valueUsd - feeUsd
+        : null
+
+      portions.forEach((portion) => {
+        const portionProceeds = Number.isFinite(proceedsUsd)
+          ? proceedsUsd * portion.amount / amount
+          : null
+        const gainUsd = (
+          Number.isFinite(portionProceeds) &&
+          Number.isFinite(portion.costUsd)
+        )
+          ? portionProceeds - portion.costUsd
+          : null
+
+        res.push({
+          currency,
+          amount: portion.amount,
+          mtsAcquired: portion.mtsAcquired,
+          mtsDisposed: mts,
+          holdingPeriod: this._getHoldingPeriod(
+            portion.mtsAcquired,
+            mts
+          ),
+          proceedsUsd: portionProceeds,
+          costUsd: portion.costUsd,
+          gainUsd
+        })
+      })
+    }
+
+    return res
+  }
+
+  async getCapitalGains (
+    {
+      auth = {},
+      params = {}
+    } = {}
+  ) {
+    const {
+      start = 0,
+      end = Date.now(),
+      symbol: symbs,
+      costBasisMethod = COST_BASIS_METHODS.FIFO
+    } = { ...params }
+    const _symbol = Array.isArray(symbs)
+      ? symbs
+      : [symbs]
+    const symbol = _symbol.filter((s) => (
+      s && typeof s === 'string'
+    ))
+
+    const trades = await this.trades.getTrades({
+      auth,
+      params: { start: 0, end }
+    })
+    const ledgers = await this._getLedgers({ auth, end })
+
+    const events = [
+      ...this._getTradeEvents(trades),
+      ...this._getLedgerEvents(ledgers)
+    ].sort((a, b) => (
+      (a.mts - b.mts) ||
+      (a.type - b.type)
+    ))
+
+    const disposals = this._matchEvents(events, costBasisMethod)
+
+    return disposals
+      .filter(({ currency, mtsDisposed }) => (
+        mtsDisposed >= start &&
+        mtsDisposed <= end &&
+        (
+          symbol.length === 0 ||
+          symbol.some((s) => s === currency)
+        )
+      ))
+      .sort((a, b) => b.mtsDisposed - a.mtsDisposed)
+  }
+}
+
+decorate(injectable(), CapitalGains)
+decorate(inject(TYPES.DAO), CapitalGains, 0)
+decorate(inject(TYPES.ALLOWED_COLLS), CapitalGains, 1)
+decorate(inject(TYPES.SyncSchema), CapitalGains, 2)
+decorate(inject(TYPES.Trades), CapitalGains, 3)
+decorate(inject(TYPES.Authenticator), CapitalGains, 4)
+
+module.exports = CapitalGains
@@ -35,7 +35,13 @@ class PublicСollsСonfAccessors {
 
     this.confNamesMap = new Map([
       ['candlesConf', this.TABLES_NAMES.CANDLES],
-      ['statusMessagesConf', this.TABLES_NAMES.STATUS_MESSAGES],
+      [
+        'statusMessagesConf',
+        [
+          this.TABLES_NAMES.STATUS_MESSAGES,
+          this.TABLES_NAMES.STATUS_MESSAGES_HISTORY
+        ]
+      ],
       ['tickersHistoryConf', this.TABLES_NAMES.TICKERS_HISTORY],
       ['publicTradesConf', this.TABLES_NAMES.PUBLIC_TRADES]
     ])
@@ -87,6 +93,9 @@ class PublicСollsСonfAccessors {
       if (typeof syncedColl === 'string') {
         syncedColls.push(syncedColl)
       }
+      if (Array.isArray(syncedColl)) {
+        syncedColls.push(...syncedColl)
+      }
     }
 
     return syncedColls
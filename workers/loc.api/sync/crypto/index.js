@@ -103,9 +103,34 @@ class Crypto {
     return scrypt(secret, salt, 32)
   }
 
-  async encrypt (decryptedStr, password) {
+  hmac (data, key) {
+    return crypto
+      .createHmac('sha256', key)
+      .update(data)
+      .digest('hex')
+  }
+
+  /**
+   * Derives a purpose-bound key from the secret key,
+   * to not expose the secret key itself
+   */
+  deriveKey (purpose) {
+    return this.hmac(purpose, this.secretKey)
+  }
+
+  async generateSalt () {
+    const salt = await randomBytes(32)
+
+    return salt.toString('hex')
+  }
+
+  /**
+   * The salt is the secret key by default,
+   * a custom one allows to decrypt data on another machine
+   */
+  async encrypt (decryptedStr, password, salt = this.secretKey) {
     const [key, iv] = await Promise.all([
-      this.scrypt(password, this.secretKey),
+      this.scrypt(password, salt),
       randomBytes(32)
     ])
     const cipher = crypto
@@ -124,7 +149,7 @@ class Crypto {
     return combined
   }
 
-  async decrypt (encryptedStr, password) {
+  async decrypt (encryptedStr, password, salt = this.secretKey) {
     const [strIV, str, strTag] = typeof encryptedStr === 'string'
       ? encryptedStr.split('.')
       : []
@@ -140,7 +165,7 @@ class Crypto {
       throw new AuthError()
     }
 
-    const key = await this.scrypt(password, this.secretKey)
+    const key = await this.scrypt(password, salt)
     const iv = Buffer.from(strIV, 'hex')
     const tag = Buffer.from(strTag, 'hex')
     const decipher = crypto
@@ -31,7 +31,8 @@ class CurrencyConverter {
     syncSchema,
     FOREX_SYMBS,
     ALLOWED_COLLS,
-    SYNC_API_METHODS
+    SYNC_API_METHODS,
+    requestGovernor
   ) {
     this.rService = rService
     this.dao = dao
@@ -39,6 +40,7 @@ class CurrencyConverter {
     this.FOREX_SYMBS = FOREX_SYMBS
     this.ALLOWED_COLLS = ALLOWED_COLLS
     this.SYNC_API_METHODS = SYNC_API_METHODS
+    this.requestGovernor = requestGovernor
 
     this._COLL_NAMES = {
       PUBLIC_TRADES: 'publicTrades',
@@ -73,7 +75,10 @@ class CurrencyConverter {
       this.currencies.length === 0
     ) {
       try {
-        this.currencies = await this.rService._getCurrencies()
+        this.currencies = await this.requestGovernor.request(
+          this.SYNC_API_METHODS.CURRENCIES,
+          () => this.rService._getCurrencies()
+        )
 
         if (
           !Array.isArray(this.currencies) ||
@@ -323,8 +328,10 @@ class CurrencyConverter {
 
     const symbol = this._getPairFromPair(reqSymb)
     const { res } = await getDataFromApi(
-      (space, args) => this.rService._getPublicTrades
-        .bind(this.rService)(args),
+      (space, args) => this.requestGovernor.request(
+        this.SYNC_API_METHODS.PUBLIC_TRADES,
+        () => this.rService._getPublicTrades(args)
+      ),
       {
         params: {
           symbol,
@@ -818,6 +825,179 @@ class CurrencyConverter {
     throw new CurrencyConversionDataFindingError()
   }
 
+  /**
+   * Returns the amount of the base currency for one USD
+   * using forex candles if they are synced,
+   * otherwise the rate is crossed through BTC
+   */
+  async getBaseCurrencyRate (
+    baseCurrency = 'USD',
+    end = Date.now()
+  ) {
+    if (baseCurrency === 'USD') {
+      return 1
+    }
+
+    const forexPrice = await this._getCandleClosedPrice(
+      `t${baseCurrency}USD`,
+      end
+    )
+
+    if (
+      Number.isFinite(forexPrice) &&
+      forexPrice !== 0
+    ) {
+      return 1 / forexPrice
+    }
+
+    const btcPriceIn = await this._getCandleClosedPrice(
+      'tBTCUSD',
+      end
+    )
+    const btcPriceOut = await this._getCandleClosedPrice(
+      `tBTC${baseCurrency}`,
+      end
+    )
+
+    if (
+      !Number.isFinite(btcPriceIn) ||
+      !Number.isFinite(btcPriceOut) ||
+      btcPriceIn === 0
+    ) {
+      return null
+    }
+
+    return btcPriceOut / btcPriceIn
+  }
+
+  _getBaseCurrencyRateGetter (baseCurrency) {
+    const rates = new Map()
+
+    return async (end) => {
+      if (rates.has(end)) {
+        return rates.get(end)
+      }
+
+      const rate = await this.getBaseCurrencyRate(
+        baseCurrency,
+        end
+      )
+      rates.set(end, rate)
+
+      return rate
+    }
+  }
+
+  /**
+   * Converts USD fields of the report items into the base currency,
+   * the rate is taken on the item date or on the passed `mts`
+   */
+  async convertUsdToBaseCurrency (
+    data,
+    {
+      baseCurrency = 'USD',
+      dateFieldName = 'mts',
+      fieldNames = [],
+      mts
+    } = {}
+  ) {
+    if (baseCurrency === 'USD') {
+      return data
+    }
+
+    const isArr = Array.isArray(data)
+    const elems = isArr
+      ? data
+      : [data]
+    const getRate = this._getBaseCurrencyRateGetter(baseCurrency)
+    const res = []
+
+    for (const item of elems) {
+      if (
+        !item ||
+        typeof item !== 'object'
+      ) {
+        res.push(item)
+
+        continue
+      }
+
+      const end = Number.isInteger(mts)
+        ? mts
+        : item[dateFieldName]
+      const rate = await getRate(end)
+
+      res.push(fieldNames.reduce((accum, fieldName) => {
+        if (!Number.isFinite(accum[fieldName])) {
+          return accum
+        }
+
+        accum[fieldName] = Number.isFinite(rate)
+          ? accum[fieldName] * rate
+          : null
+
+        return accum
+      }, { ...item }))
+    }
+
+    return isArr ? res : res[0]
+  }
+
+  /**
+   * Grouped reports keep values under currency keys,
+   * the `USD` key is converted and merged into the base currency key,
+   * without the rate the base currency value is unknown and set to null
+   */
+  async convertGroupedDataToBaseCurrency (
+    data,
+    {
+      baseCurrency = 'USD',
+      dateFieldName = 'mts'
+    } = {}
+  ) {
+    if (
+      baseCurrency === 'USD' ||
+      !Array.isArray(data)
+    ) {
+      return data
+    }
+
+    const getRate = this._getBaseCurrencyRateGetter(baseCurrency)
+    const res = []
+
+    for (const item of data) {
+      const { USD: usdVal, ...rest } = { ...item }
+
+      if (!Number.isFinite(usdVal)) {
+        res.push({ ...item })
+
+        continue
+      }
+
+      const rate = await getRate(item[dateFieldName])
+
+      if (!Number.isFinite(rate)) {
+        res.push({
+          ...rest,
+          [baseCurrency]: null
+        })
+
+        continue
+      }
+
+      const baseVal = Number.isFinite(rest[baseCurrency])
+        ? rest[baseCurrency]
+        : 0
+
+      res.push({
+        ...rest,
+        [baseCurrency]: baseVal + usdVal * rate
+      })
+    }
+
+    return res
+  }
+
   async convertManyByCandles (data, convSchema) {
     const _convSchema = {
       convertTo: 'USD',
@@ -921,5 +1101,6 @@ decorate(inject(TYPES.SyncSchema), CurrencyConverter, 2)
 decorate(inject(TYPES.FOREX_SYMBS), CurrencyConverter, 3)
 decorate(inject(TYPES.ALLOWED_COLLS), CurrencyConverter, 4)
 decorate(inject(TYPES.SYNC_API_METHODS), CurrencyConverter, 5)
+decorate(inject(TYPES.RequestGovernor), CurrencyConverter, 6)
 
 module.exports = CurrencyConverter
@@ -10,10 +10,6 @@ const {
 const MAIN_DB_WORKER_ACTIONS = require(
   'bfx-facs-db-better-sqlite/worker/db-worker-actions/db-worker-actions.const'
 )
-const {
-  checkFilterParams,
-  normalizeFilterParams
-} = require('bfx-report/workers/loc.api/helpers')
 const {
   AuthError
 } = require('bfx-report/workers/loc.api/errors')
@@ -37,6 +33,10 @@ const {
   getGroupQuery,
   getSubQuery,
   getLimitQuery,
+  getTimeframeQuery,
+  getAggregationQuery,
+  getFullTextSearchCreationQuery,
+  normalizeFilterParams,
   manageTransaction
 } = require('./helpers')
 
@@ -50,7 +50,8 @@ const {
 const {
   TRIGGER_FIELD_NAME,
   INDEX_FIELD_NAME,
-  UNIQUE_INDEX_FIELD_NAME
+  UNIQUE_INDEX_FIELD_NAME,
+  FULL_TEXT_SEARCH_FIELD_NAME
 } = require('../schema/const')
 const DB_WORKER_ACTIONS = require(
   './sqlite-worker/db-worker-actions/db-worker-actions.const'
@@ -64,6 +65,9 @@ const {
   convertData,
   prepareDbResponse
 } = require('./helpers/find-in-coll-by')
+const getFilterParams = require(
+  './helpers/find-in-coll-by/get-filter-params'
+)
 class BetterSqliteDAO extends DAO {
   constructor (...args) {
     super(...args)
@@ -138,7 +142,8 @@ class BetterSqliteDAO extends DAO {
       omittedFields: [
         TRIGGER_FIELD_NAME,
         INDEX_FIELD_NAME,
-        UNIQUE_INDEX_FIELD_NAME
+        UNIQUE_INDEX_FIELD_NAME,
+        FULL_TEXT_SEARCH_FIELD_NAME
       ]
     })
     const sql = getTableCreationQuery(models, true)
@@ -161,6 +166,17 @@ class BetterSqliteDAO extends DAO {
     })
   }
 
+  _createFullTextSearchTablesIfNotExists () {
+    const models = this._getModelsMap({ omittedFields: [] })
+    const sql = getFullTextSearchCreationQuery(models, true)
+
+    return this.query({
+      action: DB_WORKER_ACTIONS.RUN_IN_TRANS,
+      sql,
+      params: { transVersion: 'exclusive' }
+    })
+  }
+
   _createIndexisIfNotExists () {
     const models = this._getModelsMap({ omittedFields: [] })
     const sql = getIndexCreationQuery(models)
@@ -266,6 +282,7 @@ class BetterSqliteDAO extends DAO {
     await this._createTablesIfNotExists()
     await this._createIndexisIfNotExists()
     await this._createTriggerIfNotExists()
+    await this._createFullTextSearchTablesIfNotExists()
     await this.setCurrDbVer(this.syncSchema.SUPPORTED_DB_VERSION)
   }
 
@@ -305,6 +322,13 @@ class BetterSqliteDAO extends DAO {
     })
   }
 
+  /**
+   * @override
+   */
+  getTimeframeQuery (timeframe, params) {
+    return getTimeframeQuery(timeframe, params)
+  }
+
   /**
    * @override
    */
@@ -451,7 +475,10 @@ class BetterSqliteDAO extends DAO {
 
   /**
    * To prevent blocking the Event Loop applies setImmediate
-   * and handles a transaction manually
+   * and handles a transaction manually,
+   * with `withWorkerThreads` the transaction is run by the worker
+   * to not hold the writer lock by the main thread
+   * while users are synced concurrently
    * @override
    */
   async insertElemsToDb (
@@ -461,7 +488,8 @@ class BetterSqliteDAO extends DAO {
     opts = {}
   ) {
     const {
-      isReplacedIfExists
+      isReplacedIfExists,
+      withWorkerThreads
     } = { ...opts }
 
     const sql = []
@@ -500,6 +528,15 @@ class BetterSqliteDAO extends DAO {
     if (sql.length === 0) {
       return
     }
+    if (withWorkerThreads) {
+      await this.query({
+        action: DB_WORKER_ACTIONS.RUN_IN_TRANS,
+        sql,
+        params
+      })
+
+      return
+    }
 
     await this._beginTrans(async () => {
       for (const [i, param] of params.entries()) {
@@ -512,14 +549,17 @@ class BetterSqliteDAO extends DAO {
 
   /**
    * To prevent blocking the Event Loop applies setImmediate
-   * and handles a transaction manually
+   * and handles a transaction manually,
+   * `withWorkerThreads` acts the same way as for `insertElemsToDb`
    * @override
    */
   async insertElemsToDbIfNotExists (
     name,
     auth,
-    data = []
+    data = [],
+    opts = {}
   ) {
+    const { withWorkerThreads } = { ...opts }
     const sql = []
     const params = []
 
@@ -557,6 +597,15 @@ class BetterSqliteDAO extends DAO {
     if (sql.length === 0) {
       return
     }
+    if (withWorkerThreads) {
+      await this.query({
+        action: DB_WORKER_ACTIONS.RUN_IN_TRANS,
+        sql,
+        params
+      })
+
+      return
+    }
 
     await this._beginTrans(async () => {
       for (const [i, param] of params.entries()) {
@@ -585,8 +634,14 @@ class BetterSqliteDAO extends DAO {
       ...schema
     }
 
-    const args = normalizeFilterParams(method, reqArgs)
-    checkFilterParams(filterModelName, args)
+    const args = normalizeFilterParams(
+      method,
+      reqArgs,
+      {
+        filterModelName,
+        fullTextSearchFields: this._getFullTextSearchFields(methodColl.name)
+      }
+    )
     const _args = getArgs(args, methodColl)
 
     const { sql, sqlParams } = getQuery(
@@ -616,6 +671,56 @@ class BetterSqliteDAO extends DAO {
     )
   }
 
+  /**
+   * @override
+   */
+  aggregateInCollBy (
+    method,
+    reqArgs,
+    {
+      projection = [],
+      groupResBy = [],
+      sort = []
+    } = {}
+  ) {
+    const filterModelName = filterModelNameMap.get(method)
+    const methodColl = this._getMethodCollMap().get(method)
+
+    const args = normalizeFilterParams(
+      method,
+      reqArgs,
+      {
+        filterModelName,
+        fullTextSearchFields: this._getFullTextSearchFields(methodColl.name)
+      }
+    )
+
+    const {
+      requestedFilter,
+      filter
+    } = getFilterParams(args, methodColl)
+    const {
+      where,
+      values
+    } = getWhereQuery(
+      filter,
+      { requestedFilter, name: methodColl.name }
+    )
+    const sql = getAggregationQuery({
+      name: methodColl.name,
+      projection,
+      where,
+      groupResBy,
+      sort
+    })
+
+    return this.query({
+      action: MAIN_DB_WORKER_ACTIONS.ALL,
+      sql,
+      params: values
+    })
+  }
+
   /**
    * @override
    */
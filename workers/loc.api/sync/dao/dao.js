@@ -9,6 +9,9 @@ const {
   DAOInitializationError,
   ImplementationError
 } = require('../../errors')
+const {
+  FULL_TEXT_SEARCH_FIELD_NAME
+} = require('../schema/const')
 
 class DAO {
   constructor (
@@ -31,6 +34,16 @@ class DAO {
     return this.syncSchema.getMethodCollMap(params)
   }
 
+  _getFullTextSearchFields (name) {
+    const model = this._getModelsMap({ omittedFields: [] })
+      .get(name)
+    const { [FULL_TEXT_SEARCH_FIELD_NAME]: fields } = { ...model }
+
+    return Array.isArray(fields)
+      ? fields
+      : []
+  }
+
   setDB (db) {
     this.db = db
   }
@@ -120,6 +133,11 @@ class DAO {
    */
   async getElemInCollBy () { throw new ImplementationError() }
 
+  /**
+   * @abstract
+   */
+  async aggregateInCollBy () { throw new ImplementationError() }
+
   /**
    * @abstract
    */
@@ -139,6 +157,11 @@ class DAO {
    * @abstract
    */
   async removeElemsFromDbIfNotInLists () { throw new ImplementationError() }
+
+  /**
+   * @abstract
+   */
+  getTimeframeQuery () { throw new ImplementationError() }
 }
 
 decorate(injectable(), DAO)
@@ -0,0 +1,1107 @@
+'use strict'
+
+const { promisify } = require('util')
+const { AsyncLocalStorage } = require('async_hooks')
+const setImmediatePromise = promisify(setImmediate)
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+const {
+  AuthError
+} = require('bfx-report/workers/loc.api/errors')
+
+const TYPES = require('../../di/types')
+
+const DAO = require('./dao')
+const {
+  mixUserIdToArrData,
+  serializeObj,
+  filterModelNameMap,
+  mapObjBySchema,
+  getIndexCreationQuery,
+  getTableCreationQuery,
+  getProjectionQuery,
+  getPlaceholdersQuery,
+  getOrderQuery,
+  getWhereQuery,
+  getLimitQuery,
+  getAggregationQuery,
+  normalizeFilterParams,
+  getSubUsersQuery,
+  getUsersIds,
+  normalizeUserData,
+  fillSubUsers,
+  manageTransaction
+} = require('./helpers')
+const {
+  convertToPgQuery,
+  getPgCastType,
+  getPgModels,
+  getPgTriggerCreationQuery,
+  getPgTimeframeQuery,
+  getPgTablesNamesQuery,
+  getPgUsersQuery,
+  getPgSelectQuery,
+  getPgFindQuery,
+  getPgFieldsMap,
+  getPgFieldsMapFromSql,
+  normalizePgRow
+} = require('./helpers/pg')
+
+const {
+  DbVersionTypeError,
+  SqlCorrectnessError,
+  RemoveListElemsError,
+  UpdateRecordError
+} = require('../../errors')
+
+const {
+  TRIGGER_FIELD_NAME,
+  INDEX_FIELD_NAME,
+  UNIQUE_INDEX_FIELD_NAME,
+  FULL_TEXT_SEARCH_FIELD_NAME
+} = require('../schema/const')
+const {
+  getArgs,
+  convertData,
+  prepareDbResponse
+} = require('./helpers/find-in-coll-by')
+const getFilterParams = require(
+  './helpers/find-in-coll-by/get-filter-params'
+)
+
+const DB_VERSION_TABLE_NAME = 'dbVersion'
+
+class PgDAO extends DAO {
+  constructor (...args) {
+    super(...args)
+
+    this.setDB(this.db)
+    this._transStorage = new AsyncLocalStorage()
+    this._fieldsMap = getPgFieldsMap(this._getModelsMap())
+  }
+
+  _getPgModelsMap (params) {
+    return getPgModels(this._getModelsMap(params))
+  }
+
+  /**
+   * The transaction client is bound to the async context
+   * of the transaction callback, so concurrent callers
+   * outside of it never share the client
+   */
+  _getTransClient () {
+    return this._transStorage.getStore() || null
+  }
+
+  _getClient () {
+    return this._getTransClient() || this.db
+  }
+
+  /**
+   * `withoutWorkerThreads` option keeps compatibility with
+   * the SQLite implementation, any query called inside
+   * a transaction callback is executed by its client
+   */
+  async query (sql, params) {
+    const client = this._getClient()
+    const {
+      text,
+      values
+    } = convertToPgQuery(sql, params)
+    const fieldsMap = getPgFieldsMapFromSql(text, this._fieldsMap)
+
+    const res = await client.query(text, values)
+    const { rows, rowCount } = { ...res }
+
+    return {
+      rows: Array.isArray(rows)
+        ? rows.map((row) => normalizePgRow(row, fieldsMap))
+        : [],
+      changes: Number.isInteger(rowCount) ? rowCount : 0
+    }
+  }
+
+  async all (sql, params, opts) {
+    const { rows } = await this.query(sql, params, opts)
+
+    return rows
+  }
+
+  async get (sql, params, opts) {
+    const { rows } = await this.query(sql, params, opts)
+
+    return rows[0]
+  }
+
+  async run (sql, params, opts) {
+    const { changes } = await this.query(sql, params, opts)
+
+    return { changes }
+  }
+
+  async _runInTrans (sqlArr, params) {
+    return this._beginTrans(async () => {
+      let changes = 0
+
+      for (const [i, sql] of sqlArr.entries()) {
+        const res = await this.run(
+          sql,
+          Array.isArray(params) ? params[i] : params,
+          { withoutWorkerThreads: true }
+        )
+
+        changes += res.changes
+      }
+
+      return { changes }
+    })
+  }
+
+  async _proccesTrans (
+    asyncExecQuery,
+    opts = {}
+  ) {
+    const {
+      beforeTransFn,
+      afterTransFn
+    } = { ...opts }
+
+    let client = null
+    let isTransBegun = false
+
+    try {
+      if (typeof beforeTransFn === 'function') {
+        await beforeTransFn()
+      }
+
+      client = await this.db.connect()
+      await client.query('BEGIN')
+      isTransBegun = true
+
+      const res = await this._transStorage.run(
+        client,
+        () => asyncExecQuery()
+      )
+
+      await client.query('COMMIT')
+      client.release()
+
+      if (typeof afterTransFn === 'function') {
+        await afterTransFn()
+      }
+
+      return res
+    } catch (err) {
+      if (isTransBegun) {
+        await client.query('ROLLBACK')
+      }
+      if (client) {
+        client.release()
+      }
+      if (typeof afterTransFn === 'function') {
+        await afterTransFn()
+      }
+
+      throw err
+    }
+  }
+
+  /**
+   * A nested transaction is a part of the outer one,
+   * queuing it would wait for the outer one forever
+   */
+  async _beginTrans (
+    asyncExecQuery,
+    opts = {}
+  ) {
+    if (this._getTransClient()) {
+      return asyncExecQuery()
+    }
+
+    return manageTransaction(
+      () => this._proccesTrans(asyncExecQuery, opts)
+    )
+  }
+
+  /**
+   * The in-memory stand-in fails on `CREATE TABLE IF NOT EXISTS`
+   * for existing tables, so those are filtered out beforehand
+   */
+  async _getNotExistentTablesNames (names) {
+    const tableNames = await this._getTablesNames()
+    const existentNames = tableNames.map((name) => name.toLowerCase())
+
+    return names.filter((name) => existentNames.every((existentName) => (
+      existentName !== name.toLowerCase()
+    )))
+  }
+
+  async _createTablesIfNotExists () {
+    const models = this._getPgModelsMap({
+      omittedFields: [
+        TRIGGER_FIELD_NAME,
+        INDEX_FIELD_NAME,
+        UNIQUE_INDEX_FIELD_NAME,
+        FULL_TEXT_SEARCH_FIELD_NAME
+      ]
+    })
+    const names = await this._getNotExistentTablesNames([...models.keys()])
+    const notExistentModels = [...models]
+      .filter(([name]) => names.some((item) => item === name))
+    const sql = getTableCreationQuery(notExistentModels, true)
+
+    return this._runInTrans(sql)
+  }
+
+  _createTriggerIfNotExists () {
+    const models = this._getModelsMap({ omittedFields: [] })
+    const sql = getPgTriggerCreationQuery(models)
+
+    return this._runInTrans(sql)
+  }
+
+  _createIndexisIfNotExists () {
+    const models = this._getModelsMap({ omittedFields: [] })
+    const sql = getIndexCreationQuery(models)
+
+    return this._runInTrans(sql)
+  }
+
+  async _createDbVersionTableIfNotExists () {
+    const names = await this._getNotExistentTablesNames(
+      [DB_VERSION_TABLE_NAME]
+    )
+
+    if (names.length === 0) {
+      return
+    }
+
+    return this.run(
+      `CREATE TABLE IF NOT EXISTS ${DB_VERSION_TABLE_NAME}
+        (version INT NOT NULL)`
+    )
+  }
+
+  async _getTablesNames () {
+    const sql = getPgTablesNamesQuery()
+    const data = await this.all(sql)
+
+    return data.map(({ name }) => name)
+  }
+
+  _getUniqueIndexFields (name) {
+    const model = this._getModelsMap({ omittedFields: [] })
+      .get(name)
+    const { [UNIQUE_INDEX_FIELD_NAME]: fields } = { ...model }
+    const _fields = (
+      fields &&
+      typeof fields === 'string'
+    )
+      ? fields.split(' ')
+      : fields
+
+    if (!Array.isArray(_fields)) {
+      return []
+    }
+
+    return _fields.filter((field) => (
+      field &&
+      typeof field === 'string' &&
+      !field.startsWith('WHERE')
+    ))
+  }
+
+  _getInsertQuery (name, obj, opts) {
+    const { isReplacedIfExists } = { ...opts }
+
+    const keys = Object.keys(obj)
+    const projection = getProjectionQuery(keys)
+    const {
+      placeholders,
+      placeholderVal
+    } = getPlaceholdersQuery(obj, keys)
+    const uniqueFields = isReplacedIfExists
+      ? this._getUniqueIndexFields(name)
+      : []
+    const updatedFields = keys
+      .filter((key) => uniqueFields.every((field) => field !== key))
+      .map((key) => `${key} = EXCLUDED.${key}`)
+      .join(', ')
+    const _onConflict = updatedFields
+      ? `DO UPDATE SET ${updatedFields}`
+      : 'DO NOTHING'
+    const onConflict = uniqueFields.length > 0
+      ? `ON CONFLICT (${uniqueFields.join(', ')}) ${_onConflict}`
+      : ''
+
+    const sql = `INSERT INTO ${name}(${projection})
+      VALUES (${placeholders})
+      ${onConflict}`
+
+    return { sql, params: placeholderVal }
+  }
+
+  optimize () {
+    return this.run('ANALYZE')
+  }
+
+  /**
+   * PostgreSQL always enforces foreign keys,
+   * all tables are dropped by `CASCADE`
+   */
+  enableForeignKeys () {}
+
+  disableForeignKeys () {}
+
+  async dropAllTables () {
+    const tableNames = await this._getTablesNames()
+    const sql = tableNames.map((name) => (
+      `DROP TABLE IF EXISTS ${name} CASCADE`
+    ))
+
+    return this._runInTrans(sql)
+  }
+
+  /**
+   * @override
+   */
+  async beforeMigrationHook () {
+    await this._createDbVersionTableIfNotExists()
+  }
+
+  /**
+   * @override
+   */
+  async databaseInitialize (db) {
+    await super.databaseInitialize(db)
+
+    await this._createTablesIfNotExists()
+    await this._createIndexisIfNotExists()
+    await this._createTriggerIfNotExists()
+    await this.setCurrDbVer(this.syncSchema.SUPPORTED_DB_VERSION)
+  }
+
+  /**
+   * @override
+   */
+  setDB (db) {
+    if (
+      !db ||
+      !db.pool
+    ) {
+      super.setDB(db)
+
+      return
+    }
+
+    this.db = db.pool
+  }
+
+  /**
+   * @override
+   */
+  async isDBEmpty () {
+    const tableNames = await this._getTablesNames()
+
+    return tableNames.every((name) => (
+      name.toLowerCase() === DB_VERSION_TABLE_NAME.toLowerCase()
+    ))
+  }
+
+  /**
+   * @override
+   */
+  async getCurrDbVer () {
+    await this._createDbVersionTableIfNotExists()
+
+    const res = await this.get(
+      `SELECT version FROM ${DB_VERSION_TABLE_NAME} LIMIT 1`
+    )
+    const { version = 0 } = { ...res }
+
+    return version
+  }
+
+  /**
+   * @override
+   */
+  async setCurrDbVer (version) {
+    if (!Number.isInteger(version)) {
+      throw new DbVersionTypeError()
+    }
+
+    await this._createDbVersionTableIfNotExists()
+
+    return this._runInTrans(
+      [
+        `DELETE FROM ${DB_VERSION_TABLE_NAME}`,
+        `INSERT INTO ${DB_VERSION_TABLE_NAME}(version) VALUES ($version)`
+      ],
+      [undefined, { version }]
+    )
+  }
+
+  /**
+   * @override
+   */
+  getTimeframeQuery (timeframe, params) {
+    return getPgTimeframeQuery(timeframe, params)
+  }
+
+  /**
+   * @override
+   */
+  async executeQueriesInTrans (
+    sql,
+    opts = {}
+  ) {
+    const {
+      beforeTransFn,
+      afterTransFn
+    } = { ...opts }
+    const isArray = Array.isArray(sql)
+    const sqlArr = isArray ? sql : [sql]
+
+    if (sqlArr.length === 0) {
+      return
+    }
+
+    return this._beginTrans(async () => {
+      const res = []
+
+      for (const sqlData of sqlArr) {
+        const _sql = typeof sqlData === 'string'
+          ? sqlData
+          : null
+        const _execQueryFn = typeof sqlData === 'function'
+          ? sqlData
+          : null
+        const _sqlData = typeof sqlData === 'object'
+          ? sqlData
+          : { sql: _sql, execQueryFn: _execQueryFn }
+        const { sql, values, execQueryFn } = { ..._sqlData }
+        const hasSql = sql && typeof sql === 'string'
+        const hasExecQueryFn = typeof execQueryFn === 'function'
+
+        if (!hasSql && !hasExecQueryFn) {
+          throw new SqlCorrectnessError()
+        }
+        if (hasSql) {
+          res.push(await this.run(
+            sql,
+            values,
+            { withoutWorkerThreads: true }
+          ))
+        }
+        if (hasExecQueryFn) {
+          res.push(await execQueryFn())
+        }
+      }
+
+      return isArray ? res : res[0]
+    }, { beforeTransFn, afterTransFn })
+  }
+
+  /**
+   * @override
+   */
+  async insertElemToDb (
+    name,
+    obj = {},
+    opts = {}
+  ) {
+    const {
+      isReplacedIfExists,
+      withoutWorkerThreads
+    } = { ...opts }
+
+    const { sql, params } = this._getInsertQuery(
+      name,
+      obj,
+      { isReplacedIfExists }
+    )
+
+    await this.run(sql, params, { withoutWorkerThreads })
+  }
+
+  /**
+   * To prevent blocking the Event Loop applies setImmediate
+   * @override
+   */
+  async insertElemsToDb (
+    name,
+    auth,
+    data = [],
+    opts = {}
+  ) {
+    const {
+      isReplacedIfExists
+    } = { ...opts }
+
+    const queries = []
+
+    for (const obj of data) {
+      await setImmediatePromise()
+
+      const _obj = mixUserIdToArrData(
+        auth,
+        obj
+      )
+      const keys = Object.keys(_obj)
+
+      if (keys.length === 0) {
+        continue
+      }
+
+      queries.push(this._getInsertQuery(
+        name,
+        _obj,
+        { isReplacedIfExists }
+      ))
+    }
+
+    if (queries.length === 0) {
+      return
+    }
+
+    await this._beginTrans(async () => {
+      for (const { sql, params } of queries) {
+        await this.run(sql, params, { withoutWorkerThreads: true })
+      }
+    })
+  }
+
+  /**
+   * Placeholders are cast to the column types
+   * as they are not inferred from `INSERT ... SELECT`
+   * @override
+   */
+  async insertElemsToDbIfNotExists (
+    name,
+    auth,
+    data = []
+  ) {
+    const model = this._getModelsMap().get(name)
+    const queries = []
+
+    for (const obj of data) {
+      await setImmediatePromise()
+
+      const _obj = mixUserIdToArrData(
+        auth,
+        obj
+      )
+      const keys = Object.keys(_obj)
+
+      if (keys.length === 0) {
+        continue
+      }
+
+      const item = serializeObj(_obj, keys)
+      const projection = getProjectionQuery(keys)
+      const {
+        where,
+        values
+      } = getWhereQuery(item)
+      const placeholders = keys.map((key) => {
+        const castType = getPgCastType({ ...model }[key])
+
+        return castType
+          ? `$${key}::${castType}`
+          : `$${key}`
+      }).join(', ')
+      const {
+        placeholderVal
+      } = getPlaceholdersQuery(item, keys)
+
+      queries.push({
+        sql: `INSERT INTO ${name}(${projection}) SELECT ${placeholders}
+          WHERE NOT EXISTS(SELECT 1 FROM ${name} ${where})`,
+        params: { ...values, ...placeholderVal }
+      })
+    }
+
+    if (queries.length === 0) {
+      return
+    }
+
+    await this._beginTrans(async () => {
+      for (const { sql, params } of queries) {
+        await this.run(sql, params, { withoutWorkerThreads: true })
+      }
+    })
+  }
+
+  /**
+   * @override
+   */
+  async findInCollBy (
+    method,
+    reqArgs,
+    opts
+  ) {
+    const {
+      schema = {},
+      isNotDataConverted = false
+    } = { ...opts }
+    const filterModelName = filterModelNameMap.get(method)
+    const methodColl = {
+      ...this._getMethodCollMap().get(method),
+      ...schema
+    }
+
+    const args = normalizeFilterParams(
+      method,
+      reqArgs,
+      {
+        filterModelName,
+        fullTextSearchFields: this._getFullTextSearchFields(methodColl.name)
+      }
+    )
+    const _args = getArgs(args, methodColl)
+
+    const { sql, sqlParams } = getPgFindQuery(
+      _args,
+      methodColl,
+      opts
+    )
+
+    const _res = await this.all(sql, sqlParams)
+    const res = isNotDataConverted
+      ? _res
+      : await convertData(_res, methodColl)
+
+    return prepareDbResponse(
+      res,
+      _args,
+      methodColl,
+      {
+        ...opts,
+        method,
+        findInCollByFn: (...args) => this.findInCollBy(...args)
+      }
+    )
+  }
+
+  /**
+   * @override
+   */
+  aggregateInCollBy (
+    method,
+    reqArgs,
+    {
+      projection = [],
+      groupResBy = [],
+      sort = []
+    } = {}
+  ) {
+    const filterModelName = filterModelNameMap.get(method)
+    const methodColl = this._getMethodCollMap().get(method)
+
+    const args = normalizeFilterParams(
+      method,
+      reqArgs,
+      {
+        filterModelName,
+        fullTextSearchFields: this._getFullTextSearchFields(methodColl.name)
+      }
+    )
+
+    const {
+      requestedFilter,
+      filter
+    } = getFilterParams(args, methodColl)
+    const {
+      where,
+      values
+    } = getWhereQuery(
+      filter,
+      {
+        requestedFilter,
+        name: methodColl.name,
+        isFullTextSearchByLike: true
+      }
+    )
+    const sql = getAggregationQuery({
+      name: methodColl.name,
+      projection,
+      where,
+      groupResBy,
+      sort
+    })
+
+    return this.all(sql, values)
+  }
+
+  async _fillSubUsers (users, opts) {
+    const isArray = Array.isArray(users)
+    const _users = isArray ? users : [users]
+    const usersIds = getUsersIds(_users)
+
+    if (usersIds.length === 0) {
+      return users
+    }
+
+    const { sql, values } = getSubUsersQuery(
+      { $in: { _id: usersIds } },
+      { sort: ['_id'] }
+    )
+    const res = await this.all(sql, values, opts)
+
+    const _subUsers = normalizeUserData(res)
+    const filledUsers = fillSubUsers(_users, _subUsers)
+
+    return isArray ? filledUsers : filledUsers[0]
+  }
+
+  async _getUsers (filter, opts) {
+    const {
+      isFoundOne,
+      haveNotSubUsers,
+      haveSubUsers,
+      isFilledSubUsers,
+      sort = ['_id'],
+      limit,
+      withoutWorkerThreads
+    } = { ...opts }
+
+    const { sql, values } = getPgUsersQuery(
+      filter,
+      {
+        isFoundOne,
+        haveNotSubUsers,
+        haveSubUsers,
+        sort,
+        limit
+      }
+    )
+    const _res = isFoundOne
+      ? await this.get(sql, values, { withoutWorkerThreads })
+      : await this.all(sql, values, { withoutWorkerThreads })
+
+    if (!_res || typeof _res !== 'object') {
+      return _res
+    }
+
+    const res = normalizeUserData(_res)
+
+    return isFilledSubUsers
+      ? this._fillSubUsers(res, { withoutWorkerThreads })
+      : res
+  }
+
+  /**
+   * @override
+   */
+  getUser (
+    filter,
+    {
+      haveNotSubUsers,
+      haveSubUsers,
+      isFilledSubUsers,
+      sort = ['_id'],
+      withoutWorkerThreads
+    } = {}
+  ) {
+    return this._getUsers(
+      filter,
+      {
+        isFoundOne: true,
+        haveNotSubUsers,
+        haveSubUsers,
+        isFilledSubUsers,
+        sort,
+        withoutWorkerThreads
+      }
+    )
+  }
+
+  /**
+   * @override
+   */
+  getUsers (
+    filter,
+    {
+      haveNotSubUsers,
+      haveSubUsers,
+      isFilledSubUsers,
+      sort = ['_id'],
+      limit
+    } = {}
+  ) {
+    return this._getUsers(
+      filter,
+      {
+        haveNotSubUsers,
+        haveSubUsers,
+        isFilledSubUsers,
+        sort,
+        limit
+      }
+    )
+  }
+
+  /**
+   * @override
+   */
+  getElemsInCollBy (
+    collName,
+    {
+      filter = {},
+      sort = [],
+      subQuery = {
+        sort: []
+      },
+      groupResBy = [],
+      isDistinct = false,
+      projection = [],
+      exclude = [],
+      isExcludePrivate = false,
+      limit = null
+    } = {}
+  ) {
+    const {
+      where,
+      values
+    } = getWhereQuery(filter)
+    const {
+      limit: _limit,
+      limitVal
+    } = getLimitQuery({ limit })
+
+    const sql = getPgSelectQuery({
+      name: collName,
+      model: projection,
+      exclude,
+      isExcludePrivate,
+      isDistinct,
+      where,
+      sort,
+      groupResBy,
+      subQuery,
+      limit: _limit
+    })
+
+    return this.all(sql, { ...values, ...limitVal })
+  }
+
+  /**
+   * @override
+   */
+  getElemInCollBy (
+    name,
+    filter = {},
+    sort = []
+  ) {
+    const _sort = getOrderQuery(sort)
+    const {
+      where,
+      values: params
+    } = getWhereQuery(filter)
+
+    const sql = `SELECT * FROM ${name}
+      ${where}
+      ${_sort}
+      LIMIT 1`
+
+    return this.get(sql, params)
+  }
+
+  /**
+   * @override
+   */
+  async updateCollBy (
+    name,
+    filter = {},
+    data = {},
+    opts
+  ) {
+    const {
+      withoutWorkerThreads
+    } = { ...opts }
+    const {
+      where,
+      values: params
+    } = getWhereQuery(filter)
+    const fields = Object.keys(data).map((item) => {
+      const key = `new_${item}`
+      params[key] = data[item]
+
+      return `${item} = $${key}`
+    }).join(', ')
+
+    const sql = `UPDATE ${name} SET ${fields} ${where}`
+
+    return this.run(sql, params, { withoutWorkerThreads })
+  }
+
+  /**
+   * To prevent blocking the Event Loop applies setImmediate
+   * @override
+   */
+  async updateElemsInCollBy (
+    name,
+    data = [],
+    filterPropNames = {},
+    upPropNames = {}
+  ) {
+    const queries = []
+
+    for (const obj of data) {
+      await setImmediatePromise()
+
+      const filter = mapObjBySchema(obj, filterPropNames)
+      const newItem = mapObjBySchema(obj, upPropNames)
+      const {
+        where,
+        values
+      } = getWhereQuery(filter)
+      const fields = Object.keys(newItem).map((item) => {
+        const key = `new_${item}`
+        values[key] = newItem[item]
+
+        return `${item} = $${key}`
+      }).join(', ')
+
+      queries.push({
+        sql: `UPDATE ${name} SET ${fields} ${where}`,
+        params: values
+      })
+    }
+
+    if (queries.length === 0) {
+      return
+    }
+
+    await this._beginTrans(async () => {
+      for (const { sql, params } of queries) {
+        await this.run(sql, params, { withoutWorkerThreads: true })
+      }
+    })
+  }
+
+  /**
+   * @override
+   */
+  async updateRecordOf (name, record) {
+    const data = serializeObj(record)
+
+    const res = await this._beginTrans(async () => {
+      const opts = { withoutWorkerThreads: true }
+      const elems = await this.all(
+        `SELECT * FROM ${name} ORDER BY _id`,
+        undefined,
+        opts
+      )
+
+      if (elems.length === 0) {
+        const { sql, params } = this._getInsertQuery(name, data)
+
+        return this.run(sql, params, opts)
+      }
+      if (elems.length > 1) {
+        await this.run(
+          `DELETE FROM ${name} WHERE _id != $_id`,
+          { _id: elems[0]._id },
+          opts
+        )
+      }
+
+      const { _id } = { ...elems[0] }
+      const values = { _id }
+      const fields = Object.keys(data)
+        .map((item) => {
+          const key = `new_${item}`
+          values[key] = data[item]
+
+          return `${item} = $${key}`
+        })
+        .join(', ')
+
+      return this.run(
+        `UPDATE ${name} SET ${fields}
+          WHERE _id = $_id`,
+        values,
+        opts
+      )
+    })
+    const { changes } = { ...res }
+
+    if (changes < 1) {
+      throw new UpdateRecordError()
+    }
+  }
+
+  /**
+   * @override
+   */
+  async removeElemsFromDb (
+    name,
+    auth,
+    data = {},
+    opts
+  ) {
+    if (auth) {
+      const { _id } = { ...auth }
+
+      if (!Number.isInteger(_id)) {
+        throw new AuthError()
+      }
+
+      data.user_id = _id
+    }
+
+    const {
+      withoutWorkerThreads
+    } = { ...opts }
+    const {
+      where,
+      values: params
+    } = getWhereQuery(data)
+
+    const sql = `DELETE FROM ${name} ${where}`
+
+    return this.run(sql, params, { withoutWorkerThreads })
+  }
+
+  /**
+   * @override
+   */
+  async removeElemsFromDbIfNotInLists (name, lists) {
+    const areAllListsNotArr = Object.keys(lists)
+      .every(key => !Array.isArray(lists[key]))
+
+    if (areAllListsNotArr) {
+      throw new RemoveListElemsError()
+    }
+
+    const $or = Object.entries(lists)
+      .reduce((accum, [key, val]) => {
+        return {
+          $not: {
+            ...accum.$not,
+            [key]: val
+          }
+        }
+      }, { $not: {} })
+    const {
+      where,
+      values: params
+    } = getWhereQuery({ $or })
+
+    const sql = `DELETE FROM ${name} ${where}`
+
+    return this.run(sql, params)
+  }
+}
+
+decorate(injectable(), PgDAO)
+decorate(inject(TYPES.DB), PgDAO, 0)
+decorate(inject(TYPES.TABLES_NAMES), PgDAO, 1)
+decorate(inject(TYPES.SyncSchema), PgDAO, 2)
+decorate(inject(TYPES.DbMigratorFactory), PgDAO, 3)
+
+module.exports = PgDAO
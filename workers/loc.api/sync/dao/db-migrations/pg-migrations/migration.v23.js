@@ -0,0 +1,46 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+
+class MigrationV23 extends AbstractMigration {
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      `CREATE TABLE syncCheckpoints (
+        _id SERIAL PRIMARY KEY,
+        collName VARCHAR(255),
+        symbol VARCHAR(255),
+        timeframe VARCHAR(255),
+        start BIGINT,
+        mts BIGINT,
+        id BIGINT,
+        user_id INT,
+        CONSTRAINT syncCheckpoints_fk_user_id
+          FOREIGN KEY(user_id)
+          REFERENCES users(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE
+      )`,
+
+      `CREATE INDEX syncCheckpoints_collName_user_id
+        ON syncCheckpoints(collName, user_id)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP TABLE syncCheckpoints'
+    ]
+
+    this.addSql(sqlArr)
+  }
+}
+
+module.exports = MigrationV23
@@ -0,0 +1,51 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+
+class MigrationV24 extends AbstractMigration {
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      `CREATE TABLE ledgerCategoryRules (
+        _id SERIAL PRIMARY KEY,
+        pattern VARCHAR(255),
+        matchType VARCHAR(255),
+        category INT,
+        tag VARCHAR(255),
+        user_id INT NOT NULL,
+        CONSTRAINT ledgerCategoryRules_fk_user_id
+          FOREIGN KEY(user_id)
+          REFERENCES users(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE
+      )`,
+
+      `CREATE INDEX ledgerCategoryRules_user_id
+        ON ledgerCategoryRules(user_id)`,
+
+      'ALTER TABLE ledgers ADD COLUMN _tag VARCHAR(255)',
+
+      `CREATE INDEX ledgers_user_id__tag_mts
+        ON ledgers(user_id, _tag, mts)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP TABLE ledgerCategoryRules',
+      'DROP INDEX IF EXISTS ledgers_user_id__tag_mts',
+      'ALTER TABLE ledgers DROP COLUMN _tag'
+    ]
+
+    this.addSql(sqlArr)
+  }
+}
+
+module.exports = MigrationV24
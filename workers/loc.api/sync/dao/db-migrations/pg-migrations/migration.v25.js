@@ -0,0 +1,35 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+
+/**
+ * The SQLite version adds FTS5 tables kept in sync by triggers,
+ * PostgreSQL searches the same fields by the case-insensitive `LIKE`
+ * (see `isFullTextSearchByLike` of the where query),
+ * so only the new column is needed here
+ */
+class MigrationV25 extends AbstractMigration {
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      'ALTER TABLE orders ADD COLUMN meta TEXT'
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'ALTER TABLE orders DROP COLUMN meta'
+    ]
+
+    this.addSql(sqlArr)
+  }
+}
+
+module.exports = MigrationV25
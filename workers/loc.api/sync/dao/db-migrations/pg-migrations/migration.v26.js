@@ -0,0 +1,45 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+
+class MigrationV26 extends AbstractMigration {
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      `CREATE TABLE auditLogs (
+        _id SERIAL PRIMARY KEY,
+        seq BIGINT,
+        mts BIGINT,
+        method VARCHAR(255),
+        args TEXT,
+        status VARCHAR(255),
+        error TEXT,
+        prevHash VARCHAR(255),
+        hash VARCHAR(255),
+        user_id INT
+      )`,
+
+      `CREATE UNIQUE INDEX auditLogs_seq
+        ON auditLogs(seq)`,
+      `CREATE INDEX auditLogs_user_id_mts
+        ON auditLogs(user_id, mts)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP TABLE auditLogs'
+    ]
+
+    this.addSql(sqlArr)
+  }
+}
+
+module.exports = MigrationV26
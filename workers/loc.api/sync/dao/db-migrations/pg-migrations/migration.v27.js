@@ -0,0 +1,77 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+
+class MigrationV27 extends AbstractMigration {
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      `CREATE TABLE webhooks (
+        _id SERIAL PRIMARY KEY,
+        url TEXT,
+        events TEXT,
+        isEnable INT,
+        createdAt BIGINT,
+        user_id INT NOT NULL,
+        CONSTRAINT webhooks_fk_user_id
+          FOREIGN KEY(user_id)
+          REFERENCES users(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE
+      )`,
+      `CREATE TABLE webhookDeliveries (
+        _id SERIAL PRIMARY KEY,
+        deliveryId VARCHAR(255),
+        webhookId INT NOT NULL,
+        event VARCHAR(255),
+        payload TEXT,
+        status VARCHAR(255),
+        attempts INT,
+        responseStatus INT,
+        error TEXT,
+        mts BIGINT,
+        mtsUpdated BIGINT,
+        user_id INT NOT NULL,
+        CONSTRAINT webhookDeliveries_fk_user_id
+          FOREIGN KEY(user_id)
+          REFERENCES users(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE,
+        CONSTRAINT webhookDeliveries_fk_webhookId
+          FOREIGN KEY(webhookId)
+          REFERENCES webhooks(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE
+      )`,
+
+      `CREATE INDEX webhooks_user_id
+        ON webhooks(user_id)`,
+      `CREATE UNIQUE INDEX webhookDeliveries_deliveryId
+        ON webhookDeliveries(deliveryId)`,
+      `CREATE INDEX webhookDeliveries_user_id_webhookId_mts
+        ON webhookDeliveries(user_id, webhookId, mts)`,
+      `CREATE INDEX webhookDeliveries_user_id_mts
+        ON webhookDeliveries(user_id, mts)`,
+      `CREATE INDEX webhookDeliveries_status
+        ON webhookDeliveries(status)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP TABLE webhookDeliveries',
+      'DROP TABLE webhooks'
+    ]
+
+    this.addSql(sqlArr)
+  }
+}
+
+module.exports = MigrationV27
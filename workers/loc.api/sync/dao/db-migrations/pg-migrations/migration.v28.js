@@ -0,0 +1,75 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+
+class MigrationV28 extends AbstractMigration {
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      `CREATE TABLE alertRules (
+        _id SERIAL PRIMARY KEY,
+        type VARCHAR(255),
+        wallet VARCHAR(255),
+        currency VARCHAR(255),
+        threshold DOUBLE PRECISION,
+        isEnable INT,
+        isTriggered INT,
+        createdAt BIGINT,
+        user_id INT NOT NULL,
+        CONSTRAINT alertRules_fk_user_id
+          FOREIGN KEY(user_id)
+          REFERENCES users(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE
+      )`,
+      `CREATE TABLE alertHistory (
+        _id SERIAL PRIMARY KEY,
+        ruleId INT NOT NULL,
+        type VARCHAR(255),
+        wallet VARCHAR(255),
+        currency VARCHAR(255),
+        value DOUBLE PRECISION,
+        threshold DOUBLE PRECISION,
+        mts BIGINT,
+        user_id INT NOT NULL,
+        CONSTRAINT alertHistory_fk_user_id
+          FOREIGN KEY(user_id)
+          REFERENCES users(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE,
+        CONSTRAINT alertHistory_fk_ruleId
+          FOREIGN KEY(ruleId)
+          REFERENCES alertRules(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE
+      )`,
+
+      `CREATE INDEX alertRules_user_id
+        ON alertRules(user_id)`,
+      `CREATE INDEX alertRules_isEnable
+        ON alertRules(isEnable)`,
+      `CREATE INDEX alertHistory_user_id_ruleId_mts
+        ON alertHistory(user_id, ruleId, mts)`,
+      `CREATE INDEX alertHistory_user_id_mts
+        ON alertHistory(user_id, mts)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP TABLE alertHistory',
+      'DROP TABLE alertRules'
+    ]
+
+    this.addSql(sqlArr)
+  }
+}
+
+module.exports = MigrationV28
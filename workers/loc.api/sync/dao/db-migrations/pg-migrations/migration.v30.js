@@ -0,0 +1,46 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+
+/**
+ * Checkpoints are keyed by the sub-user too, the stored ones
+ * can't be matched to a sub-user so they are removed
+ * and the interrupted windows are synced again
+ */
+class MigrationV30 extends AbstractMigration {
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      'DELETE FROM syncCheckpoints',
+      'ALTER TABLE syncCheckpoints ADD COLUMN subUserId INT',
+      `ALTER TABLE syncCheckpoints
+        ADD CONSTRAINT syncCheckpoints_fk_subUserId
+        FOREIGN KEY(subUserId)
+        REFERENCES users(_id)
+        ON UPDATE CASCADE
+        ON DELETE CASCADE`,
+
+      `CREATE UNIQUE INDEX syncCheckpoints_collName_symbol_timeframe_user_id_subUserId
+        ON syncCheckpoints(collName, symbol, timeframe, user_id, subUserId)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP INDEX IF EXISTS syncCheckpoints_collName_symbol_timeframe_user_id_subUserId',
+      'ALTER TABLE syncCheckpoints DROP CONSTRAINT syncCheckpoints_fk_subUserId',
+      'ALTER TABLE syncCheckpoints DROP COLUMN subUserId'
+    ]
+
+    this.addSql(sqlArr)
+  }
+}
+
+module.exports = MigrationV30
@@ -0,0 +1,43 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+
+class MigrationV31 extends AbstractMigration {
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      `CREATE TABLE statusMessagesHistory (
+        _id SERIAL PRIMARY KEY,
+        key VARCHAR(255),
+        timestamp BIGINT,
+        price DOUBLE PRECISION,
+        priceSpot DOUBLE PRECISION,
+        fundBal DOUBLE PRECISION,
+        fundingAccrued DOUBLE PRECISION,
+        fundingStep DOUBLE PRECISION,
+        clampMin DOUBLE PRECISION,
+        clampMax DOUBLE PRECISION
+      )`,
+
+      `CREATE UNIQUE INDEX statusMessagesHistory_key_timestamp
+        ON statusMessagesHistory(key, timestamp)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP TABLE statusMessagesHistory'
+    ]
+
+    this.addSql(sqlArr)
+  }
+}
+
+module.exports = MigrationV31
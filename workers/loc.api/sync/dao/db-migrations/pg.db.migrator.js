@@ -0,0 +1,26 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../../di/types')
+
+const DbMigrator = require('./db.migrator')
+
+/**
+ * Unlike the SQLite implementation, tables are never dropped
+ * on a migration failure to not lose the user data,
+ * the error stops the worker start
+ */
+class PgDbMigrator extends DbMigrator {}
+
+decorate(injectable(), PgDbMigrator)
+decorate(inject(TYPES.MigrationsFactory), PgDbMigrator, 0)
+decorate(inject(TYPES.TABLES_NAMES), PgDbMigrator, 1)
+decorate(inject(TYPES.SyncSchema), PgDbMigrator, 2)
+decorate(inject(TYPES.Logger), PgDbMigrator, 3)
+
+module.exports = PgDbMigrator
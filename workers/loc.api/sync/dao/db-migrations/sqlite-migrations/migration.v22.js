@@ -0,0 +1,37 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+
+class MigrationV22 extends AbstractMigration {
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      `CREATE TABLE syncSchedules (
+        _id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        collName VARCHAR(255),
+        rule VARCHAR(255),
+        isEnable INT
+      )`,
+
+      `CREATE UNIQUE INDEX syncSchedules_collName
+        ON syncSchedules (collName)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP TABLE syncSchedules'
+    ]
+
+    this.addSql(sqlArr)
+  }
+}
+
+module.exports = MigrationV22
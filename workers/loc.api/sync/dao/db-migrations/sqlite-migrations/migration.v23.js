@@ -0,0 +1,56 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+
+class MigrationV23 extends AbstractMigration {
+  /**
+   * @override
+   */
+  before () { return this.dao.disableForeignKeys() }
+
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      `CREATE TABLE syncCheckpoints (
+        _id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        collName VARCHAR(255),
+        symbol VARCHAR(255),
+        timeframe VARCHAR(255),
+        start BIGINT,
+        mts BIGINT,
+        id BIGINT,
+        user_id INT,
+        CONSTRAINT syncCheckpoints_fk_user_id
+          FOREIGN KEY(user_id)
+          REFERENCES users(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE
+      )`,
+
+      `CREATE INDEX syncCheckpoints_collName_user_id
+        ON syncCheckpoints (collName, user_id)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP TABLE syncCheckpoints'
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  after () { return this.dao.enableForeignKeys() }
+}
+
+module.exports = MigrationV23
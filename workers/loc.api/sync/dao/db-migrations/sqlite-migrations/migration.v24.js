@@ -0,0 +1,124 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+const { getSqlArrToModifyColumns } = require('./helpers')
+
+class MigrationV24 extends AbstractMigration {
+  /**
+   * @override
+   */
+  before () { return this.dao.disableForeignKeys() }
+
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      `CREATE TABLE ledgerCategoryRules (
+        _id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        pattern VARCHAR(255),
+        matchType VARCHAR(255),
+        category INT,
+        tag VARCHAR(255),
+        user_id INT NOT NULL,
+        CONSTRAINT ledgerCategoryRules_fk_user_id
+          FOREIGN KEY(user_id)
+          REFERENCES users(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE
+      )`,
+
+      `CREATE INDEX ledgerCategoryRules_user_id
+        ON ledgerCategoryRules (user_id)`,
+
+      'ALTER TABLE ledgers ADD COLUMN _tag VARCHAR(255)',
+
+      `CREATE INDEX ledgers_user_id__tag_mts
+        ON ledgers(user_id, _tag, mts)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP TABLE ledgerCategoryRules',
+
+      ...getSqlArrToModifyColumns(
+        'ledgers',
+        {
+          _id: 'INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT',
+          id: 'BIGINT',
+          currency: 'VARCHAR(255)',
+          mts: 'BIGINT',
+          amount: 'DECIMAL(22,12)',
+          amountUsd: 'DECIMAL(22,12)',
+          balance: 'DECIMAL(22,12)',
+          _nativeBalance: 'DECIMAL(22,12)',
+          balanceUsd: 'DECIMAL(22,12)',
+          _nativeBalanceUsd: 'DECIMAL(22,12)',
+          description: 'TEXT',
+          wallet: 'VARCHAR(255)',
+          _category: 'INT',
+          _isMarginFundingPayment: 'INT',
+          _isAffiliateRebate: 'INT',
+          _isStakingPayments: 'INT',
+          _isBalanceRecalced: 'INT',
+          subUserId: 'INT',
+          user_id: 'INT NOT NULL',
+          __constraints__: [
+            `CONSTRAINT #{tableName}_fk_user_id
+            FOREIGN KEY (user_id)
+            REFERENCES users(_id)
+            ON UPDATE CASCADE
+            ON DELETE CASCADE`,
+            `CONSTRAINT #{tableName}_fk_subUserId
+            FOREIGN KEY (subUserId)
+            REFERENCES users(_id)
+            ON UPDATE CASCADE
+            ON DELETE CASCADE`
+          ]
+        }
+      ),
+
+      `CREATE UNIQUE INDEX ledgers_id_user_id
+        ON ledgers(id, user_id)`,
+      `CREATE INDEX ledgers_user_id_wallet_currency_mts
+        ON ledgers(user_id, wallet, currency, mts)`,
+      `CREATE INDEX ledgers_user_id_wallet_mts
+        ON ledgers(user_id, wallet, mts)`,
+      `CREATE INDEX ledgers_user_id_currency_mts
+        ON ledgers(user_id, currency, mts)`,
+      `CREATE INDEX ledgers_user_id__isMarginFundingPayment_mts
+        ON ledgers(user_id, _isMarginFundingPayment, mts)`,
+      `CREATE INDEX ledgers_user_id__isAffiliateRebate_mts
+        ON ledgers(user_id, _isAffiliateRebate, mts)`,
+      `CREATE INDEX ledgers_user_id__isStakingPayments_mts
+        ON ledgers(user_id, _isStakingPayments, mts)`,
+      `CREATE INDEX ledgers_user_id__category_mts
+        ON ledgers(user_id, _category, mts)`,
+      `CREATE INDEX ledgers_user_id_mts
+        ON ledgers(user_id, mts)`,
+      `CREATE INDEX ledgers_currency_mts
+        ON ledgers(currency, mts)`,
+      `CREATE INDEX ledgers_user_id_subUserId_mts
+        ON ledgers(user_id, subUserId, mts)
+        WHERE subUserId IS NOT NULL`,
+      `CREATE INDEX ledgers_subUserId_mts__id
+        ON ledgers(subUserId, mts, _id)
+        WHERE subUserId IS NOT NULL`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  after () { return this.dao.enableForeignKeys() }
+}
+
+module.exports = MigrationV24
@@ -0,0 +1,136 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+const { getSqlArrToModifyColumns } = require('./helpers')
+
+const _getFtsSqlArr = (tableName, fieldName) => {
+  const ftsName = `${tableName}Fts`
+
+  return [
+    `CREATE VIRTUAL TABLE ${ftsName}
+      USING fts5(${fieldName}, content='${tableName}', content_rowid='_id')`,
+    `CREATE TRIGGER ${ftsName}_insert
+      AFTER INSERT ON ${tableName}
+      FOR EACH ROW
+      BEGIN
+        INSERT INTO ${ftsName}(rowid, ${fieldName})
+          VALUES (new._id, new.${fieldName});
+      END`,
+    `CREATE TRIGGER ${ftsName}_delete
+      AFTER DELETE ON ${tableName}
+      FOR EACH ROW
+      BEGIN
+        INSERT INTO ${ftsName}(${ftsName}, rowid, ${fieldName})
+          VALUES ('delete', old._id, old.${fieldName});
+      END`,
+    `CREATE TRIGGER ${ftsName}_update
+      AFTER UPDATE OF ${fieldName} ON ${tableName}
+      FOR EACH ROW
+      BEGIN
+        INSERT INTO ${ftsName}(${ftsName}, rowid, ${fieldName})
+          VALUES ('delete', old._id, old.${fieldName});
+        INSERT INTO ${ftsName}(rowid, ${fieldName})
+          VALUES (new._id, new.${fieldName});
+      END`,
+    `INSERT INTO ${ftsName}(${ftsName}) VALUES ('rebuild')`
+  ]
+}
+
+class MigrationV25 extends AbstractMigration {
+  /**
+   * @override
+   */
+  before () { return this.dao.disableForeignKeys() }
+
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      'ALTER TABLE orders ADD COLUMN meta TEXT',
+
+      ..._getFtsSqlArr('ledgers', 'description'),
+      ..._getFtsSqlArr('orders', 'meta')
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP TRIGGER IF EXISTS ledgersFts_insert',
+      'DROP TRIGGER IF EXISTS ledgersFts_delete',
+      'DROP TRIGGER IF EXISTS ledgersFts_update',
+      'DROP TABLE IF EXISTS ledgersFts',
+      'DROP TRIGGER IF EXISTS ordersFts_insert',
+      'DROP TRIGGER IF EXISTS ordersFts_delete',
+      'DROP TRIGGER IF EXISTS ordersFts_update',
+      'DROP TABLE IF EXISTS ordersFts',
+
+      ...getSqlArrToModifyColumns(
+        'orders',
+        {
+          _id: 'INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT',
+          id: 'BIGINT',
+          gid: 'BIGINT',
+          cid: 'BIGINT',
+          symbol: 'VARCHAR(255)',
+          mtsCreate: 'BIGINT',
+          mtsUpdate: 'BIGINT',
+          amount: 'DECIMAL(22,12)',
+          amountOrig: 'DECIMAL(22,12)',
+          type: 'VARCHAR(255)',
+          typePrev: 'VARCHAR(255)',
+          flags: 'INT',
+          status: 'VARCHAR(255)',
+          price: 'DECIMAL(22,12)',
+          priceAvg: 'DECIMAL(22,12)',
+          priceTrailing: 'DECIMAL(22,12)',
+          priceAuxLimit: 'DECIMAL(22,12)',
+          notify: 'INT',
+          placedId: 'BIGINT',
+          _lastAmount: 'DECIMAL(22,12)',
+          amountExecuted: 'DECIMAL(22,12)',
+          subUserId: 'INT',
+          user_id: 'INT NOT NULL',
+          __constraints__: [
+            `CONSTRAINT #{tableName}_fk_user_id
+            FOREIGN KEY (user_id)
+            REFERENCES users(_id)
+            ON UPDATE CASCADE
+            ON DELETE CASCADE`,
+            `CONSTRAINT #{tableName}_fk_subUserId
+            FOREIGN KEY (subUserId)
+            REFERENCES users(_id)
+            ON UPDATE CASCADE
+            ON DELETE CASCADE`
+          ]
+        }
+      ),
+
+      `CREATE UNIQUE INDEX orders_id_user_id
+        ON orders(id, user_id)`,
+      `CREATE INDEX orders_user_id_symbol_mtsUpdate
+        ON orders(user_id, symbol, mtsUpdate)`,
+      `CREATE INDEX orders_user_id_type_mtsUpdate
+        ON orders(user_id, type, mtsUpdate)`,
+      `CREATE INDEX orders_user_id_mtsUpdate
+        ON orders(user_id, mtsUpdate)`,
+      `CREATE INDEX orders_user_id_subUserId_mtsUpdate
+        ON orders(user_id, subUserId, mtsUpdate)
+        WHERE subUserId IS NOT NULL`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  after () { return this.dao.enableForeignKeys() }
+}
+
+module.exports = MigrationV25
@@ -0,0 +1,85 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+
+class MigrationV28 extends AbstractMigration {
+  /**
+   * @override
+   */
+  before () { return this.dao.disableForeignKeys() }
+
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      `CREATE TABLE alertRules (
+        _id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        type VARCHAR(255),
+        wallet VARCHAR(255),
+        currency VARCHAR(255),
+        threshold DECIMAL(22,12),
+        isEnable INT,
+        isTriggered INT,
+        createdAt BIGINT,
+        user_id INT NOT NULL,
+        CONSTRAINT alertRules_fk_user_id
+          FOREIGN KEY(user_id)
+          REFERENCES users(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE
+      )`,
+      `CREATE TABLE alertHistory (
+        _id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        ruleId INT NOT NULL,
+        type VARCHAR(255),
+        wallet VARCHAR(255),
+        currency VARCHAR(255),
+        value DECIMAL(22,12),
+        threshold DECIMAL(22,12),
+        mts BIGINT,
+        user_id INT NOT NULL,
+        CONSTRAINT alertHistory_fk_user_id
+          FOREIGN KEY(user_id)
+          REFERENCES users(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE,
+        CONSTRAINT alertHistory_fk_ruleId
+          FOREIGN KEY(ruleId)
+          REFERENCES alertRules(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE
+      )`,
+
+      `CREATE INDEX alertRules_user_id
+        ON alertRules(user_id)`,
+      `CREATE INDEX alertRules_isEnable
+        ON alertRules(isEnable)`,
+      `CREATE INDEX alertHistory_user_id_ruleId_mts
+        ON alertHistory(user_id, ruleId, mts)`,
+      `CREATE INDEX alertHistory_user_id_mts
+        ON alertHistory(user_id, mts)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP TABLE alertHistory',
+      'DROP TABLE alertRules'
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  after () { return this.dao.enableForeignKeys() }
+}
+
+module.exports = MigrationV28
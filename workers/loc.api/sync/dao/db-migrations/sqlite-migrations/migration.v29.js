@@ -0,0 +1,78 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+
+class MigrationV29 extends AbstractMigration {
+  /**
+   * @override
+   */
+  before () { return this.dao.disableForeignKeys() }
+
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      `CREATE TABLE syncHistory (
+        _id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        trigger VARCHAR(255),
+        syncColls TEXT,
+        status VARCHAR(255),
+        progress INT,
+        error TEXT,
+        mtsStarted BIGINT,
+        mtsFinished BIGINT,
+        duration BIGINT
+      )`,
+      `CREATE TABLE syncHistoryStats (
+        _id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        runId INT NOT NULL,
+        collName VARCHAR(255),
+        insertedCount INT,
+        updatedCount INT,
+        apiCallsCount INT,
+        errorsCount INT,
+        error TEXT,
+        user_id INT,
+        CONSTRAINT syncHistoryStats_fk_user_id
+          FOREIGN KEY(user_id)
+          REFERENCES users(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE,
+        CONSTRAINT syncHistoryStats_fk_runId
+          FOREIGN KEY(runId)
+          REFERENCES syncHistory(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE
+      )`,
+
+      `CREATE INDEX syncHistory_mtsStarted
+        ON syncHistory(mtsStarted)`,
+      `CREATE INDEX syncHistory_status
+        ON syncHistory(status)`,
+      `CREATE INDEX syncHistoryStats_runId_user_id
+        ON syncHistoryStats(runId, user_id)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP TABLE syncHistoryStats',
+      'DROP TABLE syncHistory'
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  after () { return this.dao.enableForeignKeys() }
+}
+
+module.exports = MigrationV29
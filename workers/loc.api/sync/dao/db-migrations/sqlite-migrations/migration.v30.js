@@ -0,0 +1,88 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+
+/**
+ * Checkpoints are keyed by the sub-user too, the stored ones
+ * can't be matched to a sub-user so they are dropped
+ * and the interrupted windows are synced again
+ */
+class MigrationV30 extends AbstractMigration {
+  /**
+   * @override
+   */
+  before () { return this.dao.disableForeignKeys() }
+
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      'DROP TABLE syncCheckpoints',
+      `CREATE TABLE syncCheckpoints (
+        _id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        collName VARCHAR(255),
+        symbol VARCHAR(255),
+        timeframe VARCHAR(255),
+        start BIGINT,
+        mts BIGINT,
+        id BIGINT,
+        subUserId INT,
+        user_id INT,
+        CONSTRAINT syncCheckpoints_fk_user_id
+          FOREIGN KEY(user_id)
+          REFERENCES users(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE,
+        CONSTRAINT syncCheckpoints_fk_subUserId
+          FOREIGN KEY(subUserId)
+          REFERENCES users(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE
+      )`,
+
+      `CREATE UNIQUE INDEX syncCheckpoints_collName_symbol_timeframe_user_id_subUserId
+        ON syncCheckpoints(collName, symbol, timeframe, user_id, subUserId)`,
+      `CREATE INDEX syncCheckpoints_collName_user_id
+        ON syncCheckpoints(collName, user_id)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP TABLE syncCheckpoints',
+      `CREATE TABLE syncCheckpoints (
+        _id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        collName VARCHAR(255),
+        symbol VARCHAR(255),
+        timeframe VARCHAR(255),
+        start BIGINT,
+        mts BIGINT,
+        id BIGINT,
+        user_id INT,
+        CONSTRAINT syncCheckpoints_fk_user_id
+          FOREIGN KEY(user_id)
+          REFERENCES users(_id)
+          ON UPDATE CASCADE
+          ON DELETE CASCADE
+      )`,
+
+      `CREATE INDEX syncCheckpoints_collName_user_id
+        ON syncCheckpoints(collName, user_id)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  after () { return this.dao.enableForeignKeys() }
+}
+
+module.exports = MigrationV30
@@ -0,0 +1,43 @@
+'use strict'
+
+const AbstractMigration = require('./abstract.migration')
+
+class MigrationV31 extends AbstractMigration {
+  /**
+   * @override
+   */
+  async up () {
+    const sqlArr = [
+      `CREATE TABLE statusMessagesHistory (
+        _id INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+        key VARCHAR(255),
+        timestamp BIGINT,
+        price DECIMAL(22,12),
+        priceSpot DECIMAL(22,12),
+        fundBal DECIMAL(22,12),
+        fundingAccrued DECIMAL(22,12),
+        fundingStep DECIMAL(22,12),
+        clampMin DECIMAL(22,12),
+        clampMax DECIMAL(22,12)
+      )`,
+
+      `CREATE UNIQUE INDEX statusMessagesHistory_key_timestamp
+        ON statusMessagesHistory(key, timestamp)`
+    ]
+
+    this.addSql(sqlArr)
+  }
+
+  /**
+   * @override
+   */
+  async down () {
+    const sqlArr = [
+      'DROP TABLE statusMessagesHistory'
+    ]
+
+    this.addSql(sqlArr)
+  }
+}
+
+module.exports = MigrationV31
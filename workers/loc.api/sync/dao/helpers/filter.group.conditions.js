@@ -0,0 +1,18 @@
+'use strict'
+
+const FILTER_CONDITIONS = require(
+  'bfx-report/workers/loc.api/helpers/filter.conditions'
+)
+
+/*
+ * Conditions are handled on the framework side,
+ * groups accept an array of filters, e.g.
+ * `{ $nor: [{ $eq: { wallet: 'exchange' } }, { $lt: { amount: 0 } }] }`,
+ * `$or` also accepts an object of conditions for compatibility
+ */
+module.exports = {
+  AND: '$and',
+  OR: FILTER_CONDITIONS.OR,
+  NOR: '$nor',
+  MATCH: '$match'
+}
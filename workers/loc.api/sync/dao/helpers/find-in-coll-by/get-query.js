@@ -13,7 +13,7 @@ const getFilterParams = require('./get-filter-params')
 
 module.exports = (args, methodColl, opts) => {
   const { params } = { ...args }
-  const { sort: _sort, model } = { ...methodColl }
+  const { sort: _sort, model, name } = { ...methodColl }
   const {
     isPublic,
     additionalModel,
@@ -38,7 +38,7 @@ module.exports = (args, methodColl, opts) => {
     values
   } = getWhereQuery(
     filter,
-    { requestedFilter }
+    { requestedFilter, name }
   )
   const group = getGroupQuery(methodColl)
   const subQuery = getSubQuery(methodColl)
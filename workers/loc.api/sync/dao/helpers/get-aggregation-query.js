@@ -0,0 +1,26 @@
+'use strict'
+
+const getProjectionQuery = require('./get-projection-query')
+const getGroupQuery = require('./get-group-query')
+const getOrderQuery = require('./get-order-query')
+
+/**
+ * Grouping is applied by aliases of the projection,
+ * it's allowed in both SQLite and PostgreSQL
+ */
+module.exports = ({
+  name,
+  projection = [],
+  where = '',
+  groupResBy = [],
+  sort = []
+} = {}) => {
+  const _projection = getProjectionQuery(projection)
+  const group = getGroupQuery({ groupResBy })
+  const _sort = getOrderQuery(sort)
+
+  return `SELECT ${_projection} FROM ${name}
+    ${where}
+    ${group}
+    ${_sort}`
+}
@@ -0,0 +1,76 @@
+'use strict'
+
+const {
+  FULL_TEXT_SEARCH_FIELD_NAME
+} = require('../../schema/const')
+const getFullTextSearchTableName = require(
+  './get-full-text-search-table-name'
+)
+
+const _getFields = (model) => {
+  const fields = model[FULL_TEXT_SEARCH_FIELD_NAME]
+
+  return Array.isArray(fields)
+    ? fields.filter((field) => field && typeof field === 'string')
+    : []
+}
+
+/**
+ * SQLite FTS5 external content tables keep only the index,
+ * the triggers keep it in sync with the source table.
+ * The returned queries don't rebuild the index for existing rows
+ */
+module.exports = (models = [], isCreatedIfNotExists) => {
+  const _models = models instanceof Map
+    ? [...models]
+    : models
+  const _modelsArr = Array.isArray(_models)
+    ? _models
+    : [_models]
+  const condition = isCreatedIfNotExists
+    ? ' IF NOT EXISTS'
+    : ''
+
+  return _modelsArr.reduce((accum, [name, model]) => {
+    const fields = _getFields({ ...model })
+
+    if (fields.length === 0) {
+      return accum
+    }
+
+    const ftsName = getFullTextSearchTableName(name)
+    const columns = fields.join(', ')
+    const newValues = fields.map((field) => `new.${field}`).join(', ')
+    const oldValues = fields.map((field) => `old.${field}`).join(', ')
+
+    accum.push(
+      `CREATE VIRTUAL TABLE${condition} ${ftsName}
+        USING fts5(${columns}, content='${name}', content_rowid='_id')`,
+      `CREATE TRIGGER${condition} ${ftsName}_insert
+        AFTER INSERT ON ${name}
+        FOR EACH ROW
+        BEGIN
+          INSERT INTO ${ftsName}(rowid, ${columns})
+            VALUES (new._id, ${newValues});
+        END`,
+      `CREATE TRIGGER${condition} ${ftsName}_delete
+        AFTER DELETE ON ${name}
+        FOR EACH ROW
+        BEGIN
+          INSERT INTO ${ftsName}(${ftsName}, rowid, ${columns})
+            VALUES ('delete', old._id, ${oldValues});
+        END`,
+      `CREATE TRIGGER${condition} ${ftsName}_update
+        AFTER UPDATE OF ${columns} ON ${name}
+        FOR EACH ROW
+        BEGIN
+          INSERT INTO ${ftsName}(${ftsName}, rowid, ${columns})
+            VALUES ('delete', old._id, ${oldValues});
+          INSERT INTO ${ftsName}(rowid, ${columns})
+            VALUES (new._id, ${newValues});
+        END`
+    )
+
+    return accum
+  }, [])
+}
@@ -32,6 +32,15 @@ const getFieldsFilters = (
           [modelFieldName]: field
         }
       }
+      if (
+        typeof field === 'string' ||
+        Array.isArray(field)
+      ) {
+        return {
+          ...accum,
+          ...getSymbolFilter(field, modelFieldName)
+        }
+      }
     }
 
     return accum
@@ -67,7 +76,8 @@ module.exports = (
       'isMarginFundingPayment',
       'isAffiliateRebate',
       'isStakingPayments',
-      'category'
+      'category',
+      'tag'
     ],
     params,
     model
@@ -6,6 +6,20 @@ module.exports = (timeframe, params) => {
     alias = 'timeframe'
   } = { ...params }
 
+  /*
+   * Weeks start on Monday, the `weekday 0` modifier moves
+   * the date forward to the next Sunday or leaves it as is
+   */
+  if (timeframe === 'week') {
+    return `strftime(
+    '%Y-%m-%d',
+    ${propName}/1000,
+    'unixepoch',
+    'weekday 0',
+    '-6 days'
+  ) AS ${alias}`
+  }
+
   const day = timeframe === 'day' ? '-%m-%d' : ''
   const month = timeframe === 'month' ? '-%m' : ''
   const year = '%Y'
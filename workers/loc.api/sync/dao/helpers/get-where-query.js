@@ -7,6 +7,10 @@ const FILTER_CONDITIONS = require(
 
 const { serializeVal } = require('./serialization')
 const SQL_OPERATORS = require('./sql.operators')
+const FILTER_GROUP_CONDITIONS = require('./filter.group.conditions')
+const getFullTextSearchTableName = require(
+  './get-full-text-search-table-name'
+)
 
 const _getCompareOperator = (
   origFieldName,
@@ -138,13 +142,6 @@ const _getIsNullOperator = (
     .join(` ${SQL_OPERATORS.AND} `)
 }
 
-const _isOrOp = (filter) => (
-  filter &&
-  typeof filter === 'object' &&
-  filter[FILTER_CONDITIONS.OR] &&
-  typeof filter[FILTER_CONDITIONS.OR] === 'object'
-)
-
 const _isCondition = (
   conditions,
   fieldName
@@ -245,11 +242,15 @@ const _getWhereQueryAndValues = (
   fieldsNamesToDisableCaseSensitivity,
   alias,
   isPrefixed,
-  condName = ''
+  condName = '',
+  valuesPrefix = ''
 ) => {
   const _alias = alias && typeof alias === 'string'
     ? `${alias}.`
     : ''
+  const valuesAlias = [valuesPrefix, alias]
+    .filter((item) => item && typeof item === 'string')
+    .join('_')
   const _compareOperator = _getCompareOperator(
     origFieldName,
     isArr
@@ -280,7 +281,7 @@ const _getWhereQueryAndValues = (
     _filter,
     _fieldNameWithCondName,
     isArr,
-    alias,
+    valuesAlias,
     isPrefixed
   )
   const {
@@ -367,26 +368,201 @@ const _getFieldsNamesToDisableCaseSensitivity = (
   }, initAccum)
 }
 
-module.exports = (
-  filter = {},
-  opts = {}
-) => {
+const _getValuesPrefix = (...parts) => parts
+  .filter((item) => (
+    Number.isInteger(item) ||
+    (item && typeof item === 'string')
+  ))
+  .join('_')
+
+const _isGroup = (filter, condition) => (
+  Array.isArray(filter[condition]) ||
+  (
+    condition === FILTER_GROUP_CONDITIONS.OR &&
+    filter[condition] &&
+    typeof filter[condition] === 'object'
+  )
+)
+
+const _getFullTextSearchTerms = (val) => {
+  if (
+    !val ||
+    typeof val !== 'string'
+  ) {
+    return []
+  }
+
+  return val.split(/\s+/).filter((term) => (
+    term &&
+    term !== '*'
+  ))
+}
+
+/*
+ * Each term is quoted to not be treated as FTS5 query syntax,
+ * the trailing `*` keeps the prefix search
+ */
+const _getFullTextSearchPhrase = (term) => {
+  const isPrefix = /\*$/.test(term)
+  const _term = isPrefix
+    ? term.replace(/\*+$/, '')
+    : term
+
+  return `"${_term.replace(/"/g, '""')}"${isPrefix ? '*' : ''}`
+}
+
+const _getLikeVal = (term) => {
+  const _term = term
+    .replace(/\*+$/, '')
+    .toLowerCase()
+    .replace(/[\\%_]/g, (char) => `\\${char}`)
+
+  return `%${_term}%`
+}
+
+/*
+ * PostgreSQL doesn't have FTS5 tables,
+ * there each term is searched by the case-insensitive `LIKE`
+ */
+const _getMatchQueries = (filter, opts) => {
   const {
+    name,
+    alias,
     isPrefixed,
-    isNotSetWhereClause,
-    requestedFilter,
-    alias
-  } = { ...opts }
+    valuesPrefix,
+    isFullTextSearchByLike
+  } = opts
+  const matchFilter = filter[FILTER_GROUP_CONDITIONS.MATCH]
 
-  let values = {}
+  if (
+    !matchFilter ||
+    typeof matchFilter !== 'object'
+  ) {
+    return { queries: [], values: {} }
+  }
+
+  const _alias = alias && typeof alias === 'string'
+    ? `${alias}.`
+    : ''
+  const ftsName = getFullTextSearchTableName(name)
+
+  return Object.entries(matchFilter).reduce((accum, [field, val]) => {
+    const terms = _getFullTextSearchTerms(val)
+
+    if (terms.length === 0) {
+      return accum
+    }
+    if (isFullTextSearchByLike) {
+      terms.forEach((term, i) => {
+        const {
+          key,
+          queryValKey
+        } = _getKeyAndQueryValKey(
+          _getValuesPrefix(valuesPrefix, 'match', field, i),
+          isPrefixed
+        )
+
+        accum.values[queryValKey] = _getLikeVal(term)
+        accum.queries.push(
+          `LOWER(${_alias}${field}) ${SQL_OPERATORS.LIKE} ${key} ${SQL_OPERATORS.ESCAPE} '\\'`
+        )
+      })
+
+      return accum
+    }
+
+    const {
+      key,
+      queryValKey
+    } = _getKeyAndQueryValKey(
+      _getValuesPrefix(valuesPrefix, 'match', field),
+      isPrefixed
+    )
+    const phrases = terms.map(_getFullTextSearchPhrase).join(' ')
+
+    accum.values[queryValKey] = `${field} : (${phrases})`
+    accum.queries.push(
+      `${_alias}_id ${SQL_OPERATORS.IN} (SELECT rowid FROM ${ftsName} WHERE ${ftsName} ${SQL_OPERATORS.MATCH} ${key})`
+    )
+
+    return accum
+  }, { queries: [], values: {} })
+}
+
+const _getGroupQueries = (filter, opts) => {
+  const { valuesPrefix } = opts
+  const groups = [
+    FILTER_GROUP_CONDITIONS.AND,
+    FILTER_GROUP_CONDITIONS.OR,
+    FILTER_GROUP_CONDITIONS.NOR
+  ].filter((condition) => _isGroup(filter, condition))
+
+  return groups.reduce((accum, condition) => {
+    const groupName = condition.replace(/^[$]/, '')
+    const operator = condition === FILTER_GROUP_CONDITIONS.AND
+      ? SQL_OPERATORS.AND
+      : SQL_OPERATORS.OR
+    const subFilters = Array.isArray(filter[condition])
+      ? filter[condition]
+      : [filter[condition]]
+    const isCondsOfObj = !Array.isArray(filter[condition])
+
+    const subQueries = subFilters.reduce((subAccum, subFilter, i) => {
+      if (
+        !subFilter ||
+        typeof subFilter !== 'object' ||
+        Array.isArray(subFilter)
+      ) {
+        return subAccum
+      }
+
+      const {
+        query,
+        values
+      } = _getQueryAndValues(
+        { ...subFilter, _dateFieldName: filter._dateFieldName },
+        {
+          ...opts,
+          requestedFilter: subFilter,
+          operator: isCondsOfObj
+            ? SQL_OPERATORS.OR
+            : SQL_OPERATORS.AND,
+          valuesPrefix: _getValuesPrefix(valuesPrefix, groupName, i)
+        }
+      )
+
+      if (query) {
+        subAccum.queries.push(`(${query})`)
+        accum.values = { ...accum.values, ...values }
+      }
+
+      return subAccum
+    }, { queries: [] })
+
+    if (subQueries.queries.length === 0) {
+      return accum
+    }
+
+    const query = subQueries.queries.join(` ${operator} `)
+    const negation = condition === FILTER_GROUP_CONDITIONS.NOR
+      ? `${SQL_OPERATORS.NOT} `
+      : ''
+
+    accum.queries.push(`${negation}(${query})`)
+
+    return accum
+  }, { queries: [], values: {} })
+}
+
+const _getQueryAndValues = (filter, opts) => {
+  const {
+    requestedFilter,
+    alias,
+    isPrefixed,
+    valuesPrefix = '',
+    operator = SQL_OPERATORS.AND
+  } = opts
 
-  const isOrOp = _isOrOp(filter)
-  const _filter = isOrOp
-    ? { ...filter[FILTER_CONDITIONS.OR] }
-    : { ...filter }
-  const operator = isOrOp
-    ? SQL_OPERATORS.OR
-    : SQL_OPERATORS.AND
   const conditions = [
     FILTER_CONDITIONS.GT,
     FILTER_CONDITIONS.GTE,
@@ -399,79 +575,126 @@ module.exports = (
     FILTER_CONDITIONS.IN,
     FILTER_CONDITIONS.NIN
   ]
+  const groupConditions = Object.values(FILTER_GROUP_CONDITIONS)
+    .filter((condition) => (
+      condition === FILTER_GROUP_CONDITIONS.MATCH ||
+      _isGroup(filter, condition)
+    ))
   const hiddenFields = ['_dateFieldName']
-  const keys = Object.keys(omit(_filter, hiddenFields))
+  const _filter = omit(filter, [...hiddenFields, ...groupConditions])
+  const keys = Object.keys(_filter)
   const fieldsNamesToDisableCaseSensitivity = _getFieldsNamesToDisableCaseSensitivity(
-    requestedFilter
+    omit(requestedFilter, groupConditions)
   )
-  const where = keys.reduce(
-    (accum, curr, i) => {
-      const isArr = Array.isArray(_filter[curr])
-      const isNullOp = _getIsNullOperator(curr, _filter, alias)
-      const op = i > 0 ? ` ${operator} ` : ''
-
-      if (isNullOp) {
-        return `${accum}${op}${isNullOp}`
-      }
-      if (_isCondition(
-        conditions,
-        curr
-      )) {
-        const condFilter = (
-          _filter[curr] &&
-          typeof _filter[curr] === 'object'
-        )
-          ? _filter[curr]
-          : {}
-        const condKeys = Object.keys(omit(condFilter, hiddenFields))
-        const query = condKeys.reduce(
-          (condAccum, currCond, j) => {
-            const isCondArr = Array.isArray(condFilter[currCond])
-            const condOp = i > 0 || j > 0 ? ` ${operator} ` : ''
-            const {
-              subValues,
-              subQuery
-            } = _getWhereQueryAndValues(
-              condOp,
-              curr,
-              condFilter,
-              condAccum,
-              isCondArr,
-              fieldsNamesToDisableCaseSensitivity,
-              alias,
-              isPrefixed,
-              currCond
-            )
-
-            values = { ...values, ...subValues }
-
-            return subQuery
-          }, '')
-
-        return `${accum}${query}`
-      }
+  let values = {}
 
-      const {
-        subValues,
-        subQuery
-      } = _getWhereQueryAndValues(
-        op,
-        curr,
-        filter,
-        accum,
-        isArr,
-        fieldsNamesToDisableCaseSensitivity,
-        alias,
-        isPrefixed
+  const queries = keys.reduce((accum, curr) => {
+    const isArr = Array.isArray(_filter[curr])
+    const isNullOp = _getIsNullOperator(curr, _filter, alias)
+
+    if (isNullOp) {
+      accum.push(isNullOp)
+
+      return accum
+    }
+    if (_isCondition(
+      conditions,
+      curr
+    )) {
+      const condFilter = (
+        _filter[curr] &&
+        typeof _filter[curr] === 'object'
       )
+        ? _filter[curr]
+        : {}
+      const condKeys = Object.keys(omit(condFilter, hiddenFields))
+
+      condKeys.forEach((currCond) => {
+        const isCondArr = Array.isArray(condFilter[currCond])
+        const {
+          subValues,
+          subQuery
+        } = _getWhereQueryAndValues(
+          '',
+          curr,
+          condFilter,
+          '',
+          isCondArr,
+          fieldsNamesToDisableCaseSensitivity,
+          alias,
+          isPrefixed,
+          currCond,
+          valuesPrefix
+        )
 
-      values = { ...values, ...subValues }
+        values = { ...values, ...subValues }
+        accum.push(subQuery)
+      })
 
-      return subQuery
-    },
-    (isNotSetWhereClause || keys.length === 0)
-      ? '' : `${SQL_OPERATORS.WHERE} `
-  )
+      return accum
+    }
+
+    const {
+      subValues,
+      subQuery
+    } = _getWhereQueryAndValues(
+      '',
+      curr,
+      filter,
+      '',
+      isArr,
+      fieldsNamesToDisableCaseSensitivity,
+      alias,
+      isPrefixed,
+      '',
+      valuesPrefix
+    )
+
+    values = { ...values, ...subValues }
+    accum.push(subQuery)
+
+    return accum
+  }, [])
+
+  const groupQueries = _getGroupQueries(filter, { ...opts, valuesPrefix })
+  const matchQueries = _getMatchQueries(filter, { ...opts, valuesPrefix })
+  const query = [
+    ...queries,
+    ...groupQueries.queries,
+    ...matchQueries.queries
+  ].join(` ${operator} `)
+
+  return {
+    query,
+    values: {
+      ...values,
+      ...groupQueries.values,
+      ...matchQueries.values
+    }
+  }
+}
+
+/**
+ * Conditions are combined by `AND`, groups of filters
+ * are put in parentheses: `$and`, `$or`, negated `$nor`.
+ * The `$match` condition requires the `name` option of the table,
+ * the search is performed over its FTS5 table
+ */
+module.exports = (
+  filter = {},
+  opts = {}
+) => {
+  const {
+    isNotSetWhereClause
+  } = { ...opts }
+
+  const {
+    query,
+    values
+  } = _getQueryAndValues({ ...filter }, { ...opts })
+  const where = (isNotSetWhereClause || !query)
+    ? query
+    : `${SQL_OPERATORS.WHERE} ${query}`
 
   return { where, values }
 }
@@ -18,6 +18,7 @@ const getInsertableArrayObjectsFilter = require('./get-insertable-array-objects-
 const getProjectionQuery = require('./get-projection-query')
 const getPlaceholdersQuery = require('./get-placeholders-query')
 const getGroupQuery = require('./get-group-query')
+const getAggregationQuery = require('./get-aggregation-query')
 const getSubQuery = require('./get-sub-query')
 const filterModelNameMap = require('./filter-model-name-map')
 const SQL_OPERATORS = require('./sql.operators')
@@ -28,6 +29,9 @@ const getTriggerCreationQuery = require('./get-trigger-creation-query')
 const getTimeframeFilter = require('./get-timeframe-filter')
 const getTimeframeQuery = require('./get-timeframe-query')
 const getTablesNamesQuery = require('./get-tables-names-query')
+const getFullTextSearchTableName = require('./get-full-text-search-table-name')
+const getFullTextSearchCreationQuery = require('./get-full-text-search-creation-query')
+const normalizeFilterParams = require('./normalize-filter-params')
 const {
   normalizeUserData,
   getUsersIds,
@@ -52,6 +56,7 @@ module.exports = {
   getProjectionQuery,
   getPlaceholdersQuery,
   getGroupQuery,
+  getAggregationQuery,
   getSubQuery,
   filterModelNameMap,
   SQL_OPERATORS,
@@ -62,6 +67,9 @@ module.exports = {
   getTimeframeFilter,
   getTimeframeQuery,
   getTablesNamesQuery,
+  getFullTextSearchTableName,
+  getFullTextSearchCreationQuery,
+  normalizeFilterParams,
   normalizeUserData,
   getUsersIds,
   fillSubUsers,
@@ -0,0 +1,145 @@
+'use strict'
+
+const { omit } = require('lodash')
+const {
+  checkFilterParams,
+  normalizeFilterParams
+} = require('bfx-report/workers/loc.api/helpers')
+
+const FILTER_GROUP_CONDITIONS = require('./filter.group.conditions')
+const {
+  FilterGroupsError
+} = require('../../../errors')
+
+const _isObj = (obj) => (
+  obj &&
+  typeof obj === 'object' &&
+  !Array.isArray(obj)
+)
+
+const _checkMatchFilter = (matchFilter, fullTextSearchFields) => {
+  const fields = Array.isArray(fullTextSearchFields)
+    ? fullTextSearchFields
+    : []
+  const entries = _isObj(matchFilter)
+    ? Object.entries(matchFilter)
+    : []
+
+  if (
+    entries.length === 0 ||
+    entries.some(([field, val]) => (
+      fields.every((item) => item !== field) ||
+      !val ||
+      typeof val !== 'string'
+    ))
+  ) {
+    throw new FilterGroupsError()
+  }
+}
+
+/**
+ * Groups of filters and the full-text search condition
+ * are not known by `bfx-report`, so the conditions of each group
+ * are normalized and checked separately
+ */
+const _normalizeFilterParams = (
+  method,
+  args,
+  opts
+) => {
+  const { filterModelName, fullTextSearchFields } = opts
+  const { params } = { ...args }
+  const { filter } = { ...params }
+
+  if (!_isObj(filter)) {
+    const _args = normalizeFilterParams(method, args)
+    checkFilterParams(filterModelName, _args)
+
+    return _args
+  }
+
+  const groupConditions = [
+    FILTER_GROUP_CONDITIONS.AND,
+    FILTER_GROUP_CONDITIONS.NOR,
+    ...(Array.isArray(filter[FILTER_GROUP_CONDITIONS.OR])
+      ? [FILTER_GROUP_CONDITIONS.OR]
+      : [])
+  ].filter((condition) => (
+    typeof filter[condition] !== 'undefined'
+  ))
+  const isMatchSet = (
+    typeof filter[FILTER_GROUP_CONDITIONS.MATCH] !== 'undefined'
+  )
+
+  const _args = normalizeFilterParams(method, {
+    ...args,
+    params: {
+      ...params,
+      filter: omit(filter, [
+        ...groupConditions,
+        FILTER_GROUP_CONDITIONS.MATCH
+      ])
+    }
+  })
+  checkFilterParams(filterModelName, _args)
+
+  const { params: _params } = { ..._args }
+  const _filter = { ..._params.filter }
+
+  for (const condition of groupConditions) {
+    const subFilters = filter[condition]
+
+    if (
+      !Array.isArray(subFilters) ||
+      subFilters.length === 0 ||
+      subFilters.some((subFilter) => !_isObj(subFilter))
+    ) {
+      throw new FilterGroupsError()
+    }
+
+    _filter[condition] = subFilters.map((subFilter) => {
+      const subArgs = _normalizeFilterParams(
+        method,
+        { ...args, params: { ...params, filter: subFilter } },
+        opts
+      )
+
+      return subArgs.params.filter
+    })
+  }
+  if (isMatchSet) {
+    _checkMatchFilter(
+      filter[FILTER_GROUP_CONDITIONS.MATCH],
+      fullTextSearchFields
+    )
+
+    _filter[FILTER_GROUP_CONDITIONS.MATCH] = {
+      ...filter[FILTER_GROUP_CONDITIONS.MATCH]
+    }
+  }
+
+  return {
+    ..._args,
+    params: {
+      ..._params,
+      filter: _filter
+    }
+  }
+}
+
+module.exports = (
+  method,
+  args,
+  opts
+) => {
+  const {
+    filterModelName,
+    fullTextSearchFields = []
+  } = { ...opts }
+
+  return _normalizeFilterParams(
+    method,
+    args,
+    { filterModelName, fullTextSearchFields }
+  )
+}
@@ -0,0 +1,78 @@
+'use strict'
+
+const PLACEHOLDER_REGEXP = /\$([A-Za-z_][A-Za-z0-9_$]*)/g
+const NOCASE_COMPARISON_REGEXP = /([^\s(),]+)\s+(=|!=)\s+(\$[A-Za-z_][A-Za-z0-9_$]*)\s+COLLATE\s+NOCASE/g
+const NOCASE_IN_REGEXP = /([^\s(),]+)\s+COLLATE\s+NOCASE\s+((?:NOT\s+)?IN)\s+\(([^)]*)\)/g
+const LIKE_REGEXP = /\s+LIKE(\s+\$[A-Za-z_][A-Za-z0-9_$]*)\s+ESCAPE\s+'\\'/g
+const NON_ASCII_IDENTIFIER_REGEXP = /(?<!["\w])\w*[\u0080-\uFFFF][\w\u0080-\uFFFF]*/g
+
+const _hasOwn = (obj, key) => (
+  Object.prototype.hasOwnProperty.call(obj, key)
+)
+
+const _getParamVal = (params, name) => {
+  const prefixedName = `$${name}`
+
+  if (_hasOwn(params, prefixedName)) {
+    return params[prefixedName]
+  }
+  if (_hasOwn(params, name)) {
+    return params[name]
+  }
+
+  return null
+}
+
+const _lowerInList = (match, fieldName, operator, keys) => {
+  const _keys = keys
+    .split(',')
+    .map((key) => `LOWER(${key.trim()})`)
+    .join(', ')
+
+  return `LOWER(${fieldName}) ${operator} (${_keys})`
+}
+
+/**
+ * Shared query helpers produce SQLite flavored sql with named
+ * placeholders, PostgreSQL accepts only positional ones.
+ * Comparisons with `COLLATE NOCASE` are done by `LOWER()`
+ * and `LIKE` by `ILIKE` as SQLite ignores the case of ASCII chars
+ * for it, the backslash is the default escape char in PostgreSQL.
+ * Identifiers with non-ASCII chars (e.g. `publicСollsСonf`)
+ * are quoted in lower case as PostgreSQL folds unquoted ones
+ */
+module.exports = (sql, params) => {
+  const _sql = sql
+    .replace(NOCASE_COMPARISON_REGEXP, 'LOWER($1) $2 LOWER($3)')
+    .replace(NOCASE_IN_REGEXP, _lowerInList)
+    .replace(LIKE_REGEXP, ' ILIKE$1')
+    .replace(NON_ASCII_IDENTIFIER_REGEXP, (name) => (
+      `"${name.toLowerCase()}"`
+    ))
+
+  if (Array.isArray(params)) {
+    return { text: _sql, values: params }
+  }
+  if (
+    !params ||
+    typeof params !== 'object'
+  ) {
+    return { text: _sql, values: [] }
+  }
+
+  const indexes = new Map()
+  const values = []
+
+  const text = _sql.replace(PLACEHOLDER_REGEXP, (match, name) => {
+    if (!indexes.has(name)) {
+      const val = _getParamVal(params, name)
+
+      values.push(typeof val === 'undefined' ? null : val)
+      indexes.set(name, values.length)
+    }
+
+    return `$${indexes.get(name)}`
+  })
+
+  return { text, values }
+}
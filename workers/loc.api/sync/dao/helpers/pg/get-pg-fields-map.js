@@ -0,0 +1,83 @@
+'use strict'
+
+const IDENTIFIER_REGEXP = /[A-Za-z_][A-Za-z0-9_]*/g
+
+/**
+ * PostgreSQL folds unquoted identifiers to lower case,
+ * the map restores the camel case names of response fields
+ */
+const getPgFieldsMap = (
+  models = new Map(),
+  fieldsMap = new Map()
+) => {
+  const _models = models instanceof Map
+    ? [...models.values()]
+    : models
+
+  for (const model of _models) {
+    if (
+      !model ||
+      typeof model !== 'object'
+    ) {
+      continue
+    }
+
+    for (const field of Object.keys(model)) {
+      fieldsMap.set(field.toLowerCase(), field)
+    }
+  }
+
+  return fieldsMap
+}
+
+const getPgFieldsMapFromSql = (
+  sql,
+  fieldsMap = new Map()
+) => {
+  if (
+    !sql ||
+    typeof sql !== 'string'
+  ) {
+    return fieldsMap
+  }
+
+  const identifiers = sql.match(IDENTIFIER_REGEXP) || []
+
+  return identifiers.reduce((accum, identifier) => {
+    const key = identifier.toLowerCase()
+
+    if (
+      key !== identifier &&
+      !accum.has(key)
+    ) {
+      accum.set(key, identifier)
+    }
+
+    return accum
+  }, new Map(fieldsMap))
+}
+
+const normalizePgRow = (row, fieldsMap = new Map()) => {
+  if (
+    !row ||
+    typeof row !== 'object'
+  ) {
+    return row
+  }
+
+  return Object.entries(row).reduce((accum, [key, val]) => {
+    const field = fieldsMap.has(key)
+      ? fieldsMap.get(key)
+      : key
+
+    accum[field] = val
+
+    return accum
+  }, {})
+}
+
+module.exports = {
+  getPgFieldsMap,
+  getPgFieldsMapFromSql,
+  normalizePgRow
+}
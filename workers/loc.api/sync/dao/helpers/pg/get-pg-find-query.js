@@ -0,0 +1,63 @@
+'use strict'
+
+const getWhereQuery = require('../get-where-query')
+const getLimitQuery = require('../get-limit-query')
+const getFilterParams = require('../find-in-coll-by/get-filter-params')
+const getPgSelectQuery = require('./get-pg-select-query')
+
+module.exports = (args, methodColl, opts) => {
+  const { params } = { ...args }
+  const {
+    name,
+    sort,
+    model,
+    groupResBy,
+    subQuery
+  } = { ...methodColl }
+  const {
+    isPublic,
+    additionalModel,
+    isExcludePrivate = true
+  } = { ...opts }
+
+  const {
+    requestedFilter,
+    filter
+  } = getFilterParams(args, methodColl, { isPublic })
+
+  const _model = { ...model, ...additionalModel }
+  const exclude = isPublic ? ['_id', 'user_id'] : ['_id']
+
+  const {
+    limit,
+    limitVal
+  } = getLimitQuery({ ...params })
+  const {
+    where,
+    values
+  } = getWhereQuery(
+    filter,
+    {
+      requestedFilter,
+      name,
+      isFullTextSearchByLike: true
+    }
+  )
+
+  const sql = getPgSelectQuery({
+    name,
+    model: _model,
+    exclude,
+    isExcludePrivate,
+    where,
+    sort: Array.isArray(sort) ? sort : [],
+    groupResBy,
+    subQuery,
+    limit
+  })
+
+  return {
+    sql,
+    sqlParams: { ...values, ...limitVal }
+  }
+}
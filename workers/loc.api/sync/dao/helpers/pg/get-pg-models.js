@@ -0,0 +1,80 @@
+'use strict'
+
+const {
+  CONSTR_FIELD_NAME,
+  TRIGGER_FIELD_NAME,
+  INDEX_FIELD_NAME,
+  UNIQUE_INDEX_FIELD_NAME,
+  FULL_TEXT_SEARCH_FIELD_NAME,
+  ID_PRIMARY_KEY
+} = require('../../../schema/const')
+
+const PG_ID_PRIMARY_KEY = 'SERIAL PRIMARY KEY'
+const SERVICE_FIELD_NAMES = [
+  CONSTR_FIELD_NAME,
+  TRIGGER_FIELD_NAME,
+  INDEX_FIELD_NAME,
+  UNIQUE_INDEX_FIELD_NAME,
+  FULL_TEXT_SEARCH_FIELD_NAME
+]
+
+const _isServiceField = (field) => (
+  SERVICE_FIELD_NAMES.some((name) => name === field)
+)
+
+const getPgType = (type) => {
+  if (type === ID_PRIMARY_KEY) {
+    return PG_ID_PRIMARY_KEY
+  }
+
+  return type.replace(/^DECIMAL\(\d+,\s*\d+\)/i, 'DOUBLE PRECISION')
+}
+
+const getPgCastType = (type) => {
+  if (
+    !type ||
+    typeof type !== 'string'
+  ) {
+    return ''
+  }
+
+  const pgType = getPgType(type)
+
+  if (pgType === PG_ID_PRIMARY_KEY) {
+    return 'INT'
+  }
+
+  return pgType.replace(/\s+NOT\s+NULL/i, '')
+}
+
+const getPgModel = (model = {}) => {
+  return Object.entries(model)
+    .reduce((accum, [field, type]) => {
+      accum[field] = (
+        !_isServiceField(field) &&
+        type &&
+        typeof type === 'string'
+      )
+        ? getPgType(type)
+        : type
+
+      return accum
+    }, {})
+}
+
+const getPgModels = (models = new Map()) => {
+  const _models = models instanceof Map
+    ? [...models]
+    : models
+
+  return new Map(_models.map(([name, model]) => (
+    [name, getPgModel(model)]
+  )))
+}
+
+module.exports = {
+  getPgType,
+  getPgCastType,
+  getPgModel,
+  getPgModels
+}
@@ -0,0 +1,108 @@
+'use strict'
+
+const getOrderQuery = require('../get-order-query')
+
+const EXPRESSION_ALIAS_REGEXP = /\s+AS\s+([A-Za-z_][A-Za-z0-9_]*)\s*$/i
+
+const _getProjArr = (model) => {
+  if (Array.isArray(model)) {
+    return model
+  }
+  if (
+    model &&
+    typeof model === 'object'
+  ) {
+    return Object.keys(model)
+  }
+
+  return []
+}
+
+const _getProjection = (
+  model,
+  exclude = [],
+  isExcludePrivate
+) => {
+  const projArr = _getProjArr(model)
+    .filter((field) => (
+      !Array.isArray(exclude) ||
+      exclude.every((item) => item !== field)
+    ))
+    .filter((field) => (
+      !isExcludePrivate ||
+      !/^_.*/.test(field)
+    ))
+
+  return projArr.reduce((accum, field) => {
+    const matches = field.match(EXPRESSION_ALIAS_REGEXP)
+
+    if (matches) {
+      accum.expressions.push(field)
+      accum.aliases.push(matches[1])
+
+      return accum
+    }
+
+    accum.columns.push(field)
+
+    return accum
+  }, { columns: [], expressions: [], aliases: [] })
+}
+
+/**
+ * SQLite returns bare columns of the first row of each group
+ * ordered by the sub-query, in PostgreSQL it's `DISTINCT ON`.
+ * Computed columns are wrapped into a sub-query
+ * as PostgreSQL doesn't allow aliases in the `WHERE` clause
+ */
+module.exports = ({
+  name,
+  model = [],
+  exclude = [],
+  isExcludePrivate = false,
+  isDistinct = false,
+  where = '',
+  sort = [],
+  groupResBy = [],
+  subQuery = {},
+  limit = ''
+} = {}) => {
+  const {
+    columns,
+    expressions,
+    aliases
+  } = _getProjection(model, exclude, isExcludePrivate)
+  const _sort = getOrderQuery(sort)
+  const distinct = isDistinct ? 'DISTINCT ' : ''
+  const projection = columns.length > 0
+    ? [...columns, ...aliases].join(', ')
+    : '*'
+  const source = expressions.length > 0
+    ? `(SELECT *, ${expressions.join(', ')} FROM ${name}) AS _computed`
+    : name
+  const isGrouped = (
+    Array.isArray(groupResBy) &&
+    groupResBy.length > 0
+  )
+
+  if (!isGrouped) {
+    return `SELECT ${distinct}${projection} FROM ${source}
+      ${where}
+      ${_sort}
+      ${limit}`
+  }
+
+  const { sort: subQuerySort = [] } = { ...subQuery }
+  const groupSort = getOrderQuery([
+    ...groupResBy.map((field) => [field, 1]),
+    ...(Array.isArray(subQuerySort) ? subQuerySort : [])
+  ])
+
+  return `SELECT ${distinct}${projection} FROM (
+      SELECT DISTINCT ON (${groupResBy.join(', ')}) * FROM ${source}
+        ${where}
+        ${groupSort}
+    ) AS _grouped
+    ${_sort}
+    ${limit}`
+}
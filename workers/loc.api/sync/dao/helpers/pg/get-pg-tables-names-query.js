@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = () => {
+  return `SELECT table_name AS name FROM information_schema.tables
+  WHERE table_schema = 'public' AND
+  table_type = 'BASE TABLE'
+  ORDER BY name`
+}
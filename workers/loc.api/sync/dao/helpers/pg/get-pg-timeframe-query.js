@@ -0,0 +1,38 @@
+'use strict'
+
+/*
+ * The unix epoch starts on Thursday,
+ * the first Monday is in 4 days
+ */
+const FIRST_MONDAY_SEC = 4 * 24 * 60 * 60
+const WEEK_SEC = 7 * 24 * 60 * 60
+
+/**
+ * Timestamps are formatted in UTC as the session time zone
+ * is set on connecting, see `pg-db`
+ */
+module.exports = (timeframe, params) => {
+  const {
+    propName = 'mts',
+    alias = 'timeframe'
+  } = { ...params }
+
+  if (timeframe === 'week') {
+    return `to_char(
+    to_timestamp(
+      floor((${propName} / 1000.0 - ${FIRST_MONDAY_SEC}) / ${WEEK_SEC}) *
+      ${WEEK_SEC} + ${FIRST_MONDAY_SEC}
+    ),
+    'YYYY-MM-DD'
+  ) AS ${alias}`
+  }
+
+  const day = timeframe === 'day' ? '-DD' : ''
+  const month = timeframe === 'month' || day ? '-MM' : ''
+  const year = 'YYYY'
+
+  return `to_char(
+    to_timestamp(${propName} / 1000.0),
+    '${year}${month}${day}'
+  ) AS ${alias}`
+}
@@ -0,0 +1,87 @@
+'use strict'
+
+const { TRIGGER_FIELD_NAME } = require('../../../schema/const')
+
+const TRIGGER_REGEXP = /^\s*(\S+)\s+((BEFORE|AFTER)\s+(INSERT|UPDATE|DELETE)[\s\S]*?)\s+ON\s+(\S+)\s+(FOR\s+EACH\s+ROW)\s+BEGIN\s+([\s\S]*?)\s*END\s*$/i
+
+const _getReturnedRow = (timing, event) => {
+  if (!/^BEFORE$/i.test(timing)) {
+    return 'NULL'
+  }
+
+  return /^DELETE$/i.test(event)
+    ? 'OLD'
+    : 'NEW'
+}
+
+/**
+ * Converts SQLite trigger statements from the models
+ * to PL/pgSQL trigger functions and triggers
+ */
+const _getTriggersQuery = (name, model) => {
+  const triggersArr = Array.isArray(model[TRIGGER_FIELD_NAME])
+    ? model[TRIGGER_FIELD_NAME]
+    : [model[TRIGGER_FIELD_NAME]]
+
+  return triggersArr.reduce((accum, item) => {
+    if (
+      !item ||
+      typeof item !== 'string'
+    ) {
+      return accum
+    }
+
+    const stm = item.replace(/#{tableName\}/g, name)
+    const matches = stm.match(TRIGGER_REGEXP)
+
+    if (!matches) {
+      return accum
+    }
+
+    const [
+      ,
+      triggerName,
+      triggerEvent,
+      timing,
+      event,
+      tableName,
+      forEachRow,
+      body
+    ] = matches
+    const fnName = `${triggerName}_fn`
+    const returnedRow = _getReturnedRow(timing, event)
+
+    accum.push(
+      `CREATE OR REPLACE FUNCTION ${fnName}() RETURNS trigger AS $$
+        BEGIN
+          ${body}
+          RETURN ${returnedRow};
+        END;
+      $$ LANGUAGE plpgsql`,
+      `DROP TRIGGER IF EXISTS ${triggerName} ON ${tableName}`,
+      `CREATE TRIGGER ${triggerName}
+        ${triggerEvent} ON ${tableName}
+        ${forEachRow}
+        EXECUTE PROCEDURE ${fnName}()`
+    )
+
+    return accum
+  }, [])
+}
+
+module.exports = (models = []) => {
+  const _models = models instanceof Map
+    ? [...models]
+    : models
+  const _modelsArr = Array.isArray(_models)
+    ? _models
+    : [_models]
+
+  return _modelsArr.reduce((accum, [name, model]) => {
+    const triggers = _getTriggersQuery(name, model)
+
+    accum.push(...triggers)
+
+    return accum
+  }, [])
+}
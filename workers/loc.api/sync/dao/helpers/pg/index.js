@@ -0,0 +1,37 @@
+'use strict'
+
+const convertToPgQuery = require('./convert-to-pg-query')
+const {
+  getPgType,
+  getPgCastType,
+  getPgModel,
+  getPgModels
+} = require('./get-pg-models')
+const getPgTriggerCreationQuery = require('./get-pg-trigger-creation-query')
+const getPgTimeframeQuery = require('./get-pg-timeframe-query')
+const getPgTablesNamesQuery = require('./get-pg-tables-names-query')
+const getPgUsersQuery = require('./get-pg-users-query')
+const getPgSelectQuery = require('./get-pg-select-query')
+const getPgFindQuery = require('./get-pg-find-query')
+const {
+  getPgFieldsMap,
+  getPgFieldsMapFromSql,
+  normalizePgRow
+} = require('./get-pg-fields-map')
+
+module.exports = {
+  convertToPgQuery,
+  getPgType,
+  getPgCastType,
+  getPgModel,
+  getPgModels,
+  getPgTriggerCreationQuery,
+  getPgTimeframeQuery,
+  getPgTablesNamesQuery,
+  getPgUsersQuery,
+  getPgSelectQuery,
+  getPgFindQuery,
+  getPgFieldsMap,
+  getPgFieldsMapFromSql,
+  normalizePgRow
+}
@@ -6,12 +6,14 @@ module.exports = {
   LT: '<',
   LTE: '<=',
   LIKE: 'LIKE',
+  MATCH: 'MATCH',
   NE: '!=',
   EQ: '=',
   IN: 'IN',
   NIN: 'NOT IN',
   AND: 'AND',
   OR: 'OR',
+  NOT: 'NOT',
   WHERE: 'WHERE',
   ESCAPE: 'ESCAPE',
   IS_NULL: 'IS NULL',
@@ -0,0 +1,40 @@
+'use strict'
+
+const INT8_OID = 20
+const NUMERIC_OID = 1700
+
+const _parseNumber = (val) => {
+  const num = Number(val)
+
+  return Number.isFinite(num) ? num : val
+}
+
+const _createPool = (conf) => {
+  const { Pool, types } = require('pg')
+
+  return new Pool({
+    ...conf,
+    options: '-c timezone=UTC',
+    types: {
+      getTypeParser: (oid, format) => {
+        if (
+          oid === INT8_OID ||
+          oid === NUMERIC_OID
+        ) {
+          return _parseNumber
+        }
+
+        return types.getTypeParser(oid, format)
+      }
+    }
+  })
+}
+
+module.exports = (conf) => {
+  const pool = _createPool(conf)
+
+  return {
+    pool,
+    end: () => pool.end()
+  }
+}
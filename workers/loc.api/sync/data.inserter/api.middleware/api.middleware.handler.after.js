@@ -16,9 +16,11 @@ const {
 
 class ApiMiddlewareHandlerAfter {
   constructor (
-    searchClosePriceAndSumAmount
+    searchClosePriceAndSumAmount,
+    ledgerCategoryRules
   ) {
     this.searchClosePriceAndSumAmount = searchClosePriceAndSumAmount
+    this.ledgerCategoryRules = ledgerCategoryRules
   }
 
   async [SYNC_API_METHODS.POSITIONS_HISTORY] (
@@ -105,8 +107,12 @@ class ApiMiddlewareHandlerAfter {
     )
   }
 
-  [SYNC_API_METHODS.LEDGERS] (args, apiRes) {
-    const res = apiRes.res.map(item => {
+  async [SYNC_API_METHODS.LEDGERS] (args, apiRes) {
+    const { auth } = { ...args }
+    const { session } = { ...auth }
+    const { _id: userId } = { ...session }
+
+    const _res = apiRes.res.map(item => {
       const { balance } = { ...item }
 
       return {
@@ -135,6 +141,8 @@ class ApiMiddlewareHandlerAfter {
         _nativeBalance: balance
       }
     })
+    const res = await this.ledgerCategoryRules
+      .categorizeLedgers(userId, _res)
 
     return {
       ...apiRes,
@@ -180,5 +188,6 @@ class ApiMiddlewareHandlerAfter {
 
 decorate(injectable(), ApiMiddlewareHandlerAfter)
 decorate(inject(TYPES.SearchClosePriceAndSumAmount), ApiMiddlewareHandlerAfter, 0)
+decorate(inject(TYPES.LedgerCategoryRules), ApiMiddlewareHandlerAfter, 1)
 
 module.exports = ApiMiddlewareHandlerAfter
@@ -45,7 +45,9 @@ class DataChecker {
     ALLOWED_COLLS,
     FOREX_SYMBS,
     currencyConverter,
-    syncInterrupter
+    syncInterrupter,
+    requestGovernor,
+    syncHistory
   ) {
     this.rService = rService
     this.dao = dao
@@ -55,6 +57,8 @@ class DataChecker {
     this.FOREX_SYMBS = FOREX_SYMBS
     this.currencyConverter = currencyConverter
     this.syncInterrupter = syncInterrupter
+    this.requestGovernor = requestGovernor
+    this.syncHistory = syncHistory
 
     this._methodCollMap = new Map()
 
@@ -242,7 +246,8 @@ class DataChecker {
       }
       if (
         schema.name === this.ALLOWED_COLLS.PUBLIC_TRADES ||
-        schema.name === this.ALLOWED_COLLS.TICKERS_HISTORY
+        schema.name === this.ALLOWED_COLLS.TICKERS_HISTORY ||
+        schema.name === this.ALLOWED_COLLS.STATUS_MESSAGES_HISTORY
       ) {
         schema.hasNewData = false
 
@@ -678,8 +683,13 @@ class DataChecker {
     }
   }
 
+  /**
+   * Schemas are filled by the start confs of the checked user,
+   * each check gets deep copies to not share them
+   * between users synced concurrently
+   */
   _getMethodCollMap () {
-    return new Map(this._methodCollMap)
+    return this.syncSchema.getMethodCollMap(this._methodCollMap)
   }
 
   _getMethodArgMap (method, opts) {
@@ -689,14 +699,31 @@ class DataChecker {
     )
   }
 
+  _getSyncHistoryTarget (methodApi, args) {
+    const { auth } = { ...args }
+    const { name: collName = methodApi } = {
+      ...this._methodCollMap.get(methodApi)
+    }
+
+    return { auth, collName }
+  }
+
   _getDataFromApi (methodApi, args) {
     if (typeof this.rService[methodApi] !== 'function') {
       throw new FindMethodError()
     }
 
     return getDataFromApi(
-      (space, args) => this.rService[methodApi]
-        .bind(this.rService)(args),
+      (space, args) => this.requestGovernor.request(
+        methodApi,
+        () => {
+          this.syncHistory.addApiCall(
+            this._getSyncHistoryTarget(methodApi, args)
+          )
+
+          return this.rService[methodApi].bind(this.rService)(args)
+        }
+      ),
       args,
       null,
       null,
@@ -714,5 +741,7 @@ decorate(inject(TYPES.ALLOWED_COLLS), DataChecker, 4)
 decorate(inject(TYPES.FOREX_SYMBS), DataChecker, 5)
 decorate(inject(TYPES.CurrencyConverter), DataChecker, 6)
 decorate(inject(TYPES.SyncInterrupter), DataChecker, 7)
+decorate(inject(TYPES.RequestGovernor), DataChecker, 8)
+decorate(inject(TYPES.SyncHistory), DataChecker, 9)
 
 module.exports = DataChecker
@@ -0,0 +1,43 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../../di/types')
+const DataInserterHook = require('./data.inserter.hook')
+
+class EvaluateAlertRulesHook extends DataInserterHook {
+  constructor (
+    alertRules
+  ) {
+    super()
+
+    this.alertRules = alertRules
+  }
+
+  /**
+   * @override
+   */
+  async execute () {
+    const dataInserter = this.getDataInserter()
+    const auth = dataInserter.getAuth()
+
+    if (
+      !auth ||
+      !(auth instanceof Map) ||
+      auth.size === 0
+    ) {
+      return
+    }
+
+    await this.alertRules.evaluateRules(auth)
+  }
+}
+
+decorate(injectable(), EvaluateAlertRulesHook)
+decorate(inject(TYPES.AlertRules), EvaluateAlertRulesHook, 0)
+
+module.exports = EvaluateAlertRulesHook
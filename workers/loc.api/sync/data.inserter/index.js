@@ -3,7 +3,8 @@
 const EventEmitter = require('events')
 const {
   isEmpty,
-  cloneDeep
+  cloneDeep,
+  omit
 } = require('lodash')
 const {
   getDataFromApi
@@ -44,6 +45,9 @@ const {
 } = require('../../errors')
 
 const MESS_ERR_UNAUTH = 'ERR_AUTH_UNAUTHORIZED'
+const DEFAULT_SYNC_CONF = {
+  maxConcurrentUsers: 1
+}
 
 class DataInserter extends EventEmitter {
   constructor (
@@ -57,8 +61,15 @@ class DataInserter extends EventEmitter {
     authenticator,
     convertCurrencyHook,
     recalcSubAccountLedgersBalancesHook,
+    evaluateAlertRulesHook,
     dataChecker,
-    syncInterrupter
+    syncInterrupter,
+    wsEventEmitter,
+    syncCheckpoints,
+    requestGovernor,
+    CONF,
+    syncHistory,
+    logger
   ) {
     super()
 
@@ -72,11 +83,26 @@ class DataInserter extends EventEmitter {
     this.authenticator = authenticator
     this.convertCurrencyHook = convertCurrencyHook
     this.recalcSubAccountLedgersBalancesHook = recalcSubAccountLedgersBalancesHook
+    this.evaluateAlertRulesHook = evaluateAlertRulesHook
     this.dataChecker = dataChecker
     this.syncInterrupter = syncInterrupter
+    this.wsEventEmitter = wsEventEmitter
+    this.syncCheckpoints = syncCheckpoints
+    this.requestGovernor = requestGovernor
+    this.CONF = CONF
+    this.syncHistory = syncHistory
+    this.logger = logger
+
+    const { syncConf } = { ...this.CONF }
+    this.syncConf = {
+      ...DEFAULT_SYNC_CONF,
+      ...syncConf
+    }
 
     this._asyncProgressHandlers = []
     this._auth = null
+    this._usersProgress = new Map()
+    this._lastUsersProgress = 0
     this._allowedCollsNames = getAllowedCollsNames(
       this.ALLOWED_COLLS
     )
@@ -105,7 +131,8 @@ class DataInserter extends EventEmitter {
     this.convertCurrencyHook.init({ syncColls: this.syncColls })
     this.addAfterAllInsertsHooks([
       this.convertCurrencyHook,
-      this.recalcSubAccountLedgersBalancesHook
+      this.recalcSubAccountLedgersBalancesHook,
+      this.evaluateAlertRulesHook
     ])
     this.dataChecker.init({ methodCollMap: this._methodCollMap })
   }
@@ -147,27 +174,14 @@ class DataInserter extends EventEmitter {
       return
     }
 
-    let count = 0
-    let progress = 0
+    await this._insertNewDataToDbConcurrently()
 
-    for (const authItem of this._auth) {
-      if (this._isInterrupted) {
-        return
-      }
-
-      if (
-        !authItem[1] ||
-        typeof authItem[1] !== 'object'
-      ) {
-        continue
-      }
-
-      const userProgress = (count / this._auth.size) * 100
-
-      progress = await this.insertNewDataToDb(authItem[1], userProgress)
-      count += 1
+    if (this._isInterrupted) {
+      return
     }
 
+    const progress = this._getUsersProgress()
+
     await this.insertNewPublicDataToDb(progress)
 
     await this._afterAllInserts()
@@ -183,6 +197,101 @@ class DataInserter extends EventEmitter {
     await this.setProgress(100)
   }
 
+  _getMaxConcurrentUsers () {
+    const { maxConcurrentUsers } = this.syncConf
+
+    return (
+      Number.isInteger(maxConcurrentUsers) &&
+      maxConcurrentUsers > 1
+    )
+      ? maxConcurrentUsers
+      : 1
+  }
+
+  /**
+   * Each user takes the same part of the total progress,
+   * so the common progress is an average of the user ones
+   */
+  _getUsersProgress () {
+    const progressSum = [...this._usersProgress.values()]
+      .reduce((accum, progress) => accum + progress, 0)
+
+    return Math.round((progressSum / this._auth.size) * 100)
+  }
+
+  async _setUserProgress (authKey, userProgress) {
+    this._usersProgress.set(authKey, userProgress)
+
+    const progress = this._getUsersProgress()
+
+    if (
+      progress <= this._lastUsersProgress ||
+      progress >= 100
+    ) {
+      return
+    }
+
+    this._lastUsersProgress = progress
+    await this.setProgress(progress)
+  }
+
+  /**
+   * Syncs users by a pool of workers, each one takes
+   * the next user from the shared iterator, new users
+   * are not taken when the sync is interrupted or failed
+   */
+  async _insertNewDataToDbConcurrently () {
+    this._usersProgress = new Map()
+    this._lastUsersProgress = 0
+
+    let isFailed = false
+    const authIterator = this._auth.entries()
+    const workersCount = Math.min(
+      this._getMaxConcurrentUsers(),
+      this._auth.size
+    )
+    const worker = async () => {
+      for (const [authKey, auth] of authIterator) {
+        if (
+          this._isInterrupted ||
+          isFailed
+        ) {
+          return
+        }
+        if (
+          !auth ||
+          typeof auth !== 'object'
+        ) {
+          continue
+        }
+
+        try {
+          await this.insertNewDataToDb(auth, authKey)
+        } catch (err) {
+          isFailed = true
+          this.syncHistory.addError({ auth }, err)
+
+          throw err
+        }
+
+        this._usersProgress.set(authKey, 1)
+      }
+    }
+    const workers = Array.from(
+      { length: workersCount },
+      () => worker()
+    )
+
+    const results = await Promise.allSettled(workers)
+    const rejected = results.find(({ status }) => (
+      status === 'rejected'
+    ))
+
+    if (rejected) {
+      throw rejected.reason
+    }
+  }
+
   async _afterAllInserts () {
     if (this._isInterrupted) {
       return
@@ -257,17 +366,18 @@ class DataInserter extends EventEmitter {
     }
   }
 
-  async insertNewDataToDb (auth, userProgress = 0) {
+  async insertNewDataToDb (auth, authKey = auth.apiKey) {
     if (this._isInterrupted) {
-      return userProgress
+      return
     }
     if (
       typeof auth.apiKey !== 'string' ||
       typeof auth.apiSecret !== 'string'
     ) {
+      this.syncHistory.addError({ auth }, MESS_ERR_UNAUTH)
       await this.setProgress(MESS_ERR_UNAUTH)
 
-      return userProgress
+      return
     }
 
     const methodCollMap = await this.dataChecker
@@ -275,11 +385,10 @@ class DataInserter extends EventEmitter {
     const size = this._methodCollMap.size
 
     let count = 0
-    let progress = 0
 
     for (const [method, schema] of methodCollMap) {
       if (this._isInterrupted) {
-        return userProgress
+        return
       }
 
       const { start } = schema
@@ -326,16 +435,9 @@ class DataInserter extends EventEmitter {
       }
 
       count += 1
-      progress = Math.round(
-        (((count / size) * 100) / this._auth.size) + userProgress
-      )
 
-      if (progress < 100) {
-        await this.setProgress(progress)
-      }
+      await this._setUserProgress(authKey, count / size)
     }
-
-    return progress
   }
 
   _getDataFromApi (methodApi, args, isCheckCall) {
@@ -346,12 +448,30 @@ class DataInserter extends EventEmitter {
     return getDataFromApi(
       methodApi,
       args,
-      this.apiMiddleware.request.bind(this.apiMiddleware),
+      (...reqArgs) => this.requestGovernor.request(
+        methodApi,
+        () => {
+          this.syncHistory.addApiCall(
+            this._getSyncHistoryTarget(methodApi, args)
+          )
+
+          return this.apiMiddleware.request(...reqArgs)
+        }
+      ),
       isCheckCall,
       this.syncInterrupter
     )
   }
 
+  _getSyncHistoryTarget (methodApi, args) {
+    const { auth } = { ...args }
+    const { name: collName = methodApi } = {
+      ...this._methodCollMap.get(methodApi)
+    }
+
+    return { auth, collName }
+  }
+
   async _insertApiDataPublicArrObjTypeToDb (
     methodApi,
     schema
@@ -368,6 +488,7 @@ class DataInserter extends EventEmitter {
     if (
       name === this.ALLOWED_COLLS.PUBLIC_TRADES ||
       name === this.ALLOWED_COLLS.TICKERS_HISTORY ||
+      name === this.ALLOWED_COLLS.STATUS_MESSAGES_HISTORY ||
       name === this.ALLOWED_COLLS.CANDLES
     ) {
       for (const [symbol, dates, timeframe] of start) {
@@ -409,10 +530,46 @@ class DataInserter extends EventEmitter {
       baseStartTo,
       currStart
     } = { ...dates }
+    const checkpoint = await this.syncCheckpoints.getCheckpoint({
+      collName: methodApi,
+      auth,
+      params: addApiParams
+    })
+
+    if (checkpoint) {
+      const args = this._getMethodArgMap(
+        methodApi,
+        {
+          auth,
+          limit: 10000000,
+          start: checkpoint.start,
+          end: checkpoint.mts,
+          params: { ...addApiParams }
+        }
+      )
+
+      await this._insertApiDataArrObjTypeToDb(
+        args,
+        methodApi,
+        schema,
+        checkpoint
+      )
+
+      if (this._isInterrupted) {
+        return
+      }
+    }
+
+    const isBaseWindowResumed = (
+      checkpoint &&
+      checkpoint.start <= baseStartFrom &&
+      checkpoint.mts >= baseStartTo
+    )
 
     if (
       Number.isInteger(baseStartFrom) &&
-      Number.isInteger(baseStartTo)
+      Number.isInteger(baseStartTo) &&
+      !isBaseWindowResumed
     ) {
       const args = this._getMethodArgMap(
         methodApi,
@@ -442,10 +599,15 @@ class DataInserter extends EventEmitter {
     }
   }
 
+  /**
+   * The checkpoint is passed to resume the interrupted window,
+   * items of the last committed batch are skipped by `id`
+   */
   async _insertApiDataArrObjTypeToDb (
     args,
     methodApi,
-    schema
+    schema,
+    checkpoint
   ) {
     if (this._isInterrupted) {
       return
@@ -485,6 +647,12 @@ class DataInserter extends EventEmitter {
       ? null
       : { ...session }
 
+    const checkpointArgs = {
+      collName: methodApi,
+      auth: session,
+      params: _args.params
+    }
+
     let count = 0
     let serialRequestsCount = 0
 
@@ -546,17 +714,47 @@ class DataInserter extends EventEmitter {
         isAllData = true
       }
 
+      if (
+        checkpoint &&
+        Number.isInteger(checkpoint.id)
+      ) {
+        res = res.filter((item) => (
+          item[dateFieldName] !== checkpoint.mts ||
+          !Number.isInteger(item.id) ||
+          item.id < checkpoint.id
+        ))
+      }
       if (_args.params.limit < (count + res.length)) {
         res.splice(_args.params.limit - count)
         isAllData = true
       }
 
+      const normalizedData = normalizeApiData(res, model)
+
       await this.dao.insertElemsToDb(
         collName,
         sessionAuth,
-        normalizeApiData(res, model),
-        { isReplacedIfExists: true }
+        normalizedData,
+        {
+          isReplacedIfExists: true,
+          withWorkerThreads: true
+        }
+      )
+      this.syncHistory.addInsertedRows(
+        { auth: session, collName },
+        normalizedData.length
+      )
+      await this._emitNewSyncedData(
+        collName,
+        sessionAuth,
+        normalizedData
       )
+      await this.syncCheckpoints.setCheckpoint({
+        ...checkpointArgs,
+        start: _args.params.start,
+        mts: currTime,
+        id: lastItem.id
+      })
 
       count += res.length
       const needElems = _args.params.limit - count
@@ -574,6 +772,45 @@ class DataInserter extends EventEmitter {
         currIterationArgs.params.end = lastItem[dateFieldName] - 1
       }
     }
+
+    await this.syncCheckpoints.removeCheckpoint(checkpointArgs)
+  }
+
+  /**
+   * Private rows are pushed only to sockets of the data owner,
+   * public ones to all subscribers, a failed emit must not
+   * break the sync
+   */
+  async _emitNewSyncedData (collName, auth, data) {
+    try {
+      if (!this.wsEventEmitter.hasNewSyncedDataSubscribers(collName)) {
+        return
+      }
+
+      const { _id: userId } = { ...auth }
+      const isPublic = !Number.isInteger(userId)
+
+      await this.wsEventEmitter.emitNewSyncedData(
+        collName,
+        (user) => {
+          if (
+            !isPublic &&
+            user._id !== userId
+          ) {
+            return null
+          }
+
+          return {
+            collName,
+            data: data.map((item) => omit(item, ['user_id']))
+          }
+        }
+      )
+    } catch (err) {
+      this.logger.error(
+        `WS:EMIT_NEW_SYNCED_DATA: ${err.stack || err}`
+      )
+    }
   }
 
   async _updateApiDataArrTypeToDb (
@@ -615,7 +852,12 @@ class DataInserter extends EventEmitter {
       await this.dao.insertElemsToDbIfNotExists(
         collName,
         null,
-        elemsFromApi.map(item => ({ [field]: item }))
+        elemsFromApi.map(item => ({ [field]: item })),
+        { withWorkerThreads: true }
+      )
+      this.syncHistory.addUpdatedRows(
+        { collName },
+        elemsFromApi.length
       )
     }
   }
@@ -718,7 +960,12 @@ class DataInserter extends EventEmitter {
       await this.dao.insertElemsToDbIfNotExists(
         collName,
         null,
-        normalizeApiData(elemsFromApi, model)
+        normalizeApiData(elemsFromApi, model),
+        { withWorkerThreads: true }
+      )
+      this.syncHistory.addUpdatedRows(
+        { collName },
+        elemsFromApi.length
       )
     }
   }
@@ -792,7 +1039,14 @@ class DataInserter extends EventEmitter {
         collName,
         null,
         normalizeApiData(elemsFromApi, model),
-        { isReplacedIfExists: true }
+        {
+          isReplacedIfExists: true,
+          withWorkerThreads: true
+        }
+      )
+      this.syncHistory.addUpdatedRows(
+        { collName },
+        elemsFromApi.length
       )
     }
   }
@@ -820,7 +1074,14 @@ decorate(inject(TYPES.FOREX_SYMBS), DataInserter, 6)
 decorate(inject(TYPES.Authenticator), DataInserter, 7)
 decorate(inject(TYPES.ConvertCurrencyHook), DataInserter, 8)
 decorate(inject(TYPES.RecalcSubAccountLedgersBalancesHook), DataInserter, 9)
-decorate(inject(TYPES.DataChecker), DataInserter, 10)
-decorate(inject(TYPES.SyncInterrupter), DataInserter, 11)
+decorate(inject(TYPES.EvaluateAlertRulesHook), DataInserter, 10)
+decorate(inject(TYPES.DataChecker), DataInserter, 11)
+decorate(inject(TYPES.SyncInterrupter), DataInserter, 12)
+decorate(inject(TYPES.WSEventEmitter), DataInserter, 13)
+decorate(inject(TYPES.SyncCheckpoints), DataInserter, 14)
+decorate(inject(TYPES.RequestGovernor), DataInserter, 15)
+decorate(inject(TYPES.CONF), DataInserter, 16)
+decorate(inject(TYPES.SyncHistory), DataInserter, 17)
+decorate(inject(TYPES.Logger), DataInserter, 18)
 
 module.exports = DataInserter
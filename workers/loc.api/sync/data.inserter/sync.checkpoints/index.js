@@ -0,0 +1,152 @@
+'use strict'
+
+const { isEmpty } = require('lodash')
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../../di/types')
+const {
+  ALL_SYMBOLS_TO_SYNC
+} = require('../const')
+
+/**
+ * Keeps the cursor (`mts` and `id`) of the last batch
+ * committed into the DB for the sync window of the collection.
+ * The API data is fetched from newest to oldest, so the checkpoint
+ * points to the oldest stored item and the window `[start, mts]`
+ * is left to be resumed after a crash or an interruption
+ */
+class SyncCheckpoints {
+  constructor (
+    dao,
+    TABLES_NAMES
+  ) {
+    this.dao = dao
+    this.TABLES_NAMES = TABLES_NAMES
+  }
+
+  _getSymbolKey (symbol) {
+    if (Array.isArray(symbol)) {
+      return symbol.length === 0
+        ? ALL_SYMBOLS_TO_SYNC
+        : symbol.join(',')
+    }
+
+    return (
+      symbol &&
+      typeof symbol === 'string'
+    )
+      ? symbol
+      : ALL_SYMBOLS_TO_SYNC
+  }
+
+  /**
+   * Sub-users of the sub-account are synced under the same
+   * `user_id`, so the sub-user is a part of the key
+   */
+  _getKey ({ collName, auth, params }) {
+    const { _id, subUser } = { ...auth }
+    const { _id: subUserId } = { ...subUser }
+    const { symbol, timeframe } = { ...params }
+
+    return {
+      collName,
+      symbol: this._getSymbolKey(symbol),
+      timeframe: (
+        timeframe &&
+        typeof timeframe === 'string'
+      )
+        ? timeframe
+        : null,
+      user_id: Number.isInteger(_id)
+        ? _id
+        : null,
+      subUserId: Number.isInteger(subUserId)
+        ? subUserId
+        : null
+    }
+  }
+
+  _getFilter (key) {
+    return Object.entries(key).reduce((accum, [name, val]) => {
+      if (val === null) {
+        accum.$isNull.push(name)
+
+        return accum
+      }
+
+      accum[name] = val
+
+      return accum
+    }, { $isNull: [] })
+  }
+
+  async getCheckpoint (args) {
+    const filter = this._getFilter(this._getKey(args))
+    const checkpoint = await this.dao.getElemInCollBy(
+      this.TABLES_NAMES.SYNC_CHECKPOINTS,
+      filter
+    )
+
+    if (
+      isEmpty(checkpoint) ||
+      !Number.isInteger(checkpoint.start) ||
+      !Number.isInteger(checkpoint.mts)
+    ) {
+      return null
+    }
+
+    const { start, mts, id } = checkpoint
+
+    return {
+      start,
+      mts,
+      id: Number.isInteger(id) ? id : null
+    }
+  }
+
+  async setCheckpoint (args) {
+    const { start, mts, id } = { ...args }
+    const key = this._getKey(args)
+    const data = {
+      start,
+      mts,
+      id: Number.isInteger(id) ? id : null
+    }
+
+    const res = await this.dao.updateCollBy(
+      this.TABLES_NAMES.SYNC_CHECKPOINTS,
+      this._getFilter(key),
+      data
+    )
+
+    if (
+      res &&
+      res.changes > 0
+    ) {
+      return
+    }
+
+    await this.dao.insertElemToDb(
+      this.TABLES_NAMES.SYNC_CHECKPOINTS,
+      { ...key, ...data }
+    )
+  }
+
+  removeCheckpoint (args) {
+    return this.dao.removeElemsFromDb(
+      this.TABLES_NAMES.SYNC_CHECKPOINTS,
+      null,
+      this._getFilter(this._getKey(args))
+    )
+  }
+}
+
+decorate(injectable(), SyncCheckpoints)
+decorate(inject(TYPES.DAO), SyncCheckpoints, 0)
+decorate(inject(TYPES.TABLES_NAMES), SyncCheckpoints, 1)
+
+module.exports = SyncCheckpoints
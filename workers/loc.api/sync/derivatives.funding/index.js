@@ -0,0 +1,523 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../di/types')
+const {
+  getStartMtsByTimeframe
+} = require('../helpers')
+
+const FUNDING_INTERVAL_MS = 8 * 60 * 60 * 1000
+const FUNDING_COST_CATEGORIES = [27, 28]
+const ACTIVE_STATUS = 'ACTIVE'
+const PERPETUAL_SYMB_REGEXP = /^t\w+F0:\w+F0$/i
+const POSITION_ID_REGEXP = /position\s#(\d+)/i
+const AMOUNT_EPSILON = 1e-12
+
+class DerivativesFunding {
+  constructor (
+    dao,
+    ALLOWED_COLLS,
+    currencyConverter,
+    authenticator
+  ) {
+    this.dao = dao
+    this.ALLOWED_COLLS = ALLOWED_COLLS
+    this.currencyConverter = currencyConverter
+    this.authenticator = authenticator
+  }
+
+  _isPerpetual (symbol) {
+    return (
+      typeof symbol === 'string' &&
+      PERPETUAL_SYMB_REGEXP.test(symbol)
+    )
+  }
+
+  async _getPositions (user, { start, end, symbol }) {
+    const symbFilter = symbol.length > 0
+      ? { $in: { symbol } }
+      : {}
+
+    const positions = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.POSITIONS_HISTORY,
+      {
+        filter: {
+          user_id: user._id,
+          $gte: { mtsUpdate: start },
+          $lte: { mtsCreate: end },
+          ...symbFilter
+        },
+        sort: [['mtsUpdate', -1]],
+        projection: [
+          'id',
+          'symbol',
+          'status',
+          'amount',
+          'mtsCreate',
+          'mtsUpdate',
+          'subUserId'
+        ]
+      }
+    )
+
+    return positions.reduce((accum, position) => {
+      const {
+        id,
+        symbol,
+        status,
+        amount,
+        mtsCreate,
+        mtsUpdate,
+        subUserId = null
+      } = { ...position }
+
+      if (
+        !Number.isInteger(id) ||
+        !this._isPerpetual(symbol) ||
+        !Number.isFinite(amount) ||
+        !Number.isInteger(mtsCreate)
+      ) {
+        return accum
+      }
+
+      const isActive = (
+        typeof status === 'string' &&
+        status.startsWith(ACTIVE_STATUS)
+      )
+
+      accum.push({
+        id,
+        symbol,
+        amount,
+        subUserId,
+        mtsOpening: mtsCreate,
+        mtsClosing: isActive || !Number.isInteger(mtsUpdate)
+          ? end
+          : Math.min(mtsUpdate, end)
+      })
+
+      return accum
+    }, [])
+  }
+
+  _getPositionsRange (positions) {
+    const start = positions.reduce((accum, { mtsOpening }) => (
+      Math.min(accum, mtsOpening)
+    ), Number.MAX_SAFE_INTEGER)
+    const end = positions.reduce((accum, { mtsClosing }) => (
+      Math.max(accum, mtsClosing)
+    ), 0)
+
+    return { start, end }
+  }
+
+  /**
+   * The history of status messages is sorted in ascending order
+   * to find the last one before each funding settlement
+   */
+  async _getStatusMessagesMap (positions) {
+    const keys = [...new Set(positions.map(({ symbol }) => symbol))]
+
+    if (keys.length === 0) {
+      return new Map()
+    }
+
+    const { start, end } = this._getPositionsRange(positions)
+    const statusMessages = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.STATUS_MESSAGES_HISTORY,
+      {
+        filter: {
+          $in: { key: keys },
+          $gte: { timestamp: start - FUNDING_INTERVAL_MS },
+          $lte: { timestamp: end }
+        },
+        sort: [['timestamp', 1]],
+        projection: [
+          'key',
+          'timestamp',
+          'price',
+          'fundingAccrued',
+          'clampMin',
+          'clampMax'
+        ]
+      }
+    )
+
+    return statusMessages.reduce((accum, item) => {
+      const { key } = { ...item }
+
+      if (!accum.has(key)) {
+        accum.set(key, [])
+      }
+
+      accum.get(key).push(item)
+
+      return accum
+    }, new Map())
+  }
+
+  _getTradeKey ({ subUserId = null, symbol }) {
+    return `${subUserId}:${symbol}`
+  }
+
+  /**
+   * Trades are sorted in ascending order
+   * to get the position amount at each funding settlement
+   */
+  async _getTradesMap (user, positions) {
+    const symbol = [...new Set(positions.map(({ symbol }) => symbol))]
+
+    if (symbol.length === 0) {
+      return new Map()
+    }
+
+    const { start, end } = this._getPositionsRange(positions)
+    const trades = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.TRADES,
+      {
+        filter: {
+          user_id: user._id,
+          $in: { symbol },
+          $gte: { mtsCreate: start },
+          $lte: { mtsCreate: end }
+        },
+        sort: [['mtsCreate', 1], ['id', 1]],
+        projection: ['symbol', 'mtsCreate', 'execAmount', 'subUserId']
+      }
+    )
+
+    return trades.reduce((accum, trade) => {
+      const { mtsCreate, execAmount } = { ...trade }
+
+      if (
+        !Number.isInteger(mtsCreate) ||
+        !Number.isFinite(execAmount)
+      ) {
+        return accum
+      }
+
+      const key = this._getTradeKey(trade)
+
+      if (!accum.has(key)) {
+        accum.set(key, [])
+      }
+
+      accum.get(key).push(trade)
+
+      return accum
+    }, new Map())
+  }
+
+  /**
+   * Returns the position amount at each settlement built from
+   * its trades, the last amount of the position history is taken
+   * for the whole lifetime if there are no synced trades
+   */
+  _getAmountGetter (position, trades) {
+    const { amount, mtsOpening, mtsClosing } = position
+    const positionTrades = trades.filter(({ mtsCreate }) => (
+      mtsCreate >= mtsOpening &&
+      mtsCreate <= mtsClosing
+    ))
+
+    if (positionTrades.length === 0) {
+      return () => amount
+    }
+
+    let index = 0
+    let currAmount = 0
+
+    return (mts) => {
+      while (
+        index < positionTrades.length &&
+        positionTrades[index].mtsCreate <= mts
+      ) {
+        currAmount += positionTrades[index].execAmount
+        index += 1
+      }
+
+      return currAmount
+    }
+  }
+
+  _findLastStatusMessage (statusMessages, mts) {
+    let low = 0
+    let high = statusMessages.length - 1
+    let res = null
+
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2)
+
+      if (statusMessages[mid].timestamp <= mts) {
+        res = statusMessages[mid]
+        low = mid + 1
+
+        continue
+      }
+
+      high = mid - 1
+    }
+
+    return res
+  }
+
+  _getFundingRate (statusMessage) {
+    const {
+      fundingAccrued,
+      clampMin,
+      clampMax
+    } = { ...statusMessage }
+
+    if (!Number.isFinite(fundingAccrued)) {
+      return null
+    }
+
+    const minRate = Number.isFinite(clampMin)
+      ? Math.max(fundingAccrued, clampMin)
+      : fundingAccrued
+
+    return Number.isFinite(clampMax)
+      ? Math.min(minRate, clampMax)
+      : minRate
+  }
+
+  /**
+   * Funding is settled every 8 hours, longs pay shorts
+   * when the rate is positive
+   */
+  _estimateFunding (position, statusMessages, trades = []) {
+    const { mtsOpening, mtsClosing } = position
+    const getAmount = this._getAmountGetter(position, trades)
+    let funding = 0
+    let settlementsCount = 0
+
+    for (
+      let mts = Math.ceil(mtsOpening / FUNDING_INTERVAL_MS) *
+        FUNDING_INTERVAL_MS;
+      mts <= mtsClosing;
+      mts += FUNDING_INTERVAL_MS
+    ) {
+      const statusMessage = this._findLastStatusMessage(
+        statusMessages,
+        mts
+      )
+
+      if (
+        !statusMessage ||
+        mts - statusMessage.timestamp > FUNDING_INTERVAL_MS ||
+        !Number.isFinite(statusMessage.price)
+      ) {
+        continue
+      }
+
+      const rate = this._getFundingRate(statusMessage)
+      const amount = getAmount(mts)
+
+      if (
+        !Number.isFinite(rate) ||
+        Math.abs(amount) < AMOUNT_EPSILON
+      ) {
+        continue
+      }
+
+      funding -= amount * statusMessage.price * rate
+      settlementsCount += 1
+    }
+
+    return { funding, settlementsCount }
+  }
+
+  /**
+   * Funding cost ledgers are linked to positions
+   * by the id in the description
+   */
+  async _getActualFundingMap (user, positions) {
+    const positionIds = new Set(positions.map(({ id }) => id))
+
+    if (positionIds.size === 0) {
+      return new Map()
+    }
+
+    const { start, end } = this._getPositionsRange(positions)
+    const ledgers = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.LEDGERS,
+      {
+        filter: {
+          user_id: user._id,
+          $in: { _category: FUNDING_COST_CATEGORIES },
+          $gte: { mts: start },
+          $lte: { mts: end + FUNDING_INTERVAL_MS }
+        },
+        projection: ['amount', 'amountUsd', 'description']
+      }
+    )
+
+    return ledgers.reduce((accum, ledger) => {
+      const { amount, amountUsd, description } = { ...ledger }
+      const [, id] = typeof description === 'string'
+        ? description.match(POSITION_ID_REGEXP) || []
+        : []
+      const positionId = Number.parseInt(id)
+
+      if (!positionIds.has(positionId)) {
+        return accum
+      }
+
+      const item = accum.get(positionId) || {
+        funding: 0,
+        fundingUsd: 0
+      }
+
+      accum.set(positionId, {
+        funding: Number.isFinite(amount)
+          ? item.funding + amount
+          : item.funding,
+        fundingUsd: Number.isFinite(amountUsd)
+          ? item.fundingUsd + amountUsd
+          : item.fundingUsd
+      })
+
+      return accum
+    }, new Map())
+  }
+
+  /**
+   * The estimated funding is in the quote currency
+   * of the pair, the converter takes elements in descending order
+   */
+  _convertPositions (positions) {
+    return this.currencyConverter
+      .convertManyByCandles(
+        [...positions].sort((a, b) => b.mtsClosing - a.mtsClosing),
+        {
+          symbolFieldName: 'symbol',
+          dateFieldName: 'mtsClosing',
+          convFields: [
+            {
+              inputField: 'estimatedFunding',
+              outputField: 'estimatedFundingUsd'
+            }
+          ]
+        }
+      )
+  }
+
+  _sumBy (items, fieldName) {
+    return items.reduce((accum, item) => (
+      Number.isFinite(item[fieldName])
+        ? accum + item[fieldName]
+        : accum
+    ), 0)
+  }
+
+  _calcGroup (mts, symbol, positions) {
+    const estimatedFundingUsd = this._sumBy(positions, 'estimatedFundingUsd')
+    const actualFundingUsd = this._sumBy(positions, 'actualFundingUsd')
+
+    return {
+      mts,
+      symbol,
+      positionsCount: positions.length,
+      settlementsCount: this._sumBy(positions, 'settlementsCount'),
+      estimatedFunding: this._sumBy(positions, 'estimatedFunding'),
+      estimatedFundingUsd,
+      actualFunding: this._sumBy(positions, 'actualFunding'),
+      actualFundingUsd,
+      diffUsd: actualFundingUsd - estimatedFundingUsd
+    }
+  }
+
+  /**
+   * Returns funding of perpetual positions per symbol
+   * and timeframe in descending order, positions are related
+   * to the period in which they are closed
+   */
+  async getDerivativesFunding ({
+    auth = {},
+    params = {}
+  } = {}) {
+    const user = await this.authenticator
+      .verifyRequestUser({ auth })
+
+    const {
+      timeframe = 'month',
+      start = 0,
+      end = Date.now(),
+      symbol: symbs
+    } = { ...params }
+    const _symbol = Array.isArray(symbs)
+      ? symbs
+      : [symbs]
+    const symbol = _symbol.filter((s) => (
+      s && typeof s === 'string'
+    ))
+
+    const positions = await this._getPositions(
+      user,
+      { start, end, symbol }
+    )
+    const [
+      statusMessagesMap,
+      tradesMap,
+      actualFundingMap
+    ] = await Promise.all([
+      this._getStatusMessagesMap(positions),
+      this._getTradesMap(user, positions),
+      this._getActualFundingMap(user, positions)
+    ])
+    const calcedPositions = positions.map((position) => {
+      const { funding, settlementsCount } = this._estimateFunding(
+        position,
+        statusMessagesMap.get(position.symbol) || [],
+        tradesMap.get(this._getTradeKey(position)) || []
+      )
+      const {
+        funding: actualFunding = 0,
+        fundingUsd: actualFundingUsd = 0
+      } = { ...actualFundingMap.get(position.id) }
+
+      return {
+        ...position,
+        settlementsCount,
+        estimatedFunding: funding,
+        actualFunding,
+        actualFundingUsd
+      }
+    })
+    const convertedPositions = await this._convertPositions(calcedPositions)
+    const groups = new Map()
+
+    for (const position of convertedPositions) {
+      const mts = getStartMtsByTimeframe(position.mtsClosing, timeframe)
+      const key = `${mts}:${position.symbol}`
+
+      if (!groups.has(key)) {
+        groups.set(key, { mts, symbol: position.symbol, positions: [] })
+      }
+
+      groups.get(key).positions.push(position)
+    }
+
+    return [...groups.values()]
+      .map(({ mts, symbol, positions }) => (
+        this._calcGroup(mts, symbol, positions)
+      ))
+      .sort((a, b) => (
+        b.mts - a.mts ||
+        a.symbol.localeCompare(b.symbol)
+      ))
+  }
+}
+
+decorate(injectable(), DerivativesFunding)
+decorate(inject(TYPES.DAO), DerivativesFunding, 0)
+decorate(inject(TYPES.ALLOWED_COLLS), DerivativesFunding, 1)
+decorate(inject(TYPES.CurrencyConverter), DerivativesFunding, 2)
+decorate(inject(TYPES.Authenticator), DerivativesFunding, 3)
+
+module.exports = DerivativesFunding
@@ -0,0 +1,541 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../di/types')
+
+const MINUTE_MS = 60 * 1000
+const HOUR_MS = 60 * MINUTE_MS
+const DAY_MS = 24 * HOUR_MS
+const PUBLIC_TRADE_MAX_AGE_MS = MINUTE_MS
+const CANDLE_TIMEFRAME_MS_MAP = new Map([
+  ['1m', MINUTE_MS],
+  ['5m', 5 * MINUTE_MS],
+  ['15m', 15 * MINUTE_MS],
+  ['30m', 30 * MINUTE_MS],
+  ['1h', HOUR_MS],
+  ['3h', 3 * HOUR_MS],
+  ['6h', 6 * HOUR_MS],
+  ['12h', 12 * HOUR_MS],
+  ['1D', DAY_MS],
+  ['1W', 7 * DAY_MS],
+  ['14D', 14 * DAY_MS],
+  ['1M', 31 * DAY_MS]
+])
+
+class ExecutionQuality {
+  constructor (
+    dao,
+    ALLOWED_COLLS,
+    authenticator
+  ) {
+    this.dao = dao
+    this.ALLOWED_COLLS = ALLOWED_COLLS
+    this.authenticator = authenticator
+  }
+
+  _getOrders (user, { start, end, symbol }) {
+    const symbFilter = symbol.length > 0
+      ? { $in: { symbol } }
+      : {}
+
+    return this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.ORDERS,
+      {
+        filter: {
+          user_id: user._id,
+          $gte: { mtsCreate: start },
+          $lte: { mtsCreate: end },
+          ...symbFilter
+        },
+        sort: [['mtsCreate', 1]],
+        projection: [
+          'id',
+          'symbol',
+          'type',
+          'mtsCreate',
+          'amount',
+          'amountOrig',
+          'amountExecuted',
+          'price',
+          'priceAvg'
+        ]
+      }
+    )
+  }
+
+  /**
+   * Orders created in the range might be filled after the `end`,
+   * so the trades are taken till now
+   */
+  async _getTradesByOrderId (user, { start, symbol }) {
+    const symbFilter = symbol.length > 0
+      ? { $in: { symbol } }
+      : {}
+
+    const trades = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.TRADES,
+      {
+        filter: {
+          user_id: user._id,
+          $gte: { mtsCreate: start },
+          ...symbFilter
+        },
+        projection: ['orderID', 'mtsCreate', 'execAmount', 'execPrice']
+      }
+    )
+
+    return trades.reduce((accum, trade) => {
+      const { orderID } = { ...trade }
+
+      if (!Number.isInteger(orderID)) {
+        return accum
+      }
+      if (!accum.has(orderID)) {
+        accum.set(orderID, [])
+      }
+
+      accum.get(orderID).push(trade)
+
+      return accum
+    }, new Map())
+  }
+
+  _getPublicTrades (symbol, { start, end }) {
+    return this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.PUBLIC_TRADES,
+      {
+        filter: {
+          _symbol: symbol,
+          $gte: { mts: start - PUBLIC_TRADE_MAX_AGE_MS },
+          $lte: { mts: end }
+        },
+        sort: [['mts', 1]],
+        projection: ['mts', 'price']
+      }
+    )
+  }
+
+  /**
+   * Returns the smallest synced candle timeframe of the symbol
+   */
+  async _getCandleTimeframe (symbol) {
+    const candles = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.CANDLES,
+      {
+        filter: { _symbol: symbol },
+        projection: ['_timeframe'],
+        isDistinct: true
+      }
+    )
+
+    return candles.reduce((accum, { _timeframe }) => {
+      const ms = CANDLE_TIMEFRAME_MS_MAP.get(_timeframe)
+
+      if (
+        !Number.isFinite(ms) ||
+        (accum && accum.ms <= ms)
+      ) {
+        return accum
+      }
+
+      return { timeframe: _timeframe, ms }
+    }, null)
+  }
+
+  async _getCandles (symbol, { start, end }) {
+    const candleTimeframe = await this._getCandleTimeframe(symbol)
+
+    if (!candleTimeframe) {
+      return { candles: [], timeframeMs: null }
+    }
+
+    const { timeframe, ms } = candleTimeframe
+    const candles = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.CANDLES,
+      {
+        filter: {
+          _symbol: symbol,
+          $eq: { _timeframe: timeframe },
+          $gte: { mts: start - ms },
+          $lte: { mts: end }
+        },
+        sort: [['mts', 1]],
+        projection: ['mts', 'high', 'low']
+      }
+    )
+
+    return { candles, timeframeMs: ms }
+  }
+
+  /**
+   * Market data is taken once per symbol
+   * for the time range of its executed orders
+   */
+  async _getMarketDataMap (orders) {
+    const rangesMap = orders.reduce((accum, { symbol, mtsCreate }) => {
+      const range = accum.get(symbol)
+
+      accum.set(symbol, {
+        start: range ? Math.min(range.start, mtsCreate) : mtsCreate,
+        end: range ? Math.max(range.end, mtsCreate) : mtsCreate
+      })
+
+      return accum
+    }, new Map())
+    const marketDataMap = new Map()
+
+    for (const [symbol, range] of rangesMap) {
+      const publicTrades = await this._getPublicTrades(symbol, range)
+      const {
+        candles,
+        timeframeMs
+      } = await this._getCandles(symbol, range)
+
+      marketDataMap.set(symbol, {
+        publicTrades,
+        candles,
+        candleTimeframeMs: timeframeMs
+      })
+    }
+
+    return marketDataMap
+  }
+
+  /**
+   * Returns the last item at or before the `mts`,
+   * items are in ascending order
+   */
+  _findLastItem (items, mts) {
+    let low = 0
+    let high = items.length - 1
+    let res = null
+
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2)
+
+      if (items[mid].mts <= mts) {
+        res = items[mid]
+        low = mid + 1
+
+        continue
+      }
+
+      high = mid - 1
+    }
+
+    return res
+  }
+
+  _getPublicTradePrice (publicTrades, mts) {
+    const { mts: tradeMts, price } = {
+      ...this._findLastItem(publicTrades, mts)
+    }
+
+    return (
+      Number.isFinite(price) &&
+      mts - tradeMts <= PUBLIC_TRADE_MAX_AGE_MS
+    )
+      ? price
+      : null
+  }
+
+  /**
+   * The candle is taken only if the `mts`
+   * is within its timeframe
+   */
+  _getCandleMidPrice (candles, timeframeMs, mts) {
+    const { mts: candleMts, high, low } = {
+      ...this._findLastItem(candles, mts)
+    }
+
+    return (
+      Number.isFinite(high) &&
+      Number.isFinite(low) &&
+      mts - candleMts < timeframeMs
+    )
+      ? (high + low) / 2
+      : null
+  }
+
+  /**
+   * Synced public trades are more precise,
+   * the mid of the candle is taken if there are no ones
+   */
+  _getMarketPrice (marketData, mts) {
+    const {
+      publicTrades = [],
+      candles = [],
+      candleTimeframeMs
+    } = { ...marketData }
+    const publicTradePrice = this._getPublicTradePrice(publicTrades, mts)
+
+    if (Number.isFinite(publicTradePrice)) {
+      return publicTradePrice
+    }
+
+    return this._getCandleMidPrice(candles, candleTimeframeMs, mts)
+  }
+
+  _getAmountExecuted (order) {
+    const { amount, amountOrig, amountExecuted } = order
+
+    if (Number.isFinite(amountExecuted)) {
+      return Math.abs(amountExecuted)
+    }
+
+    return (
+      Number.isFinite(amount) &&
+      Number.isFinite(amountOrig)
+    )
+      ? Math.abs(amountOrig - amount)
+      : 0
+  }
+
+  _getExecPrice (order, trades) {
+    if (
+      Number.isFinite(order.priceAvg) &&
+      order.priceAvg > 0
+    ) {
+      return order.priceAvg
+    }
+
+    const { sum, amount } = trades.reduce((accum, trade) => {
+      const { execAmount, execPrice } = trade
+
+      if (
+        !Number.isFinite(execAmount) ||
+        !Number.isFinite(execPrice)
+      ) {
+        return accum
+      }
+
+      accum.sum += Math.abs(execAmount) * execPrice
+      accum.amount += Math.abs(execAmount)
+
+      return accum
+    }, { sum: 0, amount: 0 })
+
+    return amount > 0
+      ? sum / amount
+      : null
+  }
+
+  /**
+   * A positive slippage means the execution is worse
+   * than the reference price for both sides
+   */
+  _calcSlippagePerc (execPrice, refPrice, isBuy) {
+    if (
+      !Number.isFinite(execPrice) ||
+      !Number.isFinite(refPrice) ||
+      refPrice <= 0
+    ) {
+      return null
+    }
+
+    const diff = isBuy
+      ? execPrice - refPrice
+      : refPrice - execPrice
+
+    return (diff / refPrice) * 100
+  }
+
+  _calcOrder (order, trades, marketData) {
+    const {
+      id,
+      symbol,
+      type,
+      mtsCreate,
+      amountOrig,
+      price
+    } = order
+    const isBuy = amountOrig > 0
+    const amountExecuted = this._getAmountExecuted(order)
+    const isExecuted = amountExecuted > 0
+    const execPrice = isExecuted
+      ? this._getExecPrice(order, trades)
+      : null
+    const marketPrice = isExecuted
+      ? this._getMarketPrice(marketData, mtsCreate)
+      : null
+    const lastTradeMts = trades.reduce((accum, { mtsCreate }) => (
+      Number.isInteger(mtsCreate) && mtsCreate > accum
+        ? mtsCreate
+        : accum
+    ), null)
+
+    return {
+      id,
+      symbol,
+      type,
+      mtsCreate,
+      amountExecuted,
+      isExecuted,
+      price,
+      execPrice,
+      marketPrice,
+      fillRatioPerc: Math.abs(amountOrig) > 0
+        ? (amountExecuted / Math.abs(amountOrig)) * 100
+        : null,
+      slippagePerc: this._calcSlippagePerc(
+        execPrice,
+        price,
+        isBuy
+      ),
+      marketSlippagePerc: this._calcSlippagePerc(
+        execPrice,
+        marketPrice,
+        isBuy
+      ),
+      timeToFill: (
+        isExecuted &&
+        Number.isInteger(lastTradeMts)
+      )
+        ? Math.max(lastTradeMts - mtsCreate, 0)
+        : null
+    }
+  }
+
+  _calcAvg (items, valGetter, weightGetter = () => 1) {
+    const { sum, weight } = items.reduce((accum, item) => {
+      const val = valGetter(item)
+      const weight = weightGetter(item)
+
+      if (
+        !Number.isFinite(val) ||
+        !Number.isFinite(weight)
+      ) {
+        return accum
+      }
+
+      accum.sum += val * weight
+      accum.weight += weight
+
+      return accum
+    }, { sum: 0, weight: 0 })
+
+    return weight > 0
+      ? sum / weight
+      : null
+  }
+
+  /**
+   * Slippages are weighted by the executed amount
+   * to not let small orders skew the result,
+   * per-order rows are returned in the `orders` field
+   */
+  _calcGroup (symbol, type, orders) {
+    const executedOrders = orders.filter(({ isExecuted }) => isExecuted)
+    const weightGetter = ({ amountExecuted }) => amountExecuted
+
+    return {
+      symbol,
+      type,
+      ordersCount: orders.length,
+      executedOrdersCount: executedOrders.length,
+      avgFillRatioPerc: this._calcAvg(
+        orders,
+        ({ fillRatioPerc }) => fillRatioPerc
+      ),
+      avgSlippagePerc: this._calcAvg(
+        executedOrders,
+        ({ slippagePerc }) => slippagePerc,
+        weightGetter
+      ),
+      avgMarketSlippagePerc: this._calcAvg(
+        executedOrders,
+        ({ marketSlippagePerc }) => marketSlippagePerc,
+        weightGetter
+      ),
+      avgTimeToFill: this._calcAvg(
+        executedOrders,
+        ({ timeToFill }) => timeToFill
+      ),
+      orders
+    }
+  }
+
+  async getExecutionQuality ({
+    auth = {},
+    params = {}
+  } = {}) {
+    const user = await this.authenticator
+      .verifyRequestUser({ auth })
+
+    const {
+      start = 0,
+      end = Date.now(),
+      symbol: symbs
+    } = { ...params }
+    const _symbol = Array.isArray(symbs)
+      ? symbs
+      : [symbs]
+    const symbol = _symbol.filter((s) => (
+      s && typeof s === 'string'
+    ))
+    const args = { start, end, symbol }
+
+    const [orders, tradesMap] = await Promise.all([
+      this._getOrders(user, args),
+      this._getTradesByOrderId(user, args)
+    ])
+    const validOrders = orders.filter((order) => {
+      const {
+        symbol,
+        type,
+        mtsCreate,
+        amountOrig
+      } = { ...order }
+
+      return (
+        symbol &&
+        type &&
+        Number.isInteger(mtsCreate) &&
+        Number.isFinite(amountOrig)
+      )
+    })
+    const marketDataMap = await this._getMarketDataMap(
+      validOrders.filter((order) => this._getAmountExecuted(order) > 0)
+    )
+    const groups = new Map()
+
+    for (const order of validOrders) {
+      const { id, symbol, type } = order
+      const key = `${symbol}:${type}`
+      const calcedOrder = this._calcOrder(
+        order,
+        tradesMap.get(id) || [],
+        marketDataMap.get(symbol)
+      )
+
+      if (!groups.has(key)) {
+        groups.set(key, [])
+      }
+
+      groups.get(key).push(calcedOrder)
+    }
+
+    return [...groups.values()]
+      .map((orders) => {
+        const [{ symbol, type }] = orders
+
+        return this._calcGroup(symbol, type, orders)
+      })
+      .sort((a, b) => (
+        a.symbol.localeCompare(b.symbol) ||
+        a.type.localeCompare(b.type)
+      ))
+  }
+}
+
+decorate(injectable(), ExecutionQuality)
+decorate(inject(TYPES.DAO), ExecutionQuality, 0)
+decorate(inject(TYPES.ALLOWED_COLLS), ExecutionQuality, 1)
+decorate(inject(TYPES.Authenticator), ExecutionQuality, 2)
+
+module.exports = ExecutionQuality
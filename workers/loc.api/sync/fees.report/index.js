@@ -10,20 +10,31 @@ const TYPES = require('../../di/types')
 
 class FeesReport {
   constructor (
-    trades
+    trades,
+    currencyConverter
   ) {
     this.trades = trades
+    this.currencyConverter = currencyConverter
   }
 
-  getFeesReport (args) {
-    return this.trades.getGroupedDataIn(
+  async getFeesReport (args) {
+    const { params } = { ...args }
+    const { baseCurrency = 'USD' } = { ...params }
+
+    const res = await this.trades.getGroupedDataIn(
       'feeUsd',
       args
     )
+
+    return this.currencyConverter.convertGroupedDataToBaseCurrency(
+      res,
+      { baseCurrency }
+    )
   }
 }
 
 decorate(injectable(), FeesReport)
 decorate(inject(TYPES.Trades), FeesReport, 0)
+decorate(inject(TYPES.CurrencyConverter), FeesReport, 1)
 
 module.exports = FeesReport
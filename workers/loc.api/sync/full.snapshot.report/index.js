@@ -11,10 +11,12 @@ const TYPES = require('../../di/types')
 class FullSnapshotReport {
   constructor (
     wallets,
-    positionsSnapshot
+    positionsSnapshot,
+    currencyConverter
   ) {
     this.wallets = wallets
     this.positionsSnapshot = positionsSnapshot
+    this.currencyConverter = currencyConverter
   }
 
   _getWalletsTickers (walletsSnapshot = []) {
@@ -93,7 +95,10 @@ class FullSnapshotReport {
 
   async getFullSnapshotReport (args) {
     const { params = {} } = { ...args }
-    const { end = Date.now() } = { ...params }
+    const {
+      end = Date.now(),
+      baseCurrency = 'USD'
+    } = { ...params }
 
     const _args = {
       ...args,
@@ -109,18 +114,29 @@ class FullSnapshotReport {
       .getWalletsConvertedByPublicTrades(_args)
     const [
       positionsSnapshotAndTickers,
-      walletsSnapshot
+      walletsSnapshotInUsd
     ] = await Promise.all([
       positionsSnapshotAndTickersPromise,
       walletsSnapshotPromise
     ])
     const {
-      positionsSnapshot,
+      positionsSnapshot: positionsSnapshotInUsd,
       tickers: positionsTickers
     } = positionsSnapshotAndTickers
 
+    const positionsSnapshot = await this.currencyConverter
+      .convertUsdToBaseCurrency(
+        positionsSnapshotInUsd,
+        { baseCurrency, fieldNames: ['plUsd'], mts: end }
+      )
+    const walletsSnapshot = await this.currencyConverter
+      .convertUsdToBaseCurrency(
+        walletsSnapshotInUsd,
+        { baseCurrency, fieldNames: ['balanceUsd'], mts: end }
+      )
+
     const walletsTickersPromise = this._getWalletsTickers(
-      walletsSnapshot
+      walletsSnapshotInUsd
     )
     const positionsTotalPlUsdPromise = this._calcPositionsTotalPlUsd(
       positionsSnapshot
@@ -152,5 +168,6 @@ class FullSnapshotReport {
 decorate(injectable(), FullSnapshotReport)
 decorate(inject(TYPES.Wallets), FullSnapshotReport, 0)
 decorate(inject(TYPES.PositionsSnapshot), FullSnapshotReport, 1)
+decorate(inject(TYPES.CurrencyConverter), FullSnapshotReport, 2)
 
 module.exports = FullSnapshotReport
@@ -0,0 +1,530 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../di/types')
+const {
+  getStartMtsByTimeframe,
+  getNextMtsByTimeframe
+} = require('../helpers')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const YEAR_MS = 365 * DAY_MS
+const LENDER_SIDE = 1
+const ACTIVE_STATUS = 'ACTIVE'
+/*
+ * Lower bounds of APR ranges in percent
+ */
+const RATE_DISTRIBUTION_APR_PERCS = [0, 5, 10, 15, 20, 30]
+
+class FundingEarnings {
+  constructor (
+    dao,
+    ALLOWED_COLLS,
+    authenticator
+  ) {
+    this.dao = dao
+    this.ALLOWED_COLLS = ALLOWED_COLLS
+    this.authenticator = authenticator
+  }
+
+  _getCurrency (symbol) {
+    if (
+      !symbol ||
+      typeof symbol !== 'string'
+    ) {
+      return null
+    }
+
+    return symbol[0] === 'f'
+      ? symbol.slice(1)
+      : symbol
+  }
+
+  /**
+   * Funding rates are daily ones
+   */
+  _getAprPerc (rate) {
+    const _rate = Number.parseFloat(rate)
+
+    return (
+      Number.isFinite(_rate) &&
+      _rate > 0
+    )
+      ? _rate * 365 * 100
+      : null
+  }
+
+  _getCurrencyFilter (currencies, fieldName, prefix = '') {
+    return currencies.length > 0
+      ? { $in: { [fieldName]: currencies.map((ccy) => `${prefix}${ccy}`) } }
+      : {}
+  }
+
+  _getPeriods ({ timeframe, start, end }) {
+    const periods = []
+
+    for (
+      let mts = getStartMtsByTimeframe(start, timeframe);
+      mts <= end;
+      mts = getNextMtsByTimeframe(mts, timeframe)
+    ) {
+      periods.push({
+        mts: Math.max(mts, start),
+        end: Math.min(getNextMtsByTimeframe(mts, timeframe), end)
+      })
+    }
+
+    return periods
+  }
+
+  _getPaymentLedgers (user, { start, end, currencies }) {
+    return this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.LEDGERS,
+      {
+        filter: {
+          user_id: user._id,
+          $eq: { _isMarginFundingPayment: 1 },
+          $gte: { mts: start },
+          $lte: { mts: end },
+          ...this._getCurrencyFilter(currencies, 'currency')
+        },
+        sort: [['mts', 1]],
+        projection: ['mts', 'currency', 'amount', 'amountUsd']
+      }
+    )
+  }
+
+  /**
+   * Balances before the `start` are needed
+   * to know the funding wallet state at the beginning
+   */
+  _getFundingBalances (user, { end, currencies }) {
+    return this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.LEDGERS,
+      {
+        filter: {
+          user_id: user._id,
+          $eq: { wallet: 'funding' },
+          $isNotNull: ['balance'],
+          $lte: { mts: end },
+          ...this._getCurrencyFilter(currencies, 'currency')
+        },
+        sort: [['mts', 1], ['id', 1]],
+        projection: ['mts', 'currency', 'balance']
+      }
+    )
+  }
+
+  /**
+   * Loans keep unused funds taken by the borrower,
+   * credits keep funds used in margin positions,
+   * both of them are lent funds for the lender side
+   */
+  async _getLentFunds (user, { start, end, currencies }) {
+    const filter = {
+      user_id: user._id,
+      side: LENDER_SIDE,
+      $lte: { mtsOpening: end },
+      $gte: { mtsUpdate: start },
+      ...this._getCurrencyFilter(currencies, 'symbol', 'f')
+    }
+    const projection = [
+      'symbol',
+      'amount',
+      'rate',
+      'status',
+      'mtsOpening',
+      'mtsUpdate'
+    ]
+
+    const [loans, credits] = await Promise.all([
+      this.dao.getElemsInCollBy(
+        this.ALLOWED_COLLS.FUNDING_LOAN_HISTORY,
+        { filter, projection }
+      ),
+      this.dao.getElemsInCollBy(
+        this.ALLOWED_COLLS.FUNDING_CREDIT_HISTORY,
+        { filter, projection }
+      )
+    ])
+
+    return [...loans, ...credits].reduce((accum, item) => {
+      const {
+        symbol,
+        amount,
+        rate,
+        status,
+        mtsOpening,
+        mtsUpdate
+      } = { ...item }
+
+      if (
+        !Number.isFinite(amount) ||
+        !Number.isInteger(mtsOpening)
+      ) {
+        return accum
+      }
+
+      const isActive = (
+        typeof status === 'string' &&
+        status.startsWith(ACTIVE_STATUS)
+      )
+
+      accum.push({
+        currency: this._getCurrency(symbol),
+        amount: Math.abs(amount),
+        aprPerc: this._getAprPerc(rate),
+        mtsOpening,
+        mtsClosing: isActive || !Number.isInteger(mtsUpdate)
+          ? end
+          : Math.min(mtsUpdate, end)
+      })
+
+      return accum
+    }, [])
+  }
+
+  async _getExecutedOffers (user, { start, end, currencies }) {
+    const offers = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.FUNDING_OFFER_HISTORY,
+      {
+        filter: {
+          user_id: user._id,
+          $gte: { mtsUpdate: start },
+          $lte: { mtsUpdate: end },
+          ...this._getCurrencyFilter(currencies, 'symbol', 'f')
+        },
+        projection: ['symbol', 'rate', 'amountExecuted', 'mtsUpdate']
+      }
+    )
+
+    return offers.reduce((accum, offer) => {
+      const {
+        symbol,
+        rate,
+        amountExecuted,
+        mtsUpdate
+      } = { ...offer }
+
+      if (
+        !Number.isFinite(amountExecuted) ||
+        amountExecuted === 0
+      ) {
+        return accum
+      }
+
+      accum.push({
+        currency: this._getCurrency(symbol),
+        amount: Math.abs(amountExecuted),
+        aprPerc: this._getAprPerc(rate),
+        mts: mtsUpdate
+      })
+
+      return accum
+    }, [])
+  }
+
+  _groupByCurrency (items) {
+    return items.reduce((accum, item) => {
+      const { currency } = item
+
+      if (!currency) {
+        return accum
+      }
+      if (!accum.has(currency)) {
+        accum.set(currency, [])
+      }
+
+      accum.get(currency).push(item)
+
+      return accum
+    }, new Map())
+  }
+
+  /**
+   * Time-weighted average of the funding wallet balance,
+   * balances are in ascending order
+   */
+  _calcAvgBalance (balances, period) {
+    const { mts: start, end } = period
+    const periodLength = end - start
+
+    if (periodLength <= 0) {
+      return 0
+    }
+
+    let balance = 0
+    let prevMts = start
+    let sum = 0
+
+    for (const item of balances) {
+      if (item.mts > end) {
+        break
+      }
+      if (item.mts > prevMts) {
+        sum += balance * (item.mts - prevMts)
+        prevMts = item.mts
+      }
+
+      balance = item.balance
+    }
+
+    sum += balance * (end - prevMts)
+
+    return sum / periodLength
+  }
+
+  _getOverlapMs (item, period) {
+    return Math.max(
+      Math.min(item.mtsClosing, period.end) -
+      Math.max(item.mtsOpening, period.mts),
+      0
+    )
+  }
+
+  _calcWeightedAvg (items, valGetter) {
+    const { sum, weight } = items.reduce((accum, item) => {
+      const val = valGetter(item)
+
+      if (!Number.isFinite(val)) {
+        return accum
+      }
+
+      accum.sum += val * item.amount
+      accum.weight += item.amount
+
+      return accum
+    }, { sum: 0, weight: 0 })
+
+    return weight > 0
+      ? sum / weight
+      : null
+  }
+
+  _calcRateDistribution (offers) {
+    const totalAmount = offers.reduce((accum, { amount }) => (
+      accum + amount
+    ), 0)
+
+    return RATE_DISTRIBUTION_APR_PERCS.map((fromAprPerc, i) => {
+      const toAprPerc = RATE_DISTRIBUTION_APR_PERCS[i + 1] || null
+      const amount = offers.reduce((accum, { amount, aprPerc }) => (
+        (
+          Number.isFinite(aprPerc) &&
+          aprPerc >= fromAprPerc &&
+          (toAprPerc === null || aprPerc < toAprPerc)
+        )
+          ? accum + amount
+          : accum
+      ), 0)
+
+      return {
+        fromAprPerc,
+        toAprPerc,
+        amount,
+        perc: totalAmount > 0
+          ? (amount / totalAmount) * 100
+          : 0
+      }
+    })
+  }
+
+  _isInPeriod (mts, period) {
+    return mts >= period.mts && mts < period.end
+  }
+
+  _calcPeriod (period, currencyData) {
+    const {
+      payments,
+      balances,
+      lentFunds,
+      offers
+    } = currencyData
+    const periodLength = Math.max(period.end - period.mts, 1)
+
+    const periodPayments = payments.filter(({ mts }) => (
+      this._isInPeriod(mts, period)
+    ))
+    const earnings = periodPayments.reduce((accum, { amount }) => (
+      Number.isFinite(amount) ? accum + amount : accum
+    ), 0)
+    const earningsUsd = periodPayments.reduce((accum, { amountUsd }) => (
+      Number.isFinite(amountUsd) ? accum + amountUsd : accum
+    ), 0)
+
+    const avgLentAmount = lentFunds.reduce((accum, item) => (
+      accum + item.amount * (this._getOverlapMs(item, period) / periodLength)
+    ), 0)
+    const avgBalance = this._calcAvgBalance(balances, period)
+
+    const openedLentFunds = lentFunds.filter(({ mtsOpening }) => (
+      this._isInPeriod(mtsOpening, period)
+    ))
+    const periodOffers = offers.filter(({ mts }) => (
+      this._isInPeriod(mts, period)
+    ))
+
+    return {
+      earnings,
+      earningsUsd,
+      avgBalance,
+      avgLentAmount,
+      avgIdleAmount: Math.max(avgBalance - avgLentAmount, 0),
+      utilizationPerc: avgBalance > 0
+        ? (avgLentAmount / avgBalance) * 100
+        : null,
+      realizedAprPerc: avgLentAmount > 0
+        ? (earnings / avgLentAmount) * (YEAR_MS / periodLength) * 100
+        : null,
+      avgRateAprPerc: this._calcWeightedAvg(
+        openedLentFunds,
+        ({ aprPerc }) => aprPerc
+      ),
+      avgDurationDays: this._calcWeightedAvg(
+        openedLentFunds,
+        ({ mtsOpening, mtsClosing }) => (mtsClosing - mtsOpening) / DAY_MS
+      ),
+      executedOffersCount: periodOffers.length,
+      executedOffersAmount: periodOffers.reduce((accum, { amount }) => (
+        accum + amount
+      ), 0),
+      rateDistribution: this._calcRateDistribution(periodOffers)
+    }
+  }
+
+  /**
+   * Periods before the first funding activity are skipped
+   * to not iterate from the epoch with the default `start`
+   */
+  _getFirstMts (start, data) {
+    const {
+      payments,
+      balances,
+      lentFunds,
+      offers
+    } = data
+    const mtsArr = [
+      ...payments.map(({ mts }) => mts),
+      ...balances.map(({ mts }) => mts),
+      ...lentFunds.map(({ mtsOpening }) => mtsOpening),
+      ...offers.map(({ mts }) => mts)
+    ].filter((mts) => Number.isInteger(mts))
+
+    if (mtsArr.length === 0) {
+      return null
+    }
+
+    return Math.max(
+      start,
+      mtsArr.reduce((accum, mts) => Math.min(accum, mts))
+    )
+  }
+
+  _isEmptyPeriod (res) {
+    return (
+      res.earnings === 0 &&
+      res.avgBalance === 0 &&
+      res.avgLentAmount === 0 &&
+      res.executedOffersCount === 0
+    )
+  }
+
+  /**
+   * Returns funding earnings per currency and timeframe
+   * in descending order, the realized APR is calculated
+   * on the average lent amount of the period
+   */
+  async getFundingEarnings ({
+    auth = {},
+    params = {}
+  } = {}) {
+    const user = await this.authenticator
+      .verifyRequestUser({ auth })
+
+    const {
+      timeframe = 'month',
+      start = 0,
+      end = Date.now(),
+      symbol
+    } = { ...params }
+    const _symbol = Array.isArray(symbol)
+      ? symbol
+      : [symbol]
+    const currencies = _symbol.filter((s) => (
+      s && typeof s === 'string'
+    ))
+    const args = { start, end, currencies }
+
+    const [
+      payments,
+      balances,
+      lentFunds,
+      offers
+    ] = await Promise.all([
+      this._getPaymentLedgers(user, args),
+      this._getFundingBalances(user, args),
+      this._getLentFunds(user, args),
+      this._getExecutedOffers(user, args)
+    ])
+
+    const paymentsMap = this._groupByCurrency(payments)
+    const balancesMap = this._groupByCurrency(balances)
+    const lentFundsMap = this._groupByCurrency(lentFunds)
+    const offersMap = this._groupByCurrency(offers)
+    const currencyList = [...new Set([
+      ...paymentsMap.keys(),
+      ...balancesMap.keys(),
+      ...lentFundsMap.keys(),
+      ...offersMap.keys()
+    ])].sort()
+    const firstMts = this._getFirstMts(
+      start,
+      { payments, balances, lentFunds, offers }
+    )
+
+    if (!Number.isInteger(firstMts)) {
+      return []
+    }
+
+    const periods = this._getPeriods({ timeframe, start: firstMts, end })
+    const res = []
+
+    for (const period of periods) {
+      for (const currency of currencyList) {
+        const periodRes = this._calcPeriod(period, {
+          payments: paymentsMap.get(currency) || [],
+          balances: balancesMap.get(currency) || [],
+          lentFunds: lentFundsMap.get(currency) || [],
+          offers: offersMap.get(currency) || []
+        })
+
+        if (this._isEmptyPeriod(periodRes)) {
+          continue
+        }
+
+        res.push({
+          mts: period.mts,
+          currency,
+          ...periodRes
+        })
+      }
+    }
+
+    return res.sort((a, b) => (
+      b.mts - a.mts ||
+      a.currency.localeCompare(b.currency)
+    ))
+  }
+}
+
+decorate(injectable(), FundingEarnings)
+decorate(inject(TYPES.DAO), FundingEarnings, 0)
+decorate(inject(TYPES.ALLOWED_COLLS), FundingEarnings, 1)
+decorate(inject(TYPES.Authenticator), FundingEarnings, 2)
+
+module.exports = FundingEarnings
@@ -0,0 +1,16 @@
+'use strict'
+
+const getStartMtsByTimeframe = require('./get-start-mts-by-timeframe')
+
+module.exports = (ts, timeframe = 'year') => {
+  const date = new Date(getStartMtsByTimeframe(ts, timeframe))
+
+  if (timeframe === 'day') {
+    return date.setUTCDate(date.getUTCDate() + 1)
+  }
+  if (timeframe === 'month') {
+    return date.setUTCMonth(date.getUTCMonth() + 1)
+  }
+
+  return date.setUTCFullYear(date.getUTCFullYear() + 1)
+}
@@ -1,6 +1,7 @@
 'use strict'
 
 const getStartMtsByTimeframe = require('./get-start-mts-by-timeframe')
+const getNextMtsByTimeframe = require('./get-next-mts-by-timeframe')
 const getMtsGroupedByTimeframe = require('./get-mts-grouped-by-timeframe')
 const calcGroupedData = require('./calc-grouped-data')
 const groupByTimeframe = require('./group-by-timeframe')
@@ -18,6 +19,7 @@ const {
 
 module.exports = {
   getStartMtsByTimeframe,
+  getNextMtsByTimeframe,
   getMtsGroupedByTimeframe,
   calcGroupedData,
   groupByTimeframe,
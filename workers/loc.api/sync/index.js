@@ -8,6 +8,8 @@ const {
 
 const TYPES = require('../di/types')
 const { CollSyncPermissionError } = require('../errors')
+const WEBHOOK_EVENTS = require('./webhooks/webhook.events')
+const SYNC_TRIGGERS = require('./sync.history/sync.triggers')
 
 class Sync {
   constructor (
@@ -16,7 +18,9 @@ class Sync {
     ALLOWED_COLLS,
     progress,
     redirectRequestsToApi,
-    syncInterrupter
+    syncInterrupter,
+    webhooks,
+    syncHistory
   ) {
     this.syncQueue = syncQueue
     this.rService = rService
@@ -24,9 +28,24 @@ class Sync {
     this.progress = progress
     this.redirectRequestsToApi = redirectRequestsToApi
     this.syncInterrupter = syncInterrupter
+    this.webhooks = webhooks
+    this.syncHistory = syncHistory
   }
 
-  async _sync (error) {
+  _getWebhookEvent (error, isInterrupted) {
+    if (error) {
+      return WEBHOOK_EVENTS.SYNC_ERROR
+    }
+    if (isInterrupted) {
+      return WEBHOOK_EVENTS.SYNC_INTERRUPTED
+    }
+
+    return WEBHOOK_EVENTS.SYNC_FINISHED
+  }
+
+  async _sync (error, runOpts) {
+    await this.syncHistory.startRun(runOpts)
+
     let errorForInterrupter = null
     let progressForInterrupter = this.syncInterrupter
       .INITIAL_PROGRESS
@@ -59,21 +78,63 @@ class Sync {
     }
 
     const currProgress = await this.progress.getProgress()
+    const isInterrupted = this.syncInterrupter.hasInterrupted()
+    const _error = error || errorForInterrupter
 
-    if (this.syncInterrupter.hasInterrupted()) {
+    if (isInterrupted) {
       this.syncInterrupter.emitInterrupted(
         errorForInterrupter,
         progressForInterrupter
       )
     }
 
+    const syncedUserIds = this.syncHistory.getCurrRunUserIds()
+
+    await this.syncHistory.finishRun({
+      progress: currProgress,
+      error: _error,
+      isInterrupted
+    })
+    await this._dispatchWebhooks(syncedUserIds, {
+      event: this._getWebhookEvent(_error, isInterrupted),
+      progress: currProgress,
+      error: _error
+    })
+
     return currProgress
   }
 
+  /**
+   * Sync events go only to users whose data was synced
+   */
+  async _dispatchWebhooks (userIds, opts) {
+    const { event, progress, error } = { ...opts }
+
+    for (const userId of userIds) {
+      await this.webhooks.dispatch(
+        event,
+        {
+          progress,
+          error: error ? error.toString() : null
+        },
+        { userId }
+      )
+    }
+  }
+
+  /**
+   * The trigger is kept in the sync history,
+   * the scheduler calls it without args
+   */
   async start (
     isSolveAfterRedirToApi,
-    syncColls = this.ALLOWED_COLLS.ALL
+    syncColls = this.ALLOWED_COLLS.ALL,
+    opts = {}
   ) {
+    const {
+      trigger = SYNC_TRIGGERS.SCHEDULER
+    } = { ...opts }
+    const runOpts = { trigger, syncColls }
     let error = null
 
     try {
@@ -105,12 +166,12 @@ class Sync {
     }
 
     if (!error && isSolveAfterRedirToApi) {
-      this._sync(error).then(() => {}, () => {})
+      this._sync(error, runOpts).then(() => {}, () => {})
 
       return 'SYNCHRONIZATION_IS_STARTED'
     }
 
-    return this._sync(error)
+    return this._sync(error, runOpts)
   }
 
   async stop () {
@@ -131,5 +192,7 @@ decorate(inject(TYPES.ALLOWED_COLLS), Sync, 2)
 decorate(inject(TYPES.Progress), Sync, 3)
 decorate(inject(TYPES.RedirectRequestsToApi), Sync, 4)
 decorate(inject(TYPES.SyncInterrupter), Sync, 5)
+decorate(inject(TYPES.Webhooks), Sync, 6)
+decorate(inject(TYPES.SyncHistory), Sync, 7)
 
 module.exports = Sync
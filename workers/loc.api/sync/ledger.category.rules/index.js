@@ -0,0 +1,320 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../di/types')
+const MATCH_TYPES = require('./match.types')
+const {
+  getCategoryFromDescription
+} = require('../data.inserter/api.middleware/helpers')
+const {
+  LedgerCategoryRulePatternError
+} = require('../../errors')
+
+const BATCH_LIMIT = 10000
+const REG_EXP_MAX_LENGTH = 100
+/*
+ * A quantified group containing a quantifier (e.g. `(a+)+`)
+ * and backreferences lead to catastrophic backtracking
+ */
+const NESTED_QUANTIFIER_REG_EXP = /\((?:[^()\\]|\\.)*(?:(?<!\()[*+?]|\{\d+,?\d*\})(?:[^()\\]|\\.)*\)(?:[*+]|\{\d+,\d*\})/
+const BACKREFERENCE_REG_EXP = /\\(?:[1-9]|k<)/
+
+const _isUnsafePattern = (pattern) => (
+  pattern.length > REG_EXP_MAX_LENGTH ||
+  NESTED_QUANTIFIER_REG_EXP.test(pattern) ||
+  BACKREFERENCE_REG_EXP.test(pattern)
+)
+
+class LedgerCategoryRules {
+  constructor (
+    dao,
+    TABLES_NAMES,
+    ALLOWED_COLLS,
+    authenticator
+  ) {
+    this.dao = dao
+    this.TABLES_NAMES = TABLES_NAMES
+    this.ALLOWED_COLLS = ALLOWED_COLLS
+    this.authenticator = authenticator
+  }
+
+  _getRegExp (pattern) {
+    if (
+      !pattern ||
+      typeof pattern !== 'string' ||
+      _isUnsafePattern(pattern)
+    ) {
+      throw new LedgerCategoryRulePatternError()
+    }
+
+    try {
+      return new RegExp(pattern, 'i')
+    } catch (err) {
+      throw new LedgerCategoryRulePatternError()
+    }
+  }
+
+  /**
+   * Patterns are prepared once per batch of ledgers,
+   * rules with not valid regexps stored before never match
+   */
+  _compileRules (rules = []) {
+    return rules.reduce((accum, rule) => {
+      const { pattern, matchType } = { ...rule }
+
+      if (
+        !pattern ||
+        typeof pattern !== 'string'
+      ) {
+        return accum
+      }
+      if (matchType !== MATCH_TYPES.REGEXP) {
+        accum.push({ ...rule, pattern: pattern.toLowerCase() })
+
+        return accum
+      }
+
+      try {
+        accum.push({ ...rule, regExp: this._getRegExp(pattern) })
+      } catch (err) {}
+
+      return accum
+    }, [])
+  }
+
+  _isMatched (description, rule) {
+    const { pattern, matchType, regExp } = rule
+
+    if (
+      !description ||
+      typeof description !== 'string'
+    ) {
+      return false
+    }
+    if (matchType === MATCH_TYPES.REGEXP) {
+      return regExp.test(description)
+    }
+
+    const _description = description.toLowerCase()
+
+    if (matchType === MATCH_TYPES.STARTS_WITH) {
+      return _description.startsWith(pattern)
+    }
+    if (matchType === MATCH_TYPES.EQUALS) {
+      return _description === pattern
+    }
+
+    return _description.includes(pattern)
+  }
+
+  /**
+   * User rules have priority over the built-in categories,
+   * the first matched rule wins in order of creation
+   */
+  _categorize (ledger, rules = []) {
+    const { description } = { ...ledger }
+    const _category = getCategoryFromDescription(
+      typeof description === 'string' ? description : ''
+    )
+    const rule = rules.find((rule) => (
+      this._isMatched(description, rule)
+    ))
+
+    if (!rule) {
+      return { _category, _tag: null }
+    }
+
+    return {
+      _category: Number.isInteger(rule.category)
+        ? rule.category
+        : _category,
+      _tag: rule.tag || null
+    }
+  }
+
+  _getRules (userId) {
+    return this.dao.getElemsInCollBy(
+      this.TABLES_NAMES.LEDGER_CATEGORY_RULES,
+      {
+        filter: { user_id: userId },
+        sort: [['_id', 1]]
+      }
+    )
+  }
+
+  async _getUser (auth) {
+    return this.authenticator
+      .verifyRequestUser({ auth })
+  }
+
+  async categorizeLedgers (userId, ledgers = []) {
+    if (
+      !Number.isInteger(userId) ||
+      !Array.isArray(ledgers) ||
+      ledgers.length === 0
+    ) {
+      return ledgers
+    }
+
+    const rules = this._compileRules(
+      await this._getRules(userId)
+    )
+
+    if (rules.length === 0) {
+      return ledgers
+    }
+
+    return ledgers.map((ledger) => ({
+      ...ledger,
+      ...this._categorize(ledger, rules)
+    }))
+  }
+
+  /**
+   * Applies the current rules to the already synced ledgers,
+   * only changed rows are written back
+   */
+  async recategorizeLedgers (userId) {
+    const rules = this._compileRules(
+      await this._getRules(userId)
+    )
+
+    let _id = 0
+
+    while (true) {
+      const ledgers = await this.dao.getElemsInCollBy(
+        this.ALLOWED_COLLS.LEDGERS,
+        {
+          filter: {
+            user_id: userId,
+            $gt: { _id }
+          },
+          sort: [['_id', 1]],
+          projection: ['_id', 'description', '_category', '_tag'],
+          limit: BATCH_LIMIT
+        }
+      )
+
+      if (!Array.isArray(ledgers) || ledgers.length === 0) {
+        break
+      }
+
+      const changedLedgers = ledgers.reduce((accum, ledger) => {
+        const {
+          _category,
+          _tag
+        } = this._categorize(ledger, rules)
+
+        if (
+          _category !== ledger._category ||
+          _tag !== ledger._tag
+        ) {
+          accum.push({ _id: ledger._id, _category, _tag })
+        }
+
+        return accum
+      }, [])
+
+      await this.dao.updateElemsInCollBy(
+        this.ALLOWED_COLLS.LEDGERS,
+        changedLedgers,
+        ['_id'],
+        ['_category', '_tag']
+      )
+
+      if (ledgers.length < BATCH_LIMIT) {
+        break
+      }
+
+      _id = ledgers[ledgers.length - 1]._id
+    }
+  }
+
+  async getLedgerCategoryRules (args) {
+    const { auth } = { ...args }
+    const user = await this._getUser(auth)
+
+    const rules = await this._getRules(user._id)
+
+    return rules.map(({
+      _id: id,
+      pattern,
+      matchType,
+      category,
+      tag
+    }) => ({
+      id,
+      pattern,
+      matchType,
+      category,
+      tag
+    }))
+  }
+
+  async addLedgerCategoryRule (args) {
+    const { auth, params } = { ...args }
+    const {
+      pattern,
+      matchType = MATCH_TYPES.INCLUDES,
+      category = null,
+      tag = null
+    } = { ...params }
+
+    if (matchType === MATCH_TYPES.REGEXP) {
+      this._getRegExp(pattern)
+    }
+
+    const user = await this._getUser(auth)
+
+    await this.dao.insertElemToDb(
+      this.TABLES_NAMES.LEDGER_CATEGORY_RULES,
+      {
+        pattern,
+        matchType,
+        category,
+        tag,
+        user_id: user._id
+      }
+    )
+    await this.recategorizeLedgers(user._id)
+
+    return true
+  }
+
+  async removeLedgerCategoryRule (args) {
+    const { auth, params } = { ...args }
+    const { id } = { ...params }
+
+    const user = await this._getUser(auth)
+
+    const res = await this.dao.removeElemsFromDb(
+      this.TABLES_NAMES.LEDGER_CATEGORY_RULES,
+      user,
+      { _id: id }
+    )
+    const isRemoved = (
+      res &&
+      typeof res === 'object' &&
+      res.changes > 0
+    )
+
+    if (isRemoved) {
+      await this.recategorizeLedgers(user._id)
+    }
+
+    return isRemoved
+  }
+}
+
+decorate(injectable(), LedgerCategoryRules)
+decorate(inject(TYPES.DAO), LedgerCategoryRules, 0)
+decorate(inject(TYPES.TABLES_NAMES), LedgerCategoryRules, 1)
+decorate(inject(TYPES.ALLOWED_COLLS), LedgerCategoryRules, 2)
+decorate(inject(TYPES.Authenticator), LedgerCategoryRules, 3)
+
+module.exports = LedgerCategoryRules
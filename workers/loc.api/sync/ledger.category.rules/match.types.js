@@ -0,0 +1,13 @@
+'use strict'
+
+const STARTS_WITH = 'startsWith'
+const INCLUDES = 'includes'
+const EQUALS = 'equals'
+const REGEXP = 'regexp'
+
+module.exports = {
+  STARTS_WITH,
+  INCLUDES,
+  EQUALS,
+  REGEXP
+}
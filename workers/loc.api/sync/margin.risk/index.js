@@ -0,0 +1,392 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../di/types')
+const {
+  getStartMtsByTimeframe,
+  getNextMtsByTimeframe
+} = require('../helpers')
+
+const DEFAULT_BUFFER_THRESHOLD_PERC = 10
+const CANDLES_TIMEFRAME = '1D'
+const MARGIN_WALLET = 'margin'
+const ACTIVE_STATUS = 'ACTIVE'
+
+class MarginRisk {
+  constructor (
+    dao,
+    ALLOWED_COLLS,
+    balanceHistory,
+    currencyConverter,
+    authenticator
+  ) {
+    this.dao = dao
+    this.ALLOWED_COLLS = ALLOWED_COLLS
+    this.balanceHistory = balanceHistory
+    this.currencyConverter = currencyConverter
+    this.authenticator = authenticator
+  }
+
+  async _getPositions (user, { start, end, symbol }) {
+    const symbFilter = symbol.length > 0
+      ? { $in: { symbol } }
+      : {}
+
+    const positions = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.POSITIONS_HISTORY,
+      {
+        filter: {
+          user_id: user._id,
+          $gte: { mtsUpdate: start },
+          $lte: { mtsCreate: end },
+          ...symbFilter
+        },
+        sort: [['mtsUpdate', -1]],
+        projection: [
+          'id',
+          'symbol',
+          'status',
+          'amount',
+          'liquidationPrice',
+          'leverage',
+          'mtsCreate',
+          'mtsUpdate'
+        ]
+      }
+    )
+
+    return positions.reduce((accum, position) => {
+      const {
+        id,
+        symbol,
+        status,
+        amount,
+        liquidationPrice,
+        leverage,
+        mtsCreate,
+        mtsUpdate
+      } = { ...position }
+
+      if (
+        !symbol ||
+        !Number.isFinite(amount) ||
+        amount === 0 ||
+        !Number.isFinite(liquidationPrice) ||
+        liquidationPrice <= 0 ||
+        !Number.isInteger(mtsCreate)
+      ) {
+        return accum
+      }
+
+      const isActive = (
+        typeof status === 'string' &&
+        status.startsWith(ACTIVE_STATUS)
+      )
+
+      accum.push({
+        id,
+        symbol,
+        amount,
+        liquidationPrice,
+        leverage: Number.isFinite(leverage)
+          ? leverage
+          : null,
+        mtsOpening: mtsCreate,
+        mtsClosing: isActive || !Number.isInteger(mtsUpdate)
+          ? end
+          : Math.min(mtsUpdate, end)
+      })
+
+      return accum
+    }, [])
+  }
+
+  async _getCandlesMap (positions, { start, end }) {
+    const symbols = [...new Set(positions.map(({ symbol }) => symbol))]
+
+    if (symbols.length === 0) {
+      return new Map()
+    }
+
+    const candles = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.CANDLES,
+      {
+        filter: {
+          $eq: { _timeframe: CANDLES_TIMEFRAME },
+          $in: { _symbol: symbols },
+          $gte: { mts: getStartMtsByTimeframe(start, 'day') },
+          $lte: { mts: end }
+        },
+        projection: ['mts', 'low', 'high', 'close', '_symbol']
+      }
+    )
+
+    return candles.reduce((accum, candle) => {
+      const { mts, _symbol } = { ...candle }
+
+      accum.set(`${_symbol}:${mts}`, candle)
+
+      return accum
+    }, new Map())
+  }
+
+  async _getMarginBalancesMap (auth, { start, end }) {
+    const balances = await this.balanceHistory.getBalanceHistory({
+      auth,
+      params: {
+        timeframe: 'day',
+        start,
+        end,
+        wallet: MARGIN_WALLET
+      }
+    })
+
+    if (!Array.isArray(balances)) {
+      return new Map()
+    }
+
+    return balances.reduce((accum, { mts, USD }) => {
+      if (
+        Number.isInteger(mts) &&
+        Number.isFinite(USD)
+      ) {
+        accum.set(getStartMtsByTimeframe(mts, 'day'), USD)
+      }
+
+      return accum
+    }, new Map())
+  }
+
+  /**
+   * The worst price of the day for longs is the low
+   * and for shorts is the high, a negative buffer means
+   * the price crossed the liquidation price
+   */
+  _calcBufferPerc (position, candle) {
+    const { amount, liquidationPrice } = position
+    const { low, high } = candle
+    const isLong = amount > 0
+    const worstPrice = isLong
+      ? low
+      : high
+
+    if (
+      !Number.isFinite(worstPrice) ||
+      worstPrice <= 0
+    ) {
+      return null
+    }
+
+    const diff = isLong
+      ? worstPrice - liquidationPrice
+      : liquidationPrice - worstPrice
+
+    return (diff / worstPrice) * 100
+  }
+
+  _getDailyItems (position, candlesMap, { start, end }) {
+    const items = []
+    const firstMts = getStartMtsByTimeframe(
+      Math.max(position.mtsOpening, start),
+      'day'
+    )
+    const lastMts = Math.min(position.mtsClosing, end)
+
+    for (
+      let mts = firstMts;
+      mts <= lastMts;
+      mts = getNextMtsByTimeframe(mts, 'day')
+    ) {
+      const candle = candlesMap.get(`${position.symbol}:${mts}`)
+
+      if (!candle) {
+        continue
+      }
+
+      const { low, high, close } = candle
+
+      items.push({
+        mts,
+        id: position.id,
+        symbol: position.symbol,
+        amount: position.amount,
+        liquidationPrice: position.liquidationPrice,
+        leverage: position.leverage,
+        low,
+        high,
+        close,
+        bufferPerc: this._calcBufferPerc(position, candle),
+        notional: Number.isFinite(close)
+          ? Math.abs(position.amount) * close
+          : null
+      })
+    }
+
+    return items
+  }
+
+  /**
+   * The notional is in the quote currency of the pair,
+   * the converter takes elements in descending order
+   */
+  _convertItems (items) {
+    return this.currencyConverter
+      .convertManyByCandles(
+        [...items].sort((a, b) => b.mts - a.mts),
+        {
+          symbolFieldName: 'symbol',
+          dateFieldName: 'mts',
+          convFields: [
+            {
+              inputField: 'notional',
+              outputField: 'notionalUsd'
+            }
+          ]
+        }
+      )
+  }
+
+  _getUsedMarginUsd (item) {
+    const { notionalUsd, leverage } = item
+
+    return (
+      Number.isFinite(notionalUsd) &&
+      Number.isFinite(leverage) &&
+      leverage > 0
+    )
+      ? notionalUsd / leverage
+      : null
+  }
+
+  _sumUsedMarginByDay (items) {
+    return items.reduce((accum, item) => {
+      const usedMarginUsd = this._getUsedMarginUsd(item)
+
+      if (!Number.isFinite(usedMarginUsd)) {
+        return accum
+      }
+
+      accum.set(
+        item.mts,
+        (accum.get(item.mts) || 0) + usedMarginUsd
+      )
+
+      return accum
+    }, new Map())
+  }
+
+  /**
+   * Returns the liquidation buffer and margin usage
+   * per open position and day in descending order,
+   * the margin utilization takes all positions of the day
+   */
+  async getMarginRisk ({
+    auth = {},
+    params = {}
+  } = {}) {
+    const user = await this.authenticator
+      .verifyRequestUser({ auth })
+
+    const {
+      start = 0,
+      end = Date.now(),
+      symbol: symbs,
+      bufferThresholdPerc = DEFAULT_BUFFER_THRESHOLD_PERC
+    } = { ...params }
+    const _symbol = Array.isArray(symbs)
+      ? symbs
+      : [symbs]
+    const symbol = _symbol.filter((s) => (
+      s && typeof s === 'string'
+    ))
+
+    const positions = await this._getPositions(
+      user,
+      { start, end, symbol }
+    )
+
+    if (positions.length === 0) {
+      return []
+    }
+
+    const _start = Math.max(
+      start,
+      positions.reduce((accum, { mtsOpening }) => (
+        Math.min(accum, mtsOpening)
+      ), end)
+    )
+    const [
+      candlesMap,
+      marginBalancesMap
+    ] = await Promise.all([
+      this._getCandlesMap(positions, { start: _start, end }),
+      this._getMarginBalancesMap(auth, { start: _start, end })
+    ])
+    const items = positions.reduce((accum, position) => {
+      accum.push(...this._getDailyItems(
+        position,
+        candlesMap,
+        { start: _start, end }
+      ))
+
+      return accum
+    }, [])
+    const convertedItems = await this._convertItems(items)
+    const usedMarginMap = this._sumUsedMarginByDay(convertedItems)
+
+    return convertedItems
+      .map((item) => {
+        const { notional, ...rest } = item
+        const marginBalanceUsd = marginBalancesMap.get(item.mts)
+        const isMarginBalance = (
+          Number.isFinite(marginBalanceUsd) &&
+          marginBalanceUsd > 0
+        )
+        const notionalUsd = Number.isFinite(item.notionalUsd)
+          ? item.notionalUsd
+          : null
+
+        return {
+          ...rest,
+          notionalUsd,
+          marginBalanceUsd: Number.isFinite(marginBalanceUsd)
+            ? marginBalanceUsd
+            : null,
+          effectiveLeverage: (
+            isMarginBalance &&
+            Number.isFinite(notionalUsd)
+          )
+            ? notionalUsd / marginBalanceUsd
+            : null,
+          marginUtilizationPerc: (
+            isMarginBalance &&
+            usedMarginMap.has(item.mts)
+          )
+            ? (usedMarginMap.get(item.mts) / marginBalanceUsd) * 100
+            : null,
+          isFlagged: (
+            Number.isFinite(item.bufferPerc) &&
+            item.bufferPerc < bufferThresholdPerc
+          )
+        }
+      })
+      .sort((a, b) => (
+        b.mts - a.mts ||
+        a.symbol.localeCompare(b.symbol)
+      ))
+  }
+}
+
+decorate(injectable(), MarginRisk)
+decorate(inject(TYPES.DAO), MarginRisk, 0)
+decorate(inject(TYPES.ALLOWED_COLLS), MarginRisk, 1)
+decorate(inject(TYPES.BalanceHistory), MarginRisk, 2)
+decorate(inject(TYPES.CurrencyConverter), MarginRisk, 3)
+decorate(inject(TYPES.Authenticator), MarginRisk, 4)
+
+module.exports = MarginRisk
@@ -0,0 +1,362 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../di/types')
+const {
+  getStartMtsByTimeframe,
+  getNextMtsByTimeframe
+} = require('../helpers')
+
+const EPSILON = 1e-12
+const IRR_MAX_ITERATIONS = 100
+const IRR_MIN_RATE = -0.999999
+const IRR_MAX_RATE = 1e6
+
+class PortfolioReturns {
+  constructor (
+    dao,
+    ALLOWED_COLLS,
+    syncSchema,
+    balanceHistory,
+    wallets,
+    authenticator
+  ) {
+    this.dao = dao
+    this.ALLOWED_COLLS = ALLOWED_COLLS
+    this.syncSchema = syncSchema
+    this.balanceHistory = balanceHistory
+    this.wallets = wallets
+    this.authenticator = authenticator
+
+    this.movementsModel = this.syncSchema.getModelsMap()
+      .get(this.ALLOWED_COLLS.MOVEMENTS)
+  }
+
+  _getUsdAmount (val, valUsd, currency) {
+    if (Number.isFinite(valUsd)) {
+      return valUsd
+    }
+    if (
+      currency === 'USD' &&
+      Number.isFinite(val)
+    ) {
+      return val
+    }
+
+    return 0
+  }
+
+  async _getStartBalance (auth, start) {
+    const wallets = await this.wallets.getWallets({
+      auth,
+      params: { end: start }
+    })
+
+    return wallets.reduce((accum, wallet) => {
+      const { balance, balanceUsd, currency } = { ...wallet }
+
+      return accum + this._getUsdAmount(balance, balanceUsd, currency)
+    }, 0)
+  }
+
+  /**
+   * Daily balances are in ascending order,
+   * the starting frame keeps the `start` mts
+   */
+  async _getDailyBalances (auth, start, end) {
+    const balances = await this.balanceHistory.getBalanceHistory({
+      auth,
+      params: {
+        timeframe: 'day',
+        start,
+        end
+      }
+    })
+
+    return balances
+      .filter(({ mts, USD }) => (
+        Number.isInteger(mts) &&
+        Number.isFinite(USD)
+      ))
+      .map(({ mts, USD }) => ({
+        mts: getStartMtsByTimeframe(mts, 'day'),
+        balance: USD
+      }))
+      .sort((a, b) => a.mts - b.mts)
+  }
+
+  async _getCashFlows (user, start, end) {
+    const movements = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.MOVEMENTS,
+      {
+        filter: {
+          status: 'COMPLETED',
+          $gte: { mtsUpdated: start },
+          $lte: { mtsUpdated: end },
+          user_id: user._id
+        },
+        sort: [['mtsUpdated', 1]],
+        projection: this.movementsModel,
+        exclude: ['user_id'],
+        isExcludePrivate: true
+      }
+    )
+
+    return movements.reduce((accum, movement) => {
+      const {
+        amount,
+        amountUsd,
+        currency,
+        mtsUpdated
+      } = { ...movement }
+      const usdAmount = this._getUsdAmount(amount, amountUsd, currency)
+
+      if (
+        !Number.isInteger(mtsUpdated) ||
+        Math.abs(usdAmount) < EPSILON
+      ) {
+        return accum
+      }
+
+      accum.push({ mts: mtsUpdated, amount: usdAmount })
+
+      return accum
+    }, [])
+  }
+
+  /**
+   * Splits the period by the daily balances, cash flows are
+   * considered to be received at the beginning of each sub-period
+   */
+  _getSubPeriods (dailyBalances, cashFlows, startBalance) {
+    let prevBalance = startBalance
+    let flowIndex = 0
+
+    return dailyBalances.map(({ mts, balance }) => {
+      const nextDayMts = getNextMtsByTimeframe(mts, 'day')
+      const flows = []
+
+      while (
+        flowIndex < cashFlows.length &&
+        cashFlows[flowIndex].mts < nextDayMts
+      ) {
+        flows.push(cashFlows[flowIndex])
+        flowIndex += 1
+      }
+
+      const netCashFlow = flows.reduce((accum, { amount }) => (
+        accum + amount
+      ), 0)
+      const invested = prevBalance + netCashFlow
+      const subPeriodReturn = invested > EPSILON
+        ? (balance / invested) - 1
+        : 0
+      const subPeriod = {
+        mts,
+        startBalance: prevBalance,
+        endBalance: balance,
+        flows,
+        netCashFlow,
+        subPeriodReturn
+      }
+
+      prevBalance = balance
+
+      return subPeriod
+    })
+  }
+
+  _calcNpv (rate, startBalance, weightedFlows, endBalance) {
+    return weightedFlows.reduce((accum, { amount, weight }) => (
+      accum + (amount * Math.pow(1 + rate, weight))
+    ), startBalance * (1 + rate)) - endBalance
+  }
+
+  /**
+   * Money-weighted return of the period: the rate which
+   * discounts the start balance and cash flows to the end balance,
+   * found by the bisection method
+   */
+  _calcIrr (startBalance, weightedFlows, endBalance) {
+    const invested = weightedFlows.reduce((accum, { amount }) => (
+      accum + amount
+    ), startBalance)
+
+    if (invested <= EPSILON) {
+      return null
+    }
+
+    const npv = (rate) => this._calcNpv(
+      rate,
+      startBalance,
+      weightedFlows,
+      endBalance
+    )
+
+    let low = IRR_MIN_RATE
+    let high = IRR_MAX_RATE
+    let npvLow = npv(low)
+    const npvHigh = npv(high)
+
+    if (
+      !Number.isFinite(npvLow) ||
+      !Number.isFinite(npvHigh) ||
+      Math.sign(npvLow) === Math.sign(npvHigh)
+    ) {
+      return null
+    }
+
+    for (let i = 0; IRR_MAX_ITERATIONS > i; i += 1) {
+      const mid = (low + high) / 2
+      const npvMid = npv(mid)
+
+      if (
+        Math.abs(npvMid) < EPSILON ||
+        (high - low) / 2 < EPSILON
+      ) {
+        return mid
+      }
+      if (Math.sign(npvMid) === Math.sign(npvLow)) {
+        low = mid
+        npvLow = npvMid
+
+        continue
+      }
+
+      high = mid
+    }
+
+    return (low + high) / 2
+  }
+
+  _toPerc (val) {
+    return Number.isFinite(val)
+      ? val * 100
+      : null
+  }
+
+  _calcReturnsByTimeframe (subPeriods, params) {
+    const { timeframe, start, end } = params
+    const groups = subPeriods.reduce((accum, subPeriod) => {
+      const mts = getStartMtsByTimeframe(subPeriod.mts, timeframe)
+      const lastGroup = accum[accum.length - 1]
+
+      if (
+        lastGroup &&
+        lastGroup.mts === mts
+      ) {
+        lastGroup.subPeriods.push(subPeriod)
+
+        return accum
+      }
+
+      accum.push({ mts, subPeriods: [subPeriod] })
+
+      return accum
+    }, [])
+
+    let cumulativeGrowth = 1
+
+    return groups.map(({ mts, subPeriods }) => {
+      const periodStart = Math.max(mts, start)
+      const periodEnd = Math.min(
+        getNextMtsByTimeframe(mts, timeframe),
+        end
+      )
+      const periodLength = Math.max(periodEnd - periodStart, 1)
+      const startBalance = subPeriods[0].startBalance
+      const endBalance = subPeriods[subPeriods.length - 1].endBalance
+
+      const growth = subPeriods.reduce((accum, { subPeriodReturn }) => (
+        accum * (1 + subPeriodReturn)
+      ), 1)
+      cumulativeGrowth *= growth
+
+      const flows = subPeriods.reduce((accum, subPeriod) => {
+        return [...accum, ...subPeriod.flows]
+      }, [])
+      const netCashFlow = flows.reduce((accum, { amount }) => (
+        accum + amount
+      ), 0)
+      const weightedFlows = flows.map(({ mts, amount }) => {
+        const elapsed = Math.min(
+          Math.max(mts - periodStart, 0),
+          periodLength
+        )
+
+        return {
+          amount,
+          weight: 1 - (elapsed / periodLength)
+        }
+      })
+      const irr = this._calcIrr(startBalance, weightedFlows, endBalance)
+
+      return {
+        mts: periodStart,
+        startBalanceUsd: startBalance,
+        endBalanceUsd: endBalance,
+        netCashFlowUsd: netCashFlow,
+        twrPerc: this._toPerc(growth - 1),
+        cumulativeTwrPerc: this._toPerc(cumulativeGrowth - 1),
+        irrPerc: this._toPerc(irr)
+      }
+    })
+  }
+
+  /**
+   * Returns time-weighted (TWR) and money-weighted (IRR)
+   * returns in percent per timeframe, in descending order.
+   * Works with sub-accounts as they keep their movements
+   * and balances under the sub-account user
+   */
+  async getPortfolioReturns ({
+    auth = {},
+    params = {}
+  } = {}) {
+    const user = await this.authenticator
+      .verifyRequestUser({ auth })
+
+    const {
+      timeframe = 'day',
+      start = 0,
+      end = Date.now()
+    } = { ...params }
+
+    const [
+      startBalance,
+      dailyBalances,
+      cashFlows
+    ] = await Promise.all([
+      this._getStartBalance(auth, start),
+      this._getDailyBalances(auth, start, end),
+      this._getCashFlows(user, start, end)
+    ])
+
+    const subPeriods = this._getSubPeriods(
+      dailyBalances,
+      cashFlows,
+      startBalance
+    )
+    const res = this._calcReturnsByTimeframe(
+      subPeriods,
+      { timeframe, start, end }
+    )
+
+    return res.reverse()
+  }
+}
+
+decorate(injectable(), PortfolioReturns)
+decorate(inject(TYPES.DAO), PortfolioReturns, 0)
+decorate(inject(TYPES.ALLOWED_COLLS), PortfolioReturns, 1)
+decorate(inject(TYPES.SyncSchema), PortfolioReturns, 2)
+decorate(inject(TYPES.BalanceHistory), PortfolioReturns, 3)
+decorate(inject(TYPES.Wallets), PortfolioReturns, 4)
+decorate(inject(TYPES.Authenticator), PortfolioReturns, 5)
+
+module.exports = PortfolioReturns
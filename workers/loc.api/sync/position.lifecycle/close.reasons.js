@@ -0,0 +1,11 @@
+'use strict'
+
+const CLOSED = 'closed'
+const LIQUIDATED = 'liquidated'
+const CLAIMED = 'claimed'
+
+module.exports = {
+  CLOSED,
+  LIQUIDATED,
+  CLAIMED
+}
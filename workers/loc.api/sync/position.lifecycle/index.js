@@ -0,0 +1,549 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../di/types')
+const LIFECYCLE_EVENT_TYPES = require('./lifecycle.event.types')
+const CLOSE_REASONS = require('./close.reasons')
+const {
+  PositionNotFoundError
+} = require('../../errors')
+
+const AUDIT_LIMIT = 250
+const MAX_AUDIT_REQUESTS = 20
+const LEDGERS_DELAY_MS = 24 * 60 * 60 * 1000
+const AMOUNT_EPSILON = 1e-12
+const ACTIVE_STATUS = 'ACTIVE'
+const EXCHANGE_ORDER_TYPE_PREFIX = 'EXCHANGE'
+const POSITION_ID_REGEXP = /#(\d+)/
+const LIQUIDATION_REGEXP = /liquidat/i
+const CLAIM_REGEXP = /claim/i
+const LEDGER_EVENT_TYPES = new Map([
+  [22, LIFECYCLE_EVENT_TYPES.SETTLEMENT],
+  [23, LIFECYCLE_EVENT_TYPES.CLAIM],
+  [25, LIFECYCLE_EVENT_TYPES.TRANSFER],
+  [26, LIFECYCLE_EVENT_TYPES.SWAP],
+  [27, LIFECYCLE_EVENT_TYPES.FUNDING_COST]
+])
+
+class PositionLifecycle {
+  constructor (
+    rService,
+    dao,
+    ALLOWED_COLLS,
+    authenticator
+  ) {
+    this.rService = rService
+    this.dao = dao
+    this.ALLOWED_COLLS = ALLOWED_COLLS
+    this.authenticator = authenticator
+  }
+
+  _isZeroAmount (amount) {
+    return Math.abs(amount) < AMOUNT_EPSILON
+  }
+
+  _isActive (status) {
+    return (
+      typeof status === 'string' &&
+      status.startsWith(ACTIVE_STATUS)
+    )
+  }
+
+  async _getPositionHistory (user, id) {
+    const [position] = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.POSITIONS_HISTORY,
+      {
+        filter: {
+          user_id: user._id,
+          id
+        },
+        sort: [['mtsUpdate', -1]],
+        limit: 1
+      }
+    )
+
+    return position
+  }
+
+  async _getPositionAuditPage (auth, id, end) {
+    const _res = await this.rService.getPositionsAudit(
+      null,
+      { auth, params: { id: [id], end, limit: AUDIT_LIMIT } }
+    )
+
+    return Array.isArray(_res)
+      ? { res: _res, nextPage: null }
+      : { ..._res }
+  }
+
+  /**
+   * Audit records are taken from the api in descending order,
+   * the result is returned in ascending order,
+   * on api errors the legs are restored from trades
+   */
+  async _getPositionAudit (auth, id) {
+    const auditMap = new Map()
+    let end = Date.now()
+
+    try {
+      for (let i = 0; i < MAX_AUDIT_REQUESTS; i += 1) {
+        const { res, nextPage } = await this._getPositionAuditPage(
+          auth,
+          id,
+          end
+        )
+
+        if (
+          !Array.isArray(res) ||
+          res.length === 0
+        ) {
+          break
+        }
+
+        for (const item of res) {
+          const { mtsUpdate, mtsCreate } = { ...item }
+          const mts = Number.isInteger(mtsUpdate)
+            ? mtsUpdate
+            : mtsCreate
+
+          if (!Number.isInteger(mts)) {
+            continue
+          }
+
+          auditMap.set(mts, { ...item, mts })
+        }
+
+        if (
+          !Number.isInteger(nextPage) ||
+          nextPage >= end
+        ) {
+          break
+        }
+
+        end = nextPage
+      }
+    } catch (err) {
+      return []
+    }
+
+    return [...auditMap.values()]
+      .sort((a, b) => a.mts - b.mts)
+  }
+
+  /**
+   * Exchange trades don't change margin positions
+   */
+  async _getTrades (user, { symbol, start, end }) {
+    const trades = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.TRADES,
+      {
+        filter: {
+          user_id: user._id,
+          symbol,
+          $gte: { mtsCreate: start },
+          $lte: { mtsCreate: end }
+        },
+        sort: [['mtsCreate', 1], ['id', 1]],
+        projection: [
+          'id',
+          'orderID',
+          'orderType',
+          'mtsCreate',
+          'execAmount',
+          'execPrice'
+        ]
+      }
+    )
+
+    return trades.filter(({ orderType, execAmount, execPrice }) => (
+      Number.isFinite(execAmount) &&
+      Number.isFinite(execPrice) &&
+      (
+        typeof orderType !== 'string' ||
+        !orderType.toUpperCase().startsWith(EXCHANGE_ORDER_TYPE_PREFIX)
+      )
+    ))
+  }
+
+  /**
+   * Ledgers are linked to the position by the id in the description,
+   * claims and funding costs can come after the closing
+   */
+  async _getLedgers (user, { id, start, end }) {
+    const ledgers = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.LEDGERS,
+      {
+        filter: {
+          user_id: user._id,
+          $in: { _category: [...LEDGER_EVENT_TYPES.keys()] },
+          $gte: { mts: start },
+          $lte: { mts: end + LEDGERS_DELAY_MS }
+        },
+        sort: [['mts', 1], ['id', 1]],
+        projection: [
+          'id',
+          'mts',
+          'currency',
+          'amount',
+          'amountUsd',
+          'description',
+          '_category'
+        ]
+      }
+    )
+
+    return ledgers.filter(({ description }) => {
+      const [, positionId] = typeof description === 'string'
+        ? description.match(POSITION_ID_REGEXP) || []
+        : []
+
+      return Number.parseInt(positionId) === id
+    })
+  }
+
+  _calcAvgExecPrice (trades) {
+    const { sum, amount } = trades.reduce((accum, trade) => {
+      accum.sum += Math.abs(trade.execAmount) * trade.execPrice
+      accum.amount += Math.abs(trade.execAmount)
+
+      return accum
+    }, { sum: 0, amount: 0 })
+
+    return amount > 0
+      ? sum / amount
+      : null
+  }
+
+  /**
+   * The price of the increase leg without trades
+   * is derived from the base price change
+   */
+  _getPriceFromBasePrices (prevState, state, amount) {
+    const isIncreased = (
+      this._isZeroAmount(prevState.amount) ||
+      Math.sign(prevState.amount) === Math.sign(amount)
+    )
+
+    if (
+      !isIncreased ||
+      !Number.isFinite(state.basePrice) ||
+      !Number.isFinite(prevState.basePrice)
+    ) {
+      return null
+    }
+
+    return (
+      state.basePrice * state.amount -
+      prevState.basePrice * prevState.amount
+    ) / amount
+  }
+
+  /**
+   * Each amount change between audit records is a leg,
+   * the closed position might keep the last amount
+   */
+  _getLegsFromAudit (audit, trades) {
+    const legs = []
+    let prevState = { amount: 0, basePrice: null, mts: -Infinity }
+    let tradeIndex = 0
+
+    for (const item of audit) {
+      const { status, basePrice, mts } = item
+      const amount = (
+        this._isActive(status) &&
+        Number.isFinite(item.amount)
+      )
+        ? item.amount
+        : 0
+      const state = { amount, basePrice, mts }
+      const legTrades = []
+
+      while (
+        tradeIndex < trades.length &&
+        trades[tradeIndex].mtsCreate <= mts
+      ) {
+        if (trades[tradeIndex].mtsCreate > prevState.mts) {
+          legTrades.push(trades[tradeIndex])
+        }
+
+        tradeIndex += 1
+      }
+
+      const legAmount = amount - prevState.amount
+
+      if (this._isZeroAmount(legAmount)) {
+        prevState = state
+
+        continue
+      }
+
+      const avgExecPrice = this._calcAvgExecPrice(legTrades)
+
+      legs.push({
+        mts,
+        amount: legAmount,
+        price: Number.isFinite(avgExecPrice)
+          ? avgExecPrice
+          : this._getPriceFromBasePrices(prevState, state, legAmount),
+        basePrice: Number.isFinite(basePrice)
+          ? basePrice
+          : null,
+        tradesCount: legTrades.length
+      })
+
+      prevState = state
+    }
+
+    return legs
+  }
+
+  _getLegsFromTrades (trades) {
+    return trades.reduce((accum, trade) => {
+      const lastLeg = accum[accum.length - 1]
+
+      if (
+        lastLeg &&
+        lastLeg.orderID === trade.orderID
+      ) {
+        lastLeg.trades.push(trade)
+
+        return accum
+      }
+
+      accum.push({ orderID: trade.orderID, trades: [trade] })
+
+      return accum
+    }, []).map(({ trades }) => ({
+      mts: trades[trades.length - 1].mtsCreate,
+      amount: trades.reduce((accum, { execAmount }) => (
+        accum + execAmount
+      ), 0),
+      price: this._calcAvgExecPrice(trades),
+      basePrice: null,
+      tradesCount: trades.length
+    }))
+  }
+
+  _getLegType (prevAmount, legAmount) {
+    const amount = prevAmount + legAmount
+
+    if (
+      this._isZeroAmount(prevAmount) ||
+      Math.sign(prevAmount) === Math.sign(legAmount)
+    ) {
+      return LIFECYCLE_EVENT_TYPES.INCREASE
+    }
+    if (
+      !this._isZeroAmount(amount) &&
+      Math.sign(amount) !== Math.sign(prevAmount)
+    ) {
+      return LIFECYCLE_EVENT_TYPES.REVERSE
+    }
+
+    return LIFECYCLE_EVENT_TYPES.DECREASE
+  }
+
+  _calcCost (price, amount) {
+    return Number.isFinite(price)
+      ? price * Math.abs(amount)
+      : null
+  }
+
+  /**
+   * The running average entry price is changed by increases
+   * and reverses, decreases realize P/L against it
+   */
+  _calcLegs (legs) {
+    let positionAmount = 0
+    let avgEntryPrice = null
+
+    return legs.map((leg) => {
+      const { mts, amount, price, basePrice, tradesCount } = leg
+      const prevAmount = positionAmount
+      const type = this._getLegType(prevAmount, amount)
+      let realizedPl = null
+
+      positionAmount = prevAmount + amount
+
+      if (type === LIFECYCLE_EVENT_TYPES.INCREASE) {
+        const prevCost = this._isZeroAmount(prevAmount)
+          ? 0
+          : this._calcCost(avgEntryPrice, prevAmount)
+
+        avgEntryPrice = (
+          Number.isFinite(price) &&
+          Number.isFinite(prevCost)
+        )
+          ? (prevCost + this._calcCost(price, amount)) /
+            Math.abs(positionAmount)
+          : basePrice
+      }
+      if (type !== LIFECYCLE_EVENT_TYPES.INCREASE) {
+        const closedAmount = Math.min(
+          Math.abs(amount),
+          Math.abs(prevAmount)
+        )
+
+        realizedPl = (
+          Number.isFinite(price) &&
+          Number.isFinite(avgEntryPrice)
+        )
+          ? closedAmount * (price - avgEntryPrice) * Math.sign(prevAmount)
+          : null
+      }
+      if (type === LIFECYCLE_EVENT_TYPES.REVERSE) {
+        avgEntryPrice = Number.isFinite(price)
+          ? price
+          : basePrice
+      }
+
+      return {
+        type,
+        mts,
+        amount,
+        price,
+        positionAmount: this._isZeroAmount(positionAmount)
+          ? 0
+          : positionAmount,
+        avgEntryPrice,
+        realizedPl,
+        tradesCount
+      }
+    })
+  }
+
+  _getLedgerEvents (ledgers) {
+    return ledgers.map(({
+      mts,
+      currency,
+      amount,
+      amountUsd,
+      description,
+      _category
+    }) => ({
+      type: LEDGER_EVENT_TYPES.get(_category),
+      mts,
+      currency,
+      amount,
+      amountUsd: Number.isFinite(amountUsd)
+        ? amountUsd
+        : null,
+      description
+    }))
+  }
+
+  _getCloseReason (status, ledgerEvents) {
+    if (this._isActive(status)) {
+      return null
+    }
+
+    const isLiquidated = (
+      LIQUIDATION_REGEXP.test(status) ||
+      ledgerEvents.some(({ type, description }) => (
+        type === LIFECYCLE_EVENT_TYPES.SETTLEMENT &&
+        LIQUIDATION_REGEXP.test(description)
+      ))
+    )
+
+    if (isLiquidated) {
+      return CLOSE_REASONS.LIQUIDATED
+    }
+
+    const isClaimed = (
+      CLAIM_REGEXP.test(status) ||
+      ledgerEvents.some(({ type }) => (
+        type === LIFECYCLE_EVENT_TYPES.CLAIM
+      ))
+    )
+
+    return isClaimed
+      ? CLOSE_REASONS.CLAIMED
+      : CLOSE_REASONS.CLOSED
+  }
+
+  _sumBy (items, fieldName) {
+    return items.reduce((accum, item) => (
+      Number.isFinite(item[fieldName])
+        ? accum + item[fieldName]
+        : accum
+    ), 0)
+  }
+
+  async getPositionLifecycle (args) {
+    const { auth, params } = { ...args }
+    const { id } = { ...params }
+
+    const user = await this.authenticator
+      .verifyRequestUser({ auth })
+
+    const [position, audit] = await Promise.all([
+      this._getPositionHistory(user, id),
+      this._getPositionAudit(auth, id)
+    ])
+    const lastState = audit[audit.length - 1]
+    const {
+      symbol,
+      status,
+      mtsCreate,
+      mtsUpdate
+    } = { ...lastState, ...position }
+
+    if (
+      !symbol ||
+      !Number.isInteger(mtsCreate)
+    ) {
+      throw new PositionNotFoundError()
+    }
+
+    const start = audit.length > 0
+      ? Math.min(mtsCreate, audit[0].mts)
+      : mtsCreate
+    const end = (
+      this._isActive(status) ||
+      !Number.isInteger(mtsUpdate)
+    )
+      ? Date.now()
+      : mtsUpdate
+
+    const [trades, ledgers] = await Promise.all([
+      this._getTrades(user, { symbol, start, end }),
+      this._getLedgers(user, { id, start, end })
+    ])
+    const legs = this._calcLegs(
+      audit.length > 0
+        ? this._getLegsFromAudit(audit, trades)
+        : this._getLegsFromTrades(trades)
+    )
+    const ledgerEvents = this._getLedgerEvents(ledgers)
+    const fundingCosts = ledgerEvents.filter(({ type }) => (
+      type === LIFECYCLE_EVENT_TYPES.FUNDING_COST
+    ))
+
+    return {
+      id,
+      symbol,
+      status,
+      mtsCreate,
+      mtsUpdate,
+      realizedPl: this._sumBy(legs, 'realizedPl'),
+      fundingCost: this._sumBy(fundingCosts, 'amount'),
+      fundingCostUsd: this._sumBy(fundingCosts, 'amountUsd'),
+      closeReason: this._getCloseReason(status, ledgerEvents),
+      timeline: [...legs, ...ledgerEvents]
+        .sort((a, b) => a.mts - b.mts)
+    }
+  }
+}
+
+decorate(injectable(), PositionLifecycle)
+decorate(inject(TYPES.RService), PositionLifecycle, 0)
+decorate(inject(TYPES.DAO), PositionLifecycle, 1)
+decorate(inject(TYPES.ALLOWED_COLLS), PositionLifecycle, 2)
+decorate(inject(TYPES.Authenticator), PositionLifecycle, 3)
+
+module.exports = PositionLifecycle
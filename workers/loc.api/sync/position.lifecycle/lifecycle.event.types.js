@@ -0,0 +1,21 @@
+'use strict'
+
+const INCREASE = 'increase'
+const DECREASE = 'decrease'
+const REVERSE = 'reverse'
+const SETTLEMENT = 'settlement'
+const CLAIM = 'claim'
+const TRANSFER = 'transfer'
+const SWAP = 'swap'
+const FUNDING_COST = 'fundingCost'
+
+module.exports = {
+  INCREASE,
+  DECREASE,
+  REVERSE,
+  SETTLEMENT,
+  CLAIM,
+  TRANSFER,
+  SWAP,
+  FUNDING_COST
+}
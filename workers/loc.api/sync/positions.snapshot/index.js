@@ -13,7 +13,6 @@ const {
 
 const TYPES = require('../../di/types')
 
-const { getTimeframeQuery } = require('../dao/helpers')
 const {
   SyncedPositionsSnapshotParamsError
 } = require('../../errors')
@@ -67,7 +66,7 @@ class PositionsSnapshot {
   }
 
   _getTimeframeQuery (alias, isMtsExisted) {
-    const res = getTimeframeQuery(
+    const res = this.dao.getTimeframeQuery(
       'day',
       {
         propName: 'mtsUpdate',
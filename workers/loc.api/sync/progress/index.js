@@ -26,6 +26,11 @@ class Progress extends EventEmitter {
     this.TABLES_NAMES = TABLES_NAMES
     this.wsEventEmitter = wsEventEmitter
     this.logger = logger
+
+    this._throttlingState = {
+      isThrottled: false,
+      endpoints: []
+    }
   }
 
   async setProgress (progress) {
@@ -57,6 +62,27 @@ class Progress extends EventEmitter {
     }
   }
 
+  /**
+   * The throttling state is not persisted as it's actual
+   * only for the running sync
+   */
+  async setThrottlingState (state) {
+    this._throttlingState = { ...state }
+
+    try {
+      await this.wsEventEmitter
+        .emitSyncThrottling(() => this._throttlingState)
+    } catch (e) {
+      this.logger.error(
+        `PROGRESS:SYNC:SET_THROTTLING_STATE: ${e.stack || e}`
+      )
+    }
+  }
+
+  getThrottlingState () {
+    return this._throttlingState
+  }
+
   async getProgress () {
     const progress = await this.dao
       .getElemInCollBy(this.TABLES_NAMES.PROGRESS)
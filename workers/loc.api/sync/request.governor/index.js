@@ -0,0 +1,283 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../di/types')
+const TokenBucket = require('./token.bucket')
+
+const RATE_LIMIT_STATUS = 429
+// The `ERR_RATE_LIMIT` code of the bitfinex api
+const RATE_LIMIT_ERR_CODE = 11010
+const UNTHROTTLING_DELAY_MS = 5000
+const DEFAULT_REQUEST_GOVERNOR_CONF = {
+  bucket: {
+    capacity: 30,
+    tokensPerMinute: 90
+  },
+  endpoints: {},
+  backoff: {
+    baseMs: 1000,
+    maxMs: 60000
+  }
+}
+
+class RequestGovernor {
+  constructor (
+    CONF,
+    progress,
+    syncInterrupter
+  ) {
+    this.CONF = CONF
+    this.progress = progress
+    this.syncInterrupter = syncInterrupter
+
+    const { requestGovernorConf } = { ...this.CONF }
+    const {
+      bucket,
+      endpoints,
+      backoff
+    } = { ...requestGovernorConf }
+    this.conf = {
+      bucket: {
+        ...DEFAULT_REQUEST_GOVERNOR_CONF.bucket,
+        ...bucket
+      },
+      endpoints: {
+        ...DEFAULT_REQUEST_GOVERNOR_CONF.endpoints,
+        ...endpoints
+      },
+      backoff: {
+        ...DEFAULT_REQUEST_GOVERNOR_CONF.backoff,
+        ...backoff
+      }
+    }
+
+    this._buckets = new Map()
+    this._endpointStates = new Map()
+    this._isThrottled = false
+    this._unthrottlingTimer = null
+  }
+
+  _getBucket (endpoint) {
+    if (!this._buckets.has(endpoint)) {
+      this._buckets.set(endpoint, new TokenBucket({
+        ...this.conf.bucket,
+        ...this.conf.endpoints[endpoint]
+      }))
+    }
+
+    return this._buckets.get(endpoint)
+  }
+
+  _getEndpointState (endpoint) {
+    if (!this._endpointStates.has(endpoint)) {
+      this._endpointStates.set(endpoint, {
+        waitingRequestsCount: 0,
+        rateLimitHitsCount: 0,
+        sequentialRateLimitHitsCount: 0,
+        backoffUntil: 0
+      })
+    }
+
+    return this._endpointStates.get(endpoint)
+  }
+
+  /**
+   * Only the http status and the api error code are checked,
+   * error messages can contain the same words for other reasons
+   */
+  _isRateLimitError (err) {
+    const {
+      status,
+      statusCode,
+      code
+    } = { ...err }
+
+    return (
+      status === RATE_LIMIT_STATUS ||
+      statusCode === RATE_LIMIT_STATUS ||
+      code === RATE_LIMIT_ERR_CODE
+    )
+  }
+
+  /**
+   * Exponential backoff with the jitter to not send
+   * postponed requests at the same time
+   */
+  _getBackoffMs (attempt) {
+    const { baseMs, maxMs } = this.conf.backoff
+    const delayMs = Math.min(maxMs, baseMs * Math.pow(2, attempt - 1))
+
+    return Math.ceil(delayMs / 2 + Math.random() * delayMs / 2)
+  }
+
+  _isInterrupted () {
+    return this.syncInterrupter.hasInterrupted()
+  }
+
+  _sleep (ms) {
+    return new Promise((resolve) => {
+      const onInterrupt = () => {
+        clearTimeout(timer)
+        resolve()
+      }
+      const timer = setTimeout(() => {
+        this.syncInterrupter.offInterrupt(onInterrupt)
+        resolve()
+      }, ms)
+
+      this.syncInterrupter.onceInterrupt(onInterrupt)
+    })
+  }
+
+  getThrottlingState () {
+    const now = Date.now()
+    const endpoints = [...this._endpointStates]
+      .reduce((accum, [endpoint, state]) => {
+        const {
+          waitingRequestsCount,
+          rateLimitHitsCount,
+          backoffUntil
+        } = state
+
+        if (
+          waitingRequestsCount > 0 ||
+          backoffUntil > now
+        ) {
+          accum.push({
+            endpoint,
+            waitingRequestsCount,
+            rateLimitHitsCount,
+            backoffUntil: backoffUntil > now
+              ? backoffUntil
+              : null
+          })
+        }
+
+        return accum
+      }, [])
+
+    return {
+      isThrottled: endpoints.length > 0,
+      endpoints
+    }
+  }
+
+  /**
+   * Reports the throttling at once, the end of it is reported
+   * after a quiet delay to not emit the state on each request
+   */
+  async _reportThrottlingState (isForced) {
+    const state = this.getThrottlingState()
+
+    if (state.isThrottled) {
+      clearTimeout(this._unthrottlingTimer)
+      this._unthrottlingTimer = null
+
+      if (
+        !isForced &&
+        this._isThrottled
+      ) {
+        return
+      }
+
+      this._isThrottled = true
+      await this.progress.setThrottlingState(state)
+
+      return
+    }
+    if (
+      !this._isThrottled ||
+      this._unthrottlingTimer
+    ) {
+      return
+    }
+
+    this._unthrottlingTimer = setTimeout(() => {
+      this._unthrottlingTimer = null
+
+      const state = this.getThrottlingState()
+
+      if (state.isThrottled) {
+        return
+      }
+
+      this._isThrottled = false
+      this.progress.setThrottlingState(state)
+    }, UNTHROTTLING_DELAY_MS)
+    this._unthrottlingTimer.unref()
+  }
+
+  async _acquire (endpoint) {
+    const bucket = this._getBucket(endpoint)
+    const state = this._getEndpointState(endpoint)
+
+    while (!this._isInterrupted()) {
+      const backoffMs = state.backoffUntil - Date.now()
+      const waitMs = backoffMs > 0
+        ? backoffMs
+        : bucket.take()
+
+      if (waitMs <= 0) {
+        return
+      }
+
+      state.waitingRequestsCount += 1
+      await this._reportThrottlingState()
+      await this._sleep(waitMs)
+      state.waitingRequestsCount -= 1
+      await this._reportThrottlingState()
+    }
+  }
+
+  async _backOff (endpoint) {
+    const state = this._getEndpointState(endpoint)
+
+    state.rateLimitHitsCount += 1
+    state.sequentialRateLimitHitsCount += 1
+
+    const backoffUntil = Date.now() + this._getBackoffMs(
+      state.sequentialRateLimitHitsCount
+    )
+
+    state.backoffUntil = Math.max(state.backoffUntil, backoffUntil)
+
+    await this._reportThrottlingState(true)
+  }
+
+  /**
+   * Requests to the same endpoint are shared across all users,
+   * a rate limit response pauses the endpoint for everyone.
+   * It only throttles, the failed request is retried
+   * by the caller and waits for the end of the backoff
+   */
+  async request (endpoint, fn) {
+    await this._acquire(endpoint)
+
+    try {
+      const res = await fn()
+
+      this._getEndpointState(endpoint)
+        .sequentialRateLimitHitsCount = 0
+
+      return res
+    } catch (err) {
+      if (this._isRateLimitError(err)) {
+        await this._backOff(endpoint)
+      }
+
+      throw err
+    }
+  }
+}
+
+decorate(injectable(), RequestGovernor)
+decorate(inject(TYPES.CONF), RequestGovernor, 0)
+decorate(inject(TYPES.Progress), RequestGovernor, 1)
+decorate(inject(TYPES.SyncInterrupter), RequestGovernor, 2)
+
+module.exports = RequestGovernor
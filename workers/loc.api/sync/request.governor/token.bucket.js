@@ -0,0 +1,45 @@
+'use strict'
+
+const MINUTE_MS = 60 * 1000
+
+class TokenBucket {
+  constructor ({
+    capacity,
+    tokensPerMinute
+  } = {}) {
+    this.capacity = capacity
+    this.tokensPerMinute = tokensPerMinute
+
+    this.tokens = capacity
+    this.refilledAt = Date.now()
+  }
+
+  _refill () {
+    const now = Date.now()
+    const elapsedMs = now - this.refilledAt
+    const tokens = (elapsedMs / MINUTE_MS) * this.tokensPerMinute
+
+    this.tokens = Math.min(this.capacity, this.tokens + tokens)
+    this.refilledAt = now
+  }
+
+  /**
+   * Takes a token if it's available,
+   * otherwise returns the time to wait for the next one
+   */
+  take () {
+    this._refill()
+
+    if (this.tokens >= 1) {
+      this.tokens -= 1
+
+      return 0
+    }
+
+    return Math.ceil(
+      ((1 - this.tokens) / this.tokensPerMinute) * MINUTE_MS
+    )
+  }
+}
+
+module.exports = TokenBucket
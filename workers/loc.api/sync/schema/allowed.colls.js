@@ -26,6 +26,7 @@ module.exports = {
   CURRENCIES: TABLES_NAMES.CURRENCIES,
   CANDLES: TABLES_NAMES.CANDLES,
   STATUS_MESSAGES: TABLES_NAMES.STATUS_MESSAGES,
+  STATUS_MESSAGES_HISTORY: TABLES_NAMES.STATUS_MESSAGES_HISTORY,
   LOGINS: TABLES_NAMES.LOGINS,
   CHANGE_LOGS: TABLES_NAMES.CHANGE_LOGS
 }
@@ -6,7 +6,8 @@ const {
   CONSTR_FIELD_NAME,
   TRIGGER_FIELD_NAME,
   INDEX_FIELD_NAME,
-  UNIQUE_INDEX_FIELD_NAME
+  UNIQUE_INDEX_FIELD_NAME,
+  FULL_TEXT_SEARCH_FIELD_NAME
 } = require('../const')
 
 const cloneSchema = (map, omittedFields = []) => {
@@ -27,7 +28,8 @@ const getModelsMap = (params = {}) => {
       CONSTR_FIELD_NAME,
       TRIGGER_FIELD_NAME,
       INDEX_FIELD_NAME,
-      UNIQUE_INDEX_FIELD_NAME
+      UNIQUE_INDEX_FIELD_NAME,
+      FULL_TEXT_SEARCH_FIELD_NAME
     ]
   } = { ...params }
 
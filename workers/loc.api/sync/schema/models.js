@@ -8,7 +8,7 @@
  * e.g. `migration.v1.js`, where `v1` is `SUPPORTED_DB_VERSION`
  */
 
-const SUPPORTED_DB_VERSION = 21
+const SUPPORTED_DB_VERSION = 31
 
 const TABLES_NAMES = require('./tables-names')
 const {
@@ -16,6 +16,7 @@ const {
   TRIGGER_FIELD_NAME,
   INDEX_FIELD_NAME,
   UNIQUE_INDEX_FIELD_NAME,
+  FULL_TEXT_SEARCH_FIELD_NAME,
   ID_PRIMARY_KEY
 } = require('./const')
 const {
@@ -95,6 +96,7 @@ const _models = new Map([
       description: 'TEXT',
       wallet: 'VARCHAR(255)',
       _category: 'INT',
+      _tag: 'VARCHAR(255)',
       _isMarginFundingPayment: 'INT',
       _isAffiliateRebate: 'INT',
       _isStakingPayments: 'INT',
@@ -103,6 +105,7 @@ const _models = new Map([
       user_id: 'INT NOT NULL',
 
       [UNIQUE_INDEX_FIELD_NAME]: ['id', 'user_id'],
+      [FULL_TEXT_SEARCH_FIELD_NAME]: ['description'],
       [INDEX_FIELD_NAME]: [
         ['user_id', 'wallet', 'currency', 'mts'],
         ['user_id', 'wallet', 'mts'],
@@ -111,6 +114,7 @@ const _models = new Map([
         ['user_id', '_isAffiliateRebate', 'mts'],
         ['user_id', '_isStakingPayments', 'mts'],
         ['user_id', '_category', 'mts'],
+        ['user_id', '_tag', 'mts'],
         ['user_id', 'mts'],
         ['currency', 'mts'],
         ['user_id', 'subUserId', 'mts',
@@ -253,10 +257,12 @@ const _models = new Map([
       placedId: 'BIGINT',
       _lastAmount: 'DECIMAL(22,12)',
       amountExecuted: 'DECIMAL(22,12)',
+      meta: 'TEXT',
       subUserId: 'INT',
       user_id: 'INT NOT NULL',
 
       [UNIQUE_INDEX_FIELD_NAME]: ['id', 'user_id'],
+      [FULL_TEXT_SEARCH_FIELD_NAME]: ['meta'],
       [INDEX_FIELD_NAME]: [
         ['user_id', 'symbol', 'mtsUpdate'],
         ['user_id', 'type', 'mtsUpdate'],
@@ -646,6 +652,23 @@ const _models = new Map([
       ]
     }
   ],
+  [
+    TABLES_NAMES.STATUS_MESSAGES_HISTORY,
+    {
+      _id: ID_PRIMARY_KEY,
+      key: 'VARCHAR(255)',
+      timestamp: 'BIGINT',
+      price: 'DECIMAL(22,12)',
+      priceSpot: 'DECIMAL(22,12)',
+      fundBal: 'DECIMAL(22,12)',
+      fundingAccrued: 'DECIMAL(22,12)',
+      fundingStep: 'DECIMAL(22,12)',
+      clampMin: 'DECIMAL(22,12)',
+      clampMax: 'DECIMAL(22,12)',
+
+      [UNIQUE_INDEX_FIELD_NAME]: ['key', 'timestamp']
+    }
+  ],
   [
     TABLES_NAMES.PUBLIC_COLLS_CONF,
     {
@@ -768,6 +791,70 @@ const _models = new Map([
       state: 'VARCHAR(255)'
     }
   ],
+  [
+    TABLES_NAMES.SYNC_SCHEDULES,
+    {
+      _id: ID_PRIMARY_KEY,
+      collName: 'VARCHAR(255)',
+      rule: 'VARCHAR(255)',
+      isEnable: 'INT',
+
+      [UNIQUE_INDEX_FIELD_NAME]: ['collName']
+    }
+  ],
+  [
+    TABLES_NAMES.SYNC_CHECKPOINTS,
+    {
+      _id: ID_PRIMARY_KEY,
+      collName: 'VARCHAR(255)',
+      symbol: 'VARCHAR(255)',
+      timeframe: 'VARCHAR(255)',
+      start: 'BIGINT',
+      mts: 'BIGINT',
+      id: 'BIGINT',
+      subUserId: 'INT',
+      user_id: 'INT',
+
+      [UNIQUE_INDEX_FIELD_NAME]: [
+        'collName',
+        'symbol',
+        'timeframe',
+        'user_id',
+        'subUserId'
+      ],
+      [INDEX_FIELD_NAME]: ['collName', 'user_id'],
+      [CONSTR_FIELD_NAME]: [
+        `CONSTRAINT #{tableName}_fk_user_id
+        FOREIGN KEY (user_id)
+        REFERENCES ${TABLES_NAMES.USERS}(_id)
+        ON UPDATE CASCADE
+        ON DELETE CASCADE`,
+        `CONSTRAINT #{tableName}_fk_subUserId
+        FOREIGN KEY (subUserId)
+        REFERENCES ${TABLES_NAMES.USERS}(_id)
+        ON UPDATE CASCADE
+        ON DELETE CASCADE`
+      ]
+    }
+  ],
+  [
+    TABLES_NAMES.LEDGER_CATEGORY_RULES,
+    {
+      _id: ID_PRIMARY_KEY,
+      pattern: 'VARCHAR(255)',
+      matchType: 'VARCHAR(255)',
+      category: 'INT',
+      tag: 'VARCHAR(255)',
+      user_id: 'INT NOT NULL',
+
+      [INDEX_FIELD_NAME]: ['user_id'],
+      [CONSTR_FIELD_NAME]: `CONSTRAINT #{tableName}_fk_user_id
+        FOREIGN KEY (user_id)
+        REFERENCES ${TABLES_NAMES.USERS}(_id)
+        ON UPDATE CASCADE
+        ON DELETE CASCADE`
+    }
+  ],
   [
     TABLES_NAMES.COMPLETED_ON_FIRST_SYNC_COLLS,
     {
@@ -782,6 +869,191 @@ const _models = new Map([
         ON UPDATE CASCADE
         ON DELETE CASCADE`
     }
+  ],
+  [
+    /*
+     * Doesn't refer to the users table to keep entries
+     * of removed users in the hash chain
+     */
+    TABLES_NAMES.AUDIT_LOGS,
+    {
+      _id: ID_PRIMARY_KEY,
+      seq: 'BIGINT',
+      mts: 'BIGINT',
+      method: 'VARCHAR(255)',
+      args: 'TEXT',
+      status: 'VARCHAR(255)',
+      error: 'TEXT',
+      prevHash: 'VARCHAR(255)',
+      hash: 'VARCHAR(255)',
+      user_id: 'INT',
+
+      [UNIQUE_INDEX_FIELD_NAME]: ['seq'],
+      [INDEX_FIELD_NAME]: [
+        ['user_id', 'mts']
+      ]
+    }
+  ],
+  [
+    TABLES_NAMES.WEBHOOKS,
+    {
+      _id: ID_PRIMARY_KEY,
+      url: 'TEXT',
+      events: 'TEXT',
+      isEnable: 'INT',
+      createdAt: 'BIGINT',
+      user_id: 'INT NOT NULL',
+
+      [INDEX_FIELD_NAME]: ['user_id'],
+      [CONSTR_FIELD_NAME]: `CONSTRAINT #{tableName}_fk_user_id
+        FOREIGN KEY (user_id)
+        REFERENCES ${TABLES_NAMES.USERS}(_id)
+        ON UPDATE CASCADE
+        ON DELETE CASCADE`
+    }
+  ],
+  [
+    TABLES_NAMES.WEBHOOK_DELIVERIES,
+    {
+      _id: ID_PRIMARY_KEY,
+      deliveryId: 'VARCHAR(255)',
+      webhookId: 'INT NOT NULL',
+      event: 'VARCHAR(255)',
+      payload: 'TEXT',
+      status: 'VARCHAR(255)',
+      attempts: 'INT',
+      responseStatus: 'INT',
+      error: 'TEXT',
+      mts: 'BIGINT',
+      mtsUpdated: 'BIGINT',
+      user_id: 'INT NOT NULL',
+
+      [UNIQUE_INDEX_FIELD_NAME]: ['deliveryId'],
+      [INDEX_FIELD_NAME]: [
+        ['user_id', 'webhookId', 'mts'],
+        ['user_id', 'mts'],
+        ['status']
+      ],
+      [CONSTR_FIELD_NAME]: [
+        `CONSTRAINT #{tableName}_fk_user_id
+        FOREIGN KEY (user_id)
+        REFERENCES ${TABLES_NAMES.USERS}(_id)
+        ON UPDATE CASCADE
+        ON DELETE CASCADE`,
+        `CONSTRAINT #{tableName}_fk_webhookId
+        FOREIGN KEY (webhookId)
+        REFERENCES ${TABLES_NAMES.WEBHOOKS}(_id)
+        ON UPDATE CASCADE
+        ON DELETE CASCADE`
+      ]
+    }
+  ],
+  [
+    TABLES_NAMES.ALERT_RULES,
+    {
+      _id: ID_PRIMARY_KEY,
+      type: 'VARCHAR(255)',
+      wallet: 'VARCHAR(255)',
+      currency: 'VARCHAR(255)',
+      threshold: 'DECIMAL(22,12)',
+      isEnable: 'INT',
+      isTriggered: 'INT',
+      createdAt: 'BIGINT',
+      user_id: 'INT NOT NULL',
+
+      [INDEX_FIELD_NAME]: [
+        ['user_id'],
+        ['isEnable']
+      ],
+      [CONSTR_FIELD_NAME]: `CONSTRAINT #{tableName}_fk_user_id
+        FOREIGN KEY (user_id)
+        REFERENCES ${TABLES_NAMES.USERS}(_id)
+        ON UPDATE CASCADE
+        ON DELETE CASCADE`
+    }
+  ],
+  [
+    TABLES_NAMES.ALERT_HISTORY,
+    {
+      _id: ID_PRIMARY_KEY,
+      ruleId: 'INT NOT NULL',
+      type: 'VARCHAR(255)',
+      wallet: 'VARCHAR(255)',
+      currency: 'VARCHAR(255)',
+      value: 'DECIMAL(22,12)',
+      threshold: 'DECIMAL(22,12)',
+      mts: 'BIGINT',
+      user_id: 'INT NOT NULL',
+
+      [INDEX_FIELD_NAME]: [
+        ['user_id', 'ruleId', 'mts'],
+        ['user_id', 'mts']
+      ],
+      [CONSTR_FIELD_NAME]: [
+        `CONSTRAINT #{tableName}_fk_user_id
+        FOREIGN KEY (user_id)
+        REFERENCES ${TABLES_NAMES.USERS}(_id)
+        ON UPDATE CASCADE
+        ON DELETE CASCADE`,
+        `CONSTRAINT #{tableName}_fk_ruleId
+        FOREIGN KEY (ruleId)
+        REFERENCES ${TABLES_NAMES.ALERT_RULES}(_id)
+        ON UPDATE CASCADE
+        ON DELETE CASCADE`
+      ]
+    }
+  ],
+  [
+    TABLES_NAMES.SYNC_HISTORY,
+    {
+      _id: ID_PRIMARY_KEY,
+      trigger: 'VARCHAR(255)',
+      syncColls: 'TEXT',
+      status: 'VARCHAR(255)',
+      progress: 'INT',
+      error: 'TEXT',
+      mtsStarted: 'BIGINT',
+      mtsFinished: 'BIGINT',
+      duration: 'BIGINT',
+
+      [INDEX_FIELD_NAME]: [
+        ['mtsStarted'],
+        ['status']
+      ]
+    }
+  ],
+  [
+    /*
+     * Public colls stats don't have the user
+     */
+    TABLES_NAMES.SYNC_HISTORY_STATS,
+    {
+      _id: ID_PRIMARY_KEY,
+      runId: 'INT NOT NULL',
+      collName: 'VARCHAR(255)',
+      insertedCount: 'INT',
+      updatedCount: 'INT',
+      apiCallsCount: 'INT',
+      errorsCount: 'INT',
+      error: 'TEXT',
+      user_id: 'INT',
+
+      [INDEX_FIELD_NAME]: [
+        ['runId', 'user_id']
+      ],
+      [CONSTR_FIELD_NAME]: [
+        `CONSTRAINT #{tableName}_fk_user_id
+        FOREIGN KEY (user_id)
+        REFERENCES ${TABLES_NAMES.USERS}(_id)
+        ON UPDATE CASCADE
+        ON DELETE CASCADE`,
+        `CONSTRAINT #{tableName}_fk_runId
+        FOREIGN KEY (runId)
+        REFERENCES ${TABLES_NAMES.SYNC_HISTORY}(_id)
+        ON UPDATE CASCADE
+        ON DELETE CASCADE`
+      ]
+    }
   ]
 ])
 
@@ -81,7 +81,9 @@ const _methodCollMap = new Map([
         'priceSpot',
         'fundBal',
         'fundingAccrued',
-        'fundingStep'
+        'fundingStep',
+        'clampMin',
+        'clampMax'
       ],
       dateFieldName: 'timestamp',
       symbolFieldName: 'key',
@@ -92,6 +94,21 @@ const _methodCollMap = new Map([
       model: getModelOf(TABLES_NAMES.STATUS_MESSAGES)
     }
   ],
+  [
+    SYNC_API_METHODS.STATUS_MESSAGES_HISTORY,
+    {
+      name: ALLOWED_COLLS.STATUS_MESSAGES_HISTORY,
+      maxLimit: 5000,
+      dateFieldName: 'timestamp',
+      symbolFieldName: 'key',
+      sort: [['timestamp', -1]],
+      hasNewData: false,
+      start: [],
+      confName: 'statusMessagesConf',
+      type: COLLS_TYPES.PUBLIC_INSERTABLE_ARRAY_OBJECTS,
+      model: getModelOf(TABLES_NAMES.STATUS_MESSAGES_HISTORY)
+    }
+  ],
   [
     SYNC_API_METHODS.ORDERS,
     {
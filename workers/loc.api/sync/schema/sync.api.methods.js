@@ -5,6 +5,7 @@ const TRADES = '_getTrades'
 const FUNDING_TRADES = '_getFundingTrades'
 const PUBLIC_TRADES = '_getPublicTrades'
 const STATUS_MESSAGES = '_getStatusMessages'
+const STATUS_MESSAGES_HISTORY = '_getStatusMessagesHistory'
 const ORDERS = '_getOrders'
 const MOVEMENTS = '_getMovements'
 const FUNDING_OFFER_HISTORY = '_getFundingOfferHistory'
@@ -31,6 +32,7 @@ module.exports = {
   FUNDING_TRADES,
   PUBLIC_TRADES,
   STATUS_MESSAGES,
+  STATUS_MESSAGES_HISTORY,
   ORDERS,
   MOVEMENTS,
   FUNDING_OFFER_HISTORY,
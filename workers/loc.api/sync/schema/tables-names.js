@@ -22,13 +22,24 @@ module.exports = {
   CURRENCIES: 'currencies',
   CANDLES: 'candles',
   STATUS_MESSAGES: 'statusMessages',
+  STATUS_MESSAGES_HISTORY: 'statusMessagesHistory',
   PUBLIC_COLLS_CONF: 'publicСollsСonf',
   SCHEDULER: 'scheduler',
   SYNC_MODE: 'syncMode',
   PROGRESS: 'progress',
   SYNC_QUEUE: 'syncQueue',
+  SYNC_SCHEDULES: 'syncSchedules',
+  SYNC_CHECKPOINTS: 'syncCheckpoints',
+  LEDGER_CATEGORY_RULES: 'ledgerCategoryRules',
   LOGINS: 'logins',
   CHANGE_LOGS: 'changeLogs',
   SUB_ACCOUNTS: 'subAccounts',
-  COMPLETED_ON_FIRST_SYNC_COLLS: 'completedOnFirstSyncColls'
+  COMPLETED_ON_FIRST_SYNC_COLLS: 'completedOnFirstSyncColls',
+  AUDIT_LOGS: 'auditLogs',
+  WEBHOOKS: 'webhooks',
+  WEBHOOK_DELIVERIES: 'webhookDeliveries',
+  ALERT_RULES: 'alertRules',
+  ALERT_HISTORY: 'alertHistory',
+  SYNC_HISTORY: 'syncHistory',
+  SYNC_HISTORY_STATS: 'syncHistoryStats'
 }
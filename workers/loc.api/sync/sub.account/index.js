@@ -19,18 +19,21 @@ const {
   SubAccountUpdatingError,
   UserRemovingError
 } = require('../../errors')
+const SYNC_TRIGGERS = require('../sync.history/sync.triggers')
 
 class SubAccount {
   constructor (
     dao,
     TABLES_NAMES,
     authenticator,
-    sync
+    sync,
+    ALLOWED_COLLS
   ) {
     this.dao = dao
     this.TABLES_NAMES = TABLES_NAMES
     this.authenticator = authenticator
     this.sync = sync
+    this.ALLOWED_COLLS = ALLOWED_COLLS
   }
 
   async createSubAccount (args) {
@@ -546,7 +549,11 @@ class SubAccount {
       this.TABLES_NAMES.SCHEDULER,
       { isEnable: true }
     )
-    await this.sync.start(true)
+    await this.sync.start(
+      true,
+      this.ALLOWED_COLLS.ALL,
+      { trigger: SYNC_TRIGGERS.SIGN_IN }
+    )
 
     return res
   }
@@ -557,5 +564,6 @@ decorate(inject(TYPES.DAO), SubAccount, 0)
 decorate(inject(TYPES.TABLES_NAMES), SubAccount, 1)
 decorate(inject(TYPES.Authenticator), SubAccount, 2)
 decorate(inject(TYPES.Sync), SubAccount, 3)
+decorate(inject(TYPES.ALLOWED_COLLS), SubAccount, 4)
 
 module.exports = SubAccount
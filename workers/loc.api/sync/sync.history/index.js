@@ -0,0 +1,450 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../di/types')
+const SYNC_RUN_STATUSES = require('./sync.run.statuses')
+const {
+  tryParseJSON
+} = require('../../helpers')
+
+const MAX_LIMIT = 100
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_SYNC_HISTORY_CONF = {
+  retentionDays: 30,
+  maxRunsCount: 1000
+}
+
+class SyncHistory {
+  constructor (
+    dao,
+    TABLES_NAMES,
+    authenticator,
+    logger,
+    CONF
+  ) {
+    this.dao = dao
+    this.TABLES_NAMES = TABLES_NAMES
+    this.authenticator = authenticator
+    this.logger = logger
+    this.CONF = CONF
+
+    const { syncHistoryConf } = { ...this.CONF }
+    this.syncHistoryConf = {
+      ...DEFAULT_SYNC_HISTORY_CONF,
+      ...syncHistoryConf
+    }
+
+    this._run = null
+  }
+
+  _getUser (auth) {
+    return this.authenticator
+      .verifyRequestUser({ auth })
+  }
+
+  /**
+   * Takes the user from the session of the api request args
+   * or from the session itself, public requests don't have it
+   */
+  _getUserId (auth) {
+    const { _id, session } = { ...auth }
+    const { _id: sessionUserId } = { ...session }
+
+    if (Number.isInteger(sessionUserId)) {
+      return sessionUserId
+    }
+
+    return Number.isInteger(_id)
+      ? _id
+      : null
+  }
+
+  _getErrorMessage (err) {
+    if (!err) {
+      return null
+    }
+
+    return err.message || err.toString()
+  }
+
+  _getStats (opts) {
+    if (!this._run) {
+      return null
+    }
+
+    const { auth, collName = null } = { ...opts }
+    const userId = this._getUserId(auth)
+    const key = `${userId}:${collName}`
+
+    if (!this._run.stats.has(key)) {
+      this._run.stats.set(key, {
+        userId,
+        collName,
+        insertedCount: 0,
+        updatedCount: 0,
+        apiCallsCount: 0,
+        errorsCount: 0,
+        error: null
+      })
+    }
+
+    return this._run.stats.get(key)
+  }
+
+  addApiCall (opts) {
+    const stats = this._getStats(opts)
+
+    if (!stats) {
+      return
+    }
+
+    stats.apiCallsCount += 1
+  }
+
+  addInsertedRows (opts, count) {
+    const stats = this._getStats(opts)
+
+    if (
+      !stats ||
+      !Number.isInteger(count)
+    ) {
+      return
+    }
+
+    stats.insertedCount += count
+  }
+
+  addUpdatedRows (opts, count) {
+    const stats = this._getStats(opts)
+
+    if (
+      !stats ||
+      !Number.isInteger(count)
+    ) {
+      return
+    }
+
+    stats.updatedCount += count
+  }
+
+  addError (opts, err) {
+    const stats = this._getStats(opts)
+
+    if (!stats) {
+      return
+    }
+
+    stats.errorsCount += 1
+    stats.error = this._getErrorMessage(err)
+  }
+
+  /**
+   * Returns users whose data was synced in the current run,
+   * public collections don't have them
+   */
+  getCurrRunUserIds () {
+    if (!this._run) {
+      return []
+    }
+
+    const userIds = [...this._run.stats.values()]
+      .map(({ userId }) => userId)
+      .filter((userId) => Number.isInteger(userId))
+
+    return [...new Set(userIds)]
+  }
+
+  /**
+   * Only one sync runs at a time, so runs left in the running
+   * state were broken by the restart of the app
+   */
+  async startRun (opts) {
+    const { trigger, syncColls } = { ...opts }
+    const mtsStarted = Date.now()
+
+    this._run = null
+
+    try {
+      await this.dao.updateCollBy(
+        this.TABLES_NAMES.SYNC_HISTORY,
+        { status: SYNC_RUN_STATUSES.RUNNING },
+        { status: SYNC_RUN_STATUSES.INTERRUPTED }
+      )
+      await this.dao.insertElemToDb(
+        this.TABLES_NAMES.SYNC_HISTORY,
+        {
+          trigger,
+          syncColls: JSON.stringify(
+            Array.isArray(syncColls)
+              ? syncColls
+              : [syncColls]
+          ),
+          status: SYNC_RUN_STATUSES.RUNNING,
+          progress: 0,
+          error: null,
+          mtsStarted,
+          mtsFinished: null,
+          duration: null
+        }
+      )
+
+      const { _id: id } = await this.dao.getElemInCollBy(
+        this.TABLES_NAMES.SYNC_HISTORY,
+        { mtsStarted },
+        [['_id', -1]]
+      )
+
+      this._run = {
+        id,
+        mtsStarted,
+        stats: new Map()
+      }
+    } catch (err) {
+      this.logger.error(
+        `SYNC_HISTORY:START_RUN: ${err.stack || err}`
+      )
+    }
+  }
+
+  _getRunStatus (error, isInterrupted) {
+    if (error) {
+      return SYNC_RUN_STATUSES.ERROR
+    }
+    if (isInterrupted) {
+      return SYNC_RUN_STATUSES.INTERRUPTED
+    }
+
+    return SYNC_RUN_STATUSES.FINISHED
+  }
+
+  async finishRun (opts) {
+    const run = this._run
+
+    if (!run) {
+      return
+    }
+
+    this._run = null
+
+    try {
+      const { progress, error, isInterrupted } = { ...opts }
+      const mtsFinished = Date.now()
+      const stats = [...run.stats.values()]
+        .map(({ userId, ...stats }) => ({
+          runId: run.id,
+          ...stats,
+          user_id: userId
+        }))
+
+      await this.dao.insertElemsToDb(
+        this.TABLES_NAMES.SYNC_HISTORY_STATS,
+        null,
+        stats
+      )
+      await this.dao.updateCollBy(
+        this.TABLES_NAMES.SYNC_HISTORY,
+        { _id: run.id },
+        {
+          status: this._getRunStatus(error, isInterrupted),
+          progress: Number.isFinite(progress)
+            ? progress
+            : null,
+          error: this._getErrorMessage(error),
+          mtsFinished,
+          duration: mtsFinished - run.mtsStarted
+        }
+      )
+      await this._removeExpiredRuns(mtsFinished)
+    } catch (err) {
+      this.logger.error(
+        `SYNC_HISTORY:FINISH_RUN: ${err.stack || err}`
+      )
+    }
+  }
+
+  /**
+   * Stats of the removed runs are removed by the cascade
+   */
+  async _removeExpiredRuns (mts) {
+    const { retentionDays, maxRunsCount } = this.syncHistoryConf
+
+    if (
+      Number.isFinite(retentionDays) &&
+      retentionDays > 0
+    ) {
+      await this.dao.removeElemsFromDb(
+        this.TABLES_NAMES.SYNC_HISTORY,
+        null,
+        { $lt: { mtsStarted: mts - retentionDays * DAY_MS } }
+      )
+    }
+    if (
+      !Number.isInteger(maxRunsCount) ||
+      maxRunsCount <= 0
+    ) {
+      return
+    }
+
+    const runs = await this.dao.getElemsInCollBy(
+      this.TABLES_NAMES.SYNC_HISTORY,
+      {
+        sort: [['_id', -1]],
+        projection: ['_id'],
+        limit: maxRunsCount
+      }
+    )
+
+    if (runs.length < maxRunsCount) {
+      return
+    }
+
+    const { _id: lastKeptId } = runs[runs.length - 1]
+
+    await this.dao.removeElemsFromDb(
+      this.TABLES_NAMES.SYNC_HISTORY,
+      null,
+      { $lt: { _id: lastKeptId } }
+    )
+  }
+
+  _getStatsItem (stats) {
+    const {
+      collName,
+      insertedCount,
+      updatedCount,
+      apiCallsCount,
+      errorsCount,
+      error,
+      user_id: userId
+    } = stats
+
+    return {
+      collName,
+      isPublic: !Number.isInteger(userId),
+      insertedCount,
+      updatedCount,
+      apiCallsCount,
+      errorsCount,
+      error
+    }
+  }
+
+  /**
+   * Stats of the current run are kept in memory until it finishes
+   */
+  async _getRunsStats (runIds, userId) {
+    const statsMap = new Map()
+    const currRunStats = (
+      this._run &&
+      runIds.some((id) => id === this._run.id)
+    )
+      ? [...this._run.stats.values()]
+        .filter((stats) => (
+          stats.userId === userId ||
+          stats.userId === null
+        ))
+        .map(({ userId, ...stats }) => ({
+          ...stats,
+          runId: this._run.id,
+          user_id: userId
+        }))
+      : []
+
+    const [userStats, publicStats] = await Promise.all([
+      this.dao.getElemsInCollBy(
+        this.TABLES_NAMES.SYNC_HISTORY_STATS,
+        {
+          filter: {
+            $in: { runId: runIds },
+            user_id: userId
+          },
+          sort: [['_id', 1]]
+        }
+      ),
+      this.dao.getElemsInCollBy(
+        this.TABLES_NAMES.SYNC_HISTORY_STATS,
+        {
+          filter: {
+            $in: { runId: runIds },
+            $isNull: ['user_id']
+          },
+          sort: [['_id', 1]]
+        }
+      )
+    ])
+
+    for (const stats of [...userStats, ...publicStats, ...currRunStats]) {
+      if (!statsMap.has(stats.runId)) {
+        statsMap.set(stats.runId, [])
+      }
+
+      statsMap.get(stats.runId).push(this._getStatsItem(stats))
+    }
+
+    return statsMap
+  }
+
+  async getSyncHistory (args) {
+    const { auth, params } = { ...args }
+    const {
+      start = 0,
+      end = Date.now(),
+      limit = MAX_LIMIT
+    } = { ...params }
+
+    const user = await this._getUser(auth)
+
+    const runs = await this.dao.getElemsInCollBy(
+      this.TABLES_NAMES.SYNC_HISTORY,
+      {
+        filter: {
+          $gte: { mtsStarted: start },
+          $lte: { mtsStarted: end }
+        },
+        sort: [['mtsStarted', -1], ['_id', -1]],
+        limit: Math.min(limit, MAX_LIMIT)
+      }
+    )
+    const statsMap = await this._getRunsStats(
+      runs.map(({ _id }) => _id),
+      user._id
+    )
+
+    return runs.map(({
+      _id: id,
+      trigger,
+      syncColls,
+      status,
+      progress,
+      error,
+      mtsStarted,
+      mtsFinished,
+      duration
+    }) => ({
+      id,
+      trigger,
+      syncColls: tryParseJSON(syncColls) || [],
+      status,
+      progress,
+      error,
+      mtsStarted,
+      mtsFinished,
+      duration,
+      stats: statsMap.get(id) || []
+    }))
+  }
+}
+
+decorate(injectable(), SyncHistory)
+decorate(inject(TYPES.DAO), SyncHistory, 0)
+decorate(inject(TYPES.TABLES_NAMES), SyncHistory, 1)
+decorate(inject(TYPES.Authenticator), SyncHistory, 2)
+decorate(inject(TYPES.Logger), SyncHistory, 3)
+decorate(inject(TYPES.CONF), SyncHistory, 4)
+
+module.exports = SyncHistory
@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+  RUNNING: 'RUNNING',
+  FINISHED: 'FINISHED',
+  INTERRUPTED: 'INTERRUPTED',
+  ERROR: 'ERROR'
+}
@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+  SCHEDULER: 'scheduler',
+  SYNC_NOW: 'syncNow',
+  SIGN_IN: 'signIn',
+  CONF_CHANGE: 'confChange'
+}
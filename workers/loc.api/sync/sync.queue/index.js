@@ -62,7 +62,6 @@ class SyncQueue extends EventEmitter {
     this.allMultipliers = this._getAllMultipliers()
 
     this._sort = [['_id', 1]]
-    this._isFirstSync = true
 
     this._progress = this.syncInterrupter.INITIAL_PROGRESS
   }
@@ -281,17 +280,9 @@ class SyncQueue extends EventEmitter {
   }
 
   _getNext () {
-    const state = [NEW_JOB_STATE, ERROR_JOB_STATE]
-
-    if (this._isFirstSync) {
-      this._isFirstSync = false
-
-      state.push(LOCKED_JOB_STATE)
-    }
-
     return this.dao.getElemInCollBy(
       this.name,
-      { state },
+      { state: [NEW_JOB_STATE, ERROR_JOB_STATE] },
       this._sort
     )
   }
@@ -0,0 +1,167 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../di/types')
+const {
+  checkCollPermission
+} = require('../helpers')
+const {
+  SyncScheduleRuleError
+} = require('../../errors')
+
+const JOB_NAME_PREFIX = 'sync:'
+
+class SyncSchedules {
+  constructor (
+    dao,
+    TABLES_NAMES,
+    ALLOWED_COLLS,
+    sync
+  ) {
+    this.dao = dao
+    this.TABLES_NAMES = TABLES_NAMES
+    this.ALLOWED_COLLS = ALLOWED_COLLS
+    this.sync = sync
+
+    this._scheduler = null
+  }
+
+  _getJobName (collName) {
+    return `${JOB_NAME_PREFIX}${collName}`
+  }
+
+  _removeJob (collName) {
+    if (!this._scheduler) {
+      return
+    }
+
+    const name = this._getJobName(collName)
+    const job = this._scheduler.mem.get(name)
+
+    if (
+      job &&
+      typeof job.cancel === 'function'
+    ) {
+      job.cancel()
+    }
+
+    this._scheduler.mem.delete(name)
+  }
+
+  /**
+   * Each collection has its own job, the sync queue
+   * deduplicates colls added by overlapping jobs
+   */
+  _addJob ({ collName, rule }) {
+    if (!this._scheduler) {
+      return
+    }
+
+    const name = this._getJobName(collName)
+
+    this._removeJob(collName)
+    this._scheduler.add(
+      name,
+      () => this.sync.start(false, collName),
+      rule
+    )
+
+    const job = this._scheduler.mem.get(name)
+
+    if (!job) {
+      this._scheduler.mem.delete(name)
+
+      throw new SyncScheduleRuleError()
+    }
+
+    job.rule = rule
+  }
+
+  async start (scheduler) {
+    this._scheduler = scheduler
+
+    const schedules = await this.getSyncSchedules()
+
+    for (const schedule of schedules) {
+      if (!schedule.isEnable) {
+        continue
+      }
+
+      this._addJob(schedule)
+    }
+  }
+
+  async getSyncSchedules () {
+    const schedules = await this.dao.getElemsInCollBy(
+      this.TABLES_NAMES.SYNC_SCHEDULES,
+      { sort: [['collName', 1]] }
+    )
+
+    return schedules.map(({ collName, rule, isEnable }) => ({
+      collName,
+      rule,
+      isEnable: !!isEnable
+    }))
+  }
+
+  async editSyncSchedule (args) {
+    const { params } = { ...args }
+    const {
+      collName,
+      rule,
+      isEnable = true
+    } = { ...params }
+
+    checkCollPermission([collName], this.ALLOWED_COLLS)
+
+    if (isEnable) {
+      this._addJob({ collName, rule })
+    } else {
+      this._removeJob(collName)
+    }
+
+    await this.dao.insertElemToDb(
+      this.TABLES_NAMES.SYNC_SCHEDULES,
+      {
+        collName,
+        rule,
+        isEnable: isEnable ? 1 : 0
+      },
+      { isReplacedIfExists: true }
+    )
+
+    return true
+  }
+
+  async removeSyncSchedule (args) {
+    const { params } = { ...args }
+    const { collName } = { ...params }
+
+    this._removeJob(collName)
+
+    const res = await this.dao.removeElemsFromDb(
+      this.TABLES_NAMES.SYNC_SCHEDULES,
+      null,
+      { collName }
+    )
+
+    return (
+      res &&
+      typeof res === 'object' &&
+      res.changes > 0
+    )
+  }
+}
+
+decorate(injectable(), SyncSchedules)
+decorate(inject(TYPES.DAO), SyncSchedules, 0)
+decorate(inject(TYPES.TABLES_NAMES), SyncSchedules, 1)
+decorate(inject(TYPES.ALLOWED_COLLS), SyncSchedules, 2)
+decorate(inject(TYPES.Sync), SyncSchedules, 3)
+
+module.exports = SyncSchedules
@@ -10,20 +10,31 @@ const TYPES = require('../../di/types')
 
 class TradedVolume {
   constructor (
-    trades
+    trades,
+    currencyConverter
   ) {
     this.trades = trades
+    this.currencyConverter = currencyConverter
   }
 
-  getTradedVolume (args) {
-    return this.trades.getGroupedDataIn(
+  async getTradedVolume (args) {
+    const { params } = { ...args }
+    const { baseCurrency = 'USD' } = { ...params }
+
+    const res = await this.trades.getGroupedDataIn(
       'amountUsd',
       args
     )
+
+    return this.currencyConverter.convertGroupedDataToBaseCurrency(
+      res,
+      { baseCurrency }
+    )
   }
 }
 
 decorate(injectable(), TradedVolume)
 decorate(inject(TYPES.Trades), TradedVolume, 0)
+decorate(inject(TYPES.CurrencyConverter), TradedVolume, 1)
 
 module.exports = TradedVolume
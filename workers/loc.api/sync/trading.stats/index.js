@@ -0,0 +1,494 @@
+'use strict'
+
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+const {
+  splitSymbolPairs
+} = require('bfx-report/workers/loc.api/helpers')
+
+const TYPES = require('../../di/types')
+const {
+  getStartMtsByTimeframe
+} = require('../helpers')
+
+const MAKER = 1
+const AMOUNT_EPSILON = 1e-12
+const SPOT_ORDER_TYPE_REGEXP = /^exchange/i
+
+class TradingStats {
+  constructor (
+    dao,
+    ALLOWED_COLLS,
+    currencyConverter,
+    authenticator
+  ) {
+    this.dao = dao
+    this.ALLOWED_COLLS = ALLOWED_COLLS
+    this.currencyConverter = currencyConverter
+    this.authenticator = authenticator
+  }
+
+  _getSymbFilter (symbol) {
+    return symbol.length > 0
+      ? { $in: { symbol } }
+      : {}
+  }
+
+  _isSpotTrade ({ orderType }) {
+    return (
+      typeof orderType === 'string' &&
+      SPOT_ORDER_TYPE_REGEXP.test(orderType)
+    )
+  }
+
+  _getPositionKey ({ subUserId = null, symbol }, isSpot) {
+    return isSpot
+      ? `${subUserId}:${symbol}:spot`
+      : `${subUserId}:${symbol}`
+  }
+
+  /**
+   * Returns the opening mts of margin positions
+   * which are still open at the `start`
+   */
+  async _getOpenedPositionMtsMap (user, { start, symbol }) {
+    const positions = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.POSITIONS_HISTORY,
+      {
+        filter: {
+          user_id: user._id,
+          $lte: { mtsCreate: start },
+          $gte: { mtsUpdate: start },
+          ...this._getSymbFilter(symbol)
+        },
+        projection: [
+          'symbol',
+          'mtsCreate',
+          'subUserId'
+        ]
+      }
+    )
+
+    return positions.reduce((accum, position) => {
+      const { mtsCreate } = { ...position }
+
+      if (!Number.isInteger(mtsCreate)) {
+        return accum
+      }
+
+      const key = this._getPositionKey(position)
+      const prevMts = accum.get(key)
+
+      accum.set(
+        key,
+        Number.isInteger(prevMts)
+          ? Math.min(prevMts, mtsCreate)
+          : mtsCreate
+      )
+
+      return accum
+    }, new Map())
+  }
+
+  /**
+   * Trades before the `start` are taken only from the opening
+   * of margin positions still open at the `start`,
+   * spot holdings bought before it are not reconstructed
+   */
+  async _getTrades (user, { start, end, symbol }) {
+    const openedPositionMtsMap = await this._getOpenedPositionMtsMap(
+      user,
+      { start, symbol }
+    )
+    const fromMts = Math.min(start, ...openedPositionMtsMap.values())
+
+    const trades = await this.dao.getElemsInCollBy(
+      this.ALLOWED_COLLS.TRADES,
+      {
+        filter: {
+          user_id: user._id,
+          $gte: { mtsCreate: fromMts },
+          $lte: { mtsCreate: end },
+          ...this._getSymbFilter(symbol)
+        },
+        sort: [['mtsCreate', 1], ['id', 1]],
+        projection: [
+          'id',
+          'symbol',
+          'mtsCreate',
+          'execAmount',
+          'execPrice',
+          'orderType',
+          'fee',
+          'feeCurrency',
+          'maker',
+          'subUserId'
+        ]
+      }
+    )
+
+    return trades.filter((trade) => {
+      if (trade.mtsCreate >= start) {
+        return true
+      }
+      if (this._isSpotTrade(trade)) {
+        return false
+      }
+
+      const mtsOpen = openedPositionMtsMap
+        .get(this._getPositionKey(trade))
+
+      return (
+        Number.isInteger(mtsOpen) &&
+        trade.mtsCreate >= mtsOpen
+      )
+    })
+  }
+
+  _isZeroAmount (amount) {
+    return Math.abs(amount) < AMOUNT_EPSILON
+  }
+
+  /**
+   * Returns the paid fee in the quote currency of the pair,
+   * fees in other currencies are not taken into account
+   */
+  _getFee ({ symbol, execPrice, fee, feeCurrency }) {
+    if (!Number.isFinite(fee)) {
+      return 0
+    }
+
+    const [baseCcy, quoteCcy] = splitSymbolPairs(symbol)
+
+    if (feeCurrency === quoteCcy) {
+      return -fee
+    }
+    if (feeCurrency === baseCcy) {
+      return -fee * execPrice
+    }
+
+    return 0
+  }
+
+  _closeRoundTrip (roundTrips, position, mtsClose) {
+    roundTrips.push({
+      symbol: position.symbol,
+      mtsOpen: position.mtsOpen,
+      mtsClose,
+      grossPnl: position.grossPnl,
+      fees: position.fees,
+      pnl: position.grossPnl - position.fees
+    })
+  }
+
+  /**
+   * A round trip starts when the position leaves zero
+   * and ends when it returns to zero, a trade flipping the position
+   * closes the round trip and opens the next one with the rest amount
+   * and the rest part of the fee. Spot trades can't open a short
+   * position, so sells without holdings are skipped
+   */
+  _getRoundTrips (trades) {
+    const positions = new Map()
+    const roundTrips = []
+
+    for (const trade of trades) {
+      const {
+        symbol,
+        mtsCreate,
+        execAmount,
+        execPrice
+      } = { ...trade }
+
+      if (
+        !symbol ||
+        typeof symbol !== 'string' ||
+        !Number.isInteger(mtsCreate) ||
+        !Number.isFinite(execAmount) ||
+        !Number.isFinite(execPrice) ||
+        this._isZeroAmount(execAmount)
+      ) {
+        continue
+      }
+
+      const isSpot = this._isSpotTrade(trade)
+      const key = this._getPositionKey(trade, isSpot)
+      const position = positions.get(key)
+      const fee = this._getFee(trade)
+
+      if (!position) {
+        if (
+          isSpot &&
+          execAmount < 0
+        ) {
+          continue
+        }
+
+        positions.set(key, {
+          symbol,
+          amount: execAmount,
+          basePrice: execPrice,
+          mtsOpen: mtsCreate,
+          grossPnl: 0,
+          fees: fee
+        })
+
+        continue
+      }
+
+      const isIncreased = Math.sign(execAmount) === Math.sign(position.amount)
+
+      if (isIncreased) {
+        const amount = position.amount + execAmount
+
+        position.basePrice = (
+          position.basePrice * position.amount +
+          execPrice * execAmount
+        ) / amount
+        position.amount = amount
+        position.fees += fee
+
+        continue
+      }
+
+      const closedAmount = Math.min(
+        Math.abs(execAmount),
+        Math.abs(position.amount)
+      ) * Math.sign(position.amount)
+      const closedPart = Math.abs(closedAmount / execAmount)
+      const restAmount = position.amount + execAmount
+
+      position.grossPnl += closedAmount * (execPrice - position.basePrice)
+      position.fees += fee * closedPart
+
+      if (
+        !this._isZeroAmount(restAmount) &&
+        Math.sign(restAmount) === Math.sign(position.amount)
+      ) {
+        position.amount = restAmount
+
+        continue
+      }
+
+      this._closeRoundTrip(roundTrips, position, mtsCreate)
+
+      if (
+        isSpot ||
+        this._isZeroAmount(restAmount)
+      ) {
+        positions.delete(key)
+
+        continue
+      }
+
+      positions.set(key, {
+        symbol,
+        amount: restAmount,
+        basePrice: execPrice,
+        mtsOpen: mtsCreate,
+        grossPnl: 0,
+        fees: fee * (1 - closedPart)
+      })
+    }
+
+    return roundTrips
+  }
+
+  /**
+   * The PnL and fees are in the quote currency of the pair,
+   * the converter takes elements in descending order
+   */
+  async _convertRoundTrips (roundTrips) {
+    const res = await this.currencyConverter
+      .convertManyByCandles(
+        [...roundTrips].sort((a, b) => b.mtsClose - a.mtsClose),
+        {
+          symbolFieldName: 'symbol',
+          dateFieldName: 'mtsClose',
+          convFields: [
+            {
+              inputField: 'pnl',
+              outputField: 'pnlUsd'
+            },
+            {
+              inputField: 'grossPnl',
+              outputField: 'grossPnlUsd'
+            },
+            {
+              inputField: 'fees',
+              outputField: 'feesUsd'
+            }
+          ]
+        }
+      )
+
+    return res.reverse()
+  }
+
+  _getGroup (groups, { symbol, mts, timeframe }) {
+    const startMts = getStartMtsByTimeframe(mts, timeframe)
+    const key = `${startMts}:${symbol}`
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        mts: startMts,
+        symbol,
+        trades: [],
+        roundTrips: []
+      })
+    }
+
+    return groups.get(key)
+  }
+
+  _sumUsd (roundTrips, fieldName = 'pnlUsd') {
+    return roundTrips.reduce((accum, item) => (
+      Number.isFinite(item[fieldName])
+        ? accum + item[fieldName]
+        : accum
+    ), 0)
+  }
+
+  _calcAvg (sum, count) {
+    return count > 0
+      ? sum / count
+      : null
+  }
+
+  /**
+   * The largest peak-to-trough decline of the cumulative
+   * realized PnL of round trips closed in the period
+   */
+  _calcMaxDrawdownUsd (roundTrips) {
+    let cumulative = 0
+    let peak = 0
+    let maxDrawdown = 0
+
+    for (const { pnlUsd } of roundTrips) {
+      cumulative += pnlUsd
+      peak = Math.max(peak, cumulative)
+      maxDrawdown = Math.max(maxDrawdown, peak - cumulative)
+    }
+
+    return maxDrawdown
+  }
+
+  _calcGroup (group) {
+    const {
+      mts,
+      symbol,
+      trades,
+      roundTrips
+    } = group
+    const convertedRoundTrips = roundTrips.filter(({ pnlUsd }) => (
+      Number.isFinite(pnlUsd)
+    ))
+    const wins = convertedRoundTrips.filter(({ pnlUsd }) => pnlUsd > 0)
+    const losses = convertedRoundTrips.filter(({ pnlUsd }) => pnlUsd < 0)
+    const grossProfitUsd = this._sumUsd(wins)
+    const grossLossUsd = Math.abs(this._sumUsd(losses))
+    const holdingTime = roundTrips.reduce((accum, item) => (
+      accum + (item.mtsClose - item.mtsOpen)
+    ), 0)
+    const makerCount = trades.filter(({ maker }) => maker === MAKER).length
+    const takerCount = trades.length - makerCount
+
+    return {
+      mts,
+      symbol,
+      tradesCount: trades.length,
+      roundTripsCount: roundTrips.length,
+      winsCount: wins.length,
+      lossesCount: losses.length,
+      winRatePerc: convertedRoundTrips.length > 0
+        ? (wins.length / convertedRoundTrips.length) * 100
+        : null,
+      pnlUsd: this._sumUsd(convertedRoundTrips),
+      grossPnlUsd: this._sumUsd(convertedRoundTrips, 'grossPnlUsd'),
+      feesUsd: this._sumUsd(convertedRoundTrips, 'feesUsd'),
+      avgWinUsd: this._calcAvg(grossProfitUsd, wins.length),
+      avgLossUsd: this._calcAvg(-grossLossUsd, losses.length),
+      profitFactor: grossLossUsd > 0
+        ? grossProfitUsd / grossLossUsd
+        : null,
+      makerCount,
+      takerCount,
+      makerTakerRatio: takerCount > 0
+        ? makerCount / takerCount
+        : null,
+      avgHoldingTime: this._calcAvg(holdingTime, roundTrips.length),
+      maxDrawdownUsd: this._calcMaxDrawdownUsd(convertedRoundTrips)
+    }
+  }
+
+  /**
+   * Returns trading stats per symbol and timeframe
+   * in descending order, round trips are related
+   * to the period in which they are closed,
+   * the PnL is net of fees
+   */
+  async getTradingStats ({
+    auth = {},
+    params = {}
+  } = {}) {
+    const user = await this.authenticator
+      .verifyRequestUser({ auth })
+
+    const {
+      timeframe = 'month',
+      start = 0,
+      end = Date.now(),
+      symbol: symbs
+    } = { ...params }
+    const _symbol = Array.isArray(symbs)
+      ? symbs
+      : [symbs]
+    const symbol = _symbol.filter((s) => (
+      s && typeof s === 'string'
+    ))
+
+    const trades = await this._getTrades(user, { start, end, symbol })
+    const roundTrips = await this._convertRoundTrips(
+      this._getRoundTrips(trades)
+        .filter(({ mtsClose }) => mtsClose >= start)
+    )
+    const groups = new Map()
+
+    for (const trade of trades) {
+      if (trade.mtsCreate < start) {
+        continue
+      }
+
+      this._getGroup(groups, {
+        symbol: trade.symbol,
+        mts: trade.mtsCreate,
+        timeframe
+      }).trades.push(trade)
+    }
+    for (const roundTrip of roundTrips) {
+      this._getGroup(groups, {
+        symbol: roundTrip.symbol,
+        mts: roundTrip.mtsClose,
+        timeframe
+      }).roundTrips.push(roundTrip)
+    }
+
+    return [...groups.values()]
+      .map((group) => this._calcGroup(group))
+      .sort((a, b) => (
+        b.mts - a.mts ||
+        a.symbol.localeCompare(b.symbol)
+      ))
+  }
+}
+
+decorate(injectable(), TradingStats)
+decorate(inject(TYPES.DAO), TradingStats, 0)
+decorate(inject(TYPES.ALLOWED_COLLS), TradingStats, 1)
+decorate(inject(TYPES.CurrencyConverter), TradingStats, 2)
+decorate(inject(TYPES.Authenticator), TradingStats, 3)
+
+module.exports = TradingStats
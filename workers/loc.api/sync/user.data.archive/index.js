@@ -0,0 +1,536 @@
+'use strict'
+
+const zlib = require('zlib')
+const { promisify } = require('util')
+const { omit } = require('lodash')
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+const {
+  AuthError
+} = require('bfx-report/workers/loc.api/errors')
+
+const TYPES = require('../../di/types')
+const {
+  UserWasPreviouslyStoredInDbError,
+  UserDataArchiveError,
+  UserDataArchiveVersionError
+} = require('../../errors')
+
+const gzip = promisify(zlib.gzip)
+const gunzip = promisify(zlib.gunzip)
+
+/*
+ * The version must be increased when the archive structure is changed
+ */
+const ARCHIVE_VERSION = 2
+/*
+ * The DB version of the first archives,
+ * older ones can't be migrated
+ */
+const MIN_ARCHIVE_DB_VERSION = 24
+const BATCH_SIZE = 10000
+
+class UserDataArchive {
+  constructor (
+    dao,
+    TABLES_NAMES,
+    syncSchema,
+    authenticator,
+    crypto
+  ) {
+    this.dao = dao
+    this.TABLES_NAMES = TABLES_NAMES
+    this.syncSchema = syncSchema
+    this.authenticator = authenticator
+    this.crypto = crypto
+  }
+
+  /**
+   * Returns models of tables which keep the user data,
+   * users and sub-account links are handled separately,
+   * audit log entries can't be moved out of the hash chain,
+   * webhook deliveries and triggered alerts refer to ids
+   * of the exported targets and rules, sync history stats
+   * refer to common sync runs
+   */
+  _getUserDataModels () {
+    const modelsMap = this.syncSchema.getModelsMap()
+
+    return [...modelsMap].filter(([name, model]) => (
+      name !== this.TABLES_NAMES.USERS &&
+      name !== this.TABLES_NAMES.SUB_ACCOUNTS &&
+      name !== this.TABLES_NAMES.AUDIT_LOGS &&
+      name !== this.TABLES_NAMES.WEBHOOK_DELIVERIES &&
+      name !== this.TABLES_NAMES.ALERT_HISTORY &&
+      name !== this.TABLES_NAMES.SYNC_HISTORY_STATS &&
+      model &&
+      typeof model === 'object' &&
+      Object.keys(model).some((field) => field === 'user_id')
+    ))
+  }
+
+  _getArchivedFields (model) {
+    return Object.keys(model).filter((field) => (
+      field !== '_id' &&
+      field !== 'user_id'
+    ))
+  }
+
+  /**
+   * Yields user rows batch by batch to not keep
+   * the whole table in memory
+   */
+  async * _getUserRowBatches (name, model, userId) {
+    const fields = this._getArchivedFields(model)
+    let lastId = 0
+
+    while (true) {
+      const batch = await this.dao.getElemsInCollBy(
+        name,
+        {
+          filter: {
+            user_id: userId,
+            $gt: { _id: lastId }
+          },
+          sort: [['_id', 1]],
+          projection: ['_id', ...fields],
+          limit: BATCH_SIZE
+        }
+      )
+
+      if (
+        !Array.isArray(batch) ||
+        batch.length === 0
+      ) {
+        break
+      }
+
+      lastId = batch[batch.length - 1]._id
+      yield batch.map((row) => omit(row, ['_id']))
+
+      if (batch.length < BATCH_SIZE) {
+        break
+      }
+    }
+  }
+
+  async _getArchivedUsers (user) {
+    const { _id, subUsers } = { ...user }
+    const _subUsers = Array.isArray(subUsers)
+      ? subUsers
+      : []
+    const ids = [_id, ..._subUsers.map((subUser) => subUser._id)]
+    const usersFromDb = await this.dao.getElemsInCollBy(
+      this.TABLES_NAMES.USERS,
+      { filter: { _id: ids } }
+    )
+
+    return [user, ..._subUsers].map((item) => {
+      const userFromDb = usersFromDb.find((row) => (
+        row._id === item._id
+      ))
+
+      return {
+        ...omit(userFromDb, ['passwordHash']),
+        apiKey: item.apiKey,
+        apiSecret: item.apiSecret
+      }
+    })
+  }
+
+  async _encrypt (data, password, salt) {
+    const compressed = await gzip(JSON.stringify(data))
+
+    return this.crypto.encrypt(
+      compressed.toString('base64'),
+      password,
+      salt
+    )
+  }
+
+  async _decrypt (encryptedStr, password, salt) {
+    const decrypted = await this.crypto.decrypt(
+      encryptedStr,
+      password,
+      salt
+    )
+    const decompressed = await gunzip(Buffer.from(decrypted, 'base64'))
+
+    return JSON.parse(decompressed.toString('utf8'))
+  }
+
+  _parseArchive (archive) {
+    let envelope = null
+
+    try {
+      envelope = JSON.parse(archive)
+    } catch (err) {
+      throw new UserDataArchiveError()
+    }
+
+    const {
+      archiveVersion,
+      dbVersion,
+      salt,
+      data
+    } = { ...envelope }
+
+    if (
+      !Number.isInteger(archiveVersion) ||
+      !Number.isInteger(dbVersion) ||
+      !salt ||
+      typeof salt !== 'string' ||
+      !Array.isArray(data) ||
+      data.length === 0 ||
+      data.some((chunk) => !chunk || typeof chunk !== 'string')
+    ) {
+      throw new UserDataArchiveError()
+    }
+    if (
+      archiveVersion !== ARCHIVE_VERSION ||
+      dbVersion < MIN_ARCHIVE_DB_VERSION ||
+      dbVersion > this.syncSchema.SUPPORTED_DB_VERSION
+    ) {
+      throw new UserDataArchiveVersionError()
+    }
+
+    return envelope
+  }
+
+  /**
+   * Archived rows are migrated the same way as the DB tables,
+   * versions which only add tables or fields aren't listed
+   * as missing fields stay empty
+   */
+  _getArchiveMigrations () {
+    return new Map([
+      [
+        30,
+        // Checkpoints are keyed by sub-user since v30, the old ones are dropped
+        (name, rows) => (
+          name === this.TABLES_NAMES.SYNC_CHECKPOINTS
+            ? []
+            : rows
+        )
+      ]
+    ])
+  }
+
+  _migrateArchivedRows (name, rows, dbVersion) {
+    const migrations = this._getArchiveMigrations()
+
+    return [...migrations].reduce((accum, [ver, migrate]) => {
+      if (
+        ver <= dbVersion ||
+        ver > this.syncSchema.SUPPORTED_DB_VERSION
+      ) {
+        return accum
+      }
+
+      return migrate(name, accum)
+    }, rows)
+  }
+
+  /**
+   * Dumps the user rows of each model, sub-account links
+   * and public collection confs into an archive
+   * encrypted by the user password.
+   * Users and each batch of table rows are encrypted
+   * into separate chunks to be restored one by one.
+   * Not protected users have to pass a password in params
+   */
+  async exportUserData (args) {
+    const { auth, params } = { ...args }
+    const { password: archivePassword } = { ...params }
+    const user = await this.authenticator
+      .verifyRequestUser({ auth })
+    const [userFromDb] = await this.dao.getElemsInCollBy(
+      this.TABLES_NAMES.USERS,
+      { filter: { _id: user._id } }
+    )
+    const { isNotProtected } = { ...userFromDb }
+    const password = isNotProtected
+      ? archivePassword
+      : user.password
+
+    if (
+      !password ||
+      typeof password !== 'string'
+    ) {
+      throw new AuthError()
+    }
+
+    const users = await this._getArchivedUsers(user)
+    const salt = await this.crypto.generateSalt()
+    const data = [await this._encrypt({ users }, password, salt)]
+
+    for (const [name, model] of this._getUserDataModels()) {
+      const batches = this._getUserRowBatches(name, model, user._id)
+
+      for await (const rows of batches) {
+        data.push(await this._encrypt({ name, rows }, password, salt))
+      }
+    }
+
+    const archive = JSON.stringify({
+      archiveVersion: ARCHIVE_VERSION,
+      dbVersion: this.syncSchema.SUPPORTED_DB_VERSION,
+      mtsCreated: Date.now(),
+      salt,
+      data
+    })
+
+    return {
+      email: user.email,
+      isSubAccount: !!user.isSubAccount,
+      archive
+    }
+  }
+
+  async _checkUsersAbsence (users) {
+    for (const { email, username } of users) {
+      const user = await this.dao.getUser({ email, username })
+
+      if (
+        user &&
+        typeof user === 'object' &&
+        Number.isInteger(user._id)
+      ) {
+        throw new UserWasPreviouslyStoredInDbError()
+      }
+    }
+  }
+
+  async _insertUser (user, password) {
+    const {
+      email,
+      username,
+      apiKey,
+      apiSecret,
+      isNotProtected
+    } = { ...user }
+    const _password = isNotProtected
+      ? this.crypto.getSecretKey()
+      : password
+    const model = this.syncSchema.getModelsMap()
+      .get(this.TABLES_NAMES.USERS)
+    const fields = Object.keys(model)
+      .filter((field) => field !== '_id')
+
+    const [
+      encryptedApiKey,
+      encryptedApiSecret,
+      passwordHash
+    ] = await Promise.all([
+      this.crypto.encrypt(apiKey, _password),
+      this.crypto.encrypt(apiSecret, _password),
+      this.crypto.hashPassword(_password)
+    ])
+    const data = fields.reduce((accum, field) => {
+      if (typeof user[field] !== 'undefined') {
+        accum[field] = user[field]
+      }
+
+      return accum
+    }, {})
+
+    await this.dao.insertElemToDb(
+      this.TABLES_NAMES.USERS,
+      {
+        ...data,
+        apiKey: encryptedApiKey,
+        apiSecret: encryptedApiSecret,
+        passwordHash
+      },
+      { withoutWorkerThreads: true }
+    )
+
+    return this.dao.getUser(
+      { email, username },
+      { isNotInTrans: true, withoutWorkerThreads: true }
+    )
+  }
+
+  async _insertUsers (users, password) {
+    const [masterUser, ...subUsers] = users
+
+    return this.dao.executeQueriesInTrans(async () => {
+      const { _id } = await this._insertUser(masterUser, password)
+      const subUserIdsMap = new Map()
+
+      for (const subUser of subUsers) {
+        const { _id: subUserId } = await this._insertUser(
+          subUser,
+          password
+        )
+
+        subUserIdsMap.set(subUser._id, subUserId)
+
+        await this.dao.insertElemToDb(
+          this.TABLES_NAMES.SUB_ACCOUNTS,
+          {
+            masterUserId: _id,
+            subUserId
+          },
+          { withoutWorkerThreads: true }
+        )
+      }
+
+      return { _id, subUserIdsMap }
+    }, { withoutWorkerThreads: true })
+  }
+
+  /**
+   * Decrypts and inserts table chunks one by one
+   * to not keep the whole dump in memory
+   */
+  async _insertTables (args) {
+    const {
+      chunks,
+      password,
+      salt,
+      dbVersion,
+      userId,
+      subUserIdsMap
+    } = args
+    const modelsMap = new Map(this._getUserDataModels())
+
+    for (const chunk of chunks) {
+      const {
+        name,
+        rows: archivedRows
+      } = { ...await this._decrypt(chunk, password, salt) }
+      const model = modelsMap.get(name)
+
+      if (
+        !model ||
+        !Array.isArray(archivedRows)
+      ) {
+        throw new UserDataArchiveError()
+      }
+
+      const rows = this._migrateArchivedRows(name, archivedRows, dbVersion)
+
+      if (rows.length === 0) {
+        continue
+      }
+
+      const fields = this._getArchivedFields(model)
+      const data = rows.map((row) => {
+        const item = fields.reduce((accum, field) => {
+          if (typeof row[field] !== 'undefined') {
+            accum[field] = row[field]
+          }
+
+          return accum
+        }, {})
+
+        if (Number.isInteger(item.subUserId)) {
+          item.subUserId = subUserIdsMap.get(item.subUserId)
+        }
+
+        return item
+      })
+
+      await this.dao.insertElemsToDb(
+        name,
+        { _id: userId },
+        data
+      )
+    }
+  }
+
+  /**
+   * Sub-users are removed explicitly along with the master user
+   * in one transaction, the rest of the user tree is removed
+   * by the cascade
+   */
+  _removeUsers (ids) {
+    return this.dao.executeQueriesInTrans(async () => {
+      for (const _id of ids) {
+        await this.dao.removeElemsFromDb(
+          this.TABLES_NAMES.USERS,
+          null,
+          { _id },
+          { withoutWorkerThreads: true }
+        )
+      }
+    }, { withoutWorkerThreads: true })
+  }
+
+  /**
+   * Restores the user from the archive, rows of archives
+   * of older DB versions are migrated to the current schema,
+   * archives older than the first one or of a newer DB version
+   * are rejected
+   */
+  async importUserData (args) {
+    const { auth, params } = { ...args }
+    const { password } = { ...auth }
+    const { archive } = { ...params }
+
+    if (
+      !password ||
+      typeof password !== 'string'
+    ) {
+      throw new AuthError()
+    }
+
+    const {
+      dbVersion,
+      salt,
+      data
+    } = this._parseArchive(archive)
+
+    const [usersChunk, ...chunks] = data
+    const { users } = { ...await this._decrypt(usersChunk, password, salt) }
+
+    if (
+      !Array.isArray(users) ||
+      users.length === 0
+    ) {
+      throw new UserDataArchiveError()
+    }
+
+    await this._checkUsersAbsence(users)
+
+    const {
+      _id,
+      subUserIdsMap
+    } = await this._insertUsers(users, password)
+
+    try {
+      await this._insertTables({
+        chunks,
+        password,
+        salt,
+        dbVersion,
+        userId: _id,
+        subUserIdsMap
+      })
+    } catch (err) {
+      await this._removeUsers([...subUserIdsMap.values(), _id])
+
+      throw err
+    }
+
+    const [{ email, isSubAccount }] = users
+
+    return {
+      email,
+      isSubAccount: !!isSubAccount
+    }
+  }
+}
+
+decorate(injectable(), UserDataArchive)
+decorate(inject(TYPES.DAO), UserDataArchive, 0)
+decorate(inject(TYPES.TABLES_NAMES), UserDataArchive, 1)
+decorate(inject(TYPES.SyncSchema), UserDataArchive, 2)
+decorate(inject(TYPES.Authenticator), UserDataArchive, 3)
+decorate(inject(TYPES.Crypto), UserDataArchive, 4)
+
+module.exports = UserDataArchive
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = {
+  PENDING: 'PENDING',
+  DELIVERED: 'DELIVERED',
+  FAILED: 'FAILED'
+}
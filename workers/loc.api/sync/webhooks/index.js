@@ -0,0 +1,506 @@
+'use strict'
+
+const path = require('path')
+const { v4: uuidv4 } = require('uuid')
+const {
+  decorate,
+  injectable,
+  inject
+} = require('inversify')
+
+const TYPES = require('../../di/types')
+const WEBHOOK_EVENTS = require('./webhook.events')
+const DELIVERY_STATUSES = require('./delivery.statuses')
+const sendWebhookRequest = require('./send-webhook-request')
+const {
+  WebhookUrlError
+} = require('../../errors')
+const {
+  tryParseJSON
+} = require('../../helpers')
+
+const MAX_LIMIT = 500
+const DEFAULT_WEBHOOK_CONF = {
+  maxAttempts: 5,
+  backoffMs: 1000,
+  timeoutMs: 10000
+}
+
+class Webhooks {
+  constructor (
+    dao,
+    TABLES_NAMES,
+    crypto,
+    authenticator,
+    logger,
+    CONF
+  ) {
+    this.dao = dao
+    this.TABLES_NAMES = TABLES_NAMES
+    this.crypto = crypto
+    this.authenticator = authenticator
+    this.logger = logger
+    this.CONF = CONF
+
+    const { webhookConf } = { ...this.CONF }
+    this.webhookConf = {
+      ...DEFAULT_WEBHOOK_CONF,
+      ...webhookConf
+    }
+
+    this._reportQueue = null
+  }
+
+  _getUser (auth) {
+    return this.authenticator
+      .verifyRequestUser({ auth })
+  }
+
+  _checkUrl (url) {
+    try {
+      const { protocol } = new URL(url)
+
+      if (
+        protocol !== 'http:' &&
+        protocol !== 'https:'
+      ) {
+        throw new WebhookUrlError()
+      }
+    } catch (err) {
+      throw new WebhookUrlError()
+    }
+  }
+
+  /**
+   * Each target has own signing key, the receiver
+   * gets it once on the webhook registration
+   */
+  _getSigningKey (webhookId) {
+    return this.crypto.deriveKey(`webhook:${webhookId}`)
+  }
+
+  _sign (webhookId, timestamp, body) {
+    return this.crypto.hmac(
+      `${timestamp}.${body}`,
+      this._getSigningKey(webhookId)
+    )
+  }
+
+  _parseEvents (events) {
+    const _events = tryParseJSON(events)
+
+    return Array.isArray(_events)
+      ? _events
+      : []
+  }
+
+  _getBackoffMs (attempts) {
+    return this.webhookConf.backoffMs * Math.pow(2, attempts - 1)
+  }
+
+  async addWebhook (args) {
+    const { auth, params } = { ...args }
+    const {
+      url,
+      events = Object.values(WEBHOOK_EVENTS)
+    } = { ...params }
+
+    this._checkUrl(url)
+
+    const user = await this._getUser(auth)
+    const createdAt = Date.now()
+
+    await this.dao.insertElemToDb(
+      this.TABLES_NAMES.WEBHOOKS,
+      {
+        url,
+        events: JSON.stringify(events),
+        isEnable: 1,
+        createdAt,
+        user_id: user._id
+      }
+    )
+
+    const { _id: id } = await this.dao.getElemInCollBy(
+      this.TABLES_NAMES.WEBHOOKS,
+      { user_id: user._id, createdAt },
+      [['_id', -1]]
+    )
+
+    return {
+      id,
+      url,
+      events,
+      isEnable: true,
+      createdAt,
+      signingKey: this._getSigningKey(id)
+    }
+  }
+
+  async getWebhooks (args) {
+    const { auth } = { ...args }
+    const user = await this._getUser(auth)
+
+    const webhooks = await this.dao.getElemsInCollBy(
+      this.TABLES_NAMES.WEBHOOKS,
+      {
+        filter: { user_id: user._id },
+        sort: [['_id', 1]]
+      }
+    )
+
+    return webhooks.map(({
+      _id: id,
+      url,
+      events,
+      isEnable,
+      createdAt
+    }) => ({
+      id,
+      url,
+      events: this._parseEvents(events),
+      isEnable: !!isEnable,
+      createdAt
+    }))
+  }
+
+  async removeWebhook (args) {
+    const { auth, params } = { ...args }
+    const { id } = { ...params }
+
+    const user = await this._getUser(auth)
+
+    const res = await this.dao.removeElemsFromDb(
+      this.TABLES_NAMES.WEBHOOKS,
+      user,
+      { _id: id }
+    )
+
+    return (
+      res &&
+      typeof res === 'object' &&
+      res.changes > 0
+    )
+  }
+
+  async getWebhookDeliveries (args) {
+    const { auth, params } = { ...args }
+    const {
+      webhookId,
+      start = 0,
+      end = Date.now(),
+      limit = MAX_LIMIT
+    } = { ...params }
+
+    const user = await this._getUser(auth)
+    const webhookFilter = Number.isInteger(webhookId)
+      ? { webhookId }
+      : {}
+
+    const deliveries = await this.dao.getElemsInCollBy(
+      this.TABLES_NAMES.WEBHOOK_DELIVERIES,
+      {
+        filter: {
+          user_id: user._id,
+          ...webhookFilter,
+          $gte: { mts: start },
+          $lte: { mts: end }
+        },
+        sort: [['mts', -1], ['_id', -1]],
+        limit: Math.min(limit, MAX_LIMIT)
+      }
+    )
+
+    return deliveries.map(({
+      deliveryId: id,
+      webhookId,
+      event,
+      status,
+      attempts,
+      responseStatus,
+      error,
+      mts,
+      mtsUpdated
+    }) => ({
+      id,
+      webhookId,
+      event,
+      status,
+      attempts,
+      responseStatus,
+      error,
+      mts,
+      mtsUpdated
+    }))
+  }
+
+  async _getSubscribedWebhooks (event, userId) {
+    const webhooks = await this.dao.getElemsInCollBy(
+      this.TABLES_NAMES.WEBHOOKS,
+      {
+        filter: {
+          isEnable: 1,
+          user_id: userId
+        }
+      }
+    )
+
+    return webhooks.filter(({ events }) => (
+      this._parseEvents(events).some((item) => item === event)
+    ))
+  }
+
+  /**
+   * Stores a delivery per subscribed target of the user
+   * and sends them in the background,
+   * events without the user id are not dispatched
+   */
+  async dispatch (event, data, opts) {
+    try {
+      const { userId } = { ...opts }
+
+      if (!Number.isInteger(userId)) {
+        return
+      }
+
+      const webhooks = await this._getSubscribedWebhooks(event, userId)
+
+      for (const webhook of webhooks) {
+        const mts = Date.now()
+        const deliveryId = uuidv4()
+        const delivery = {
+          deliveryId,
+          webhookId: webhook._id,
+          event,
+          payload: JSON.stringify({
+            id: deliveryId,
+            event,
+            mts,
+            data
+          }),
+          status: DELIVERY_STATUSES.PENDING,
+          attempts: 0,
+          mts,
+          mtsUpdated: mts,
+          user_id: webhook.user_id
+        }
+
+        await this.dao.insertElemToDb(
+          this.TABLES_NAMES.WEBHOOK_DELIVERIES,
+          delivery
+        )
+
+        this._scheduleAttempt(delivery, 0)
+      }
+    } catch (err) {
+      this.logger.error(
+        `WEBHOOKS:DISPATCH: ${err.stack || err}`
+      )
+    }
+  }
+
+  _scheduleAttempt (delivery, delayMs) {
+    const timer = setTimeout(() => {
+      this._attempt(delivery).then(() => {}, (err) => {
+        this.logger.error(
+          `WEBHOOKS:DELIVERY: ${err.stack || err}`
+        )
+      })
+    }, delayMs)
+
+    timer.unref()
+  }
+
+  async _send (delivery, url) {
+    const { deliveryId, webhookId, event, payload } = delivery
+    const timestamp = Date.now()
+
+    try {
+      const responseStatus = await sendWebhookRequest(
+        url,
+        payload,
+        {
+          'X-Webhook-Id': deliveryId,
+          'X-Webhook-Event': event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': this._sign(webhookId, timestamp, payload)
+        },
+        { timeout: this.webhookConf.timeoutMs }
+      )
+      const isDelivered = (
+        responseStatus >= 200 &&
+        responseStatus < 300
+      )
+
+      return {
+        isDelivered,
+        responseStatus,
+        error: isDelivered
+          ? null
+          : `ERR_WEBHOOK_RESPONSE_STATUS_${responseStatus}`
+      }
+    } catch (err) {
+      return {
+        isDelivered: false,
+        responseStatus: null,
+        error: err.message || err.toString()
+      }
+    }
+  }
+
+  _getWebhook (webhookId) {
+    return this.dao.getElemInCollBy(
+      this.TABLES_NAMES.WEBHOOKS,
+      { _id: webhookId, isEnable: 1 }
+    )
+  }
+
+  /**
+   * The webhook is checked before each attempt as it can be
+   * removed meanwhile, its deliveries are removed by the cascade
+   */
+  async _attempt (delivery) {
+    const webhook = await this._getWebhook(delivery.webhookId)
+
+    if (
+      !webhook ||
+      typeof webhook !== 'object'
+    ) {
+      return
+    }
+
+    const attempts = delivery.attempts + 1
+    const {
+      isDelivered,
+      responseStatus,
+      error
+    } = await this._send(delivery, webhook.url)
+    const isFailed = (
+      !isDelivered &&
+      attempts >= this.webhookConf.maxAttempts
+    )
+    const status = isDelivered
+      ? DELIVERY_STATUSES.DELIVERED
+      : isFailed
+        ? DELIVERY_STATUSES.FAILED
+        : DELIVERY_STATUSES.PENDING
+
+    await this.dao.updateCollBy(
+      this.TABLES_NAMES.WEBHOOK_DELIVERIES,
+      { deliveryId: delivery.deliveryId },
+      {
+        status,
+        attempts,
+        responseStatus,
+        error,
+        mtsUpdated: Date.now()
+      }
+    )
+
+    if (status !== DELIVERY_STATUSES.PENDING) {
+      return
+    }
+
+    this._scheduleAttempt(
+      { ...delivery, attempts },
+      this._getBackoffMs(attempts)
+    )
+  }
+
+  /**
+   * Continues the deliveries interrupted by the restart
+   */
+  async resumePendingDeliveries () {
+    const deliveries = await this.dao.getElemsInCollBy(
+      this.TABLES_NAMES.WEBHOOK_DELIVERIES,
+      {
+        filter: { status: DELIVERY_STATUSES.PENDING },
+        sort: [['_id', 1]]
+      }
+    )
+
+    for (const delivery of deliveries) {
+      this._scheduleAttempt(
+        delivery,
+        this._getBackoffMs(Math.max(delivery.attempts, 1))
+      )
+    }
+  }
+
+  async _getUserIdByReport (report) {
+    const { userId, email } = { ...report }
+
+    if (Number.isInteger(userId)) {
+      return userId
+    }
+    if (
+      !email ||
+      typeof email !== 'string'
+    ) {
+      return null
+    }
+
+    const user = await this.authenticator.getUser(
+      { email, isSubAccount: false },
+      { projection: ['_id'] }
+    )
+
+    return user && Number.isInteger(user._id)
+      ? user._id
+      : null
+  }
+
+  async _dispatchReportReady (report) {
+    try {
+      const { newFilePaths } = { ...report }
+      const userId = await this._getUserIdByReport(report)
+
+      if (!Number.isInteger(userId)) {
+        return
+      }
+
+      const fileNames = Array.isArray(newFilePaths)
+        ? newFilePaths.map((filePath) => path.basename(filePath))
+        : []
+
+      await this.dispatch(
+        WEBHOOK_EVENTS.REPORT_READY,
+        { fileNames },
+        { userId }
+      )
+    } catch (err) {
+      this.logger.error(
+        `WEBHOOKS:REPORT_READY: ${err.stack || err}`
+      )
+    }
+  }
+
+  /**
+   * The report aggregator queue emits the `completed` event
+   * when the report files are ready
+   */
+  listenToReportQueue (queue) {
+    if (
+      !queue ||
+      typeof queue.on !== 'function' ||
+      this._reportQueue === queue
+    ) {
+      return
+    }
+
+    this._reportQueue = queue
+    queue.on('completed', (report) => {
+      this._dispatchReportReady(report)
+    })
+  }
+}
+
+decorate(injectable(), Webhooks)
+decorate(inject(TYPES.DAO), Webhooks, 0)
+decorate(inject(TYPES.TABLES_NAMES), Webhooks, 1)
+decorate(inject(TYPES.Crypto), Webhooks, 2)
+decorate(inject(TYPES.Authenticator), Webhooks, 3)
+decorate(inject(TYPES.Logger), Webhooks, 4)
+decorate(inject(TYPES.CONF), Webhooks, 5)
+
+module.exports = Webhooks
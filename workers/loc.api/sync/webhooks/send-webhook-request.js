@@ -0,0 +1,48 @@
+'use strict'
+
+const http = require('http')
+const https = require('https')
+
+const { WebhookDeliveryError } = require('../../errors')
+
+module.exports = (
+  url,
+  body,
+  headers = {},
+  opts = {}
+) => {
+  const { timeout = 10000 } = { ...opts }
+
+  return new Promise((resolve, reject) => {
+    const { protocol } = new URL(url)
+    const transport = protocol === 'https:'
+      ? https
+      : http
+
+    const req = transport.request(
+      url,
+      {
+        method: 'POST',
+        timeout,
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          ...headers
+        }
+      },
+      (res) => {
+        res.resume()
+        res.once('end', () => resolve(res.statusCode))
+        res.once('error', reject)
+      }
+    )
+
+    req.once('timeout', () => {
+      req.destroy(new WebhookDeliveryError(
+        'ERR_WEBHOOK_DELIVERY_TIMEOUT'
+      ))
+    })
+    req.once('error', reject)
+    req.end(body)
+  })
+}
@@ -0,0 +1,8 @@
+'use strict'
+
+module.exports = {
+  SYNC_FINISHED: 'SYNC_FINISHED',
+  SYNC_ERROR: 'SYNC_ERROR',
+  SYNC_INTERRUPTED: 'SYNC_INTERRUPTED',
+  REPORT_READY: 'REPORT_READY'
+}
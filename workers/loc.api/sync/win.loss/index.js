@@ -25,7 +25,8 @@ class WinLoss {
     positionsSnapshot,
     FOREX_SYMBS,
     authenticator,
-    SYNC_API_METHODS
+    SYNC_API_METHODS,
+    currencyConverter
   ) {
     this.dao = dao
     this.syncSchema = syncSchema
@@ -36,6 +37,7 @@ class WinLoss {
     this.FOREX_SYMBS = FOREX_SYMBS
     this.authenticator = authenticator
     this.SYNC_API_METHODS = SYNC_API_METHODS
+    this.currencyConverter = currencyConverter
 
     this.movementsModel = this.syncSchema.getModelsMap()
       .get(this.ALLOWED_COLLS.MOVEMENTS)
@@ -266,7 +268,8 @@ class WinLoss {
     const {
       timeframe = 'day',
       start = 0,
-      end = Date.now()
+      end = Date.now(),
+      baseCurrency = 'USD'
     } = { ...params }
     const args = {
       auth,
@@ -399,7 +402,10 @@ class WinLoss {
       timeframe
     )
 
-    return res
+    return this.currencyConverter.convertGroupedDataToBaseCurrency(
+      res,
+      { baseCurrency }
+    )
   }
 }
 
@@ -413,5 +419,6 @@ decorate(inject(TYPES.PositionsSnapshot), WinLoss, 5)
 decorate(inject(TYPES.FOREX_SYMBS), WinLoss, 6)
 decorate(inject(TYPES.Authenticator), WinLoss, 7)
 decorate(inject(TYPES.SYNC_API_METHODS), WinLoss, 8)
+decorate(inject(TYPES.CurrencyConverter), WinLoss, 9)
 
 module.exports = WinLoss
@@ -1,7 +1,7 @@
 'use strict'
 
 const uuid = require('uuid')
-const { omit } = require('lodash')
+const { omit, isEmpty } = require('lodash')
 const { PeerRPCServer } = require('grenache-nodejs-ws')
 const {
   decorate,
@@ -12,8 +12,14 @@ const {
 const TYPES = require('../di/types')
 
 const {
-  FindMethodError
+  FindMethodError,
+  AuthError
 } = require('bfx-report/workers/loc.api/errors')
+const {
+  WSSubscriptionCollError
+} = require('../errors')
+
+const SUBSCRIPTION_METHODS = ['subscribe', 'unsubscribe']
 
 class WSTransport {
   constructor (
@@ -23,7 +29,8 @@ class WSTransport {
     link,
     grcBfxOpts,
     TABLES_NAMES,
-    authenticator
+    authenticator,
+    ALLOWED_COLLS
   ) {
     this.wsPort = wsPort
     this.rService = rService
@@ -32,10 +39,14 @@ class WSTransport {
     this.opts = { ...grcBfxOpts }
     this.TABLES_NAMES = TABLES_NAMES
     this.authenticator = authenticator
+    this.ALLOWED_COLLS = ALLOWED_COLLS
 
     this._active = false
     this._sockets = new Map()
     this._auth = new Map()
+    this._subscriptions = new Map()
+    this._subscribableCollNames = Object.values(this.ALLOWED_COLLS)
+      .filter((name) => !/^_/.test(name))
   }
 
   _initPeer () {
@@ -93,7 +104,10 @@ class WSTransport {
       const { method = '' } = _payload
       const args = omit(_payload, ['method'])
 
-      if (method === 'signIn') {
+      if (
+        method === 'signIn' ||
+        SUBSCRIPTION_METHODS.some((m) => m === method)
+      ) {
         return
       }
       if (
@@ -122,6 +136,7 @@ class WSTransport {
 
       socket.on('close', () => {
         this._auth.delete(sid)
+        this._subscriptions.delete(sid)
         this._sockets.delete(sid)
       })
       socket.on('pong', () => {
@@ -139,35 +154,19 @@ class WSTransport {
         const rid = data[0]
         const payload = data[2]
 
-        try {
-          if (
-            !payload ||
-            typeof payload !== 'object' ||
-            payload.method !== 'signIn' ||
-            !payload.auth ||
-            typeof payload.auth !== 'object'
-          ) {
-            return
-          }
-
-          const user = await this.authenticator.signIn(
-            { auth: payload.auth },
-            { isReturnedUser: true }
-          )
-          const {
-            email,
-            isSubAccount,
-            token
-          } = { ...user }
-
-          this._auth.set(sid, user)
-          this.transport.sendReply(socket, rid, null, {
-            email,
-            isSubAccount,
-            token
-          })
-        } catch (err) {
-          this.transport.sendReply(socket, rid, err)
+        if (
+          !payload ||
+          typeof payload !== 'object'
+        ) {
+          return
+        }
+        if (payload.method === 'signIn') {
+          await this._signIn(socket, sid, rid, payload)
+
+          return
+        }
+        if (SUBSCRIPTION_METHODS.some((m) => m === payload.method)) {
+          this._manageSubscriptions(socket, sid, rid, payload)
         }
       })
     })
@@ -195,6 +194,113 @@ class WSTransport {
     })
   }
 
+  async _signIn (socket, sid, rid, payload) {
+    try {
+      if (
+        !payload.auth ||
+        typeof payload.auth !== 'object'
+      ) {
+        return
+      }
+
+      const user = await this.authenticator.signIn(
+        { auth: payload.auth },
+        { isReturnedUser: true }
+      )
+      const {
+        email,
+        isSubAccount,
+        token
+      } = { ...user }
+
+      this._auth.set(sid, user)
+      this.transport.sendReply(socket, rid, null, {
+        email,
+        isSubAccount,
+        token
+      })
+    } catch (err) {
+      this.transport.sendReply(socket, rid, err)
+    }
+  }
+
+  /**
+   * Signed in clients subscribe to collections to receive
+   * rows inserted during each sync, e.g.
+   * `{ method: 'subscribe', colls: ['ledgers', 'trades'] }`
+   */
+  _manageSubscriptions (socket, sid, rid, payload) {
+    try {
+      if (!this._auth.has(sid)) {
+        throw new AuthError()
+      }
+
+      const { method, colls } = payload
+      const _colls = Array.isArray(colls)
+        ? colls
+        : [colls]
+
+      if (
+        _colls.length === 0 ||
+        _colls.some((name) => this._subscribableCollNames
+          .every((collName) => collName !== name))
+      ) {
+        throw new WSSubscriptionCollError()
+      }
+
+      const subscriptions = this._subscriptions.has(sid)
+        ? this._subscriptions.get(sid)
+        : new Set()
+
+      _colls.forEach((name) => {
+        if (method === 'subscribe') {
+          subscriptions.add(name)
+
+          return
+        }
+
+        subscriptions.delete(name)
+      })
+
+      this._subscriptions.set(sid, subscriptions)
+      this.transport.sendReply(
+        socket,
+        rid,
+        null,
+        [...subscriptions]
+      )
+    } catch (err) {
+      this.transport.sendReply(socket, rid, err)
+    }
+  }
+
+  _isSubscribed (sid, collName) {
+    return (
+      this._subscriptions.has(sid) &&
+      this._subscriptions.get(sid).has(collName)
+    )
+  }
+
+  hasSubscribers (collName) {
+    if (
+      !this._active ||
+      this._auth.size === 0
+    ) {
+      return false
+    }
+
+    for (const sid of this._subscriptions.keys()) {
+      if (
+        this._auth.has(sid) &&
+        this._isSubscribed(sid, collName)
+      ) {
+        return true
+      }
+    }
+
+    return false
+  }
+
   _getFreshUsersDataFromDb () {
     const usersIds = [...this._auth].map(([sid, user]) => user._id)
 
@@ -246,7 +352,9 @@ class WSTransport {
 
     const {
       isReceivedFreshUserDataFromDb = false,
-      isEmittedToActiveUsers = false
+      isEmittedToActiveUsers = false,
+      isSkippedEmptyRes = false,
+      subscribedCollName = null
     } = { ...opts }
 
     const freshUsersDate = isReceivedFreshUserDataFromDb
@@ -254,7 +362,13 @@ class WSTransport {
       : false
 
     for (const [sid, socket] of this._sockets) {
-      if (!this._auth.has(sid)) {
+      if (
+        !this._auth.has(sid) ||
+        (
+          subscribedCollName &&
+          !this._isSubscribed(sid, subscribedCollName)
+        )
+      ) {
         continue
       }
 
@@ -281,6 +395,16 @@ class WSTransport {
           ? await handler(user, { ...args, action })
           : handler
 
+        if (
+          (
+            subscribedCollName ||
+            isSkippedEmptyRes
+          ) &&
+          isEmpty(res)
+        ) {
+          continue
+        }
+
         this._sendToOne(socket, sid, action, null, res)
       } catch (err) {
         this._sendToOne(socket, sid, action, err)
@@ -290,9 +414,38 @@ class WSTransport {
     return true
   }
 
+  /**
+   * With `isSkippedEmptyRes` an empty handler result
+   * means nothing to send to the user
+   */
   sendToActiveUsers (
     handler,
     action,
+    args = {},
+    opts = {}
+  ) {
+    const { isSkippedEmptyRes = false } = { ...opts }
+
+    return this.send(
+      handler,
+      action,
+      args,
+      {
+        isReceivedFreshUserDataFromDb: true,
+        isEmittedToActiveUsers: true,
+        isSkippedEmptyRes
+      }
+    )
+  }
+
+  /**
+   * Sends only to sockets subscribed to the collection,
+   * an empty handler result means nothing to send to the user
+   */
+  sendToSubscribers (
+    handler,
+    action,
+    collName,
     args = {}
   ) {
     return this.send(
@@ -301,7 +454,8 @@ class WSTransport {
       args,
       {
         isReceivedFreshUserDataFromDb: true,
-        isEmittedToActiveUsers: true
+        isEmittedToActiveUsers: true,
+        subscribedCollName: collName
       }
     )
   }
@@ -336,5 +490,6 @@ decorate(inject(TYPES.Link), WSTransport, 3)
 decorate(inject(TYPES.GRC_BFX_OPTS), WSTransport, 4)
 decorate(inject(TYPES.TABLES_NAMES), WSTransport, 5)
 decorate(inject(TYPES.Authenticator), WSTransport, 6)
+decorate(inject(TYPES.ALLOWED_COLLS), WSTransport, 7)
 
 module.exports = WSTransport
@@ -29,6 +29,15 @@ class WSEventEmitter {
     )
   }
 
+  emitSyncThrottling (
+    handler = () => {}
+  ) {
+    return this.wsTransport.sendToActiveUsers(
+      handler,
+      'emitSyncThrottling'
+    )
+  }
+
   async emitRedirectingRequestsStatusToApi (
     handler = () => {}
   ) {
@@ -37,6 +46,32 @@ class WSEventEmitter {
       'emitRedirectingRequestsStatusToApi'
     )
   }
+
+  hasNewSyncedDataSubscribers (collName) {
+    return this.wsTransport.hasSubscribers(collName)
+  }
+
+  emitNewSyncedData (
+    collName,
+    handler = () => {}
+  ) {
+    return this.wsTransport.sendToSubscribers(
+      handler,
+      'emitNewSyncedData',
+      collName
+    )
+  }
+
+  emitAlertTriggered (
+    handler = () => {}
+  ) {
+    return this.wsTransport.sendToActiveUsers(
+      handler,
+      'emitAlertTriggered',
+      {},
+      { isSkippedEmptyRes: true }
+    )
+  }
 }
 
 decorate(injectable(), WSEventEmitter)